@@ -0,0 +1,167 @@
+const prompts = require('prompts');
+const { Output } = require('../utils/output');
+const { getDatabase, closeDatabase } = require('../../src/database/connection');
+const ProjectModel = require('../../src/database/models/project');
+const KeywordModel = require('../../src/database/models/keyword');
+const { BrandService } = require('../../src/services/brand-service');
+
+// Manage a project's brand terms and report its branded vs non-branded split
+class BrandCommand {
+  // One-line description of a { branded, non_branded, volume_share, traffic_share } split
+  static describeSplit(split) {
+    if (!split) return 'n/a';
+    return `${split.volume_share}% of volume, ${split.traffic_share}% of traffic (${split.branded.keywords} keywords)`;
+  }
+
+  // Interactive entry point: collect options through prompts, then run
+  async execute() {
+    try {
+      const db = await getDatabase();
+      const projects = new ProjectModel(db).findActive();
+      if (projects.length === 0) {
+        Output.showInfo('No projects found. Create a project first.');
+        return;
+      }
+
+      const { projectId } = await prompts({
+        type: 'select',
+        name: 'projectId',
+        message: 'Select project:',
+        choices: projects.map(p => ({ title: `${p.name} (${p.project_type}: ${ProjectModel.describeTarget(p)})`, value: p.id }))
+      });
+      if (!projectId) {
+        Output.showCancellation();
+        return;
+      }
+
+      const current = BrandService.configForProject(projects.find(p => p.id === projectId));
+      const response = await prompts([
+        {
+          type: 'list',
+          name: 'terms',
+          message: 'Brand terms (comma separated, misspellings allowed, /regex/ for patterns):',
+          initial: current.terms.join(', '),
+          separator: ','
+        },
+        {
+          type: 'confirm',
+          name: 'excludeFromClustering',
+          message: 'Leave branded keywords out of clustering?',
+          initial: current.excludeFromClustering
+        },
+        {
+          type: 'confirm',
+          name: 'excludeFromTitles',
+          message: 'Leave branded keywords out of title generation?',
+          initial: current.excludeFromTitles
+        }
+      ]);
+      if (response.excludeFromTitles === undefined) {
+        Output.showCancellation();
+        return;
+      }
+
+      await this.run({ project: projectId, ...response });
+    } catch (error) {
+      Output.showError(`Brand settings failed: ${error.message}`);
+      process.exit(1);
+    } finally {
+      closeDatabase();
+    }
+  }
+
+  /**
+   * Non-interactive entry point used by `kwt brand`. Without changes it only reports.
+   * Changing the terms re-flags contains_brand on the project's stored keywords.
+   * @param {Object} options
+   * @param {number|string} options.project - Project id or slug
+   * @param {Array<string>} [options.terms] - Replace the brand terms
+   * @param {Array<string>} [options.add] - Terms to add
+   * @param {Array<string>} [options.remove] - Terms to remove
+   * @param {boolean} [options.excludeFromClustering] - Leave branded keywords out of clustering
+   * @param {boolean} [options.excludeFromTitles] - Leave branded keywords out of title generation
+   * @returns {Promise<Object>} Brand settings and the split for the latest run
+   */
+  async run({ project: projectRef, terms, add = [], remove = [], excludeFromClustering, excludeFromTitles }) {
+    try {
+      const db = await getDatabase();
+      const projectModel = new ProjectModel(db);
+      const keywordModel = new KeywordModel(db);
+      let project = projectModel.findByIdOrSlug(projectRef);
+      if (!project) {
+        throw new Error(`Project not found: ${projectRef}`);
+      }
+
+      const current = BrandService.configForProject(project);
+      const termsChanged = terms !== undefined || add.length > 0 || remove.length > 0;
+      const settingsChanged = excludeFromClustering !== undefined || excludeFromTitles !== undefined;
+
+      let relabeled = null;
+      if (termsChanged || settingsChanged) {
+        const removed = new Set(remove.map(term => term.trim().toLowerCase()));
+        const nextTerms = [...new Set([...(terms ?? current.terms), ...add].map(term => term.trim()).filter(Boolean))]
+          .filter(term => !removed.has(term.toLowerCase()));
+        const brandService = new BrandService(nextTerms); // Throws on invalid /regex/ terms
+
+        const configuration = ProjectModel.configurationOf(project);
+        configuration.brand = {
+          terms: nextTerms,
+          excludeFromClustering: excludeFromClustering ?? current.excludeFromClustering,
+          excludeFromTitles: excludeFromTitles ?? current.excludeFromTitles
+        };
+        project = projectModel.updateConfiguration(project.id, configuration);
+        Output.showSuccess(`Brand settings saved for ${project.name}`);
+
+        if (termsChanged) {
+          relabeled = keywordModel.markBranded(project.id, brandService);
+          Output.showInfo(`Re-flagged stored keywords: ${relabeled} branded`);
+        }
+      }
+
+      const brand = BrandService.configForProject(project);
+      const runId = keywordModel.getLatestRunId(project.id);
+      const split = runId ? BrandService.withShares(keywordModel.getBrandSplit(runId)) : null;
+      const clusters = runId
+        ? keywordModel.getBrandSplitByCluster(runId).map(cluster => ({
+          ...cluster,
+          volume_share: cluster.search_volume > 0
+            ? Math.round((cluster.branded_search_volume / cluster.search_volume) * 1000) / 10
+            : 0
+        }))
+        : [];
+
+      Output.showInfo(`Project: ${project.name}`);
+      Output.showSummary({
+        'Brand terms': brand.terms.length > 0 ? brand.terms.join(', ') : '(none)',
+        'Source': brand.configured ? 'project configuration' : 'derived from domain',
+        'Exclude from clustering': brand.excludeFromClustering ? 'yes' : 'no',
+        'Exclude from titles': brand.excludeFromTitles ? 'yes' : 'no',
+        'Branded share': runId ? `${BrandCommand.describeSplit(split)} in run #${runId}` : 'no processed keywords yet'
+      });
+
+      const brandedClusters = clusters.filter(cluster => cluster.branded_count > 0);
+      if (brandedClusters.length > 0) {
+        console.log('\n🏷️  Clusters with branded keywords:');
+        brandedClusters
+          .sort((a, b) => b.branded_search_volume - a.branded_search_volume)
+          .slice(0, 10)
+          .forEach(cluster => {
+            console.log(`  • ${cluster.cluster_name}: ${cluster.branded_count}/${cluster.keyword_count} keywords, ${cluster.volume_share}% of volume`);
+          });
+      }
+
+      return {
+        project: { id: project.id, name: project.name, slug: project.slug },
+        brand,
+        relabeledBranded: relabeled,
+        runId,
+        split,
+        clusters
+      };
+    } finally {
+      closeDatabase();
+    }
+  }
+}
+
+module.exports = { BrandCommand };
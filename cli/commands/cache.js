@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const prompts = require('prompts');
+const { Output } = require('../utils/output');
+const { getDatabase, closeDatabase } = require('../../src/database/connection');
+const { ResponseCache } = require('../../src/services/response-cache');
+
+// Cached SEMrush and LLM responses: sizes, clearing, and export/import as replay fixtures
+class CacheCommand {
+  // One line per provider
+  static showStats(rows) {
+    if (rows.length === 0) {
+      Output.showInfo('The response cache is empty.');
+      return;
+    }
+
+    console.log('\n♻️ Cached API responses:');
+    rows.forEach(row => {
+      const expired = row.expired ? `, ${row.expired} expired` : '';
+      const size = `${(row.response_bytes / 1024).toFixed(1)} KB`;
+      console.log(`  ${row.provider}: ${row.entries} responses (${size}${expired}) · ${row.hits} hits`);
+    });
+  }
+
+  // Interactive entry point: show the cache and offer to clear it
+  async execute() {
+    try {
+      const { stats } = await this.run({ action: 'stats' });
+      if (stats.length === 0) return;
+
+      const { choice } = await prompts({
+        type: 'select',
+        name: 'choice',
+        message: 'Clear cached responses?',
+        choices: [
+          { title: 'Keep them', value: 'keep' },
+          { title: 'Clear expired responses', value: 'expired' },
+          { title: 'Clear everything', value: 'all' }
+        ]
+      });
+      if (!choice || choice === 'keep') {
+        Output.showCancellation();
+        return;
+      }
+
+      await this.run({ action: 'clear', expiredOnly: choice === 'expired' });
+    } catch (error) {
+      Output.showError(`Cache command failed: ${error.message}`);
+      process.exit(1);
+    } finally {
+      closeDatabase();
+    }
+  }
+
+  /**
+   * Non-interactive entry point used by `kwt cache stats|clear|export|import`
+   * @param {Object} options
+   * @param {string} options.action - stats | clear | export | import
+   * @param {string} [options.provider] - Only this provider's responses (clear, export)
+   * @param {boolean} [options.expiredOnly] - Only clear responses past their TTL
+   * @param {string} [options.file] - Fixture file to write (export) or read (import)
+   * @returns {Promise<Object>}
+   */
+  async run({ action, provider, expiredOnly = false, file }) {
+    try {
+      const db = await getDatabase();
+      const cache = new ResponseCache(db, { mode: 'on' });
+
+      switch (action) {
+        case 'stats': {
+          const stats = cache.stats();
+          CacheCommand.showStats(stats);
+          return { stats };
+        }
+
+        case 'clear': {
+          const deleted = cache.clear({ provider, expiredOnly });
+          const which = [expiredOnly && 'expired', provider].filter(Boolean).join(' ');
+          Output.showSuccess(`Cleared ${deleted} ${which ? `${which} ` : ''}cached responses`);
+          return { deleted };
+        }
+
+        case 'export': {
+          const document = cache.exportEntries({ provider });
+          const filePath = path.resolve(file);
+          fs.mkdirSync(path.dirname(filePath), { recursive: true });
+          fs.writeFileSync(filePath, `${JSON.stringify(document, null, 2)}\n`);
+          Output.showSuccess(`Exported ${document.entries.length} cached responses to ${filePath}`);
+          return { file: filePath, entries: document.entries.length };
+        }
+
+        case 'import': {
+          const filePath = path.resolve(file);
+          const imported = cache.importEntries(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+          Output.showSuccess(`Imported ${imported} responses from ${filePath} (they never expire)`);
+          return { file: filePath, imported };
+        }
+
+        default:
+          throw new Error(`Unknown cache action: ${action}`);
+      }
+    } finally {
+      closeDatabase();
+    }
+  }
+}
+
+module.exports = { CacheCommand };
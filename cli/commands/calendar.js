@@ -0,0 +1,151 @@
+const prompts = require('prompts');
+const { Output } = require('../utils/output');
+const { FileOperations } = require('../utils/file-operations');
+const { getDatabase, closeDatabase } = require('../../src/database/connection');
+const ProjectModel = require('../../src/database/models/project');
+const { ContentCalendarService } = require('../../src/services/content-calendar-service');
+
+// Plan publishing dates for approved titles and export the plan as CSV or iCal
+class CalendarCommand {
+  // One line per calendar entry
+  static showEntries(entries, limit = 20) {
+    if (entries.length === 0) {
+      Output.showInfo('Nothing planned.');
+      return;
+    }
+
+    console.log('\n📅 Content calendar:');
+    entries.slice(0, limit).forEach(entry => {
+      const status = entry.status && entry.status !== 'planned' ? ` [${entry.status}]` : '';
+      console.log(`  ${entry.publish_date}  ${entry.title}${status}`);
+      console.log(`              ${entry.cluster_name || 'Uncategorized'} · ${entry.reason}`);
+    });
+    if (entries.length > limit) {
+      console.log(`  … and ${entries.length - limit} more`);
+    }
+  }
+
+  // Interactive entry point: pick a project and plan its calendar
+  async execute() {
+    try {
+      const db = await getDatabase();
+      const projects = new ProjectModel(db).findActive();
+      if (projects.length === 0) {
+        Output.showInfo('No projects found. Create a project first.');
+        return;
+      }
+
+      const { projectId } = await prompts({
+        type: 'select',
+        name: 'projectId',
+        message: 'Select project to plan content for:',
+        choices: projects.map(p => ({ title: `${p.name} (${p.project_type}: ${ProjectModel.describeTarget(p)})`, value: p.id }))
+      });
+      if (!projectId) {
+        Output.showCancellation();
+        return;
+      }
+
+      const settings = ContentCalendarService.settingsForProject(projects.find(p => p.id === projectId));
+      const answers = await prompts([
+        {
+          type: 'number',
+          name: 'weeklyCapacity',
+          message: 'Titles per week:',
+          initial: settings.weeklyCapacity,
+          min: 1,
+          max: 50
+        },
+        {
+          type: 'toggle',
+          name: 'includePending',
+          message: 'Also plan titles that are not approved yet?',
+          initial: false,
+          active: 'yes',
+          inactive: 'no'
+        }
+      ]);
+      if (answers.weeklyCapacity === undefined || answers.includePending === undefined) {
+        Output.showCancellation();
+        return;
+      }
+
+      await this.run({ action: 'plan', project: projectId, ...answers });
+    } catch (error) {
+      Output.showError(`Content planning failed: ${error.message}`);
+      process.exit(1);
+    } finally {
+      closeDatabase();
+    }
+  }
+
+  /**
+   * Non-interactive entry point used by `kwt calendar plan|show|export`
+   * @param {Object} options
+   * @param {string} options.action - plan | show | export
+   * @param {number|string} options.project - Project id or slug
+   * @param {string} [options.startDate] - First publishing date for plan, YYYY-MM-DD (defaults to today)
+   * @param {number} [options.weeklyCapacity] - Titles per week (saved with the project)
+   * @param {Array<string>} [options.publishDays] - Weekdays titles go out on (saved with the project)
+   * @param {number} [options.leadWeeks] - Weeks before a seasonal peak to publish (saved with the project)
+   * @param {boolean} [options.includePending=false] - Also plan titles that are not approved yet
+   * @param {string} [options.format='csv'] - Export format: csv | ics
+   * @param {string} [options.output] - Export file name inside output/ (defaults to calendar_<slug>_<date>.<format>)
+   * @returns {Promise<Object>} The plan, the stored entries, or the exported file
+   */
+  async run({ action, project: projectRef, startDate, weeklyCapacity, publishDays, leadWeeks, includePending = false, format = 'csv', output }) {
+    try {
+      const db = await getDatabase();
+      const project = new ProjectModel(db).findByIdOrSlug(projectRef);
+      if (!project) {
+        throw new Error(`Project not found: ${projectRef}`);
+      }
+      const calendarService = new ContentCalendarService(db);
+
+      switch (action) {
+        case 'plan': {
+          const plan = calendarService.plan(project.id, { startDate, weeklyCapacity, publishDays, leadWeeks, includePending });
+          Output.showSuccess(`Planned ${plan.planned} titles for ${project.name}`);
+          Output.showSummary({
+            'Capacity': `${plan.settings.weeklyCapacity} per week on ${plan.settings.publishDays.join(', ')}`,
+            'Period': plan.planned ? `${plan.start_date} → ${plan.end_date}` : '-',
+            'Seasonal titles': plan.seasonal,
+            'Did not fit': plan.unscheduled
+          });
+          if (plan.planned === 0) {
+            Output.showInfo(includePending
+              ? 'No unused titles to plan. Generate titles first.'
+              : 'No approved titles to plan. Approve titles first or use --include-pending.');
+          }
+          CalendarCommand.showEntries(plan.entries);
+          return plan;
+        }
+
+        case 'show': {
+          const entries = calendarService.getCalendar(project.id);
+          Output.showInfo(`Project: ${project.name}`);
+          CalendarCommand.showEntries(entries, entries.length);
+          return { project: { id: project.id, name: project.name, slug: project.slug }, entries };
+        }
+
+        case 'export': {
+          const entries = calendarService.getCalendar(project.id);
+          const data = format === 'ics'
+            ? ContentCalendarService.toICS(entries, project)
+            : ContentCalendarService.toCSV(entries);
+          const filename = output || `calendar_${project.slug}_${new Date().toISOString().split('T')[0]}.${format}`;
+          const filePath = FileOperations.saveData(data, filename);
+          Output.showSuccess(`Exported ${entries.length} calendar entries to ${filePath}`);
+          return { file: filePath, format, entries: entries.length };
+        }
+
+        default:
+          throw new Error(`Unknown calendar action: ${action}`);
+      }
+    } finally {
+      closeDatabase();
+    }
+  }
+}
+
+module.exports = { CalendarCommand };
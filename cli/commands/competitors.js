@@ -0,0 +1,99 @@
+const prompts = require('prompts');
+const { Output } = require('../utils/output');
+const { Settings } = require('../config/settings');
+const { getDatabase, closeDatabase } = require('../../src/database/connection');
+const ProjectModel = require('../../src/database/models/project');
+const { CompetitorService } = require('../../src/services/competitor-service');
+const { formatUsd } = require('../../src/services/api-usage-service');
+
+// Organic competitors of a domain or URL project, from SEMrush
+class CompetitorsCommand {
+  constructor() {
+    this.settings = new Settings();
+  }
+
+  // One line per competitor, most relevant first
+  static showCompetitors(competitors, domain) {
+    if (competitors.length === 0) {
+      Output.showInfo(`SEMrush found no organic competitors for ${domain}.`);
+      return;
+    }
+
+    console.log(`\n🥊 Organic competitors of ${domain}:`);
+    competitors.forEach((competitor, index) => {
+      const relevance = competitor.relevance === null ? '' : ` · relevance ${competitor.relevance.toFixed(2)}`;
+      const common = (competitor.common_keywords || 0).toLocaleString();
+      const traffic = (competitor.organic_traffic || 0).toLocaleString();
+      console.log(`  ${index + 1}. ${competitor.domain}${relevance} · ${common} common keywords · ${traffic} organic traffic`);
+    });
+  }
+
+  // Interactive entry point: pick a domain or URL project, then fetch its competitors
+  async execute() {
+    try {
+      const db = await getDatabase();
+      const projects = new ProjectModel(db).findActive().filter(p => p.project_type !== 'seed');
+      if (projects.length === 0) {
+        Output.showInfo('No domain or URL projects found. Create one first.');
+        return;
+      }
+
+      const { project } = await prompts({
+        type: 'select',
+        name: 'project',
+        message: 'Find competitors of:',
+        choices: projects.map(p => ({ title: `${p.name} (${p.project_type}: ${ProjectModel.describeTarget(p)})`, value: p.id }))
+      });
+      if (!project) {
+        Output.showCancellation();
+        return;
+      }
+
+      await this.run({ project });
+    } catch (error) {
+      Output.showError(`Competitor discovery failed: ${error.message}`);
+      process.exit(1);
+    } finally {
+      closeDatabase();
+    }
+  }
+
+  /**
+   * Non-interactive entry point used by `kwt competitors`
+   * @param {Object} options
+   * @param {number|string} options.project - Project id or slug (a domain or URL project)
+   * @param {string} [options.database] - SEMrush database (default: the project's)
+   * @param {number} [options.limit] - Max competitors
+   * @param {boolean} [options.cache] - false calls SEMrush even when a cached export is still fresh
+   * @returns {Promise<Object>} { project, domain, database, competitors, usage, cache }
+   */
+  async run({ project: projectRef, database, limit, cache }) {
+    const errors = this.settings.validateRequired();
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+
+    try {
+      const db = await getDatabase();
+      const project = new ProjectModel(db).findByIdOrSlug(projectRef);
+      if (!project) {
+        throw new Error(`Project not found: ${projectRef}`);
+      }
+
+      const result = await new CompetitorService(db).discover(project, { database, limit, cache });
+      CompetitorsCommand.showCompetitors(result.competitors, result.domain);
+      Output.showSummary({
+        'Project': project.name,
+        'Database': result.database,
+        'Competitors saved': result.competitors.length,
+        'Estimated API cost': formatUsd(result.usage.cost),
+        'Cached responses reused': result.cache.hits
+      });
+      return { project: { id: project.id, name: project.name }, ...result };
+    } finally {
+      closeDatabase();
+    }
+  }
+}
+
+module.exports = { CompetitorsCommand };
@@ -4,12 +4,19 @@ const { BatchProcessingPrompts } = require('../prompts/batch-processing');
 const { KeywordService } = require('../../src/services/keyword-service');
 const { Settings } = require('../config/settings');
 const { Output } = require('../utils/output');
+const { BrandCommand } = require('./brand');
+const { RescoreCommand } = require('./rescore');
 const { getDatabase, closeDatabase } = require('../../src/database/connection');
 const ProjectModel = require('../../src/database/models/project');
 const ProcessingRunModel = require('../../src/database/models/processing-run');
 const DatabaseMigration = require('../../src/database/migration');
 const { FAQTitleGenerator } = require('../../src/generators/faq-title-generator');
 const { KeywordExpansionService } = require('../../src/services/keyword-expansion-service');
+const { BrandService } = require('../../src/services/brand-service');
+const { createLLMProvider, llmConfigForProject } = require('../../src/llm');
+const { withRequestContext, currentRequestContext } = require('../../src/http');
+const { ApiUsageTracker, formatUsd } = require('../../src/services/api-usage-service');
+const { ResponseCache } = require('../../src/services/response-cache');
 
 // Create new project command with full automation
 class CreateCommand {
@@ -22,23 +29,31 @@ class CreateCommand {
   async validateEnvironment() {
     const errors = this.settings.validateRequired();
     if (errors.length > 0) {
-      Output.showError(errors[0]);
       Output.showInfo('Set it in your environment variables or use: export SEMRUSH_API_KEY=your_key');
-      process.exit(1);
+      throw new Error(errors[0]);
     }
   }
 
-  async checkDomainExists(method, target) {
+  async findExistingProject(method, target) {
     try {
       const db = await getDatabase();
       const projectModel = new ProjectModel(db);
       
-      let existingProject;
       if (method === 'Domain') {
-        existingProject = projectModel.findByDomain(target);
-      } else {
-        existingProject = projectModel.findByUrl(target);
+        return projectModel.findByDomain(target);
       }
+      if (method === 'Seed') {
+        return projectModel.findBySeeds(KeywordService.parseSeeds(target));
+      }
+      return projectModel.findByUrl(target);
+    } finally {
+      closeDatabase();
+    }
+  }
+
+  async checkDomainExists(method, target) {
+    try {
+      const existingProject = await this.findExistingProject(method, target);
       
       if (existingProject) {
         Output.showError(`${method} already exists: ${existingProject.name}`);
@@ -50,11 +65,10 @@ class CreateCommand {
     } catch (error) {
       Output.showError(`Failed to check existing projects: ${error.message}`);
       return true;
-    } finally {
-      closeDatabase();
     }
   }
 
+  // Interactive entry point: collect options through prompts, then run
   async execute() {
     try {
       // Validate environment first
@@ -95,130 +109,202 @@ class CreateCommand {
         return;
       }
 
-      // Helper function to normalize URL
-      const normalizeUrl = (url) => {
-        if (!url.startsWith('http://') && !url.startsWith('https://')) {
-          return 'https://' + url;
-        }
-        return url;
-      };
-
-      // Generate project name from target
-      const projectName = projectDetails.method === 'Domain' 
-        ? projectDetails.target.replace(/[^a-zA-Z0-9]/g, '_')
-        : new URL(normalizeUrl(projectDetails.target)).hostname.replace(/[^a-zA-Z0-9]/g, '_');
-
-      // Combine parameters
-      const params = {
-        name: projectName,
+      await this.run({
         method: projectDetails.method,
-        target: projectDetails.method === 'URL' ? normalizeUrl(projectDetails.target) : projectDetails.target,
+        target: projectDetails.target,
         database: dbConfig.database,
         limit: dbConfig.limit,
         batchProcessing: batchConfig
-      };
+      });
 
-      Output.showProcessingHeader(projectDetails.target);
+    } catch (error) {
+      Output.showError(error.message);
+      process.exit(1);
+    }
+  }
 
-      // Process keywords through complete pipeline
-      if (batchConfig.enabled) {
-        Output.showProgress(`Processing keywords with ${batchConfig.mode} batch processing...`);
-        if (batchConfig.mode === 'fast') {
-          console.log(`  → Using fast mode (${Math.round(batchConfig.fastSamplePercentage * 100)}% sample)`);
-          console.log('  → Target: 5-minute quick results for immediate insights');
-        }
-        console.log(`  → Batch size: ${batchConfig.batchSize} keywords per batch`);
-        console.log('  → Fetching SEMrush data');
-        console.log('  → Batch cleaning and deduplicating keywords');
-        console.log('  → Performing optimized clustering analysis');
-        console.log('  → Calculating priority scores with checkpoints');
-        console.log('  → Saving processed results with resume capability');
-      } else {
-        Output.showProgress('Processing keywords through standard pipeline...');
-        console.log('  → Fetching SEMrush data');
-        console.log('  → Cleaning and deduplicating keywords');
-        console.log('  → Performing clustering analysis');
-        console.log('  → Calculating priority scores');
-        console.log('  → Saving processed results');
-      }
-      
-      const result = await this.keywordService.processKeywordRequest(params);
-      
-      // Show results
-      Output.showSuccess(`Project created successfully!`);
-      Output.showSuccess(`SEMrush data saved: ${result.filePath}`);
-      
-      if (result.batchProcessing) {
-        Output.showSuccess(`Batch processing completed successfully!`);
-        if (result.batchProcessing.mode === 'fast') {
-          console.log(`  ⚡ Fast mode: Processed ${result.batchProcessing.keywordsSampled} keywords in ${Math.round(result.batchProcessing.processingTime / 1000)} seconds`);
-          console.log('  💡 Run "Recluster" command later for full dataset analysis');
-        } else {
-          console.log(`  📊 Full batch processing: ${result.batchProcessing.totalBatches} batches completed`);
-        }
-      } else {
-        Output.showSuccess(`Standard pipeline processing completed successfully!`);
+  /**
+   * Non-interactive entry point shared by the prompt flow and `kwt create`
+   * @param {Object} options
+   * @param {string} options.method - 'Domain', 'URL' or 'Seed'
+   * @param {string} options.target - Domain or URL to fetch, or comma-separated seed keywords
+   * @param {Array<string>} [options.seedReports] - Seed projects: related, fullsearch and/or questions (default all)
+   * @param {string} options.database - SEMrush database (e.g., 'us')
+   * @param {number} options.limit - Max keywords to fetch
+   * @param {Object} options.batchProcessing - Config from BatchProcessingPrompts.buildConfiguration
+   * @param {Array<string>} [options.brandTerms] - Brand names, misspellings and /regex/ variants (defaults to the domain name)
+   * @param {Object} [options.llm] - { provider, model } saved as the project's LLM settings
+   * @param {boolean} [options.cache] - false calls SEMrush and the LLM again instead of reusing cached responses
+   * @param {AbortSignal} [options.signal] - Stops the run at the next stage when aborted (background jobs)
+   * @returns {Promise<Object>} Summary of the created project
+   */
+  async run({ method, target, seedReports, database, limit, batchProcessing, brandTerms, llm, cache, signal }) {
+    await this.validateEnvironment();
+
+    const existingProject = await this.findExistingProject(method, target);
+    if (existingProject) {
+      throw new Error(`${method} already exists: ${existingProject.name}. Use rescrape to update it with fresh data`);
+    }
+
+    const batchConfig = batchProcessing || BatchProcessingPrompts.buildConfiguration('standard');
+
+    // Helper function to normalize URL
+    const normalizeUrl = (url) => {
+      if (!url.startsWith('http://') && !url.startsWith('https://')) {
+        return 'https://' + url;
       }
-      
-      // Display processing results
-      if (result.clusters && result.clusters.length > 0) {
-        console.log('\n🎯 Clustering Results:');
-        result.clusters.slice(0, 5).forEach((cluster, index) => {
-          console.log(`  ${index + 1}. ${cluster.cluster_name || `Cluster ${cluster.id}`}`);
-          console.log(`     Keywords: ${cluster.keyword_count}, Volume: ${cluster.total_search_volume || 0}`);
-        });
+      return url;
+    };
+
+    // Generate project name from target (seed projects are named after their first seed)
+    const seeds = method === 'Seed' ? KeywordService.parseSeeds(target) : null;
+    const projectName = method === 'Seed'
+      ? `${seeds[0].replace(/[^a-zA-Z0-9]/g, '_')}${seeds.length > 1 ? `_and_${seeds.length - 1}_more` : ''}`
+      : method === 'Domain'
+        ? target.replace(/[^a-zA-Z0-9]/g, '_')
+        : new URL(normalizeUrl(target)).hostname.replace(/[^a-zA-Z0-9]/g, '_');
+
+    // Combine parameters
+    const params = {
+      name: projectName,
+      method: method,
+      target: method === 'URL' ? normalizeUrl(target) : seeds ? seeds.join(', ') : target,
+      seedReports,
+      database: database,
+      limit: limit,
+      batchProcessing: batchConfig,
+      brandTerms,
+      llm,
+      cache,
+      signal
+    };
+
+    Output.showProcessingHeader(target);
+
+    // Process keywords through complete pipeline
+    if (batchConfig.enabled) {
+      Output.showProgress(`Processing keywords with ${batchConfig.mode} batch processing...`);
+      if (batchConfig.mode === 'fast') {
+        console.log(`  → Using fast mode (${Math.round(batchConfig.fastSamplePercentage * 100)}% sample)`);
+        console.log('  → Target: 5-minute quick results for immediate insights');
       }
-      
-      if (result.scoredKeywords && result.scoredKeywords.length > 0) {
-        console.log('\n⭐ Top Priority Keywords:');
-        result.scoredKeywords.slice(0, 5).forEach((keyword, index) => {
-          console.log(`  ${index + 1}. ${keyword.keyword || keyword.cleaned_keyword} (${keyword.priority_tier || 'unknown'})`);
-          console.log(`     Score: ${(keyword.priority_score || 0).toFixed(3)}, Volume: ${keyword.search_volume || 0}`);
-        });
+      console.log(`  → Batch size: ${batchConfig.batchSize} keywords per batch`);
+      console.log('  → Fetching SEMrush data');
+      console.log('  → Batch cleaning and deduplicating keywords');
+      console.log('  → Performing optimized clustering analysis');
+      console.log('  → Calculating priority scores with checkpoints');
+      console.log('  → Saving processed results with resume capability');
+    } else {
+      Output.showProgress('Processing keywords through standard pipeline...');
+      console.log('  → Fetching SEMrush data');
+      console.log('  → Cleaning and deduplicating keywords');
+      console.log('  → Performing clustering analysis');
+      console.log('  → Calculating priority scores');
+      console.log('  → Saving processed results');
+    }
+    
+    const result = await this.keywordService.processKeywordRequest(params);
+    
+    // Show results
+    Output.showSuccess(`Project created successfully!`);
+    Output.showSuccess(`SEMrush data saved: ${result.filePath}`);
+    
+    if (result.batchProcessing) {
+      Output.showSuccess(`Batch processing completed successfully!`);
+      if (result.batchProcessing.mode === 'fast') {
+        console.log(`  ⚡ Fast mode: Processed ${result.batchProcessing.keywordsSampled} keywords in ${Math.round(result.batchProcessing.processingTime / 1000)} seconds`);
+        console.log('  💡 Run "Recluster" command later for full dataset analysis');
+      } else {
+        console.log(`  📊 Full batch processing: ${result.batchProcessing.totalBatches} batches completed`);
       }
-      
-      // Step 4: Auto-expand keyword coverage
-      Output.showInfo('\n🔍 Auto-expanding keyword coverage for comprehensive content...');
-      const expandedKeywordsData = await this.expandAllClusters(result.project, result.clusters);
-      
+    } else {
+      Output.showSuccess(`Standard pipeline processing completed successfully!`);
+    }
+    
+    // Display processing results
+    if (result.clusters && result.clusters.length > 0) {
+      console.log('\n🎯 Clustering Results:');
+      result.clusters.slice(0, 5).forEach((cluster, index) => {
+        console.log(`  ${index + 1}. ${cluster.cluster_name || `Cluster ${cluster.id}`}`);
+        console.log(`     Keywords: ${cluster.keyword_count}, Volume: ${cluster.total_search_volume || 0}`);
+      });
+    }
+    
+    if (result.scoredKeywords && result.scoredKeywords.length > 0) {
+      console.log('\n⭐ Top Priority Keywords:');
+      result.scoredKeywords.slice(0, 5).forEach((keyword, index) => {
+        console.log(`  ${index + 1}. ${keyword.keyword || keyword.cleaned_keyword} (${keyword.priority_tier || 'unknown'})`);
+        console.log(`     Score: ${(keyword.priority_score || 0).toFixed(3)}, Volume: ${keyword.search_volume || 0}`);
+      });
+    }
+    
+    // Step 4: Auto-expand keyword coverage
+    const llmProvider = createLLMProvider(llmConfigForProject(result.project));
+    const db = await getDatabase();
+    const usage = new ApiUsageTracker(db, { project: result.project, runId: result.run.id });
+    const responseCache = ResponseCache.forRun(db, { cache });
+    Output.showInfo('\n🔍 Auto-expanding keyword coverage for comprehensive content...');
+    Output.showInfo(`🤖 LLM: ${llmProvider.name} (${llmProvider.model})`);
+    let expandedKeywordsData = null;
+    await withRequestContext({ usage, cache: responseCache, signal }, async () => {
+      expandedKeywordsData = await this.expandAllClusters(result.project, result.clusters, llmProvider);
+
       // Step 5: Auto-generate FAQ titles for ALL clusters (with expanded keywords)
       Output.showInfo('\n🎯 Auto-generating comprehensive FAQ titles for all clusters...');
-      await this.generateComprehensiveFAQTitles(result.project, result.clusters, expandedKeywordsData);
-      
-      const summaryData = {
-        'Method': result.method,
-        'Target': result.target,
-        'Database': result.database,
-        'Keywords fetched': result.keywordCount,
-        'Keywords processed': result.processedKeywordCount,
-        'Clusters found': result.clusterCount,
-        'Duplicate groups': result.duplicateGroupCount,
-        'Keyword Expansion': `✅ ${expandedKeywordsData?.totalExpandedKeywords || 0} new keywords discovered`,
-        'FAQ Generation': '✅ Completed for all clusters',
-        'Database project': result.project.name
-      };
+      await this.generateComprehensiveFAQTitles(result.project, result.clusters, expandedKeywordsData, llmProvider);
+    });
+    if (usage.exceeded) {
+      Output.showError(`💰 ${usage.exceeded.message}: generation stopped early`);
+    }
+    
+    const summaryData = {
+      'Method': result.method,
+      'Target': result.target,
+      'Database': result.database,
+      'Keywords fetched': result.keywordCount,
+      'Keywords processed': result.processedKeywordCount,
+      'Clusters found': result.clusterCount,
+      'Duplicate groups': result.duplicateGroupCount,
+      'Branded share': BrandCommand.describeSplit(result.stats.brand),
+      'Priority analysis': RescoreCommand.describeAnalysis(result.priorityAnalysis),
+      'Keyword Expansion': `✅ ${expandedKeywordsData?.totalExpandedKeywords || 0} new keywords discovered`,
+      'FAQ Generation': usage.exceeded ? '⚠️ Stopped at the budget' : '✅ Completed for all clusters',
+      'Estimated API spend': formatUsd((result.stats.api_cost_estimate || 0) + usage.cost),
+      'Cached responses reused': (result.stats.api_cache_hits || 0) + responseCache.hits,
+      'Database project': result.project.name
+    };
 
-      if (result.batchProcessing) {
-        summaryData['Processing mode'] = `✅ ${result.batchProcessing.mode} batch processing`;
-        summaryData['Processing time'] = `${Math.round(result.batchProcessing.processingTime / 1000)} seconds`;
-        if (result.batchProcessing.mode === 'fast') {
-          summaryData['Sample processed'] = `${result.batchProcessing.keywordsSampled} keywords (${Math.round(result.batchProcessing.keywordsSampled / result.keywordCount * 100)}%)`;
-        }
-      } else {
-        summaryData['Pipeline status'] = '✅ Standard processing completed';
+    if (result.batchProcessing) {
+      summaryData['Processing mode'] = `✅ ${result.batchProcessing.mode} batch processing`;
+      summaryData['Processing time'] = `${Math.round(result.batchProcessing.processingTime / 1000)} seconds`;
+      if (result.batchProcessing.mode === 'fast') {
+        summaryData['Sample processed'] = `${result.batchProcessing.keywordsSampled} keywords (${Math.round(result.batchProcessing.keywordsSampled / result.keywordCount * 100)}%)`;
       }
+    } else {
+      summaryData['Pipeline status'] = '✅ Standard processing completed';
+    }
 
-      Output.showSummary(summaryData);
+    Output.showSummary(summaryData);
 
-    } catch (error) {
-      Output.showError(error.message);
-      process.exit(1);
-    }
+    return {
+      project: { id: result.project.id, name: result.project.name, slug: result.project.slug },
+      runId: result.run.id,
+      method: result.method,
+      target: result.target,
+      database: result.database,
+      keywordCount: result.keywordCount,
+      processedKeywordCount: result.processedKeywordCount,
+      clusterCount: result.clusterCount,
+      duplicateGroupCount: result.duplicateGroupCount,
+      brandSplit: result.stats.brand,
+      expandedKeywordCount: expandedKeywordsData?.totalExpandedKeywords || 0,
+      filePath: result.filePath
+    };
   }
 
-  async expandAllClusters(project, clusters) {
+  async expandAllClusters(project, clusters, llmProvider = createLLMProvider(llmConfigForProject(project))) {
     try {
-      const expansionService = new KeywordExpansionService();
+      const expansionService = new KeywordExpansionService({ llmProvider });
       let totalExpandedKeywords = 0;
       let successfulExpansions = 0;
       const expandedData = {};
@@ -226,6 +312,8 @@ class CreateCommand {
       Output.showInfo(`Expanding keyword coverage for ${clusters.length} clusters...`);
       
       for (let i = 0; i < clusters.length; i++) {
+        // Clusters left after a budget refusal would only fail
+        if (currentRequestContext().usage?.exceeded) break;
         const cluster = clusters[i];
         
         try {
@@ -283,7 +371,7 @@ class CreateCommand {
     }
   }
 
-  async generateComprehensiveFAQTitles(project, clusters, expandedKeywordsData = null) {
+  async generateComprehensiveFAQTitles(project, clusters, expandedKeywordsData = null, llmProvider = createLLMProvider(llmConfigForProject(project))) {
     try {
       const db = await getDatabase();
       const processingRunModel = new ProcessingRunModel(db);
@@ -292,7 +380,8 @@ class CreateCommand {
       const run = processingRunModel.startRun(project.id, 'faq_generation');
       
       // Initialize FAQ title generator with higher count for comprehensive coverage
-      const generator = new FAQTitleGenerator({ titlesPerCluster: 10 });
+      const generator = new FAQTitleGenerator({ titlesPerCluster: 10, llmProvider });
+      const { excludeFromTitles: excludeBranded } = BrandService.configForProject(project);
       
       let totalGenerated = 0;
       let successfulClusters = 0;
@@ -300,6 +389,7 @@ class CreateCommand {
       Output.showInfo(`Processing ${clusters.length} clusters for comprehensive FAQ title generation...`);
       
       for (let i = 0; i < clusters.length; i++) {
+        if (currentRequestContext().usage?.exceeded) break;
         const cluster = clusters[i];
         const progress = Math.round(((i + 1) / clusters.length) * 100);
         
@@ -307,7 +397,7 @@ class CreateCommand {
           Output.showProgress(`Cluster ${i + 1}/${clusters.length}: ${cluster.cluster_name || `Cluster ${cluster.id}`}`);
           
           // Get cluster keywords (original + expanded)
-          const originalKeywords = this.getClusterKeywords(db, cluster.id);
+          const originalKeywords = this.getClusterKeywords(db, cluster.id, { excludeBranded });
           const expandedKeywords = expandedKeywordsData?.expandedData?.[cluster.id] || [];
           const allKeywords = [...(originalKeywords || []), ...expandedKeywords];
           
@@ -332,7 +422,7 @@ class CreateCommand {
           
           if (newTitles && newTitles.length > 0) {
             // Save generated titles to database
-            await this.saveGeneratedTitles(db, run.id, project.id, cluster.id, newTitles);
+            await this.saveGeneratedTitles(db, run.id, project.id, cluster.id, newTitles, llmProvider.model);
             
             totalGenerated += newTitles.length;
             successfulClusters++;
@@ -375,12 +465,13 @@ class CreateCommand {
     }
   }
   
-  getClusterKeywords(db, clusterId) {
+  getClusterKeywords(db, clusterId, { excludeBranded = false } = {}) {
+    const brandFilter = excludeBranded ? 'AND contains_brand = 0' : '';
     try {
       const query = `
         SELECT keyword, intent, priority_score, search_volume
         FROM keywords 
-        WHERE cluster_id = ? 
+        WHERE cluster_id = ? ${brandFilter}
         ORDER BY priority_score DESC, search_volume DESC 
         LIMIT 15
       `;
@@ -393,7 +484,7 @@ class CreateCommand {
           const fallbackQuery = `
             SELECT keyword, search_volume as intent, search_volume as priority_score, search_volume
             FROM keywords 
-            WHERE project_id = ? 
+            WHERE project_id = ? ${brandFilter}
             ORDER BY search_volume DESC 
             LIMIT 10
           `;
@@ -409,13 +500,13 @@ class CreateCommand {
     }
   }
   
-  async saveGeneratedTitles(db, runId, projectId, clusterId, titles) {
+  async saveGeneratedTitles(db, runId, projectId, clusterId, titles, aiModel = 'gpt-4o-mini') {
     try {
       const insertQuery = `
         INSERT INTO generated_content (
           project_id, run_id, content_type, content, cluster_id,
           ai_model, word_count, character_count, is_approved, created_at
-        ) VALUES (?, ?, 'title', ?, ?, 'gpt-4o-mini', ?, ?, 0, datetime('now'))
+        ) VALUES (?, ?, 'title', ?, ?, ?, ?, ?, 0, datetime('now'))
       `;
       
       const insertStmt = db.prepare(insertQuery);
@@ -426,6 +517,7 @@ class CreateCommand {
           runId,
           title,
           clusterId,
+          aiModel,
           title.split(' ').length, // word_count
           title.length // character_count
         );
@@ -3,6 +3,7 @@ const { Output } = require('../utils/output');
 const { getDatabase, closeDatabase } = require('../../src/database/connection');
 const ProjectModel = require('../../src/database/models/project');
 const ProcessingRunModel = require('../../src/database/models/processing-run');
+const { CheckpointManager } = require('../../src/persistence/checkpoint-manager');
 
 class DatabaseCommand {
   constructor() {
@@ -19,6 +20,9 @@ class DatabaseCommand {
         case 'list-projects':
           await this.listProjects();
           break;
+        case 'prune-checkpoints':
+          this.pruneCheckpoints(await getDatabase());
+          break;
         case 'remove-project':
           await this.removeSelectedProject();
           break;
@@ -43,6 +47,7 @@ class DatabaseCommand {
       choices: [
         { title: 'Show database status', value: 'status' },
         { title: 'List all projects', value: 'list-projects' },
+        { title: 'Prune old batch checkpoints', value: 'prune-checkpoints' },
         { title: '⚠️  Remove selected project', value: 'remove-project' },
         { title: '🚨 Clear entire database', value: 'clear-all' }
       ]
@@ -51,6 +56,79 @@ class DatabaseCommand {
     return response.action;
   }
 
+  /**
+   * Non-interactive entry point used by `kwt database <action>`
+   * @param {Object} options
+   * @param {string} options.action - status | list | prune | remove | clear
+   * @param {number|string} [options.project] - Project id or slug for remove
+   * @param {number} [options.maxAgeDays] - Age after which prune deletes checkpoints (defaults to CHECKPOINT_DEFAULTS.maxAgeDays)
+   * @param {boolean} [options.yes=false] - Required confirmation for destructive actions
+   * @returns {Promise<Object>} Action result
+   */
+  async run({ action, project: projectRef, maxAgeDays, yes = false }) {
+    try {
+      const db = await getDatabase();
+      const projectModel = new ProjectModel(db);
+      const runModel = new ProcessingRunModel(db);
+
+      switch (action) {
+        case 'status':
+          await this.showDatabaseStatus();
+          return {
+            totalProjects: projectModel.count(),
+            activeProjects: projectModel.count({ status: 'active' }),
+            totalRuns: runModel.count(),
+            completedRuns: runModel.count({ status: 'completed' }),
+            recentRuns: runModel.getRecentRuns(5),
+            checkpoints: new CheckpointManager(db).getStorageStats()
+          };
+
+        case 'prune':
+          return this.pruneCheckpoints(db, maxAgeDays);
+
+        case 'list':
+          await this.listProjects();
+          return projectModel.findActive().map(project => ({
+            id: project.id,
+            name: project.name,
+            slug: project.slug,
+            projectType: project.project_type,
+            target: project.domain || project.url,
+            ...projectModel.getProjectStats(project.id)
+          }));
+
+        case 'remove': {
+          const project = projectModel.findByIdOrSlug(projectRef);
+          if (!project) {
+            throw new Error(`Project not found: ${projectRef}`);
+          }
+          if (!yes) {
+            throw new Error(`Refusing to delete "${project.name}" without --yes`);
+          }
+          const stats = projectModel.getProjectStats(project.id);
+          projectModel.deleteProjectCompletely(project.id);
+          Output.showSuccess(`Project "${project.name}" has been permanently deleted.`);
+          return { id: project.id, name: project.name, ...stats };
+        }
+
+        case 'clear': {
+          if (!yes) {
+            throw new Error('Refusing to clear the database without --yes');
+          }
+          const totalProjects = projectModel.count();
+          projectModel.clearAllProjects();
+          Output.showSuccess('Database has been completely cleared.');
+          return { removedProjects: totalProjects };
+        }
+
+        default:
+          throw new Error(`Unknown database action: ${action}`);
+      }
+    } finally {
+      closeDatabase();
+    }
+  }
+
 
   async showDatabaseStatus() {
     try {
@@ -69,6 +147,9 @@ class DatabaseCommand {
       Output.showInfo(`  Total Processing Runs: ${totalRuns}`);
       Output.showInfo(`  Completed Runs: ${completedRuns}`);
 
+      const checkpoints = new CheckpointManager(db).getStorageStats();
+      Output.showInfo(`  Batch Checkpoints: ${checkpoints.checkpoints} (${checkpoints.recoverable} recoverable, ${DatabaseCommand.formatBytes(checkpoints.stored_bytes)})`);
+
       // Show recent activity
       const recentRuns = runModel.getRecentRuns(5);
       if (recentRuns.length > 0) {
@@ -84,6 +165,27 @@ class DatabaseCommand {
     }
   }
 
+  // Human-readable size
+  static formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  // Apply the checkpoint retention policies to every batch run and give the space back to the file system
+  pruneCheckpoints(db, maxAgeDays) {
+    const checkpointManager = new CheckpointManager(db);
+    const before = checkpointManager.getStorageStats();
+    const { deleted, released } = checkpointManager.pruneCheckpoints(maxAgeDays);
+    // SQLite keeps freed pages in the file until it is vacuumed
+    db.exec('VACUUM');
+    const after = checkpointManager.getStorageStats();
+
+    const freedBytes = before.stored_bytes - after.stored_bytes;
+    Output.showSuccess(`Deleted ${deleted} old checkpoints and released the state of ${released} checkpoints of completed runs (${DatabaseCommand.formatBytes(freedBytes)} freed)`);
+    return { deleted, released, freedBytes, checkpoints: after };
+  }
+
   async listProjects() {
     try {
       const db = await getDatabase();
@@ -0,0 +1,126 @@
+const prompts = require('prompts');
+const { Output } = require('../utils/output');
+const { getDatabase, closeDatabase } = require('../../src/database/connection');
+const ProjectModel = require('../../src/database/models/project');
+const { RunDiffService } = require('../../src/services/run-diff-service');
+
+// Compare two processing runs of a project
+class DiffCommand {
+  // Print a compact summary of a diff report
+  static showReport(report, top = 5) {
+    const { summary, keywords, clusters } = report;
+    const signed = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+    Output.showInfo(`\n📈 Changes since run #${report.from.id} (${report.from.scrape_date}) → run #${report.to.id} (${report.to.scrape_date})`);
+    Output.showSummary({
+      'Keywords': `${summary.from_keywords} → ${summary.to_keywords} (${signed(summary.to_keywords - summary.from_keywords)})`,
+      'Search volume': `${summary.from_search_volume} → ${summary.to_search_volume} (${signed(summary.to_search_volume - summary.from_search_volume)})`,
+      'New / lost keywords': `${summary.new_keywords} / ${summary.lost_keywords}`,
+      'Position gains / drops': `${summary.position_gains} / ${summary.position_drops}`,
+      'Volume changes': summary.volume_changes,
+      'Clusters appeared / disappeared': `${summary.clusters_appeared} / ${summary.clusters_disappeared}`,
+      'Clusters resized': summary.clusters_resized
+    });
+
+    const section = (title, items, format) => {
+      if (items.length === 0) return;
+      console.log(`\n${title}`);
+      items.slice(0, top).forEach(item => console.log(`  • ${format(item)}`));
+    };
+
+    section('🆕 New keywords:', keywords.new, k => `${k.keyword} (pos ${k.position || '-'}, vol ${k.search_volume || 0})`);
+    section('🗑️  Lost keywords:', keywords.lost, k => `${k.keyword} (was pos ${k.position || '-'}, vol ${k.search_volume || 0})`);
+    section('⬆️  Biggest gains:', keywords.gains, k => `${k.keyword}: ${k.from_position} → ${k.to_position} (${signed(k.change)})`);
+    section('⬇️  Biggest drops:', keywords.drops, k => `${k.keyword}: ${k.from_position} → ${k.to_position} (${signed(k.change)})`);
+    section('📊 Volume changes:', keywords.volume_changes, k => `${k.keyword}: ${k.from_volume} → ${k.to_volume} (${signed(k.change_percent)}%)`);
+    section('✨ New clusters:', clusters.appeared, c => `${c.name} (${c.keyword_count} keywords)`);
+    section('💨 Disappeared clusters:', clusters.disappeared, c => `${c.name} (${c.keyword_count} keywords)`);
+    section('↔️  Resized clusters:', clusters.resized, c => `${c.name}: ${c.from_count} → ${c.to_count} keywords (${signed(c.change_percent)}%)`);
+  }
+
+  async selectProjectAndRuns() {
+    const db = await getDatabase();
+    const projectModel = new ProjectModel(db);
+    const diffService = new RunDiffService(db);
+
+    const projects = projectModel.findActive();
+    if (projects.length === 0) {
+      Output.showInfo('No projects found. Create a project first.');
+      return null;
+    }
+
+    const projectResponse = await prompts({
+      type: 'select',
+      name: 'projectId',
+      message: 'Select project to compare runs for:',
+      choices: projects.map(p => ({ title: `${p.name} (${p.project_type}: ${ProjectModel.describeTarget(p)})`, value: p.id }))
+    });
+    if (!projectResponse.projectId) return null;
+
+    const runs = diffService.getComparableRuns(projectResponse.projectId);
+    if (runs.length < 2) {
+      Output.showInfo('This project needs at least two completed runs. Rescrape it first.');
+      return null;
+    }
+
+    const runChoices = runs.map(run => ({
+      title: `#${run.id} ${run.run_type} - ${run.scrape_date} (${run.keyword_count} keywords)`,
+      value: run.id
+    }));
+
+    const runResponse = await prompts([
+      { type: 'select', name: 'to', message: 'Newer run:', choices: runChoices, initial: 0 },
+      { type: 'select', name: 'from', message: 'Compare against:', choices: runChoices, initial: 1 }
+    ]);
+    if (!runResponse.to || !runResponse.from) return null;
+
+    return { project: projectResponse.projectId, from: runResponse.from, to: runResponse.to };
+  }
+
+  // Interactive entry point: collect options through prompts, then run
+  async execute() {
+    try {
+      const selection = await this.selectProjectAndRuns();
+      closeDatabase();
+      if (!selection) {
+        Output.showCancellation();
+        return;
+      }
+
+      await this.run(selection);
+    } catch (error) {
+      Output.showError(`Run comparison failed: ${error.message}`);
+      process.exit(1);
+    } finally {
+      closeDatabase();
+    }
+  }
+
+  /**
+   * Non-interactive entry point used by `kwt diff`
+   * @param {Object} options
+   * @param {number|string} options.project - Project id or slug
+   * @param {number} [options.from] - Older run id (defaults to the run before `to`)
+   * @param {number} [options.to] - Newer run id (defaults to the latest run)
+   * @param {number} [options.limit=50] - Max entries per keyword list
+   * @returns {Promise<Object>} Diff report
+   */
+  async run({ project: projectRef, from, to, limit = 50 }) {
+    try {
+      const db = await getDatabase();
+      const project = new ProjectModel(db).findByIdOrSlug(projectRef);
+      if (!project) {
+        throw new Error(`Project not found: ${projectRef}`);
+      }
+
+      const report = new RunDiffService(db).diffRuns(project.id, { from, to, limit });
+      Output.showInfo(`Project: ${project.name}`);
+      DiffCommand.showReport(report);
+      return report;
+    } finally {
+      closeDatabase();
+    }
+  }
+}
+
+module.exports = { DiffCommand };
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const prompts = require('prompts');
+const { CommonPrompts } = require('../prompts/common');
+const { ProjectTypePrompts } = require('../prompts/project-type');
+const { KeywordService } = require('../../src/services/keyword-service');
+const { KeywordImportService, IMPORT_FIELDS } = require('../../src/services/keyword-import-service');
+const { Settings } = require('../config/settings');
+const { Output } = require('../utils/output');
+const { BrandCommand } = require('./brand');
+const { RescoreCommand } = require('./rescore');
+const { getDatabase, closeDatabase } = require('../../src/database/connection');
+const ProjectModel = require('../../src/database/models/project');
+
+// Import keywords from a local CSV/TSV/XLSX export (Ahrefs, Search Console, spreadsheets)
+class ImportCommand {
+  constructor() {
+    this.settings = new Settings();
+    this.keywordService = new KeywordService(this.settings);
+    this.importService = new KeywordImportService();
+  }
+
+  async findProject(identifier) {
+    try {
+      const db = await getDatabase();
+      const projectModel = new ProjectModel(db);
+      return projectModel.findByIdOrSlug(identifier);
+    } finally {
+      closeDatabase();
+    }
+  }
+
+  async listProjects() {
+    try {
+      const db = await getDatabase();
+      const projectModel = new ProjectModel(db);
+      return projectModel.findActive();
+    } finally {
+      closeDatabase();
+    }
+  }
+
+  async selectDestination() {
+    const projects = await this.listProjects();
+    const choices = [
+      { title: 'New project (Domain/URL)', value: 'new' },
+      ...projects.map(p => ({
+        title: `${p.name} (${p.project_type}: ${ProjectModel.describeTarget(p)})`,
+        value: p.id
+      }))
+    ];
+
+    const destination = await CommonPrompts.singlePrompt({
+      type: 'select',
+      name: 'destination',
+      message: 'Import keywords into:',
+      choices
+    });
+    if (!destination) return null;
+
+    if (destination === 'new') {
+      return ProjectTypePrompts.getProjectDetails();
+    }
+
+    return { project: destination };
+  }
+
+  // Let the user confirm or correct the auto-detected column mapping
+  async promptColumnMapping(headers) {
+    const detected = this.importService.resolveColumnMap(headers, {});
+    const mapping = {};
+
+    for (const field of IMPORT_FIELDS) {
+      const choices = [
+        ...(field === 'keyword' ? [] : [{ title: '(not in file)', value: '' }]),
+        ...headers.map(header => ({ title: header, value: header }))
+      ];
+      const detectedHeader = detected[field] === undefined ? '' : headers[detected[field]];
+
+      const response = await prompts({
+        type: 'select',
+        name: 'column',
+        message: `Column for ${field}:`,
+        choices,
+        initial: Math.max(0, choices.findIndex(choice => choice.value === detectedHeader))
+      });
+
+      if (response.column === undefined) return null;
+      if (response.column) {
+        mapping[field] = response.column;
+      }
+    }
+
+    return mapping;
+  }
+
+  // Interactive entry point: collect options through prompts, then run
+  async execute() {
+    try {
+      Output.showInfo('Import keywords from a local CSV/TSV/XLSX export');
+
+      const file = await CommonPrompts.singlePrompt({
+        type: 'text',
+        name: 'file',
+        message: 'Path to the keyword file:',
+        validate: (input) => fs.existsSync(input.trim()) || 'File not found'
+      });
+      if (!file) {
+        Output.showCancellation();
+        return;
+      }
+
+      const { headers } = await this.importService.readFile(file.trim());
+      Output.showInfo(`Found columns: ${headers.join(', ')}`);
+
+      const mapping = await this.promptColumnMapping(headers);
+      if (!mapping) {
+        Output.showCancellation();
+        return;
+      }
+
+      const destination = await this.selectDestination();
+      if (!destination) {
+        Output.showCancellation();
+        return;
+      }
+
+      await this.run({ file: file.trim(), mapping, ...destination });
+
+    } catch (error) {
+      Output.showError(error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Non-interactive entry point shared by the prompt flow and `kwt import`
+   * @param {Object} options
+   * @param {string} options.file - Path to the CSV/TSV/XLSX file
+   * @param {number|string} [options.project] - Existing project id or slug
+   * @param {string} [options.method] - 'Domain' or 'URL' when creating a new project
+   * @param {string} [options.target] - Domain or URL when creating a new project
+   * @param {string} [options.database='us'] - SEMrush database stored with a new project
+   * @param {Object} [options.mapping] - Field → column header overrides
+   * @param {string} [options.delimiter] - Force a delimiter for text files
+   * @param {string} [options.sheet] - Worksheet name for XLSX files
+   * @param {string} [options.decimal] - Decimal separator of numbers: '.', ',' or 'auto' (default)
+   * @returns {Promise<Object>} Summary of the import run
+   */
+  async run({ file, project: projectRef, method, target, database = 'us', mapping = {}, delimiter, sheet, decimal }) {
+    let project = null;
+    if (projectRef) {
+      project = await this.findProject(projectRef);
+      if (!project) {
+        throw new Error(`Project not found: ${projectRef}`);
+      }
+    } else if (!target) {
+      throw new Error('Choose an existing project or a domain/URL for the new project');
+    }
+
+    const params = {
+      importFile: file,
+      columnMapping: mapping,
+      delimiter,
+      sheet,
+      decimal,
+      database
+    };
+
+    if (project) {
+      params.projectId = project.id;
+      Object.assign(params, KeywordService.requestForProject(project));
+    } else {
+      params.method = method;
+      params.target = target;
+      params.name = method === 'Domain'
+        ? target.replace(/[^a-zA-Z0-9]/g, '_')
+        : new URL(target.startsWith('http') ? target : `https://${target}`).hostname.replace(/[^a-zA-Z0-9]/g, '_');
+    }
+
+    Output.showProcessingHeader(`${path.basename(file)} → ${project ? project.name : params.name}`);
+    Output.showProgress('Processing imported keywords through standard pipeline...');
+    console.log('  → Reading and mapping import file');
+    console.log('  → Cleaning and deduplicating keywords');
+    console.log('  → Performing clustering analysis');
+    console.log('  → Calculating priority scores');
+    console.log('  → Saving processed results');
+
+    const result = await this.keywordService.processKeywordRequest(params);
+
+    Output.showSuccess('Import completed successfully!');
+    Output.showSummary({
+      'Project': result.project.name,
+      'Source file': result.filePath,
+      'Keywords imported': result.keywordCount,
+      'Keywords processed': result.processedKeywordCount,
+      'Clusters found': result.clusterCount,
+      'Duplicate groups': result.duplicateGroupCount,
+      'Branded share': BrandCommand.describeSplit(result.stats.brand),
+      'Priority analysis': RescoreCommand.describeAnalysis(result.priorityAnalysis),
+      'Data operation': `Import run #${result.run.id} created`
+    });
+
+    return {
+      project: { id: result.project.id, name: result.project.name, slug: result.project.slug },
+      runId: result.run.id,
+      file: result.filePath,
+      keywordCount: result.keywordCount,
+      processedKeywordCount: result.processedKeywordCount,
+      clusterCount: result.clusterCount,
+      duplicateGroupCount: result.duplicateGroupCount,
+      brandSplit: result.stats.brand
+    };
+  }
+}
+
+module.exports = { ImportCommand };
@@ -0,0 +1,159 @@
+const prompts = require('prompts');
+const { Output } = require('../utils/output');
+const { getDatabase, closeDatabase } = require('../../src/database/connection');
+const ProjectModel = require('../../src/database/models/project');
+const { LLM_PROVIDERS, createLLMProvider, llmConfigForProject } = require('../../src/llm');
+
+// Request used by --test: small, and answerable by every provider including mock
+const TEST_SCHEMA = {
+  name: 'list_questions',
+  description: 'List questions people ask about a topic',
+  parameters: {
+    type: 'object',
+    properties: {
+      questions: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['questions']
+  }
+};
+
+// Choose the LLM provider and model a project uses for expansion, titles, outlines and intent
+class LLMCommand {
+  // Interactive entry point: collect options through prompts, then run
+  async execute() {
+    try {
+      const db = await getDatabase();
+      const projects = new ProjectModel(db).findActive();
+      if (projects.length === 0) {
+        Output.showInfo('No projects found. Create a project first.');
+        return;
+      }
+
+      const { projectId } = await prompts({
+        type: 'select',
+        name: 'projectId',
+        message: 'Select project:',
+        choices: projects.map(p => ({ title: `${p.name} (${p.project_type}: ${ProjectModel.describeTarget(p)})`, value: p.id }))
+      });
+      if (!projectId) {
+        Output.showCancellation();
+        return;
+      }
+
+      const current = llmConfigForProject(projects.find(p => p.id === projectId));
+      const providers = Object.keys(LLM_PROVIDERS);
+      const response = await prompts([
+        {
+          type: 'select',
+          name: 'provider',
+          message: 'LLM provider:',
+          choices: providers.map(name => ({ title: name, value: name })),
+          initial: Math.max(providers.indexOf(current.provider || process.env.LLM_PROVIDER || 'openai'), 0)
+        },
+        {
+          type: 'text',
+          name: 'model',
+          message: 'Model (empty for the provider default):',
+          initial: current.model || ''
+        },
+        {
+          type: 'confirm',
+          name: 'test',
+          message: 'Send a test request?',
+          initial: true
+        }
+      ]);
+      if (response.test === undefined) {
+        Output.showCancellation();
+        return;
+      }
+
+      await this.run({ project: projectId, ...response });
+    } catch (error) {
+      Output.showError(`LLM settings failed: ${error.message}`);
+      process.exit(1);
+    } finally {
+      closeDatabase();
+    }
+  }
+
+  /**
+   * Non-interactive entry point used by `kwt llm`. Without changes it only reports.
+   * @param {Object} options
+   * @param {number|string} options.project - Project id or slug
+   * @param {string} [options.provider] - openai, anthropic, azure, local or mock
+   * @param {string} [options.model] - Model (deployment name for azure); empty for the provider default
+   * @param {string} [options.url] - Server URL for local and azure
+   * @param {boolean} [options.clear] - Remove the project's settings (LLM_PROVIDER or openai applies)
+   * @param {boolean} [options.test] - Send a small structured request and report the answer
+   * @returns {Promise<Object>} The project's LLM settings and the test result
+   */
+  async run({ project: projectRef, provider, model, url, clear = false, test = false }) {
+    try {
+      const db = await getDatabase();
+      const projectModel = new ProjectModel(db);
+      let project = projectModel.findByIdOrSlug(projectRef);
+      if (!project) {
+        throw new Error(`Project not found: ${projectRef}`);
+      }
+
+      if (provider !== undefined && !LLM_PROVIDERS[provider]) {
+        throw new Error(`Unknown LLM provider "${provider}". Available: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+      }
+
+      if (clear || provider !== undefined || model !== undefined || url !== undefined) {
+        const configuration = ProjectModel.configurationOf(project);
+        if (clear) {
+          delete configuration.llm;
+        } else {
+          const current = llmConfigForProject(project);
+          // Model and url belong to the provider they were set for
+          const base = provider && provider !== current.provider ? {} : current;
+          const next = { ...base, provider: provider || current.provider || process.env.LLM_PROVIDER || 'openai' };
+          if (model !== undefined) next.model = model.trim() || undefined;
+          if (url !== undefined) next.url = url.trim() || undefined;
+          configuration.llm = JSON.parse(JSON.stringify(next));
+        }
+        project = projectModel.updateConfiguration(project.id, configuration);
+        Output.showSuccess(`LLM settings ${clear ? 'cleared' : 'saved'} for ${project.name}`);
+      }
+
+      const llm = llmConfigForProject(project);
+      const llmProvider = createLLMProvider(llm);
+      Output.showInfo(`Project: ${project.name}`);
+      Output.showSummary({
+        'Provider': llmProvider.name,
+        'Model': llmProvider.model,
+        ...(llmProvider.url && { 'Server': llmProvider.url }),
+        'Source': llm.provider ? 'project configuration' : (process.env.LLM_PROVIDER ? 'LLM_PROVIDER environment variable' : 'default')
+      });
+
+      let testResult = null;
+      if (test) {
+        const started = Date.now();
+        try {
+          const questions = await llmProvider.structuredArray(
+            `List 3 questions people ask about "${project.name.replace(/_/g, ' ')}".`,
+            TEST_SCHEMA,
+            { max_tokens: 200 }
+          );
+          testResult = { ok: true, items: questions.length, durationMs: Date.now() - started, sample: questions[0] ?? null };
+          Output.showSuccess(`Test request answered with ${questions.length} items in ${testResult.durationMs}ms`);
+        } catch (error) {
+          testResult = { ok: false, error: error.message };
+          Output.showError(`Test request failed: ${error.message}`);
+        }
+      }
+
+      return {
+        project: { id: project.id, name: project.name, slug: project.slug },
+        llm: { provider: llmProvider.name, model: llmProvider.model, configured: Boolean(llm.provider) },
+        test: testResult
+      };
+    } finally {
+      closeDatabase();
+    }
+  }
+}
+
+module.exports = { LLMCommand };
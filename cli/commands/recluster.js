@@ -1,12 +1,15 @@
 const prompts = require('prompts');
 const { DatabasePrompts } = require('../prompts/database-selection');
 const { ClusteringService } = require('../../src/services/clustering-service');
+const { CLUSTERING_DEFAULTS } = require('../config/clustering');
+const { CLUSTERING_ALGORITHMS } = require('../../src/clustering/algorithms');
 const { Output } = require('../utils/output');
 const { getDatabase, closeDatabase } = require('../../src/database/connection');
 const ProjectModel = require('../../src/database/models/project');
 const KeywordModel = require('../../src/database/models/keyword');
 const ClusterModel = require('../../src/database/models/cluster');
 const ProcessingRunModel = require('../../src/database/models/processing-run');
+const { BrandService } = require('../../src/services/brand-service');
 
 // Re-cluster existing keywords with different parameters
 class ReclusterCommand {
@@ -63,13 +66,66 @@ class ReclusterCommand {
     
     const response = await prompts([
       {
-        type: 'number',
+        type: 'select',
+        name: 'algorithm',
+        message: 'Which clustering algorithm?',
+        choices: [
+          { title: 'K-means (every keyword gets a cluster)', value: 'kmeans' },
+          { title: 'Hierarchical (merge until a distance cutoff)', value: 'hierarchical' },
+          { title: 'DBSCAN (dense groups, outliers stay unassigned)', value: 'dbscan' },
+          { title: 'SERP overlap (keywords sharing a ranking URL)', value: 'serp' }
+        ],
+        initial: Math.max(0, CLUSTERING_ALGORITHMS.indexOf(CLUSTERING_DEFAULTS.algorithm))
+      },
+      {
+        type: prev => prev === 'kmeans' ? 'number' : null,
         name: 'targetClusters',
         message: 'How many clusters would you like? (0 = auto-optimize)',
         initial: Math.max(10, Math.ceil(currentClusterCount * 1.5)),
         min: 0,
         max: 100
       },
+      {
+        type: (prev, values) => values.algorithm === 'hierarchical' ? 'number' : null,
+        name: 'distanceThreshold',
+        message: 'Distance cutoff (0-1, lower = tighter clusters)',
+        initial: CLUSTERING_DEFAULTS.hierarchical.distanceThreshold,
+        float: true,
+        round: 2,
+        increment: 0.05,
+        min: 0.05,
+        max: 1
+      },
+      {
+        type: (prev, values) => values.algorithm === 'dbscan' ? 'number' : null,
+        name: 'epsilon',
+        message: 'Neighbourhood radius (0-1, lower = more noise)',
+        initial: CLUSTERING_DEFAULTS.dbscan.epsilon,
+        float: true,
+        round: 2,
+        increment: 0.05,
+        min: 0.05,
+        max: 1
+      },
+      {
+        type: (prev, values) => values.algorithm === 'dbscan' ? 'number' : null,
+        name: 'minPoints',
+        message: 'Minimum keywords per dense region',
+        initial: CLUSTERING_DEFAULTS.dbscan.minPoints,
+        min: 2,
+        max: 50
+      },
+      {
+        type: 'select',
+        name: 'embeddingProvider',
+        message: 'Which embeddings should clustering use?',
+        choices: [
+          { title: 'TF-IDF (local, no API calls)', value: 'tfidf' },
+          { title: 'OpenAI embeddings (cached per keyword)', value: 'openai' },
+          { title: 'Local embedding server (cached per keyword)', value: 'local' }
+        ],
+        initial: ['tfidf', 'openai', 'local'].indexOf(CLUSTERING_DEFAULTS.embeddings.provider)
+      },
       {
         type: 'confirm',
         name: 'deleteExisting',
@@ -89,9 +145,27 @@ class ReclusterCommand {
       process.exit(0);
     }
 
-    return response;
+    return {
+      ...response,
+      clusteringParams: ReclusterCommand.algorithmParams(response.algorithm, response)
+    };
+  }
+
+  // Pick the parameters that apply to an algorithm from prompt answers or CLI flags
+  static algorithmParams(algorithm, values) {
+    const keys = {
+      hierarchical: ['distanceThreshold', 'linkage', 'minClusterSize'],
+      dbscan: ['epsilon', 'minPoints'],
+      serp: ['minClusterSize']
+    }[algorithm] || [];
+
+    return keys.reduce((params, key) => {
+      if (values[key] !== undefined) params[key] = values[key];
+      return params;
+    }, {});
   }
 
+  // Interactive entry point: collect options through prompts, then run
   async execute() {
     try {
       Output.showInfo('🔄 Re-cluster Keywords - Adjust clustering parameters for existing project');
@@ -100,95 +174,146 @@ class ReclusterCommand {
       const project = await this.selectExistingProject();
       Output.showSuccess(`Selected project: ${project.name}`);
 
-      // Get keywords from database
+      // Get clustering options
+      const clusteringOptions = await this.getClusteringOptions(project.cluster_count || 0);
+
+      await this.run({
+        project: project.id,
+        algorithm: clusteringOptions.algorithm,
+        clusteringParams: clusteringOptions.clusteringParams,
+        targetClusters: clusteringOptions.targetClusters || 0,
+        deleteExisting: clusteringOptions.deleteExisting,
+        embeddingProvider: clusteringOptions.embeddingProvider
+      });
+    } catch (error) {
+      Output.showError(`Re-clustering failed: ${error.message}`);
+      console.error(error);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Non-interactive entry point shared by the prompt flow and `kwt recluster`
+   * @param {Object} options
+   * @param {number|string} options.project - Project id or slug
+   * @param {string} [options.algorithm] - kmeans, hierarchical, dbscan or serp (defaults to CLUSTERING_DEFAULTS.algorithm)
+   * @param {Object} [options.clusteringParams] - Overrides for the algorithm's CLUSTERING_DEFAULTS section
+   * @param {number} [options.targetClusters=0] - Fixed k-means cluster count, 0 = auto-optimize
+   * @param {boolean} [options.deleteExisting=true] - Remove existing clusters and generated content
+   * @param {string} [options.embeddingProvider] - tfidf, openai or local (defaults to CLUSTERING_DEFAULTS.embeddings.provider)
+   * @param {boolean} [options.embeddingCache=true] - Reuse and store cached keyword vectors
+   * @param {boolean} [options.excludeBranded] - Leave branded keywords unclustered (defaults to the project's brand settings)
+   * @param {AbortSignal} [options.signal] - Honoured until the new clusters are saved (background jobs)
+   * @returns {Promise<Object>} Summary of the new clustering
+   */
+  async run({ project: projectRef, algorithm, clusteringParams = {}, targetClusters = 0, deleteExisting = true, embeddingProvider, embeddingCache = true, excludeBranded, signal }) {
+    try {
       const db = await getDatabase();
-      const keywordModel = new KeywordModel(db);
-      const keywords = keywordModel.findAll({ project_id: project.id });
-      
-      // Get the run_id from the existing keywords (they should all have the same run_id)
-      let runId = null;
-      if (keywords.length > 0) {
-        runId = keywords[0].run_id;
-      } else {
-        // If no keywords, create a new processing run
-        const processingRunModel = new ProcessingRunModel(db);
-        const newRun = processingRunModel.create({
-          project_id: project.id,
-          run_type: 'recluster',
-          scrape_date: new Date().toISOString().split('T')[0],
-          status: 'running',
-          current_stage: 'clustering',
-          started_at: new Date().toISOString()
-        });
-        runId = newRun.id;
+      const projectModel = new ProjectModel(db);
+      const project = projectModel.findByIdOrSlug(projectRef);
+      if (!project) {
+        throw new Error(`Project not found: ${projectRef}`);
       }
 
+      // Get keywords from database
+      const keywordModel = new KeywordModel(db);
+      const allKeywords = keywordModel.getWithRankingUrls(project.id);
+      const skipBranded = excludeBranded ?? BrandService.configForProject(project).excludeFromClustering;
+      const keywords = skipBranded ? allKeywords.filter(k => !k.contains_brand) : allKeywords;
+
       if (keywords.length === 0) {
-        Output.showError('No keywords found for this project.');
-        process.exit(1);
+        throw new Error('No keywords found for this project.');
       }
 
-      Output.showInfo(`Found ${keywords.length} keywords to re-cluster`);
+      // Keep clusters on the run that owns the keywords (they should all have the same run_id)
+      const runId = keywords[0].run_id;
 
-      // Get clustering options
-      const clusteringOptions = await this.getClusteringOptions(project.cluster_count || 0);
-
-      // Delete existing clusters if requested
-      if (clusteringOptions.deleteExisting) {
-        Output.showInfo('🗑️ Removing existing clusters and generated content...');
-        const clusterModel = new ClusterModel(db);
-        await clusterModel.deleteByProject(project.id);
-        
-        // Also delete generated content
-        const deleteGenerated = db.prepare('DELETE FROM generated_content WHERE project_id = ?');
-        deleteGenerated.run(project.id);
-        
-        Output.showSuccess('Existing clusters and content removed');
+      Output.showInfo(`Found ${keywords.length} keywords to re-cluster`);
+      if (skipBranded) {
+        Output.showInfo(`Leaving ${allKeywords.length - keywords.length} branded keywords unclustered`);
       }
 
       // Perform clustering
       Output.showInfo('🤖 Running clustering algorithm...');
-      const clusterOptions = {};
+      const clusterOptions = { algorithm, params: clusteringParams };
+      const algorithmName = algorithm || CLUSTERING_DEFAULTS.algorithm;
       
-      if (clusteringOptions.targetClusters > 0) {
-        clusterOptions.clusterCount = clusteringOptions.targetClusters;
-        Output.showInfo(`Using fixed cluster count: ${clusteringOptions.targetClusters}`);
+      if (algorithmName !== 'kmeans') {
+        Output.showInfo(`Using ${algorithmName} clustering`);
+      } else if (targetClusters > 0) {
+        clusterOptions.clusterCount = targetClusters;
+        Output.showInfo(`Using fixed cluster count: ${targetClusters}`);
       } else {
         Output.showInfo('Using automatic cluster optimization');
       }
 
-      const clusters = await this.clusteringService.performAdvancedClustering(keywords, clusterOptions);
+      const clusteringService = embeddingProvider || !embeddingCache
+        ? new ClusteringService({
+          embeddings: { ...(embeddingProvider && { provider: embeddingProvider }), cache: embeddingCache }
+        })
+        : this.clusteringService;
+      Output.showInfo(`Embeddings: ${clusteringService.embeddingProvider.name}`);
+
+      const clusters = await clusteringService.performAdvancedClustering(keywords, clusterOptions);
+      const strategy = clusteringService.lastStrategy;
       
       Output.showSuccess(`✅ Generated ${clusters.length} clusters`);
+      if (strategy.unassigned > 0) {
+        Output.showInfo(`${strategy.unassigned} keywords left unassigned`);
+      }
+
+      signal?.throwIfAborted();
 
       // Save clusters to database
       Output.showInfo('💾 Saving clusters to database...');
-      const clusterModel = new ClusterModel(db);
-      
-      for (let i = 0; i < clusters.length; i++) {
-        const cluster = clusters[i];
-        
-        // Save cluster
-        const clusterRecord = clusterModel.create({
-          project_id: project.id,
-          run_id: runId,
-          cluster_name: cluster.name,
-          cluster_description: cluster.description || `Cluster containing ${cluster.keywords.length} keywords`,
-          keyword_count: cluster.keywords.length,
-          total_search_volume: cluster.keywords.reduce((sum, k) => sum + (k.search_volume || 0), 0),
-          avg_competition: cluster.keywords.reduce((sum, k) => sum + (k.competition || 0), 0) / cluster.keywords.length,
-          avg_cpc: cluster.keywords.reduce((sum, k) => sum + (k.cpc || 0), 0) / cluster.keywords.length,
-          coherence_score: cluster.coherence_score || cluster.coherence || 0,
-          silhouette_score: cluster.silhouette_score || cluster.silhouette || 0,
-          business_value_score: cluster.business_value_score || 0
-        });
-
-        // Update keywords with cluster assignment
-        const updateKeyword = db.prepare('UPDATE keywords SET cluster_id = ? WHERE id = ?');
-        cluster.keywords.forEach(keyword => {
-          updateKeyword.run(clusterRecord.id, keyword.id);
-        });
+      if (deleteExisting) {
+        Output.showInfo('🗑️ Replacing existing clusters and generated content...');
       }
+      const clusterModel = new ClusterModel(db);
+      const deleteGenerated = db.prepare('DELETE FROM generated_content WHERE project_id = ?');
+
+      const clearKeyword = db.prepare('UPDATE keywords SET cluster_id = NULL, cluster_name = NULL WHERE id = ?');
+      const updateKeyword = db.prepare('UPDATE keywords SET cluster_id = ?, cluster_name = ? WHERE id = ?');
+
+      // One transaction, so a failure keeps the existing clusters and content untouched
+      db.transaction(() => {
+        // Delete existing clusters and generated content if requested, now that clustering succeeded
+        if (deleteExisting) {
+          clusterModel.deleteByProject(project.id);
+          deleteGenerated.run(project.id);
+        }
+
+        // Reclustered keywords the algorithm leaves unassigned should not keep their old cluster.
+        // Keywords left out (branded ones) keep theirs unless those clusters were just deleted.
+        (deleteExisting ? allKeywords : keywords).forEach(keyword => clearKeyword.run(keyword.id));
+
+        for (let i = 0; i < clusters.length; i++) {
+          const cluster = clusters[i];
+
+          // Save cluster
+          const clusterRecord = clusterModel.create({
+            project_id: project.id,
+            run_id: runId,
+            cluster_name: cluster.name,
+            cluster_description: cluster.description || `Cluster containing ${cluster.keywords.length} keywords`,
+            keyword_count: cluster.keywords.length,
+            total_search_volume: cluster.keywords.reduce((sum, k) => sum + (k.search_volume || 0), 0),
+            avg_competition: cluster.keywords.reduce((sum, k) => sum + (k.competition || 0), 0) / cluster.keywords.length,
+            avg_cpc: cluster.keywords.reduce((sum, k) => sum + (k.cpc || 0), 0) / cluster.keywords.length,
+            coherence_score: cluster.coherence_score || cluster.coherence || 0,
+            silhouette_score: cluster.silhouette_score || cluster.silhouette || 0,
+            business_value_score: cluster.business_value_score || 0
+          });
+
+          // Update keywords with cluster assignment
+          cluster.keywords.forEach(keyword => {
+            updateKeyword.run(clusterRecord.id, cluster.name, keyword.id);
+          });
+        }
+      })();
+
+      // Record the algorithm and parameters with the run that owns the clusters
+      new ProcessingRunModel(db).recordClustering(runId, strategy);
 
       // Update project last processed time
       const updateProject = db.prepare('UPDATE projects SET last_processed = ? WHERE id = ?');
@@ -198,11 +323,19 @@ class ReclusterCommand {
       Output.showInfo(`Generated ${clusters.length} clusters for ${keywords.length} keywords`);
       Output.showInfo('You can now view the results in the web interface or generate new content.');
 
-      await closeDatabase();
-    } catch (error) {
-      Output.showError(`Re-clustering failed: ${error.message}`);
-      console.error(error);
-      process.exit(1);
+      return {
+        project: { id: project.id, name: project.name, slug: project.slug },
+        runId,
+        keywordCount: keywords.length,
+        clusterCount: clusters.length,
+        unassignedCount: strategy.unassigned,
+        clustering: { algorithm: strategy.algorithm, params: strategy.params },
+        embeddingProvider: clusteringService.embeddingProvider.name,
+        excludedBranded: skipBranded ? allKeywords.length - keywords.length : 0,
+        deletedExisting: deleteExisting
+      };
+    } finally {
+      closeDatabase();
     }
   }
 }
@@ -0,0 +1,141 @@
+const prompts = require('prompts');
+const { Output } = require('../utils/output');
+const { getDatabase, closeDatabase } = require('../../src/database/connection');
+const ProjectModel = require('../../src/database/models/project');
+const ScoringProfileModel = require('../../src/database/models/scoring-profile');
+const { ScoringProfileService } = require('../../src/services/scoring-profile-service');
+
+// Re-score an existing run with another priority scoring profile
+class RescoreCommand {
+  // One-line summary of a run's priority analysis
+  static describeAnalysis(summary) {
+    if (!summary) return 'no scored keywords';
+    return `${summary.quick_wins} quick wins, ${summary.striking_distance} in striking distance, ${summary.long_term_targets} long-term targets`;
+  }
+
+  // Print the profiles a project can use
+  static showProfiles(profiles, defaultName) {
+    console.log('\n⚖️  Scoring profiles:');
+    profiles.forEach(profile => {
+      const marker = profile.name === defaultName ? ' (default)' : '';
+      const scope = profile.project_id ? 'project' : profile.is_builtin ? 'built-in' : 'shared';
+      console.log(`  • ${profile.name}${marker} [${scope}] - ${profile.description || ''}`);
+      console.log(`    weights ${JSON.stringify(profile.weights)}, cpc ${profile.factors.cpcWeight}, position ${profile.factors.positionWeight}, seasonal ${profile.factors.seasonalBoost ?? 0}`);
+    });
+  }
+
+  // Interactive entry point: collect options through prompts, then run
+  async execute() {
+    try {
+      const db = await getDatabase();
+      const projects = new ProjectModel(db).findActive();
+      if (projects.length === 0) {
+        Output.showInfo('No projects found. Create a project first.');
+        return;
+      }
+
+      const { projectId } = await prompts({
+        type: 'select',
+        name: 'projectId',
+        message: 'Select project to re-score:',
+        choices: projects.map(p => ({ title: `${p.name} (${p.project_type}: ${ProjectModel.describeTarget(p)})`, value: p.id }))
+      });
+      if (!projectId) {
+        Output.showCancellation();
+        return;
+      }
+
+      const project = projects.find(p => p.id === projectId);
+      const defaultName = ScoringProfileService.defaultProfileName(project);
+      const profiles = new ScoringProfileModel(db).findForProject(projectId);
+      const response = await prompts([
+        {
+          type: 'select',
+          name: 'profile',
+          message: 'Which scoring profile?',
+          choices: profiles.map(p => ({ title: `${p.name}${p.name === defaultName ? ' (default)' : ''}`, description: p.description, value: p.name })),
+          initial: Math.max(0, profiles.findIndex(p => p.name === defaultName))
+        },
+        {
+          type: 'confirm',
+          name: 'setDefault',
+          message: 'Use this profile for future runs of the project?',
+          initial: false
+        }
+      ]);
+      if (response.setDefault === undefined) {
+        Output.showCancellation();
+        return;
+      }
+
+      await this.run({ project: projectId, ...response });
+    } catch (error) {
+      Output.showError(`Re-scoring failed: ${error.message}`);
+      process.exit(1);
+    } finally {
+      closeDatabase();
+    }
+  }
+
+  /**
+   * Non-interactive entry point used by `kwt rescore`
+   * @param {Object} options
+   * @param {number|string} options.project - Project id or slug
+   * @param {string} [options.profile] - Profile name (defaults to the project's default profile)
+   * @param {number} [options.runId] - Run to re-score (defaults to the latest run with keywords)
+   * @param {boolean} [options.setDefault=false] - Make the profile the project's default
+   * @param {boolean} [options.list=false] - Only list the available profiles
+   * @returns {Promise<Object>} Scoring summary, or the profile list
+   */
+  async run({ project: projectRef, profile, runId, setDefault = false, list = false }) {
+    try {
+      const db = await getDatabase();
+      const projectModel = new ProjectModel(db);
+      let project = projectModel.findByIdOrSlug(projectRef);
+      if (!project) {
+        throw new Error(`Project not found: ${projectRef}`);
+      }
+
+      const scoringService = new ScoringProfileService(db);
+      if (list) {
+        const profiles = new ScoringProfileModel(db).findForProject(project.id);
+        const defaultName = ScoringProfileService.defaultProfileName(project);
+        RescoreCommand.showProfiles(profiles, defaultName);
+        return { project: { id: project.id, name: project.name, slug: project.slug }, defaultProfile: defaultName, profiles };
+      }
+
+      if (setDefault) {
+        const { name } = scoringService.resolve(project, profile);
+        const configuration = ProjectModel.configurationOf(project);
+        project = projectModel.updateConfiguration(project.id, { ...configuration, scoringProfile: name });
+        Output.showSuccess(`"${name}" is now the default scoring profile for ${project.name}`);
+      }
+
+      Output.showInfo(`Re-scoring ${project.name} with the "${profile || ScoringProfileService.defaultProfileName(project)}" profile...`);
+      const result = await scoringService.rescoreRun(project, { runId, profile });
+
+      Output.showSuccess(`Re-scored ${result.keywordCount} keywords in run #${result.runId}`);
+      Output.showSummary({
+        'Profile': result.profile,
+        'High / medium / low': `${result.tiers.high} / ${result.tiers.medium} / ${result.tiers.low}`,
+        'Tier changes': result.tierChanges,
+        'Priority analysis': RescoreCommand.describeAnalysis(result.priorityAnalysis)
+      });
+
+      console.log('\n⭐ Top Priority Keywords:');
+      result.top.slice(0, 5).forEach((keyword, index) => {
+        console.log(`  ${index + 1}. ${keyword.keyword} (${keyword.priority_tier}, ${keyword.priority_score.toFixed(3)})`);
+      });
+
+      return {
+        project: { id: project.id, name: project.name, slug: project.slug },
+        defaultProfile: ScoringProfileService.defaultProfileName(project),
+        ...result
+      };
+    } finally {
+      closeDatabase();
+    }
+  }
+}
+
+module.exports = { RescoreCommand };
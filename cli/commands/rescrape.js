@@ -3,9 +3,13 @@ const { DatabasePrompts } = require('../prompts/database-selection');
 const { KeywordService } = require('../../src/services/keyword-service');
 const { Settings } = require('../config/settings');
 const { Output } = require('../utils/output');
+const { BrandCommand } = require('./brand');
+const { RescoreCommand } = require('./rescore');
 const { getDatabase, closeDatabase } = require('../../src/database/connection');
 const ProjectModel = require('../../src/database/models/project');
 const DatabaseMigration = require('../../src/database/migration');
+const { RunDiffService } = require('../../src/services/run-diff-service');
+const { DiffCommand } = require('./diff');
 
 // Rescrape existing project command with full automation
 class RescrapeCommand {
@@ -18,9 +22,18 @@ class RescrapeCommand {
   async validateEnvironment() {
     const errors = this.settings.validateRequired();
     if (errors.length > 0) {
-      Output.showError(errors[0]);
       Output.showInfo('Set it in your environment variables or use: export SEMRUSH_API_KEY=your_key');
-      process.exit(1);
+      throw new Error(errors[0]);
+    }
+  }
+
+  async findProject(identifier) {
+    try {
+      const db = await getDatabase();
+      const projectModel = new ProjectModel(db);
+      return projectModel.findByIdOrSlug(identifier);
+    } finally {
+      closeDatabase();
     }
   }
 
@@ -36,7 +49,7 @@ class RescrapeCommand {
       }
 
       const choices = projects.map(p => ({
-        title: `${p.name} (${p.project_type}: ${p.domain || p.url})`,
+        title: `${p.name} (${p.project_type}: ${ProjectModel.describeTarget(p)})`,
         value: p
       }));
 
@@ -56,6 +69,7 @@ class RescrapeCommand {
     }
   }
 
+  // Interactive entry point: collect options through prompts, then run
   async execute() {
     try {
       // Validate environment first
@@ -77,7 +91,7 @@ class RescrapeCommand {
       }
 
       Output.showInfo(`Selected project: ${project.name}`);
-      Output.showInfo(`Target: ${project.domain || project.url}`);
+      Output.showInfo(`Target: ${ProjectModel.describeTarget(project)}`);
       console.log();
 
       // Get database configuration for this rescrape
@@ -87,63 +101,10 @@ class RescrapeCommand {
         return;
       }
 
-      // Determine method and target from project
-      const method = project.project_type === 'domain' ? 'Domain' : 'URL';
-      const target = project.domain || project.url;
-
-      // Combine parameters
-      const params = {
-        method: method,
-        target: target,
+      await this.run({
+        project: project.id,
         database: dbConfig.database,
         limit: dbConfig.limit
-      };
-
-      Output.showProcessingHeader(`${project.name} - Rescrape`);
-
-      // Process fresh data through complete pipeline
-      Output.showProgress('Processing fresh data through complete pipeline...');
-      console.log('  → Fetching fresh SEMrush data');
-      console.log('  → Cleaning and deduplicating keywords');
-      console.log('  → Performing clustering analysis');
-      console.log('  → Calculating priority scores');
-      console.log('  → Saving processed results');
-      
-      const result = await this.keywordService.processKeywordRequest(params);
-      
-      // Show results
-      Output.showSuccess(`Project rescraping completed!`);
-      Output.showSuccess(`Fresh data saved: ${result.filePath}`);
-      Output.showSuccess(`Pipeline processing completed successfully!`);
-      
-      // Display processing results and compare if possible
-      if (result.clusters && result.clusters.length > 0) {
-        console.log('\n🎯 Updated Clustering Results:');
-        result.clusters.slice(0, 5).forEach((cluster, index) => {
-          console.log(`  ${index + 1}. ${cluster.cluster_name || `Cluster ${cluster.id}`}`);
-          console.log(`     Keywords: ${cluster.keyword_count}, Volume: ${cluster.total_search_volume || 0}`);
-        });
-      }
-      
-      if (result.scoredKeywords && result.scoredKeywords.length > 0) {
-        console.log('\n⭐ Updated Top Priority Keywords:');
-        result.scoredKeywords.slice(0, 5).forEach((keyword, index) => {
-          console.log(`  ${index + 1}. ${keyword.keyword || keyword.cleaned_keyword} (${keyword.priority_tier || 'unknown'})`);
-          console.log(`     Score: ${(keyword.priority_score || 0).toFixed(3)}, Volume: ${keyword.search_volume || 0}`);
-        });
-      }
-      
-      Output.showSummary({
-        'Project': project.name,
-        'Method': result.method,
-        'Target': result.target,
-        'Database': result.database,
-        'Keywords fetched': result.keywordCount,
-        'Keywords processed': result.processedKeywordCount,
-        'Clusters found': result.clusterCount,
-        'Duplicate groups': result.duplicateGroupCount,
-        'Pipeline status': '✅ Completed successfully',
-        'Data operation': 'New processing run created'
       });
 
     } catch (error) {
@@ -151,6 +112,125 @@ class RescrapeCommand {
       process.exit(1);
     }
   }
+
+  /**
+   * Non-interactive entry point shared by the prompt flow and `kwt rescrape`
+   * @param {Object} options
+   * @param {number|string} options.project - Project id or slug
+   * @param {string} options.database - SEMrush database (e.g., 'us')
+   * @param {number} options.limit - Max keywords to fetch
+   * @param {AbortSignal} [options.signal] - Stops the run at the next stage when aborted (background jobs)
+   * @param {string} [options.trigger] - What started the rescrape when it was not a person ('scheduler')
+   * @param {boolean} [options.cache] - false fetches from SEMrush even when a cached export is still fresh
+   * @returns {Promise<Object>} Summary of the new processing run
+   */
+  async run({ project: projectRef, database, limit, signal, trigger, cache }) {
+    await this.validateEnvironment();
+
+    const project = await this.findProject(projectRef);
+    if (!project) {
+      throw new Error(`Project not found: ${projectRef}`);
+    }
+
+    // Determine method and target (and seed reports) from project
+    const { method, target, seedReports } = KeywordService.requestForProject(project);
+
+    // Combine parameters (new run inside the existing project)
+    const params = {
+      projectId: project.id,
+      runType: 'rescrape',
+      method: method,
+      target: target,
+      seedReports,
+      database: database,
+      limit: limit,
+      signal,
+      trigger,
+      cache
+    };
+
+    Output.showProcessingHeader(`${project.name} - Rescrape`);
+
+    // Process fresh data through complete pipeline
+    Output.showProgress('Processing fresh data through complete pipeline...');
+    console.log('  → Fetching fresh SEMrush data');
+    console.log('  → Cleaning and deduplicating keywords');
+    console.log('  → Performing clustering analysis');
+    console.log('  → Calculating priority scores');
+    console.log('  → Saving processed results');
+    
+    const result = await this.keywordService.processKeywordRequest(params);
+    
+    // Show results
+    Output.showSuccess(`Project rescraping completed!`);
+    Output.showSuccess(`Fresh data saved: ${result.filePath}`);
+    Output.showSuccess(`Pipeline processing completed successfully!`);
+    
+    // Display processing results and compare if possible
+    if (result.clusters && result.clusters.length > 0) {
+      console.log('\n🎯 Updated Clustering Results:');
+      result.clusters.slice(0, 5).forEach((cluster, index) => {
+        console.log(`  ${index + 1}. ${cluster.cluster_name || `Cluster ${cluster.id}`}`);
+        console.log(`     Keywords: ${cluster.keyword_count}, Volume: ${cluster.total_search_volume || 0}`);
+      });
+    }
+    
+    if (result.scoredKeywords && result.scoredKeywords.length > 0) {
+      console.log('\n⭐ Updated Top Priority Keywords:');
+      result.scoredKeywords.slice(0, 5).forEach((keyword, index) => {
+        console.log(`  ${index + 1}. ${keyword.keyword || keyword.cleaned_keyword} (${keyword.priority_tier || 'unknown'})`);
+        console.log(`     Score: ${(keyword.priority_score || 0).toFixed(3)}, Volume: ${keyword.search_volume || 0}`);
+      });
+    }
+    
+    Output.showSummary({
+      'Project': project.name,
+      'Method': result.method,
+      'Target': result.target,
+      'Database': result.database,
+      'Keywords fetched': result.keywordCount,
+      'Keywords processed': result.processedKeywordCount,
+      'Clusters found': result.clusterCount,
+      'Duplicate groups': result.duplicateGroupCount,
+      'Branded share': BrandCommand.describeSplit(result.stats.brand),
+      'Priority analysis': RescoreCommand.describeAnalysis(result.priorityAnalysis),
+      'Pipeline status': '✅ Completed successfully',
+      'Data operation': 'New processing run created'
+    });
+
+    const diff = await this.compareWithPreviousRun(project.id, result.run.id);
+
+    return {
+      project: { id: project.id, name: project.name, slug: project.slug },
+      runId: result.run.id,
+      trigger: trigger || null,
+      method: result.method,
+      target: result.target,
+      database: result.database,
+      keywordCount: result.keywordCount,
+      processedKeywordCount: result.processedKeywordCount,
+      clusterCount: result.clusterCount,
+      duplicateGroupCount: result.duplicateGroupCount,
+      brandSplit: result.stats.brand,
+      filePath: result.filePath,
+      diff: diff && diff.summary
+    };
+  }
+
+  // Report what changed since the previous run; a first run has nothing to compare against
+  async compareWithPreviousRun(projectId, runId) {
+    try {
+      const db = await getDatabase();
+      const report = new RunDiffService(db).diffRuns(projectId, { to: runId });
+      DiffCommand.showReport(report);
+      return report;
+    } catch (error) {
+      Output.showInfo(`No run-to-run comparison: ${error.message}`);
+      return null;
+    } finally {
+      closeDatabase();
+    }
+  }
 }
 
 module.exports = { RescrapeCommand };
\ No newline at end of file
@@ -0,0 +1,134 @@
+const prompts = require('prompts');
+const { Output } = require('../utils/output');
+const { getDatabase, closeDatabase } = require('../../src/database/connection');
+const ProjectModel = require('../../src/database/models/project');
+const BatchRunModel = require('../../src/database/models/batch-run');
+const { KeywordService } = require('../../src/services/keyword-service');
+const { Settings } = require('../config/settings');
+
+// List batch sessions that stopped before completing and resume them from their checkpoints
+class RunsCommand {
+  constructor() {
+    this.settings = new Settings();
+    this.keywordService = new KeywordService(this.settings);
+  }
+
+  // One line per batch session
+  static showBatchRuns(batchRuns) {
+    if (batchRuns.length === 0) {
+      Output.showInfo('No interrupted batch runs found.');
+      return;
+    }
+
+    console.log('\n⏸️  Batch runs:');
+    batchRuns.forEach(batchRun => {
+      const progress = `${batchRun.processed_keywords || 0}/${batchRun.total_keywords} keywords`;
+      const checkpoint = batchRun.checkpoint_count
+        ? `${batchRun.checkpoint_count} checkpoint(s), last after ${batchRun.last_checkpoint_stage}`
+        : 'no checkpoints';
+      console.log(`  #${batchRun.id} ${batchRun.project_name} · run #${batchRun.run_id} ${batchRun.run_type || ''} · ${batchRun.batch_mode} mode`);
+      console.log(`    ${batchRun.status} at ${batchRun.current_stage}, ${progress}, ${checkpoint}`);
+      if (batchRun.error_message) {
+        console.log(`    ${batchRun.error_message}`);
+      }
+    });
+  }
+
+  // Interactive entry point: pick an interrupted batch run and resume it
+  async execute() {
+    try {
+      const db = await getDatabase();
+      const batchRuns = new BatchRunModel(db).findWithCheckpoints()
+        .filter(batchRun => batchRun.checkpoint_count > 0);
+      if (batchRuns.length === 0) {
+        Output.showInfo('No interrupted batch runs with checkpoints found.');
+        return;
+      }
+
+      const { batchRunId } = await prompts({
+        type: 'select',
+        name: 'batchRunId',
+        message: 'Select batch run to resume:',
+        choices: batchRuns.map(batchRun => ({
+          title: `#${batchRun.id} ${batchRun.project_name} (${batchRun.status} after ${batchRun.last_checkpoint_stage})`,
+          value: batchRun.id
+        }))
+      });
+      if (!batchRunId) {
+        Output.showCancellation();
+        return;
+      }
+
+      await this.run({ action: 'resume', batchRunId });
+    } catch (error) {
+      Output.showError(`Resume failed: ${error.message}`);
+      process.exit(1);
+    } finally {
+      closeDatabase();
+    }
+  }
+
+  /**
+   * Non-interactive entry point used by `kwt runs list|resume`
+   * @param {Object} options
+   * @param {string} options.action - list | resume
+   * @param {number|string} [options.project] - Project id or slug to list batch runs of
+   * @param {Array<string>} [options.status] - Statuses to list (defaults to paused, failed and cancelled)
+   * @param {number} [options.batchRunId] - Batch run to resume
+   * @param {boolean} [options.force=false] - Also resume a batch run still marked running (left behind by a crash)
+   * @param {AbortSignal} [options.signal] - Stops the run at the next stage when aborted (background jobs)
+   * @returns {Promise<Object>} Listed batch runs, or the summary of the resumed run
+   */
+  async run({ action, project: projectRef, status, batchRunId, force = false, signal }) {
+    try {
+      const db = await getDatabase();
+
+      switch (action) {
+        case 'list': {
+          let project;
+          if (projectRef !== undefined) {
+            project = new ProjectModel(db).findByIdOrSlug(projectRef);
+            if (!project) {
+              throw new Error(`Project not found: ${projectRef}`);
+            }
+          }
+          const batchRuns = new BatchRunModel(db).findWithCheckpoints({ projectId: project?.id, statuses: status });
+          RunsCommand.showBatchRuns(batchRuns);
+          return { batchRuns };
+        }
+
+        case 'resume': {
+          Output.showProgress(`Resuming batch run #${batchRunId} from its latest valid checkpoint`);
+          const result = await this.keywordService.resumeBatchRun(batchRunId, { force, signal });
+          const { batchProcessing } = result;
+
+          Output.showSuccess(`Resumed run #${result.run.id} of ${result.project.name} and completed it`);
+          Output.showSummary({
+            'Resumed from': `${batchProcessing.resumedFrom} stage (checkpoint #${batchProcessing.checkpointId})`,
+            'Corrupt checkpoints skipped': batchProcessing.skippedCheckpoints.length,
+            'Keywords processed': `${result.processedKeywordCount}/${result.keywordCount}`,
+            'Clusters': result.clusterCount,
+            'Processing time': `${Math.round(batchProcessing.processingTime / 1000)} seconds`
+          });
+
+          return {
+            project: { id: result.project.id, name: result.project.name, slug: result.project.slug },
+            runId: result.run.id,
+            keywordCount: result.keywordCount,
+            processedKeywordCount: result.processedKeywordCount,
+            clusterCount: result.clusterCount,
+            priorityAnalysis: result.priorityAnalysis,
+            batchProcessing
+          };
+        }
+
+        default:
+          throw new Error(`Unknown runs action: ${action}`);
+      }
+    } finally {
+      closeDatabase();
+    }
+  }
+}
+
+module.exports = { RunsCommand };
@@ -0,0 +1,130 @@
+const prompts = require('prompts');
+const { Output } = require('../utils/output');
+const { getDatabase, closeDatabase } = require('../../src/database/connection');
+const ProjectModel = require('../../src/database/models/project');
+const { RescrapeScheduler } = require('../../src/services/rescrape-scheduler');
+
+// Per-project rescrape schedules; the web server queues the rescrapes when they are due
+class ScheduleCommand {
+  // One line per scheduled project with its last outcome
+  static showSchedules(entries) {
+    if (entries.length === 0) {
+      Output.showInfo('No scheduled rescrapes.');
+      return;
+    }
+
+    console.log('\n🗓️  Scheduled rescrapes:');
+    entries.forEach(({ project, schedule, description, next_run_at }) => {
+      console.log(`  • ${project.name} (#${project.id}): ${description}`);
+      const last = schedule.lastScheduledAt
+        ? `last ${new Date(schedule.lastScheduledAt).toLocaleString()} (${schedule.lastStatus})`
+        : 'not run yet';
+      console.log(`    next ${new Date(next_run_at).toLocaleString()}, ${last}`);
+      if (schedule.lastError) {
+        console.log(`    ✗ ${schedule.lastError}${schedule.failures > 1 ? ` (${schedule.failures} failures in a row)` : ''}`);
+      }
+    });
+  }
+
+  // Interactive entry point: pick a project, then set or remove its schedule
+  async execute() {
+    try {
+      const db = await getDatabase();
+      const projects = new ProjectModel(db).findActive();
+      if (projects.length === 0) {
+        Output.showInfo('No projects found. Create a project first.');
+        return;
+      }
+
+      const { projectId } = await prompts({
+        type: 'select',
+        name: 'projectId',
+        message: 'Select project to schedule rescrapes for:',
+        choices: projects.map(p => {
+          const schedule = RescrapeScheduler.scheduleForProject(p);
+          return { title: `${p.name} (${schedule ? RescrapeScheduler.describe(schedule) : 'not scheduled'})`, value: p.id };
+        })
+      });
+      if (!projectId) {
+        Output.showCancellation();
+        return;
+      }
+
+      const { schedule } = await prompts({
+        type: 'text',
+        name: 'schedule',
+        message: 'Schedule (empty to remove):',
+        initial: 'every Monday, database=us, limit=5000',
+        validate: value => {
+          if (!value.trim()) return true;
+          try {
+            RescrapeScheduler.parseSchedule(value);
+            return true;
+          } catch (error) {
+            return error.message;
+          }
+        }
+      });
+      if (schedule === undefined) {
+        Output.showCancellation();
+        return;
+      }
+
+      await this.run(schedule.trim()
+        ? { action: 'set', project: projectId, schedule }
+        : { action: 'remove', project: projectId });
+    } catch (error) {
+      Output.showError(`Scheduling failed: ${error.message}`);
+      process.exit(1);
+    } finally {
+      closeDatabase();
+    }
+  }
+
+  /**
+   * Non-interactive entry point used by `kwt schedule list|set|remove`
+   * @param {Object} options
+   * @param {string} options.action - list | set | remove
+   * @param {number|string} [options.project] - Project id or slug (required for set and remove)
+   * @param {string} [options.schedule] - e.g. "every Monday, database=us, limit=5000" (see RescrapeScheduler.parseSchedule)
+   * @returns {Promise<Object>} Scheduled projects, or the project's new or removed schedule
+   */
+  async run({ action, project: projectRef, schedule }) {
+    try {
+      const db = await getDatabase();
+      const scheduler = new RescrapeScheduler(db);
+      if (action === 'list') {
+        const schedules = scheduler.list();
+        ScheduleCommand.showSchedules(schedules);
+        return { schedules };
+      }
+
+      const project = new ProjectModel(db).findByIdOrSlug(projectRef);
+      if (!project) {
+        throw new Error(`Project not found: ${projectRef}`);
+      }
+
+      switch (action) {
+        case 'set': {
+          const entry = scheduler.setSchedule(project.id, schedule);
+          Output.showSuccess(`${project.name} will be rescraped ${entry.description}`);
+          Output.showInfo(`Next rescrape: ${new Date(entry.next_run_at).toLocaleString()} (queued by the web server, node server.js)`);
+          return entry;
+        }
+
+        case 'remove': {
+          const removed = scheduler.removeSchedule(project.id);
+          Output.showSuccess(removed ? `Removed the rescrape schedule of ${project.name}` : `${project.name} had no rescrape schedule`);
+          return { project: { id: project.id, name: project.name, slug: project.slug }, removed };
+        }
+
+        default:
+          throw new Error(`Unknown schedule action: ${action}`);
+      }
+    } finally {
+      closeDatabase();
+    }
+  }
+}
+
+module.exports = { ScheduleCommand };
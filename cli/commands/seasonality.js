@@ -0,0 +1,100 @@
+const prompts = require('prompts');
+const { Output } = require('../utils/output');
+const { getDatabase, closeDatabase } = require('../../src/database/connection');
+const ProjectModel = require('../../src/database/models/project');
+const KeywordModel = require('../../src/database/models/keyword');
+const { SeasonalityService } = require('../../src/services/seasonality-service');
+
+// Seasonal keywords and clusters of a run, from SEMrush's 12-month trends
+class SeasonalityCommand {
+  // Print the summary, seasonal clusters and the keywords peaking soonest
+  static showReport(report, top = 10) {
+    const { summary } = report;
+    const peaks = item => `peaks ${SeasonalityService.describeMonths(item.peak_months)}` +
+      (item.months_until_peak === 0 ? ' (now)' : ` (in ${item.months_until_peak} month${item.months_until_peak === 1 ? '' : 's'})`);
+
+    Output.showSummary({
+      'Run': `#${report.run_id} (${report.scrape_date})`,
+      'Keywords with trends': `${summary.keywords_with_trends}/${summary.keywords}`,
+      'Seasonal keywords': summary.seasonal_keywords,
+      'Seasonal clusters': summary.seasonal_clusters
+    });
+
+    const clusters = report.clusters.filter(cluster => cluster.is_seasonal);
+    if (clusters.length > 0) {
+      console.log('\n🗓️  Seasonal clusters:');
+      clusters.slice(0, top).forEach(cluster => {
+        console.log(`  • ${cluster.cluster_name}: ${peaks(cluster)}, ${cluster.peak_ratio}× the average month (${cluster.seasonal_keywords}/${cluster.keyword_count} keywords seasonal)`);
+      });
+    }
+
+    if (report.keywords.length > 0) {
+      console.log('\n🌡️  Seasonal keywords, nearest peak first:');
+      report.keywords.slice(0, top).forEach(keyword => {
+        console.log(`  • ${keyword.keyword} (vol ${keyword.search_volume || 0}): ${peaks(keyword)}`);
+      });
+    }
+  }
+
+  // Interactive entry point: pick a project and report its latest run
+  async execute() {
+    try {
+      const db = await getDatabase();
+      const projects = new ProjectModel(db).findActive();
+      if (projects.length === 0) {
+        Output.showInfo('No projects found. Create a project first.');
+        return;
+      }
+
+      const { projectId } = await prompts({
+        type: 'select',
+        name: 'projectId',
+        message: 'Select project to analyze seasonality for:',
+        choices: projects.map(p => ({ title: `${p.name} (${p.project_type}: ${ProjectModel.describeTarget(p)})`, value: p.id }))
+      });
+      if (!projectId) {
+        Output.showCancellation();
+        return;
+      }
+
+      await this.run({ project: projectId });
+    } catch (error) {
+      Output.showError(`Seasonality analysis failed: ${error.message}`);
+      process.exit(1);
+    } finally {
+      closeDatabase();
+    }
+  }
+
+  /**
+   * Non-interactive entry point used by `kwt seasonality`
+   * @param {Object} options
+   * @param {number|string} options.project - Project id or slug
+   * @param {number} [options.runId] - Defaults to the project's latest run with keywords
+   * @param {number} [options.limit=100] - Max seasonal keywords returned
+   * @returns {Promise<Object>} Seasonality report (see SeasonalityService.analyzeRun)
+   */
+  async run({ project: projectRef, runId, limit = 100 }) {
+    try {
+      const db = await getDatabase();
+      const project = new ProjectModel(db).findByIdOrSlug(projectRef);
+      if (!project) {
+        throw new Error(`Project not found: ${projectRef}`);
+      }
+
+      const targetRunId = runId || new KeywordModel(db).getLatestRunId(project.id);
+      if (!targetRunId) {
+        throw new Error('No processed keywords found for this project');
+      }
+
+      const report = new SeasonalityService(db).analyzeRun(project.id, targetRunId, { limit });
+      Output.showInfo(`Project: ${project.name}`);
+      SeasonalityCommand.showReport(report);
+      return report;
+    } finally {
+      closeDatabase();
+    }
+  }
+}
+
+module.exports = { SeasonalityCommand };
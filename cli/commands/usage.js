@@ -0,0 +1,142 @@
+const prompts = require('prompts');
+const { Output } = require('../utils/output');
+const { getDatabase, closeDatabase } = require('../../src/database/connection');
+const ProjectModel = require('../../src/database/models/project');
+const { ApiUsageService, formatUsd } = require('../../src/services/api-usage-service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Estimated SEMrush and LLM spend per project, and the run and monthly budgets that cap it
+class UsageCommand {
+  // "$1.20 / $5.00" when a limit is set
+  static describeAgainstBudget(cost, limit) {
+    return limit ? `${formatUsd(cost)} / ${formatUsd(limit)} (${Math.round((cost / limit) * 100)}%)` : formatUsd(cost);
+  }
+
+  // One line per project, most expensive first
+  static showProjectSpend(rows, period) {
+    if (rows.length === 0) {
+      Output.showInfo('No API calls recorded yet.');
+      return;
+    }
+
+    console.log(`\n💰 Estimated API spend per project (${period}):`);
+    rows.forEach(row => {
+      const name = row.project_name || (row.project_id === null ? '(no project)' : `#${row.project_id}`);
+      const errors = row.errors ? `, ${row.errors} failed` : '';
+      console.log(`  ${name}: ${formatUsd(row.cost)} · ${row.calls} calls${errors}`);
+      if (row.month_cost !== null) {
+        console.log(`    This month: ${UsageCommand.describeAgainstBudget(row.month_cost, row.budget.perMonth)}`);
+      }
+    });
+  }
+
+  // Providers, models and recent runs of one project
+  static showProjectReport(report, period) {
+    Output.showInfo(`Project: ${report.project.name}`);
+    Output.showSummary({
+      [`Spend (${period})`]: `${formatUsd(report.total.cost)} · ${report.total.calls} calls`,
+      'This month': UsageCommand.describeAgainstBudget(report.month.cost, report.budget.perMonth),
+      'Run budget': report.budget.perRun ? formatUsd(report.budget.perRun) : 'none',
+      'Monthly budget': report.budget.perMonth ? formatUsd(report.budget.perMonth) : 'none'
+    });
+
+    if (report.providers.length > 0) {
+      console.log('\n🔌 By provider:');
+      report.providers.forEach(row => {
+        const volume = row.api_provider === 'semrush'
+          ? `${row.units.toLocaleString()} units`
+          : `${(row.input_tokens + row.output_tokens).toLocaleString()} tokens`;
+        const errors = row.errors ? `, ${row.errors} failed` : '';
+        console.log(`  ${row.api_provider} ${row.model || row.endpoint}: ${formatUsd(row.cost)} · ${row.calls} calls, ${volume}${errors}`);
+      });
+    }
+
+    if (report.runs.length > 0) {
+      console.log('\n🏃 Recent runs:');
+      report.runs.forEach(run => {
+        console.log(`  #${run.run_id} ${run.run_type} (${run.status}, ${run.started_at}): ${formatUsd(run.cost)} · ${run.calls} calls`);
+      });
+    }
+  }
+
+  // Interactive entry point: pick all projects or one, then report
+  async execute() {
+    try {
+      const db = await getDatabase();
+      const projects = new ProjectModel(db).findActive();
+      const { project } = await prompts({
+        type: 'select',
+        name: 'project',
+        message: 'Show API spend for:',
+        choices: [
+          { title: 'All projects', value: 'all' },
+          ...projects.map(p => ({ title: `${p.name} (${p.project_type}: ${ProjectModel.describeTarget(p)})`, value: p.id }))
+        ]
+      });
+      if (!project) {
+        Output.showCancellation();
+        return;
+      }
+
+      await this.run({ project: project === 'all' ? undefined : project });
+    } catch (error) {
+      Output.showError(`Usage report failed: ${error.message}`);
+      process.exit(1);
+    } finally {
+      closeDatabase();
+    }
+  }
+
+  /**
+   * Non-interactive entry point used by `kwt usage`
+   * @param {Object} [options]
+   * @param {number|string} [options.project] - Project id or slug (all projects when omitted)
+   * @param {number} [options.days] - Only count the last N days (all time when omitted)
+   * @param {number} [options.runBudget] - Save the project's per-run budget in USD (0 removes it)
+   * @param {number} [options.monthlyBudget] - Save the project's monthly budget in USD (0 removes it)
+   * @returns {Promise<Object>} Spend per project, or the project's report
+   */
+  async run({ project: projectRef, days, runBudget, monthlyBudget } = {}) {
+    try {
+      const db = await getDatabase();
+      const projectModel = new ProjectModel(db);
+      const service = new ApiUsageService(db);
+      const since = days ? new Date(Date.now() - days * DAY_MS) : undefined;
+      const period = days ? `last ${days} days` : 'all time';
+
+      if (projectRef === undefined) {
+        if (runBudget !== undefined || monthlyBudget !== undefined) {
+          throw new Error('Budgets are set per project: add --project');
+        }
+        const projects = service.projectSpend(projectModel.findAll(), { since });
+        UsageCommand.showProjectSpend(projects, period);
+        return { period, projects };
+      }
+
+      let project = projectModel.findByIdOrSlug(projectRef);
+      if (!project) {
+        throw new Error(`Project not found: ${projectRef}`);
+      }
+
+      if (runBudget !== undefined || monthlyBudget !== undefined) {
+        const configuration = ProjectModel.configurationOf(project);
+        const budget = { ...configuration.budget };
+        if (runBudget !== undefined) budget.perRun = runBudget || undefined;
+        if (monthlyBudget !== undefined) budget.perMonth = monthlyBudget || undefined;
+        configuration.budget = JSON.parse(JSON.stringify(budget));
+        if (Object.keys(configuration.budget).length === 0) delete configuration.budget;
+        project = projectModel.updateConfiguration(project.id, configuration);
+        Output.showSuccess(`Budgets saved for ${project.name}`);
+      }
+
+      const report = service.projectReport(project, { since });
+      UsageCommand.showProjectReport(report, period);
+      return { period, ...report };
+    } finally {
+      closeDatabase();
+    }
+  }
+}
+
+module.exports = { UsageCommand };
@@ -7,6 +7,13 @@ const KeywordModel = require('../../src/database/models/keyword');
 const ClusterModel = require('../../src/database/models/cluster');
 const { FAQTitleGenerator } = require('../../src/generators/faq-title-generator');
 const { KeywordExpansionService } = require('../../src/services/keyword-expansion-service');
+const { BrandService } = require('../../src/services/brand-service');
+const { TitleReviewService } = require('../../src/services/title-review-service');
+const { TitleContentService } = require('../../src/services/title-content-service');
+const { createLLMProvider, resolveLLMConfig } = require('../../src/llm');
+const { withRequestContext } = require('../../src/http');
+const { ApiUsageTracker, formatUsd } = require('../../src/services/api-usage-service');
+const { ResponseCache } = require('../../src/services/response-cache');
 
 class WriteMoreCommand {
   constructor() {
@@ -17,6 +24,7 @@ class WriteMoreCommand {
     this.clusterModel = null;
   }
 
+  // Interactive entry point: collect options through prompts, then generate
   async execute() {
     try {
       Output.showInfo('🎯 Generate More Content - Keyword Expansion + FAQ Title Generation');
@@ -54,14 +62,7 @@ class WriteMoreCommand {
         return;
       }
 
-      // Step 5: Expand keywords if requested
-      let expandedKeywordsData = null;
-      if (settings.expandKeywords) {
-        expandedKeywordsData = await this.expandClusterKeywords(project, selectedClusters, settings);
-      }
-
-      // Step 6: Generate FAQ titles with expanded keyword coverage
-      await this.generateFAQTitles(project, selectedClusters, settings, expandedKeywordsData);
+      await this.generateContent(project, selectedClusters, settings);
 
     } catch (error) {
       Output.showError(`Content generation failed: ${error.message}`);
@@ -73,6 +74,152 @@ class WriteMoreCommand {
     }
   }
 
+  /**
+   * Non-interactive entry point used by `kwt writemore`
+   * @param {Object} options
+   * @param {number|string} options.project - Project id or slug
+   * @param {string} [options.selection='empty'] - all | empty | top | specific
+   * @param {number} [options.count] - Limit for empty/top selections
+   * @param {Array<number>} [options.clusterIds] - Cluster ids for the specific selection
+   * @param {boolean} [options.expandKeywords=true]
+   * @param {number} [options.keywordsPerCluster=15]
+   * @param {number} [options.titlesPerCluster=8]
+   * @param {boolean} [options.avoidDuplicates=true]
+   * @param {boolean} [options.excludeBranded] - Leave branded keywords out of title prompts (defaults to the project's brand settings)
+   * @param {Array<string>} [options.extras=[]] - Also write an outline and/or meta_description for each new title
+   * @param {Array<number>} [options.titleIds=[]] - Only write the extras for these existing titles (no title generation)
+   * @param {Object} [options.llm] - { provider, model } overriding the project's LLM settings for this run
+   * @param {boolean} [options.cache=true] - false sends every prompt again instead of reusing cached responses
+   * @param {AbortSignal} [options.signal] - Stops before the next cluster when aborted (background jobs)
+   * @returns {Promise<Object>} Expansion and generation summary
+   */
+  async run({
+    project: projectRef,
+    selection = 'empty',
+    count,
+    clusterIds = [],
+    expandKeywords = true,
+    keywordsPerCluster = 15,
+    titlesPerCluster = 8,
+    avoidDuplicates = true,
+    excludeBranded,
+    extras = [],
+    titleIds = [],
+    llm = {},
+    cache = true,
+    signal
+  }) {
+    try {
+      await this.initializeDatabase();
+
+      const project = this.projectModel.findByIdOrSlug(projectRef);
+      if (!project) {
+        throw new Error(`Project not found: ${projectRef}`);
+      }
+
+      if (titleIds.length > 0) {
+        const types = extras.length > 0 ? extras : ['outline', 'meta_description'];
+        const llmProvider = createLLMProvider(resolveLLMConfig(project, llm));
+        const usage = new ApiUsageTracker(this.db, { project });
+        const responseCache = ResponseCache.forRun(this.db, { cache });
+        const result = await withRequestContext({ usage, cache: responseCache, signal },
+          () => this.generateTitleExtras(project, titleIds, types, { signal, llmProvider, usage }));
+        return { project: { id: project.id, name: project.name, slug: project.slug }, extras: result, usage: usage.summary() };
+      }
+
+      const clusters = await this.loadClustersWithCounts(project.id);
+      if (!clusters || clusters.length === 0) {
+        throw new Error(`No keyword clusters found for project "${project.name}". Run processing first.`);
+      }
+
+      const selectedClusters = this.filterClusters(this.sortClusters(clusters), { selection, count, clusterIds });
+      if (selectedClusters.length === 0) {
+        Output.showInfo('No clusters matched the selection. Nothing to generate.');
+      }
+
+      const result = await this.generateContent(project, selectedClusters, {
+        expandKeywords,
+        keywordsPerCluster,
+        titlesPerCluster,
+        avoidDuplicates,
+        excludeBranded,
+        extras,
+        llm,
+        cache,
+        signal
+      });
+
+      return {
+        project: { id: project.id, name: project.name, slug: project.slug },
+        selectedClusters: selectedClusters.length,
+        ...result
+      };
+    } finally {
+      if (this.db) {
+        closeDatabase();
+      }
+    }
+  }
+
+  async generateContent(project, selectedClusters, options) {
+    const llmProvider = createLLMProvider(resolveLLMConfig(project, options.llm));
+    const usage = new ApiUsageTracker(this.db, { project });
+    const responseCache = ResponseCache.forRun(this.db, { cache: options.cache });
+    const settings = { ...options, llmProvider, usage };
+    Output.showInfo(`🤖 LLM: ${llmProvider.name} (${llmProvider.model})`);
+
+    return withRequestContext({ usage, cache: responseCache, signal: options.signal }, async () => {
+      // Step 5: Expand keywords if requested
+      let expandedKeywordsData = null;
+      if (settings.expandKeywords && selectedClusters.length > 0) {
+        expandedKeywordsData = await this.expandClusterKeywords(project, selectedClusters, settings);
+      }
+
+      // Step 6: Generate FAQ titles with expanded keyword coverage
+      const generation = selectedClusters.length > 0
+        ? await this.generateFAQTitles(project, selectedClusters, settings, expandedKeywordsData)
+        : { totalGenerated: 0, successfulClusters: 0, titleIds: [] };
+
+      // Step 7: Outlines and meta descriptions for the new titles
+      const extras = settings.extras?.length > 0 && generation.titleIds.length > 0
+        ? await this.generateTitleExtras(project, generation.titleIds, settings.extras, settings)
+        : null;
+
+      const reused = responseCache.hits ? `, ${responseCache.hits} cached responses reused` : '';
+      Output.showInfo(`💰 Estimated API spend: ${formatUsd(usage.cost)} (${usage.calls} calls${reused})`);
+      return {
+        expandedKeywords: expandedKeywordsData?.totalExpandedKeywords || 0,
+        titlesGenerated: generation.totalGenerated,
+        clustersWithNewTitles: generation.successfulClusters,
+        ...(extras && { extras }),
+        usage: usage.summary(),
+        cache: responseCache.summary()
+      };
+    });
+  }
+
+  // Write outlines and/or meta descriptions for titles, one request per title and type
+  async generateTitleExtras(project, titleIds, types, { signal, llmProvider, usage } = {}) {
+    const labels = { outline: 'outline', meta_description: 'meta description' };
+    Output.showInfo(`\n🧾 Writing ${types.map(type => labels[type]).join(' and ')} for ${titleIds.length} titles...`);
+
+    const contentService = new TitleContentService(this.db, { llmProvider });
+    const result = await contentService.generateForTitles(project.id, titleIds, types, {
+      signal,
+      usage,
+      onProgress: (titleId, type, error) => {
+        if (error) {
+          Output.showError(`   ❌ Title ${titleId}: ${labels[type]} failed: ${error.message}`);
+        } else {
+          Output.showInfo(`   ✅ Title ${titleId}: ${labels[type]} saved`);
+        }
+      }
+    });
+
+    Output.showSuccess(`✅ Wrote ${result.generated} outlines/meta descriptions${result.failed ? ` (${result.failed} failed)` : ''}`);
+    return result;
+  }
+
   async initializeDatabase() {
     this.db = await getDatabase();
     this.projectModel = new ProjectModel(this.db);
@@ -140,7 +287,7 @@ class WriteMoreCommand {
       const query = `
         SELECT COUNT(*) as count 
         FROM generated_content 
-        WHERE cluster_id = ? AND content_type = 'title'
+        WHERE cluster_id = ? AND content_type = 'title' AND status != 'rejected'
       `;
       const result = this.db.prepare(query).get(clusterId);
       return result ? result.count : 0;
@@ -150,11 +297,9 @@ class WriteMoreCommand {
     }
   }
 
-  async selectClusters(clusters) {
-    Output.showInfo('\n📊 Available Clusters:');
-    
-    // Sort clusters by existing content count (higher title count first), then by keyword count
-    const sortedClusters = clusters.sort((a, b) => {
+  // Sort clusters by existing content count (higher title count first), then by keyword count
+  sortClusters(clusters) {
+    return clusters.sort((a, b) => {
       const aContentCount = a.existing_content_count || 0;
       const bContentCount = b.existing_content_count || 0;
       const aKeywordCount = a.keyword_count || 0;
@@ -167,6 +312,30 @@ class WriteMoreCommand {
       // Then by keyword count (descending)
       return bKeywordCount - aKeywordCount;
     });
+  }
+
+  // Apply a non-interactive cluster selection to already sorted clusters
+  filterClusters(sortedClusters, { selection, count, clusterIds = [] }) {
+    const emptyClusters = sortedClusters.filter(cluster => (cluster.existing_content_count || 0) === 0);
+
+    switch (selection) {
+      case 'all':
+        return sortedClusters;
+      case 'empty':
+        return count ? emptyClusters.slice(0, count) : emptyClusters;
+      case 'top':
+        return sortedClusters.slice(0, count || 5);
+      case 'specific':
+        return sortedClusters.filter(cluster => clusterIds.includes(cluster.id));
+      default:
+        throw new Error(`Unknown cluster selection: ${selection}`);
+    }
+  }
+
+  async selectClusters(clusters) {
+    Output.showInfo('\n📊 Available Clusters:');
+    
+    const sortedClusters = this.sortClusters(clusters);
     
     // Display clusters with stats
     sortedClusters.forEach((cluster, index) => {
@@ -321,6 +490,16 @@ class WriteMoreCommand {
         name: 'avoidDuplicates',
         message: 'Skip generation if cluster already has many titles?',
         initial: true
+      },
+      {
+        type: 'multiselect',
+        name: 'extras',
+        message: 'Also write for each new title:',
+        choices: [
+          { title: 'Article outline (H2/H3)', value: 'outline' },
+          { title: 'Meta description', value: 'meta_description' }
+        ],
+        hint: '- Space to select, Enter to continue (none is fine)'
       }
     ]);
 
@@ -336,14 +515,17 @@ class WriteMoreCommand {
     
     // Create processing run for keyword expansion
     const run = this.processingRunModel.startRun(project.id, 'writemore');
+    settings.usage?.setRun(run.id);
     
-    const expansionService = new KeywordExpansionService();
+    const expansionService = new KeywordExpansionService({ llmProvider: settings.llmProvider });
     let totalExpandedKeywords = 0;
     let successfulExpansions = 0;
     const expandedData = {};
 
     try {
       for (let i = 0; i < selectedClusters.length; i++) {
+        settings.signal?.throwIfAborted();
+        settings.usage?.throwIfExceeded();
         const cluster = selectedClusters[i];
         const progress = Math.round(((i + 1) / selectedClusters.length) * 100);
         
@@ -407,6 +589,10 @@ class WriteMoreCommand {
       };
       
     } catch (error) {
+      if (settings.signal?.aborted) {
+        await this.processingRunModel.markCancelled(run.id);
+        throw error;
+      }
       Output.showError(`Keyword expansion failed: ${error.message}`);
       throw error;
     }
@@ -419,15 +605,24 @@ class WriteMoreCommand {
     
     // Create processing run
     const run = this.processingRunModel.startRun(project.id, 'writemore');
+    settings.usage?.setRun(run.id);
 
     let totalGenerated = 0;
     let successfulClusters = 0;
-    const generator = new FAQTitleGenerator({ titlesPerCluster: settings.titlesPerCluster });
+    const titleIds = [];
+    const generator = new FAQTitleGenerator({ titlesPerCluster: settings.titlesPerCluster, llmProvider: settings.llmProvider });
+    const reviewService = new TitleReviewService(this.db);
+    const excludeBranded = settings.excludeBranded ?? BrandService.configForProject(project).excludeFromTitles;
+    if (excludeBranded) {
+      Output.showInfo('🏷️  Branded keywords are excluded from title generation');
+    }
 
     try {
       await this.processingRunModel.updateProgress(run.id, 'generating_content', 1, 10);
 
       for (let i = 0; i < selectedClusters.length; i++) {
+        settings.signal?.throwIfAborted();
+        settings.usage?.throwIfExceeded();
         const cluster = selectedClusters[i];
         const progress = Math.round(((i + 1) / selectedClusters.length) * 90) + 10;
 
@@ -441,7 +636,7 @@ class WriteMoreCommand {
           }
 
           // Get cluster keywords (original + expanded)
-          const originalKeywords = await this.getClusterKeywords(cluster.id);
+          const originalKeywords = await this.getClusterKeywords(cluster.id, { excludeBranded });
           const expandedKeywords = expandedKeywordsData?.expandedData?.[cluster.id] || [];
           const allKeywords = [...(originalKeywords || []), ...expandedKeywords];
           
@@ -450,8 +645,12 @@ class WriteMoreCommand {
             continue;
           }
 
-          // Get existing titles to avoid duplicates
+          // Get existing titles to avoid duplicates, and rejected ones as examples of what not to write
           const existingTitles = await this.getExistingTitles(cluster.id);
+          const rejectedTitles = reviewService.getAvoidExamples(project.id, {
+            clusterId: cluster.id,
+            clusterName: cluster.cluster_name
+          });
 
           // Prepare cluster data for generator
           const clusterData = {
@@ -466,11 +665,14 @@ class WriteMoreCommand {
 
           // Generate FAQ titles
           Output.showInfo(`   🤖 Generating ${settings.titlesPerCluster} FAQ titles...`);
-          const newTitles = await generator.generateFAQTitles(clusterData, existingTitles);
+          if (rejectedTitles.length > 0) {
+            Output.showInfo(`   🚫 Avoiding ${rejectedTitles.length} rejected titles`);
+          }
+          const newTitles = await generator.generateFAQTitles(clusterData, existingTitles, rejectedTitles);
 
           if (newTitles && newTitles.length > 0) {
             // Save generated titles to database
-            await this.saveGeneratedTitles(run.id, project.id, cluster.id, newTitles);
+            titleIds.push(...await this.saveGeneratedTitles(run.id, project.id, cluster.id, newTitles, settings.llmProvider.model));
             
             totalGenerated += newTitles.length;
             successfulClusters++;
@@ -504,18 +706,25 @@ class WriteMoreCommand {
       Output.showSuccess(`✅ Generated ${totalGenerated} new FAQ titles`);
       Output.showInfo(`📝 All titles saved to database for project "${project.name}"`);
 
+      return { totalGenerated, successfulClusters, titleIds };
+
     } catch (error) {
-      await this.processingRunModel.markFailed(run.id, error.message);
+      if (settings.signal?.aborted) {
+        await this.processingRunModel.markCancelled(run.id);
+      } else {
+        await this.processingRunModel.markFailed(run.id, error.message);
+      }
       throw error;
     }
   }
 
-  async getClusterKeywords(clusterId) {
+  async getClusterKeywords(clusterId, { excludeBranded = false } = {}) {
+    const brandFilter = excludeBranded ? 'AND contains_brand = 0' : '';
     try {
       const query = `
         SELECT keyword, intent, priority_score 
         FROM keywords 
-        WHERE cluster_id = ? 
+        WHERE cluster_id = ? ${brandFilter}
         ORDER BY priority_score DESC, search_volume DESC 
         LIMIT 15
       `;
@@ -532,7 +741,7 @@ class WriteMoreCommand {
           const fallbackQuery = `
             SELECT keyword, search_volume as intent, search_volume as priority_score 
             FROM keywords 
-            WHERE project_id = ? 
+            WHERE project_id = ? ${brandFilter}
             ORDER BY search_volume DESC 
             LIMIT 5
           `;
@@ -554,7 +763,7 @@ class WriteMoreCommand {
       const query = `
         SELECT content 
         FROM generated_content 
-        WHERE cluster_id = ? AND content_type = 'title'
+        WHERE cluster_id = ? AND content_type = 'title' AND status != 'rejected'
       `;
       const results = this.db.prepare(query).all(clusterId);
       return results.map(r => r.content);
@@ -564,27 +773,31 @@ class WriteMoreCommand {
     }
   }
 
-  async saveGeneratedTitles(runId, projectId, clusterId, titles) {
+  async saveGeneratedTitles(runId, projectId, clusterId, titles, aiModel = 'gpt-4o-mini') {
     try {
       const insertQuery = `
         INSERT INTO generated_content (
           project_id, run_id, content_type, content, cluster_id,
           ai_model, word_count, character_count, is_approved, created_at
-        ) VALUES (?, ?, 'title', ?, ?, 'gpt-4o-mini', ?, ?, 0, datetime('now'))
+        ) VALUES (?, ?, 'title', ?, ?, ?, ?, ?, 0, datetime('now'))
       `;
       
       const insertStmt = this.db.prepare(insertQuery);
+      const ids = [];
       
       for (const title of titles) {
-        insertStmt.run(
+        const { lastInsertRowid } = insertStmt.run(
           projectId,
           runId,
           title,
           clusterId,
+          aiModel,
           title.split(' ').length, // word_count
           title.length // character_count
         );
+        ids.push(Number(lastInsertRowid));
       }
+      return ids;
     } catch (error) {
       console.error('Error saving generated titles:', error);
       throw new Error(`Failed to save titles to database: ${error.message}`);
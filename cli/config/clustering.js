@@ -1,4 +1,5 @@
 const CLUSTERING_DEFAULTS = {
+  algorithm: process.env.CLUSTERING_ALGORITHM || 'kmeans', // kmeans | hierarchical | dbscan | serp
   kmeans: {
     minClusters: 3,
     maxClusters: 100,  // Increased for very large datasets (3000+ keywords)
@@ -6,6 +7,22 @@ const CLUSTERING_DEFAULTS = {
     tolerance: 0.0005,  // Tighter tolerance for better clusters
     initMethod: 'kmeans++'
   },
+  hierarchical: {
+    distanceThreshold: 0.7, // Cosine distance cutoff between merged clusters
+    linkage: 'average',     // average | complete | single
+    minClusterSize: 2,      // Smaller groups are left unassigned
+    // Both algorithms hold an n×n distance matrix (4 bytes per pair: 3000 keywords ≈ 36 MB, 10000 ≈ 400 MB)
+    // and compute n²/2 distances; larger keyword sets are clustered with k-means instead
+    maxKeywords: 3000
+  },
+  dbscan: {
+    epsilon: 0.5,           // Neighbourhood radius (cosine distance)
+    minPoints: 3,           // Keywords needed to form a dense region; the rest is noise
+    maxKeywords: 3000       // Same distance-matrix limit as hierarchical
+  },
+  serp: {
+    minClusterSize: 2       // Keywords that must share a ranking URL
+  },
   semantic: {
     useWordEmbeddings: true,
     semanticWeight: 0.4,    // Increased weight for semantic similarity
@@ -14,6 +31,13 @@ const CLUSTERING_DEFAULTS = {
     useStopwordFiltering: true,
     enhancedTokenization: true
   },
+  embeddings: {
+    provider: process.env.EMBEDDING_PROVIDER || 'tfidf', // tfidf | openai | local
+    model: null,       // Provider default: text-embedding-3-small (openai), nomic-embed-text (local)
+    dimensions: 256,   // Shortened OpenAI vectors keep k-means fast
+    batchSize: 100,    // Keywords per embedding request
+    cache: true        // Reuse vectors stored in keyword_embeddings
+  },
   quality: {
     minSilhouetteScore: 0.2,  // Lowered to allow more clusters
     minCoherenceScore: 0.3,   // Lowered for more granular clustering
@@ -43,10 +67,71 @@ const PRIORITY_SCORING_DEFAULTS = {
     mediumPriority: 0.5,
     quickWinVolume: 1000,
     quickWinCompetition: 0.3
+  },
+  factors: {
+    cpcWeight: 0,           // Weight of the CPC score next to the weights above
+    cpcCap: 5,              // CPC (USD) that earns the full CPC score
+    positionWeight: 0,      // Weight of the ranking position score
+    positionRange: { min: 4, max: 20 }, // Positions that earn the full score ("striking distance")
+    seasonalBoost: 0,       // Max relative boost for seasonal keywords whose peak is coming up
+    seasonalWindow: 3       // Months ahead of a peak the boost starts
   }
 };
 
+// Built-in scoring profiles, seeded into scoring_profiles. Unset sections fall back to
+// PRIORITY_SCORING_DEFAULTS; weights are relative and normalized when scoring.
+const SCORING_PROFILES = {
+  balanced: {
+    description: 'Volume, competition, relevance and cluster coherence (default)'
+  },
+  'traffic-growth': {
+    description: 'High-volume keywords already ranking close to page one',
+    weights: { searchVolume: 0.5, competition: 0.1, relevance: 0.2, clusterCoherence: 0.2 },
+    thresholds: { highPriority: 0.6, mediumPriority: 0.35 },
+    factors: { positionWeight: 0.3, positionRange: { min: 4, max: 20 } }
+  },
+  'quick-wins': {
+    description: 'Low-competition keywords on pages one and two, with some weight on CPC',
+    weights: { searchVolume: 0.2, competition: 0.4, relevance: 0.2, clusterCoherence: 0.2 },
+    thresholds: { highPriority: 0.6, mediumPriority: 0.35 },
+    factors: { cpcWeight: 0.1, positionWeight: 0.4, positionRange: { min: 4, max: 15 } }
+  },
+  'low-competition': {
+    description: 'Keywords that are cheapest to rank for, regardless of position',
+    weights: { searchVolume: 0.2, competition: 0.6, relevance: 0.1, clusterCoherence: 0.1 },
+    thresholds: { highPriority: 0.6, mediumPriority: 0.35 }
+  },
+  seasonal: {
+    description: 'Balanced scoring that boosts seasonal keywords ahead of their peak months',
+    factors: { seasonalBoost: 0.3, seasonalWindow: 3 }
+  }
+};
+
+const DEFAULT_SCORING_PROFILE = 'balanced';
+
+const PRIORITY_ANALYSIS_DEFAULTS = {
+  strikingDistance: { min: 4, max: 20 }, // Ranking positions one push away from the top three
+  listLimit: 100                         // Keywords stored per bucket (totals are kept in full)
+};
+
+const SEASONALITY_DEFAULTS = {
+  seasonalPeakRatio: 1.5, // Peak month at least this many times the monthly average makes a keyword seasonal
+  peakMonthShare: 0.9     // Months within this share of the peak month count as peak months
+};
+
+const INTENT_DEFAULTS = {
+  ambiguityThreshold: 0.5,  // Rule confidence below this counts as ambiguous
+  useLLM: process.env.INTENT_LLM_FALLBACK === 'true', // Ask the LLM about ambiguous keywords
+  llmBatchSize: 50,         // Keywords per LLM request
+  model: 'gpt-4o-mini'
+};
+
 module.exports = {
   CLUSTERING_DEFAULTS,
-  PRIORITY_SCORING_DEFAULTS
+  PRIORITY_SCORING_DEFAULTS,
+  SCORING_PROFILES,
+  DEFAULT_SCORING_PROFILE,
+  PRIORITY_ANALYSIS_DEFAULTS,
+  SEASONALITY_DEFAULTS,
+  INTENT_DEFAULTS
 };
@@ -0,0 +1,46 @@
+// Timeouts, retries and rate limits for outgoing API calls, per provider.
+// <PROVIDER>_TIMEOUT_MS, <PROVIDER>_MAX_RETRIES and <PROVIDER>_CACHE_TTL_HOURS (e.g. SEMRUSH_TIMEOUT_MS)
+// override them. cacheTtlHours is how long a response is reused from the api_cache table (0: never cached).
+
+const RETRY_DEFAULTS = {
+  maxRetries: 4,          // Retries after the first attempt, on 429, 5xx and dropped connections
+  baseDelayMs: 1000,      // First backoff; doubles each retry, with jitter
+  maxDelayMs: 60000,      // Longest backoff between two attempts
+  maxRetryAfterMs: 300000 // Longest Retry-After we wait for; longer ones fail the request
+};
+
+const HTTP_DEFAULTS = {
+  openai: {
+    timeout: 120000,
+    cacheTtlHours: 168,
+    rateLimit: { requestsPerMinute: 500, burst: 20 }
+  },
+  anthropic: {
+    timeout: 120000,
+    cacheTtlHours: 168,
+    rateLimit: { requestsPerMinute: 50, burst: 5 }
+  },
+  azure: {
+    timeout: 120000,
+    cacheTtlHours: 168,
+    rateLimit: { requestsPerMinute: 300, burst: 10 }
+  },
+  local: {
+    timeout: 300000, // Local models on CPU are slow
+    cacheTtlHours: 168,
+    rateLimit: null
+  },
+  semrush: {
+    timeout: 300000, // Large exports take minutes
+    maxRetries: 3,
+    cacheTtlHours: 24, // Rankings and volumes move daily
+    rateLimit: { requestsPerMinute: 600, burst: 10 }
+  },
+  default: {
+    timeout: 60000,
+    cacheTtlHours: 0,
+    rateLimit: null
+  }
+};
+
+module.exports = { RETRY_DEFAULTS, HTTP_DEFAULTS };
@@ -0,0 +1,32 @@
+// SEMrush reports used to collect keywords and competitors, and the columns they export.
+
+// Reports a seed-keyword project can combine; keys are the names used by --seed-reports
+const SEED_REPORTS = {
+  related: 'phrase_related',       // Keywords related to the seed (synonyms, variations)
+  fullsearch: 'phrase_fullsearch', // Broad match: keywords containing the seed words
+  questions: 'phrase_questions'    // Questions containing the seed words
+};
+
+const DEFAULT_SEED_REPORTS = ['related', 'fullsearch', 'questions'];
+
+// Seeds per project; every seed costs one request per report
+const MAX_SEED_KEYWORDS = 20;
+
+// export_columns per report family (Ph keyword, Po position, Nq volume, Cp CPC, Co competition, ...)
+const EXPORT_COLUMNS = {
+  domain: 'Ph,Po,Pp,Pd,Nq,Cp,Ur,Tr,Tc,Co,Nr,Td',
+  phrase: 'Ph,Nq,Cp,Co,Nr,Td',
+  // Dn domain, Cr competitor relevance, Np common keywords, Or organic keywords, Ot traffic, Oc traffic cost, Ad ads keywords
+  competitors: 'Dn,Cr,Np,Or,Ot,Oc,Ad'
+};
+
+// Competitor domains fetched by `kwt competitors` unless --limit says otherwise
+const COMPETITOR_LIMIT = 20;
+
+module.exports = {
+  SEED_REPORTS,
+  DEFAULT_SEED_REPORTS,
+  MAX_SEED_KEYWORDS,
+  EXPORT_COLUMNS,
+  COMPETITOR_LIMIT
+};
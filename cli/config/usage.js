@@ -0,0 +1,64 @@
+// Prices used to estimate the cost of API calls, and default spending budgets.
+// Estimates only: check the provider's invoice for the real amounts.
+
+// USD per 1M tokens; models match by the longest prefix (gpt-4o-mini-2024-07-18 → gpt-4o-mini)
+const LLM_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'text-embedding-ada-002': { input: 0.1, output: 0 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-opus-4': { input: 15, output: 75 }
+};
+
+// Unknown hosted models are priced like a mid-size model rather than as free
+const DEFAULT_LLM_PRICING = { input: 2.5, output: 10 };
+
+// Providers running on our own hardware
+const FREE_PROVIDERS = ['local', 'mock'];
+
+// SEMrush API units charged per returned line, by report type
+const SEMRUSH_UNITS_PER_LINE = {
+  domain_organic: 10,
+  subfolder_organic: 10,
+  url_organic: 10,
+  phrase_this: 10,
+  phrase_these: 10,
+  phrase_related: 40,
+  phrase_fullsearch: 20,
+  phrase_questions: 40,
+  phrase_kdi: 50,
+  domain_organic_organic: 40,
+  default: 10
+};
+
+// USD per SEMrush API unit (SEMRUSH_UNIT_PRICE_USD overrides)
+const SEMRUSH_UNIT_PRICE_USD = 0.00005;
+
+// Output tokens assumed for a request that doesn't set max_tokens, when checking a budget
+const ESTIMATED_OUTPUT_TOKENS = 1000;
+
+// Budgets in USD; a project's configuration.budget overrides them, null means no limit
+const BUDGET_DEFAULTS = {
+  perRun: null,  // KWT_RUN_BUDGET_USD
+  perMonth: null // KWT_MONTHLY_BUDGET_USD
+};
+
+module.exports = {
+  LLM_PRICING,
+  DEFAULT_LLM_PRICING,
+  FREE_PROVIDERS,
+  SEMRUSH_UNITS_PER_LINE,
+  SEMRUSH_UNIT_PRICE_USD,
+  ESTIMATED_OUTPUT_TOKENS,
+  BUDGET_DEFAULTS
+};
@@ -5,9 +5,609 @@ const { RescrapeCommand } = require('./commands/rescrape');
 const { ReclusterCommand } = require('./commands/recluster');
 const { DatabaseCommand } = require('./commands/database');
 const { WriteMoreCommand } = require('./commands/writemore');
+const { ImportCommand } = require('./commands/import');
+const { DiffCommand } = require('./commands/diff');
+const { BrandCommand } = require('./commands/brand');
+const { RescoreCommand } = require('./commands/rescore');
+const { SeasonalityCommand } = require('./commands/seasonality');
+const { RunsCommand } = require('./commands/runs');
+const { ScheduleCommand } = require('./commands/schedule');
+const { CalendarCommand } = require('./commands/calendar');
+const { LLMCommand } = require('./commands/llm');
+const { UsageCommand } = require('./commands/usage');
+const { CacheCommand } = require('./commands/cache');
+const { CompetitorsCommand } = require('./commands/competitors');
 const { Output } = require('./utils/output');
+const { EMBEDDING_PROVIDERS } = require('../src/embeddings');
+const { LLM_PROVIDERS } = require('../src/llm');
+const { CLUSTERING_ALGORITHMS } = require('../src/clustering/algorithms');
+const { CLUSTERING_DEFAULTS } = require('./config/clustering');
+const { SEED_REPORTS, COMPETITOR_LIMIT } = require('./config/semrush');
+const { DECIMAL_SEPARATORS } = require('../src/services/keyword-import-service');
+const { BatchProcessingPrompts } = require('./prompts/batch-processing');
+const { RescrapeScheduler } = require('../src/services/rescrape-scheduler');
+const { UsageError, parseArguments, requireFlag, toInteger, toNumber, toBoolean, toList } = require('./utils/arguments');
+const { validateProjectType, validateLimit, validateDatabase } = require('./utils/validation');
 const prompts = require('prompts');
 
+// Turn a validator's message into a usage error
+function check(result) {
+  if (result !== true) {
+    throw new UsageError(result);
+  }
+}
+
+function databaseFlags(flags) {
+  const database = flags.database || 'us';
+  check(validateDatabase(database));
+
+  const limit = flags.limit === undefined ? 10000 : toInteger(flags.limit, 'limit');
+  check(validateLimit(limit));
+
+  return { database, limit };
+}
+
+// --llm and --llm-model choose the LLM for one command
+function llmFlags(flags) {
+  if (flags.llm !== undefined && !LLM_PROVIDERS[flags.llm]) {
+    throw new UsageError(`--llm must be one of ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+  }
+  return { provider: flags.llm, model: flags.llmModel };
+}
+
+// Non-interactive subcommands: flags map onto the same options the prompts collect
+const COMMANDS = {
+  create: {
+    description: 'Create a new project from a domain, URL or seed keywords',
+    usage: [
+      'kwt create (--domain <domain> | --url <url> | --seeds "running shoes,trail shoes") [--database us] [--limit 10000]',
+      '           [--seed-reports related,fullsearch,questions]',
+      '           [--mode standard|fast|full] [--sample-percentage 10] [--batch-size 50]',
+      '           [--memory-limit 512] [--checkpoint-interval 100] [--brand-terms "acme,acme inc,/ac?me/"]',
+      '           [--llm openai|anthropic|azure|local|mock] [--llm-model <model>] [--no-cache]'
+    ],
+    booleans: ['cache'],
+    Command: CreateCommand,
+    build(flags) {
+      if ([flags.domain, flags.url, flags.seeds].filter(Boolean).length > 1) {
+        throw new UsageError('Use only one of --domain, --url or --seeds');
+      }
+      const method = flags.seeds ? 'Seed' : flags.url ? 'URL' : 'Domain';
+      const target = method === 'Seed'
+        ? toList(flags.seeds).join(', ')
+        : method === 'URL' ? requireFlag(flags, 'url', 'url') : requireFlag(flags, 'domain', 'domain');
+      check(validateProjectType(method, target));
+
+      if (flags.seedReports !== undefined && method !== 'Seed') {
+        throw new UsageError('--seed-reports requires --seeds');
+      }
+      const seedReports = toList(flags.seedReports);
+      const unknownReport = seedReports.find(name => !SEED_REPORTS[name]);
+      if (unknownReport) {
+        throw new UsageError(`--seed-reports must be a list of ${Object.keys(SEED_REPORTS).join(', ')}`);
+      }
+
+      if (flags.llmModel !== undefined && flags.llm === undefined) {
+        throw new UsageError('--llm-model requires --llm');
+      }
+
+      const mode = flags.mode || 'standard';
+      if (!['standard', 'fast', 'full'].includes(mode)) {
+        throw new UsageError('--mode must be one of standard, fast, full');
+      }
+
+      return {
+        method,
+        target,
+        ...(seedReports.length > 0 && { seedReports }),
+        ...databaseFlags(flags),
+        batchProcessing: BatchProcessingPrompts.buildConfiguration(mode, {
+          samplePercentage: flags.samplePercentage && toInteger(flags.samplePercentage, 'sample-percentage', { min: 5, max: 50 }),
+          batchSize: flags.batchSize && toInteger(flags.batchSize, 'batch-size', { min: 25, max: 500 }),
+          memoryLimit: flags.memoryLimit && toInteger(flags.memoryLimit, 'memory-limit', { min: 128 }),
+          checkpointInterval: flags.checkpointInterval && toInteger(flags.checkpointInterval, 'checkpoint-interval', { min: 1 })
+        }),
+        brandTerms: flags.brandTerms === undefined ? undefined : toList(flags.brandTerms),
+        // Saved as the project's LLM settings
+        llm: flags.llm === undefined ? undefined : llmFlags(flags),
+        cache: toBoolean(flags.cache, true)
+      };
+    }
+  },
+
+  rescrape: {
+    description: 'Fetch fresh keywords for an existing project',
+    usage: ['kwt rescrape --project <id|slug> [--database us] [--limit 10000] [--no-cache]'],
+    booleans: ['cache'],
+    Command: RescrapeCommand,
+    build(flags) {
+      return {
+        project: requireFlag(flags, 'project', 'id|slug'),
+        ...databaseFlags(flags),
+        cache: toBoolean(flags.cache, true)
+      };
+    }
+  },
+
+  import: {
+    description: 'Import keywords from a local CSV/TSV/XLSX file',
+    usage: [
+      'kwt import --file <path> (--project <id|slug> | --domain <domain> | --url <url>)',
+      '           [--map keyword=Query,search_volume=Volume] [--delimiter ","] [--sheet <name>] [--decimal auto|.|,]'
+    ],
+    Command: ImportCommand,
+    build(flags) {
+      const file = requireFlag(flags, 'file', 'path');
+      const targets = ['project', 'domain', 'url'].filter(name => flags[name]);
+      if (targets.length !== 1) {
+        throw new UsageError('Use exactly one of --project, --domain or --url');
+      }
+
+      const mapping = {};
+      toList(flags.map).forEach(pair => {
+        const [field, column] = pair.split('=').map(part => part && part.trim());
+        if (!field || !column) {
+          throw new UsageError('--map expects field=Column pairs, e.g. keyword=Query');
+        }
+        mapping[field] = column;
+      });
+
+      if (flags.decimal !== undefined && !DECIMAL_SEPARATORS.includes(flags.decimal)) {
+        throw new UsageError(`--decimal must be one of ${DECIMAL_SEPARATORS.join(' ')}`);
+      }
+
+      const options = {
+        file,
+        mapping,
+        delimiter: flags.delimiter === '\\t' ? '\t' : flags.delimiter,
+        sheet: flags.sheet,
+        decimal: flags.decimal
+      };
+      if (flags.project) {
+        return { ...options, project: flags.project };
+      }
+
+      const method = flags.url ? 'URL' : 'Domain';
+      const target = flags.url || flags.domain;
+      check(validateProjectType(method, target));
+      return { ...options, method, target, database: flags.database || 'us' };
+    }
+  },
+
+  competitors: {
+    description: 'Discover the organic competitors of a domain or URL project (SEMrush)',
+    usage: [`kwt competitors --project <id|slug> [--database us] [--limit ${COMPETITOR_LIMIT}] [--no-cache]`],
+    booleans: ['cache'],
+    Command: CompetitorsCommand,
+    build(flags) {
+      if (flags.database !== undefined) check(validateDatabase(flags.database));
+      return {
+        project: requireFlag(flags, 'project', 'id|slug'),
+        database: flags.database,
+        limit: flags.limit === undefined ? COMPETITOR_LIMIT : toInteger(flags.limit, 'limit', { min: 1, max: 100 }),
+        cache: toBoolean(flags.cache, true)
+      };
+    }
+  },
+
+  diff: {
+    description: 'Compare two runs of a project (new/lost keywords, positions, clusters)',
+    usage: ['kwt diff --project <id|slug> [--from <runId>] [--to <runId>] [--limit 50]'],
+    Command: DiffCommand,
+    build(flags) {
+      return {
+        project: requireFlag(flags, 'project', 'id|slug'),
+        from: flags.from === undefined ? undefined : toInteger(flags.from, 'from', { min: 1 }),
+        to: flags.to === undefined ? undefined : toInteger(flags.to, 'to', { min: 1 }),
+        limit: flags.limit === undefined ? 50 : toInteger(flags.limit, 'limit', { min: 1 })
+      };
+    }
+  },
+
+  brand: {
+    description: 'Set brand terms and report the branded vs non-branded split',
+    usage: [
+      'kwt brand --project <id|slug> [--terms "acme,acme inc,/ac?me/"] [--add <terms>] [--remove <terms>]',
+      '          [--[no-]exclude-from-clustering] [--[no-]exclude-from-titles]'
+    ],
+    booleans: ['exclude-from-clustering', 'exclude-from-titles'],
+    Command: BrandCommand,
+    build(flags) {
+      return {
+        project: requireFlag(flags, 'project', 'id|slug'),
+        terms: flags.terms === undefined ? undefined : toList(flags.terms),
+        add: toList(flags.add),
+        remove: toList(flags.remove),
+        excludeFromClustering: flags.excludeFromClustering === undefined ? undefined : toBoolean(flags.excludeFromClustering),
+        excludeFromTitles: flags.excludeFromTitles === undefined ? undefined : toBoolean(flags.excludeFromTitles)
+      };
+    }
+  },
+
+  rescore: {
+    description: 'Re-score a run with another priority scoring profile',
+    usage: [
+      'kwt rescore --project <id|slug> [--profile balanced|traffic-growth|quick-wins|low-competition|<custom>]',
+      '            [--run <runId>] [--set-default]',
+      'kwt rescore --project <id|slug> --list'
+    ],
+    booleans: ['set-default', 'list'],
+    Command: RescoreCommand,
+    build(flags) {
+      return {
+        project: requireFlag(flags, 'project', 'id|slug'),
+        profile: flags.profile,
+        runId: flags.run === undefined ? undefined : toInteger(flags.run, 'run', { min: 1 }),
+        setDefault: toBoolean(flags.setDefault, false),
+        list: toBoolean(flags.list, false)
+      };
+    }
+  },
+
+  seasonality: {
+    description: 'Find seasonal keywords and clusters and their peak months',
+    usage: ['kwt seasonality --project <id|slug> [--run <runId>] [--limit 100]'],
+    Command: SeasonalityCommand,
+    build(flags) {
+      return {
+        project: requireFlag(flags, 'project', 'id|slug'),
+        runId: flags.run === undefined ? undefined : toInteger(flags.run, 'run', { min: 1 }),
+        limit: flags.limit === undefined ? 100 : toInteger(flags.limit, 'limit', { min: 1 })
+      };
+    }
+  },
+
+  recluster: {
+    description: 'Re-cluster the keywords of an existing project',
+    usage: [
+      'kwt recluster --project <id|slug> [--algorithm kmeans|hierarchical|dbscan|serp]',
+      '              [--clusters 0] [--distance-threshold 0.7] [--linkage average|complete|single]',
+      '              [--epsilon 0.5] [--min-points 3] [--min-cluster-size 2] [--keep-existing]',
+      '              [--embeddings tfidf|openai|local] [--no-embedding-cache] [--[no-]exclude-branded]'
+    ],
+    booleans: ['keep-existing', 'embedding-cache', 'exclude-branded'],
+    Command: ReclusterCommand,
+    build(flags) {
+      if (flags.embeddings !== undefined && !EMBEDDING_PROVIDERS[flags.embeddings]) {
+        throw new UsageError(`--embeddings must be one of ${Object.keys(EMBEDDING_PROVIDERS).join(', ')}`);
+      }
+
+      const algorithm = flags.algorithm;
+      if (algorithm !== undefined && !CLUSTERING_ALGORITHMS.includes(algorithm)) {
+        throw new UsageError(`--algorithm must be one of ${CLUSTERING_ALGORITHMS.join(', ')}`);
+      }
+      if (flags.linkage !== undefined && !['average', 'complete', 'single'].includes(flags.linkage)) {
+        throw new UsageError('--linkage must be one of average, complete, single');
+      }
+
+      return {
+        project: requireFlag(flags, 'project', 'id|slug'),
+        algorithm,
+        clusteringParams: ReclusterCommand.algorithmParams(algorithm || CLUSTERING_DEFAULTS.algorithm, {
+          distanceThreshold: flags.distanceThreshold === undefined ? undefined : toNumber(flags.distanceThreshold, 'distance-threshold', { min: 0, max: 1 }),
+          linkage: flags.linkage,
+          epsilon: flags.epsilon === undefined ? undefined : toNumber(flags.epsilon, 'epsilon', { min: 0, max: 1 }),
+          minPoints: flags.minPoints === undefined ? undefined : toInteger(flags.minPoints, 'min-points', { min: 1 }),
+          minClusterSize: flags.minClusterSize === undefined ? undefined : toInteger(flags.minClusterSize, 'min-cluster-size', { min: 1 })
+        }),
+        targetClusters: flags.clusters === undefined ? 0 : toInteger(flags.clusters, 'clusters', { min: 0, max: 100 }),
+        deleteExisting: !toBoolean(flags.keepExisting, false),
+        embeddingProvider: flags.embeddings,
+        embeddingCache: toBoolean(flags.embeddingCache, true),
+        excludeBranded: flags.excludeBranded === undefined ? undefined : toBoolean(flags.excludeBranded)
+      };
+    }
+  },
+
+  writemore: {
+    description: 'Expand keywords and generate FAQ titles for clusters',
+    usage: [
+      'kwt writemore --project <id|slug> [--select all|empty|top|specific] [--count <n>]',
+      '              [--cluster-ids 1,2,3] [--no-expand] [--keywords-per-cluster 15]',
+      '              [--titles-per-cluster 8] [--allow-duplicates] [--[no-]exclude-branded]',
+      '              [--outlines] [--meta-descriptions] [--llm openai|anthropic|azure|local|mock] [--llm-model <model>]',
+      '              [--no-cache]',
+      'kwt writemore --project <id|slug> --title-ids 4,5 [--outlines] [--meta-descriptions] [--no-cache]'
+    ],
+    booleans: ['expand', 'allow-duplicates', 'exclude-branded', 'outlines', 'meta-descriptions', 'cache'],
+    Command: WriteMoreCommand,
+    build(flags) {
+      const selection = flags.select || (flags.clusterIds ? 'specific' : 'empty');
+      if (!['all', 'empty', 'top', 'specific'].includes(selection)) {
+        throw new UsageError('--select must be one of all, empty, top, specific');
+      }
+
+      const clusterIds = toList(flags.clusterIds).map(id => toInteger(id, 'cluster-ids', { min: 1 }));
+      if (selection === 'specific' && clusterIds.length === 0) {
+        throw new UsageError('--select specific requires --cluster-ids');
+      }
+
+      return {
+        project: requireFlag(flags, 'project', 'id|slug'),
+        selection,
+        count: flags.count === undefined ? undefined : toInteger(flags.count, 'count', { min: 1 }),
+        clusterIds,
+        expandKeywords: toBoolean(flags.expand, true),
+        keywordsPerCluster: flags.keywordsPerCluster === undefined ? 15 : toInteger(flags.keywordsPerCluster, 'keywords-per-cluster', { min: 5, max: 30 }),
+        titlesPerCluster: flags.titlesPerCluster === undefined ? 8 : toInteger(flags.titlesPerCluster, 'titles-per-cluster', { min: 1, max: 25 }),
+        avoidDuplicates: !toBoolean(flags.allowDuplicates, false),
+        excludeBranded: flags.excludeBranded === undefined ? undefined : toBoolean(flags.excludeBranded),
+        // With --title-ids and neither flag, both are written
+        extras: [
+          ...(toBoolean(flags.outlines, false) ? ['outline'] : []),
+          ...(toBoolean(flags.metaDescriptions, false) ? ['meta_description'] : [])
+        ],
+        titleIds: toList(flags.titleIds).map(id => toInteger(id, 'title-ids', { min: 1 })),
+        llm: llmFlags(flags),
+        cache: toBoolean(flags.cache, true)
+      };
+    }
+  },
+
+  llm: {
+    description: 'Choose the LLM provider and model a project uses (openai, anthropic, azure, local, mock)',
+    usage: [
+      'kwt llm --project <id|slug> [--provider openai|anthropic|azure|local|mock] [--model <model>] [--url <server>] [--test]',
+      'kwt llm --project <id|slug> --clear'
+    ],
+    booleans: ['clear', 'test'],
+    Command: LLMCommand,
+    build(flags) {
+      if (flags.provider !== undefined && !LLM_PROVIDERS[flags.provider]) {
+        throw new UsageError(`--provider must be one of ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+      }
+      return {
+        project: requireFlag(flags, 'project', 'id|slug'),
+        provider: flags.provider,
+        model: flags.model === undefined ? undefined : String(flags.model),
+        url: flags.url === undefined ? undefined : String(flags.url),
+        clear: toBoolean(flags.clear, false),
+        test: toBoolean(flags.test, false)
+      };
+    }
+  },
+
+  usage: {
+    description: 'Report estimated SEMrush and LLM spend per project and set run and monthly budgets (USD)',
+    usage: [
+      'kwt usage [--project <id|slug>] [--days 30]',
+      'kwt usage --project <id|slug> [--run-budget 2.50] [--monthly-budget 50]   (0 removes a budget)'
+    ],
+    Command: UsageCommand,
+    build(flags) {
+      return {
+        project: flags.project,
+        days: flags.days === undefined ? undefined : toInteger(flags.days, 'days', { min: 1 }),
+        runBudget: flags.runBudget === undefined ? undefined : toNumber(flags.runBudget, 'run-budget', { min: 0 }),
+        monthlyBudget: flags.monthlyBudget === undefined ? undefined : toNumber(flags.monthlyBudget, 'monthly-budget', { min: 0 })
+      };
+    }
+  },
+
+  cache: {
+    description: 'Inspect, clear, export or import cached SEMrush and LLM responses (export/import for replay fixtures)',
+    usage: [
+      'kwt cache stats',
+      'kwt cache clear [--provider semrush|openai|anthropic|azure|local] [--expired]',
+      'kwt cache export --output <file.json> [--provider <name>]',
+      'kwt cache import <file.json>'
+    ],
+    booleans: ['expired'],
+    Command: CacheCommand,
+    build(flags, positionals) {
+      const action = positionals[0] || 'stats';
+      if (!['stats', 'clear', 'export', 'import'].includes(action)) {
+        throw new UsageError('cache action must be one of stats, clear, export, import');
+      }
+      if (action === 'import' && !positionals[1]) {
+        throw new UsageError('cache import needs a file: kwt cache import <file.json>');
+      }
+      const file = action === 'export' ? requireFlag(flags, 'output', 'file.json') : positionals[1];
+      return {
+        action,
+        provider: flags.provider,
+        expiredOnly: toBoolean(flags.expired, false),
+        file
+      };
+    }
+  },
+
+  calendar: {
+    description: 'Plan publishing dates for approved titles and export them as CSV or iCal',
+    usage: [
+      'kwt calendar plan --project <id|slug> [--start 2026-11-02] [--capacity 3] [--days monday,wednesday,friday]',
+      '                  [--lead-weeks 6] [--include-pending]',
+      'kwt calendar show --project <id|slug>',
+      'kwt calendar export --project <id|slug> [--format csv|ics] [--output <file>]'
+    ],
+    booleans: ['include-pending'],
+    Command: CalendarCommand,
+    build(flags, positionals) {
+      const action = positionals[0] || 'show';
+      if (!['plan', 'show', 'export'].includes(action)) {
+        throw new UsageError('calendar action must be one of plan, show, export');
+      }
+      const format = flags.format || 'csv';
+      if (!['csv', 'ics'].includes(format)) {
+        throw new UsageError('--format must be csv or ics');
+      }
+      if (flags.start !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(flags.start)) {
+        throw new UsageError('--start must be a date like 2026-11-02');
+      }
+      return {
+        action,
+        project: requireFlag(flags, 'project', 'id|slug'),
+        startDate: flags.start,
+        weeklyCapacity: flags.capacity === undefined ? undefined : toInteger(flags.capacity, 'capacity', { min: 1, max: 50 }),
+        publishDays: flags.days === undefined ? undefined : toList(flags.days),
+        leadWeeks: flags.leadWeeks === undefined ? undefined : toInteger(flags.leadWeeks, 'lead-weeks', { min: 0, max: 26 }),
+        includePending: toBoolean(flags.includePending, false),
+        format,
+        output: flags.output
+      };
+    }
+  },
+
+  schedule: {
+    description: 'Schedule automatic rescrapes of a project (queued by the web server)',
+    usage: [
+      'kwt schedule list',
+      'kwt schedule set --project <id|slug> "every Monday[ at 06:00], database=us, limit=5000"',
+      'kwt schedule remove --project <id|slug>'
+    ],
+    Command: ScheduleCommand,
+    build(flags, positionals) {
+      const action = positionals[0] || 'list';
+      if (!['list', 'set', 'remove'].includes(action)) {
+        throw new UsageError('schedule action must be one of list, set, remove');
+      }
+      if (action === 'list') {
+        return { action };
+      }
+
+      const project = requireFlag(flags, 'project', 'id|slug');
+      if (action === 'remove') {
+        return { action, project };
+      }
+
+      const schedule = positionals.slice(1).join(' ');
+      if (!schedule) {
+        throw new UsageError('Missing schedule, e.g. "every Monday, database=us, limit=5000"');
+      }
+      try {
+        RescrapeScheduler.parseSchedule(schedule);
+      } catch (error) {
+        throw new UsageError(error.message);
+      }
+      return { action, project, schedule };
+    }
+  },
+
+  runs: {
+    description: 'List interrupted batch runs and resume them from their latest checkpoint',
+    usage: [
+      'kwt runs list [--project <id|slug>] [--status paused,failed,cancelled]',
+      'kwt runs resume <batchRunId> [--force]'
+    ],
+    booleans: ['force'],
+    Command: RunsCommand,
+    build(flags, positionals) {
+      const action = positionals[0] || 'list';
+      if (!['list', 'resume'].includes(action)) {
+        throw new UsageError('runs action must be one of list, resume');
+      }
+      if (action === 'list') {
+        return {
+          action,
+          project: flags.project,
+          status: flags.status === undefined ? undefined : toList(flags.status)
+        };
+      }
+      if (positionals[1] === undefined) {
+        throw new UsageError('Missing batch run id: kwt runs resume <batchRunId>');
+      }
+      return {
+        action,
+        batchRunId: toInteger(positionals[1], 'batchRunId', { min: 1 }),
+        force: toBoolean(flags.force, false)
+      };
+    }
+  },
+
+  database: {
+    description: 'Inspect or clean up the local database',
+    usage: [
+      'kwt database status|list',
+      'kwt database prune [--max-age-days 14]',
+      'kwt database remove --project <id|slug> --yes',
+      'kwt database clear --yes'
+    ],
+    Command: DatabaseCommand,
+    build(flags, positionals) {
+      const action = positionals[0] || 'status';
+      if (!['status', 'list', 'prune', 'remove', 'clear'].includes(action)) {
+        throw new UsageError('database action must be one of status, list, prune, remove, clear');
+      }
+      return {
+        action,
+        project: action === 'remove' ? requireFlag(flags, 'project', 'id|slug') : undefined,
+        maxAgeDays: flags.maxAgeDays === undefined ? undefined : toInteger(flags.maxAgeDays, 'max-age-days', { min: 0 }),
+        yes: toBoolean(flags.yes, false)
+      };
+    }
+  }
+};
+
+function showUsage(name) {
+  const spec = COMMANDS[name];
+  if (spec) {
+    Output.showUsage([spec.description, '', 'Usage:', ...spec.usage.map(line => `  ${line}`), '', 'Options:', '  --json  Print the result as JSON on stdout', '  --help  Show this help']);
+    return;
+  }
+
+  Output.showUsage([
+    'Usage: kwt [command] [options]',
+    '',
+    'Run without a command for the interactive menu.',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([key, command]) => `  ${key.padEnd(12)} ${command.description}`),
+    '',
+    'Run "kwt <command> --help" for command options.'
+  ]);
+}
+
+/**
+ * Run a subcommand from argv without prompts
+ * @param {Array<string>} argv - Arguments after the script path
+ * @returns {Promise<number>} Process exit code (0 success, 1 failure, 2 usage error)
+ */
+async function runCommand(argv) {
+  // Find the command first, so values of flags written before it (--database uk create) are not taken for it
+  const booleans = [...new Set(Object.values(COMMANDS).flatMap(command => command.booleans || []))];
+  let name = null;
+  let spec;
+  let json = false;
+
+  try {
+    name = parseArguments(argv, { booleans }).command;
+    spec = COMMANDS[name];
+    const { command, positionals, flags } = parseArguments(argv, { booleans: spec?.booleans });
+    json = Boolean(flags.json);
+
+    if (flags.help) {
+      showUsage(command);
+      return 0;
+    }
+    if (!spec || command !== name) {
+      throw new UsageError(command ? `Unknown command: ${command}` : 'Missing command');
+    }
+
+    if (json) {
+      Output.enableJsonMode();
+    }
+
+    const options = spec.build(flags, positionals);
+    const result = await new spec.Command().run(options);
+
+    if (json) {
+      Output.showJson({ success: true, command: name, result });
+    }
+    return 0;
+  } catch (error) {
+    const usageError = error instanceof UsageError;
+    if (json) {
+      Output.showJson({ success: false, command: name || null, error: error.message });
+    } else {
+      Output.showError(error.message);
+      if (usageError) {
+        showUsage(name);
+      }
+    }
+    return usageError ? 2 : 1;
+  }
+}
+
 async function main() {
   Output.showHeader();
   
@@ -17,9 +617,21 @@ async function main() {
     name: 'command',
     message: 'What would you like to do?',
     choices: [
-      { title: 'Create New Project (Domain/Subfolder)', value: 'create' },
+      { title: 'Create New Project (Domain/Subfolder/Seed Keywords)', value: 'create' },
       { title: 'Rescrape Existing Project', value: 'rescrape' },
+      { title: 'Import Keywords from File (CSV/TSV/XLSX)', value: 'import' },
       { title: 'Re-cluster Keywords (Adjust Clustering)', value: 'recluster' },
+      { title: 'Discover Competitors', value: 'competitors' },
+      { title: 'Compare Runs (What Changed)', value: 'diff' },
+      { title: 'Brand Terms (Branded vs Non-branded)', value: 'brand' },
+      { title: 'Re-score Keywords (Scoring Profiles)', value: 'rescore' },
+      { title: 'Seasonality (Peak Months)', value: 'seasonality' },
+      { title: 'Schedule Automatic Rescrapes', value: 'schedule' },
+      { title: 'Plan Content Calendar', value: 'calendar' },
+      { title: 'LLM Provider Settings', value: 'llm' },
+      { title: 'API Usage & Budgets', value: 'usage' },
+      { title: 'API Response Cache', value: 'cache' },
+      { title: 'Resume Interrupted Batch Run', value: 'runs' },
       { title: 'Database Management', value: 'database' },
       { title: 'Generate More Content', value: 'writemore' },
       { title: 'Cross-Project Analysis (Coming Soon)', value: 'analyze', disabled: true }
@@ -35,10 +647,58 @@ async function main() {
       const rescrapeCommand = new RescrapeCommand();
       await rescrapeCommand.execute();
       break;
+    case 'import':
+      const importCommand = new ImportCommand();
+      await importCommand.execute();
+      break;
     case 'recluster':
       const reclusterCommand = new ReclusterCommand();
       await reclusterCommand.execute();
       break;
+    case 'competitors':
+      const competitorsCommand = new CompetitorsCommand();
+      await competitorsCommand.execute();
+      break;
+    case 'diff':
+      const diffCommand = new DiffCommand();
+      await diffCommand.execute();
+      break;
+    case 'brand':
+      const brandCommand = new BrandCommand();
+      await brandCommand.execute();
+      break;
+    case 'rescore':
+      const rescoreCommand = new RescoreCommand();
+      await rescoreCommand.execute();
+      break;
+    case 'seasonality':
+      const seasonalityCommand = new SeasonalityCommand();
+      await seasonalityCommand.execute();
+      break;
+    case 'schedule':
+      const scheduleCommand = new ScheduleCommand();
+      await scheduleCommand.execute();
+      break;
+    case 'calendar':
+      const calendarCommand = new CalendarCommand();
+      await calendarCommand.execute();
+      break;
+    case 'llm':
+      const llmCommand = new LLMCommand();
+      await llmCommand.execute();
+      break;
+    case 'usage':
+      const usageCommand = new UsageCommand();
+      await usageCommand.execute();
+      break;
+    case 'cache':
+      const cacheCommand = new CacheCommand();
+      await cacheCommand.execute();
+      break;
+    case 'runs':
+      const runsCommand = new RunsCommand();
+      await runsCommand.execute();
+      break;
     case 'database':
       const databaseCommand = new DatabaseCommand();
       await databaseCommand.execute();
@@ -55,25 +715,31 @@ async function main() {
   }
 }
 
-// Handle SIGINT (Ctrl+C)
-process.on('SIGINT', () => {
-  Output.showGoodbye();
-  process.exit(0);
-});
+// Process-wide handlers only apply when run as the CLI (the web server reuses COMMANDS)
+if (require.main === module) {
+  // Handle SIGINT (Ctrl+C)
+  process.on('SIGINT', () => {
+    Output.showGoodbye();
+    process.exit(0);
+  });
 
-// Handle uncaught errors
-process.on('uncaughtException', (error) => {
-  Output.showError(`Uncaught exception: ${error.message}`);
-  process.exit(1);
-});
+  // Handle uncaught errors
+  process.on('uncaughtException', (error) => {
+    Output.showError(`Uncaught exception: ${error.message}`);
+    process.exit(1);
+  });
 
-process.on('unhandledRejection', (reason) => {
-  Output.showError(`Unhandled rejection: ${reason}`);
-  process.exit(1);
-});
+  process.on('unhandledRejection', (reason) => {
+    Output.showError(`Unhandled rejection: ${reason}`);
+    process.exit(1);
+  });
 
-if (require.main === module) {
-  main();
+  const argv = process.argv.slice(2);
+  if (argv.length > 0) {
+    runCommand(argv).then(code => process.exit(code));
+  } else {
+    main();
+  }
 }
 
-module.exports = { main };
\ No newline at end of file
+module.exports = { main, runCommand, COMMANDS };
@@ -29,7 +29,8 @@ class BatchProcessingPrompts {
     });
   }
 
-  static async getBatchConfiguration(mode) {
+  // Shape prompt answers (or CLI flags) into the config consumed by KeywordService
+  static buildConfiguration(mode, values = {}) {
     if (mode === 'standard') {
       return { 
         enabled: false,
@@ -37,6 +38,22 @@ class BatchProcessingPrompts {
       };
     }
 
+    return {
+      enabled: true,
+      mode: mode,
+      fastSamplePercentage: (values.samplePercentage || 10) / 100,
+      batchSize: values.batchSize || (mode === 'fast' ? 50 : 100),
+      maxMemoryUsageMB: values.memoryLimit || 512,
+      checkpointInterval: values.checkpointInterval || 100,
+      enableProgressLogging: true
+    };
+  }
+
+  static async getBatchConfiguration(mode) {
+    if (mode === 'standard') {
+      return this.buildConfiguration(mode);
+    }
+
     const configs = [];
 
     // For fast mode, allow customization of sample percentage
@@ -95,16 +112,9 @@ class BatchProcessingPrompts {
     }
 
     const batchConfig = await CommonPrompts.multiplePrompts(configs);
+    if (!batchConfig) return null;
     
-    return {
-      enabled: true,
-      mode: mode,
-      fastSamplePercentage: (batchConfig.samplePercentage || 10) / 100,
-      batchSize: batchConfig.batchSize || (mode === 'fast' ? 50 : 100),
-      maxMemoryUsageMB: batchConfig.memoryLimit || 512,
-      checkpointInterval: batchConfig.checkpointInterval || 100,
-      enableProgressLogging: true
-    };
+    return this.buildConfiguration(mode, batchConfig);
   }
 
   static async getProcessingConfiguration() {
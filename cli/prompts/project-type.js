@@ -10,7 +10,8 @@ class ProjectTypePrompts {
       message: 'Create project by:',
       choices: [
         { title: 'Domain', value: 'Domain' },
-        { title: 'URL', value: 'URL' }
+        { title: 'URL', value: 'URL' },
+        { title: 'Seed keywords', value: 'Seed' }
       ]
     });
   }
@@ -19,7 +20,7 @@ class ProjectTypePrompts {
     return await CommonPrompts.singlePrompt({
       type: 'text',
       name: 'value',
-      message: `Enter ${method}:`,
+      message: method === 'Seed' ? 'Enter seed keywords (comma-separated):' : `Enter ${method}:`,
       validate: (input) => validateProjectType(method, input)
     });
   }
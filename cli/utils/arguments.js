@@ -0,0 +1,133 @@
+// Command-line argument parsing utilities
+
+// Raised for bad or missing flags so the CLI can show usage and exit with code 2
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const SHORT_FLAGS = {
+  h: 'help',
+  y: 'yes',
+  j: 'json'
+};
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Parse argv into a command, positional arguments and flags
+ * @param {Array<string>} argv - Arguments without the node binary and script path
+ * @param {Object} [options]
+ * @param {Array<string>} [options.booleans] - Flags that never take a value (kebab-case)
+ * @returns {{command: string|null, positionals: Array<string>, flags: Object}}
+ */
+function parseArguments(argv, { booleans = [] } = {}) {
+  const booleanFlags = new Set(['help', 'json', 'yes', ...booleans]);
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (arg.startsWith('--')) {
+      const body = arg.slice(2);
+      const separator = body.indexOf('=');
+      let name = separator === -1 ? body : body.slice(0, separator);
+      let value = separator === -1 ? undefined : body.slice(separator + 1);
+
+      // --no-expand => expand: false
+      if (value === undefined && name.startsWith('no-') && booleanFlags.has(name.slice(3))) {
+        flags[toCamelCase(name.slice(3))] = false;
+        continue;
+      }
+
+      if (value === undefined) {
+        const next = argv[i + 1];
+        if (!booleanFlags.has(name) && next !== undefined && !next.startsWith('-')) {
+          value = next;
+          i++;
+        } else {
+          value = true;
+        }
+      }
+
+      flags[toCamelCase(name)] = value;
+      continue;
+    }
+
+    if (arg.startsWith('-') && arg.length > 1) {
+      arg.slice(1).split('').forEach(letter => {
+        const name = SHORT_FLAGS[letter];
+        if (!name) {
+          throw new UsageError(`Unknown option: -${letter}`);
+        }
+        flags[toCamelCase(name)] = true;
+      });
+      continue;
+    }
+
+    positionals.push(arg);
+  }
+
+  return {
+    command: positionals.shift() || null,
+    positionals,
+    flags
+  };
+}
+
+function requireFlag(flags, name, description = name) {
+  const value = flags[toCamelCase(name)];
+  if (value === undefined || value === true || value === '') {
+    throw new UsageError(`Missing required option --${name} <${description}>`);
+  }
+  return value;
+}
+
+function toInteger(value, name, { min = -Infinity, max = Infinity } = {}) {
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < min || num > max) {
+    const range = Number.isFinite(min) && Number.isFinite(max) ? ` between ${min} and ${max}` : '';
+    throw new UsageError(`--${name} must be a whole number${range}`);
+  }
+  return num;
+}
+
+function toNumber(value, name, { min = -Infinity, max = Infinity } = {}) {
+  const num = Number(value);
+  if (value === true || !Number.isFinite(num) || num < min || num > max) {
+    const range = Number.isFinite(min) && Number.isFinite(max) ? ` between ${min} and ${max}` : '';
+    throw new UsageError(`--${name} must be a number${range}`);
+  }
+  return num;
+}
+
+function toBoolean(value, fallback) {
+  if (value === undefined) return fallback;
+  if (typeof value === 'boolean') return value;
+  return !['false', '0', 'no', 'off'].includes(String(value).toLowerCase());
+}
+
+function toList(value) {
+  if (value === undefined || value === true) return [];
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+  UsageError,
+  parseArguments,
+  requireFlag,
+  toInteger,
+  toNumber,
+  toBoolean,
+  toList
+};
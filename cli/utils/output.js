@@ -1,6 +1,18 @@
 const chalk = require('chalk');
 
+// Keep a handle on the real stdout writer so --json output stays parseable
+const writeStdout = process.stdout.write.bind(process.stdout);
+
 class Output {
+  // Route human-readable output to stderr; only showJson writes to stdout
+  static enableJsonMode() {
+    process.stdout.write = process.stderr.write.bind(process.stderr);
+  }
+
+  static showJson(data) {
+    writeStdout(JSON.stringify(data, null, 2) + '\n');
+  }
+
   static showHeader() {
     console.log();
     console.log(chalk.blue.bold('██╗  ██╗███████╗██╗   ██╗██╗    ██╗ ██████╗ ██████╗ ██████╗ '));
@@ -55,6 +67,10 @@ class Output {
     console.log('Operation cancelled');
   }
 
+  static showUsage(lines) {
+    console.log(lines.join('\n'));
+  }
+
   static showGoodbye() {
     console.log('\n👋 Goodbye!');
   }
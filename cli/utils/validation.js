@@ -1,10 +1,23 @@
 // Input validation utilities
+const { COUNTRIES } = require('../config/countries');
+const { MAX_SEED_KEYWORDS } = require('../config/semrush');
 
 function validateProjectType(method, value) {
   if (!value || !value.trim()) {
     return `Please enter a valid ${method.toLowerCase()}`;
   }
   
+  // For Seed method, accept comma-separated keywords up to the per-project limit
+  if (method === 'Seed') {
+    const seeds = value.split(',').map(seed => seed.trim()).filter(Boolean);
+    if (seeds.length === 0) {
+      return 'Please enter at least one seed keyword';
+    }
+    if (seeds.length > MAX_SEED_KEYWORDS) {
+      return `Please enter at most ${MAX_SEED_KEYWORDS} seed keywords`;
+    }
+  }
+
   // For URL method, validate that it looks like a URL (with or without protocol)
   if (method === 'URL') {
     // Accept URLs with protocol or just domain/path
@@ -25,6 +38,11 @@ function validateLimit(input) {
   return true;
 }
 
+function validateDatabase(database) {
+  const valid = COUNTRIES.some(country => country.value === database);
+  return valid || `Unknown SEMrush database "${database}" (e.g., us, uk, hk)`;
+}
+
 function validateDomain(domain) {
   // Basic domain validation
   const domainRegex = /^[a-zA-Z0-9][a-zA-Z0-9-]{0,61}[a-zA-Z0-9](?:\.[a-zA-Z0-9][a-zA-Z0-9-]{0,61}[a-zA-Z0-9])*$/;
@@ -43,6 +61,7 @@ function validateUrl(url) {
 module.exports = {
   validateProjectType,
   validateLimit,
+  validateDatabase,
   validateDomain,
   validateUrl
 };
\ No newline at end of file
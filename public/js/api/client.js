@@ -171,6 +171,214 @@ export class APIClient {
     }
   }
 
+  /**
+   * Load completed runs of a project that can be compared
+   * @param {string|number} projectId - Project ID
+   * @returns {Promise<{project: Object, runs: Array}>}
+   */
+  static async loadRuns(projectId) {
+    const response = await fetch(`${this.BASE_URL}/projects/${projectId}/runs`);
+    if (!response.ok) {
+      throw new Error(`Runs API error: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Load the diff report between two runs of a project
+   * @param {string|number} projectId - Project ID
+   * @param {Object} [runs] - { from, to } run IDs; defaults to latest run vs the one before
+   * @returns {Promise<Object>} - Diff report with summary, keywords and clusters
+   */
+  static async loadRunDiff(projectId, { from, to } = {}) {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+
+    const response = await fetch(`${this.BASE_URL}/projects/${projectId}/diff?${params}`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Diff API error: ${response.status}`);
+    }
+    return data;
+  }
+
+  /**
+   * Load the position and volume history of keywords across the project's runs
+   * @param {string|number} projectId - Project ID
+   * @param {Array<string>} keywords - Keywords to load (at most 200)
+   * @returns {Promise<{runs: Array, keywords: Array}>} - One entry per keyword with points (oldest run first) and a summary
+   */
+  static async loadKeywordHistory(projectId, keywords) {
+    const params = new URLSearchParams();
+    keywords.forEach(keyword => params.append('keyword', keyword));
+
+    const response = await fetch(`${this.BASE_URL}/projects/${projectId}/keywords/history?${params}`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `History API error: ${response.status}`);
+    }
+    return data;
+  }
+
+  /**
+   * Load the priority analysis (quick wins, long-term targets, striking distance) of a run
+   * @param {string|number} projectId - Project ID
+   * @param {string|number} [runId] - Run ID; defaults to the latest run
+   * @returns {Promise<Object>} - Tier counts and keyword buckets of the form { total, keywords }
+   */
+  static async loadPriorityAnalysis(projectId, runId) {
+    const url = runId
+      ? `${this.BASE_URL}/priority/${projectId}/${runId}`
+      : `${this.BASE_URL}/priority/${projectId}`;
+    const response = await fetch(url);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Priority API error: ${response.status}`);
+    }
+    return data;
+  }
+
+  /**
+   * Load pending and running processing runs with their progress
+   * @returns {Promise<{runs: Array}>}
+   */
+  static async loadActiveRuns() {
+    const response = await fetch(`${this.BASE_URL}/runs/active`);
+    if (!response.ok) {
+      throw new Error(`Runs API error: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Subscribe to a run's Server-Sent Events (snapshot, stage, progress, status, log, done)
+   * @param {string|number} runId - Run ID
+   * @param {Object} handlers - Callbacks keyed by event name, called with the parsed event data
+   * @returns {EventSource} - Close it to stop listening
+   */
+  static openRunEvents(runId, handlers = {}) {
+    const source = new EventSource(`${this.BASE_URL}/runs/${runId}/events`);
+    Object.entries(handlers).forEach(([event, handler]) => {
+      source.addEventListener(event, message => handler(JSON.parse(message.data)));
+    });
+    return source;
+  }
+
+  /**
+   * Queue a processing job in the server's background worker
+   * @param {string} type - create, rescrape, recluster or generate-titles
+   * @param {string|number|null} projectId - Project ID (null for create)
+   * @param {Object} [options] - Same options as the CLI flags, camelCased (e.g. { domain, limit } or { algorithm })
+   * @returns {Promise<Object>} - The queued job
+   */
+  static async startJob(type, projectId, options = {}) {
+    const url = type === 'create'
+      ? `${this.BASE_URL}/projects`
+      : `${this.BASE_URL}/projects/${projectId}/${type}`;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(options)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Job API error: ${response.status}`);
+    }
+    return data.job;
+  }
+
+  /**
+   * Load jobs queued from the web UI
+   * @param {Object} [filters] - { project, status } (status may be comma-separated)
+   * @returns {Promise<{jobs: Array}>}
+   */
+  static async loadJobs(filters = {}) {
+    const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value !== undefined));
+    const response = await fetch(`${this.BASE_URL}/jobs?${params}`);
+    if (!response.ok) {
+      throw new Error(`Jobs API error: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Cancel a queued job, or stop a running one at its next checkpoint
+   * @param {number} jobId
+   * @returns {Promise<Object>} - The job after the request
+   */
+  static async cancelJob(jobId) {
+    const response = await fetch(`${this.BASE_URL}/jobs/${jobId}/cancel`, { method: 'POST' });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Job API error: ${response.status}`);
+    }
+    return data.job;
+  }
+
+  /**
+   * Load a project's content calendar and its calendar settings
+   * @param {string|number} projectId - Project ID
+   * @returns {Promise<{project: Object, settings: Object, entries: Array}>}
+   */
+  static async loadCalendar(projectId) {
+    const response = await fetch(`${this.BASE_URL}/projects/${projectId}/calendar`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Calendar API error: ${response.status}`);
+    }
+    return data;
+  }
+
+  /**
+   * Re-plan publishing dates for a project's titles
+   * @param {string|number} projectId - Project ID
+   * @param {Object} [options] - { startDate, weeklyCapacity, publishDays, leadWeeks, includePending }
+   * @returns {Promise<Object>} - The plan with its entries and the number of titles that did not fit
+   */
+  static async planCalendar(projectId, options = {}) {
+    const response = await fetch(`${this.BASE_URL}/projects/${projectId}/calendar/plan`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(options)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Calendar API error: ${response.status}`);
+    }
+    return data;
+  }
+
+  /**
+   * Mark a calendar entry planned, published or skipped
+   * @param {string|number} projectId - Project ID
+   * @param {number} entryId - Calendar entry ID
+   * @param {string} status - planned | published | skipped
+   * @returns {Promise<Object>} - The updated entry
+   */
+  static async updateCalendarEntry(projectId, entryId, status) {
+    const response = await fetch(`${this.BASE_URL}/projects/${projectId}/calendar/${entryId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Calendar API error: ${response.status}`);
+    }
+    return data.entry;
+  }
+
+  /**
+   * URL that downloads a project's content calendar
+   * @param {string|number} projectId - Project ID
+   * @param {string} format - csv | ics
+   * @returns {string}
+   */
+  static calendarExportUrl(projectId, format) {
+    return `${this.BASE_URL}/projects/${projectId}/calendar/export?format=${format}`;
+  }
+
   /**
    * Mock data for development/testing
    */
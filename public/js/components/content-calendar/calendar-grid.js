@@ -0,0 +1,103 @@
+/**
+ * Content Calendar Grid Presentational Component
+ * Pure UI component showing one month of planned titles, weeks starting on Monday
+ */
+
+export const CalendarGridComponent = {
+  props: {
+    entries: { type: Array, default: () => [] },
+    // First day of the month shown, YYYY-MM-01
+    month: { type: String, required: true }
+  },
+
+  emits: ['status-change', 'previous', 'next'],
+
+  computed: {
+    monthLabel() {
+      return new Date(`${this.month}T00:00:00Z`).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    },
+
+    // Weeks of the month, each 7 days; days outside the month are shown dimmed
+    weeks() {
+      const first = new Date(`${this.month}T00:00:00Z`);
+      const start = new Date(first);
+      start.setUTCDate(1 - ((first.getUTCDay() + 6) % 7));
+
+      const byDate = {};
+      this.entries.forEach(entry => {
+        (byDate[entry.publish_date] = byDate[entry.publish_date] || []).push(entry);
+      });
+
+      const weeks = [];
+      const day = new Date(start);
+      do {
+        const week = [];
+        for (let i = 0; i < 7; i++) {
+          const date = day.toISOString().slice(0, 10);
+          week.push({
+            date,
+            day: day.getUTCDate(),
+            inMonth: day.getUTCMonth() === first.getUTCMonth(),
+            entries: byDate[date] || []
+          });
+          day.setUTCDate(day.getUTCDate() + 1);
+        }
+        weeks.push(week);
+      } while (day.getUTCMonth() === first.getUTCMonth());
+      return weeks;
+    }
+  },
+
+  methods: {
+    entryClass(entry) {
+      const base = 'calendar-entry text-xs rounded px-1.5 py-1 mb-1 border-l-2';
+      if (entry.status === 'published') return base + ' calendar-entry-published';
+      if (entry.status === 'skipped') return base + ' calendar-entry-skipped';
+      return base + (entry.peak_months.length ? ' calendar-entry-seasonal' : ' calendar-entry-planned');
+    },
+
+    entryTitle(entry) {
+      return [entry.title, entry.cluster_name && `Cluster: ${entry.cluster_name}`, entry.reason, `Status: ${entry.status}`]
+        .filter(Boolean).join('\n');
+    },
+
+    nextStatus(entry) {
+      return entry.status === 'planned' ? 'published' : entry.status === 'published' ? 'skipped' : 'planned';
+    }
+  },
+
+  template: `
+    <div class="bg-secondary border border-tertiary rounded-lg">
+      <div class="flex items-center justify-between px-4 py-3 border-b border-tertiary">
+        <button @click="$emit('previous')" class="px-3 py-1 text-sm rounded hover:bg-tertiary">‹ Previous</button>
+        <h2 class="text-lg font-semibold text-primary">{{ monthLabel }}</h2>
+        <button @click="$emit('next')" class="px-3 py-1 text-sm rounded hover:bg-tertiary">Next ›</button>
+      </div>
+
+      <div class="grid grid-cols-7 text-xs text-secondary border-b border-tertiary">
+        <div v-for="name in ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']" :key="name" class="px-2 py-1">{{ name }}</div>
+      </div>
+
+      <div v-for="(week, index) in weeks" :key="index" class="grid grid-cols-7 border-b border-tertiary last:border-b-0">
+        <div
+          v-for="day in week"
+          :key="day.date"
+          class="calendar-day p-1.5 border-r border-tertiary last:border-r-0"
+          :class="{ 'opacity-40': !day.inMonth }"
+        >
+          <div class="text-xs text-secondary mb-1">{{ day.day }}</div>
+          <div
+            v-for="entry in day.entries"
+            :key="entry.id"
+            :class="entryClass(entry)"
+            :title="entryTitle(entry) + '\\nClick to mark ' + nextStatus(entry)"
+            @click="$emit('status-change', entry, nextStatus(entry))"
+          >
+            <div class="font-medium text-primary truncate">{{ entry.title }}</div>
+            <div class="text-secondary truncate">{{ entry.cluster_name || 'Uncategorized' }}</div>
+          </div>
+        </div>
+      </div>
+    </div>
+  `
+};
@@ -0,0 +1,215 @@
+/**
+ * Content Calendar Container Component
+ * Loads the project's calendar, re-plans it with the chosen capacity and handles month navigation
+ */
+
+import { APIClient } from '../../api/client.js';
+import { CalendarGridComponent } from './calendar-grid.js';
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const ContentCalendarContainer = {
+  data() {
+    const today = new Date().toISOString().slice(0, 10);
+    return {
+      projectId: new URLSearchParams(window.location.search).get('id'),
+      project: null,
+      entries: [],
+      month: `${today.slice(0, 7)}-01`,
+      form: {
+        startDate: today,
+        weeklyCapacity: 3,
+        publishDays: ['monday', 'wednesday', 'friday'],
+        leadWeeks: 6,
+        includePending: false
+      },
+      weekdays: WEEKDAYS,
+      lastPlan: null,
+      planning: false,
+      loading: false,
+      error: null
+    };
+  },
+
+  computed: {
+    counts() {
+      const counts = { planned: 0, published: 0, skipped: 0, seasonal: 0 };
+      this.entries.forEach(entry => {
+        counts[entry.status]++;
+        if (entry.peak_months.length) counts.seasonal++;
+      });
+      return counts;
+    },
+
+    csvUrl() {
+      return APIClient.calendarExportUrl(this.projectId, 'csv');
+    },
+
+    icsUrl() {
+      return APIClient.calendarExportUrl(this.projectId, 'ics');
+    }
+  },
+
+  methods: {
+    async loadCalendar() {
+      this.loading = true;
+      this.error = null;
+      try {
+        const data = await APIClient.loadCalendar(this.projectId);
+        this.project = data.project;
+        this.entries = data.entries;
+        const { weeklyCapacity, publishDays, leadWeeks } = data.settings;
+        Object.assign(this.form, { weeklyCapacity, publishDays, leadWeeks });
+        document.getElementById('project-name-breadcrumb').textContent = data.project.name;
+        document.title = `Content Calendar - ${data.project.name}`;
+      } catch (error) {
+        this.error = error.message;
+      } finally {
+        this.loading = false;
+      }
+    },
+
+    async plan() {
+      this.planning = true;
+      this.error = null;
+      try {
+        this.lastPlan = await APIClient.planCalendar(this.projectId, this.form);
+        await this.loadCalendar();
+        if (this.lastPlan.planned > 0) {
+          this.month = `${this.lastPlan.entries[0].publish_date.slice(0, 7)}-01`;
+        }
+      } catch (error) {
+        this.error = error.message;
+      } finally {
+        this.planning = false;
+      }
+    },
+
+    async changeStatus(entry, status) {
+      try {
+        const updated = await APIClient.updateCalendarEntry(this.projectId, entry.id, status);
+        Object.assign(entry, { status: updated.status });
+      } catch (error) {
+        this.error = error.message;
+      }
+    },
+
+    shiftMonth(offset) {
+      const date = new Date(`${this.month}T00:00:00Z`);
+      date.setUTCMonth(date.getUTCMonth() + offset);
+      this.month = date.toISOString().slice(0, 10);
+    }
+  },
+
+  async mounted() {
+    if (!this.projectId) {
+      this.error = 'No project ID specified';
+      return;
+    }
+    await this.loadCalendar();
+  },
+
+  components: {
+    CalendarGrid: CalendarGridComponent
+  },
+
+  template: `
+    <div class="max-w-7xl mx-auto p-6 space-y-6">
+      <div>
+        <h1 class="text-2xl font-bold text-primary">🗓️ Content Calendar</h1>
+        <p class="text-secondary text-sm">Approved titles planned by cluster priority, ahead of seasonal peaks, within your weekly capacity</p>
+      </div>
+
+      <div class="bg-secondary border border-tertiary rounded-lg p-4 flex flex-wrap items-end gap-4">
+        <label class="text-sm text-secondary">
+          Start
+          <input type="date" v-model="form.startDate" class="block mt-1 px-3 py-2 border border-tertiary rounded bg-primary text-primary">
+        </label>
+        <label class="text-sm text-secondary">
+          Titles per week
+          <input type="number" min="1" max="50" v-model.number="form.weeklyCapacity" class="block mt-1 w-24 px-3 py-2 border border-tertiary rounded bg-primary text-primary">
+        </label>
+        <label class="text-sm text-secondary">
+          Weeks before a peak
+          <input type="number" min="0" max="26" v-model.number="form.leadWeeks" class="block mt-1 w-24 px-3 py-2 border border-tertiary rounded bg-primary text-primary">
+        </label>
+        <div class="text-sm text-secondary">
+          Publish on
+          <div class="flex gap-2 mt-2">
+            <label v-for="day in weekdays" :key="day" class="flex items-center gap-1 capitalize">
+              <input type="checkbox" :value="day" v-model="form.publishDays">{{ day.slice(0, 3) }}
+            </label>
+          </div>
+        </div>
+        <label class="text-sm text-secondary flex items-center gap-2">
+          <input type="checkbox" v-model="form.includePending">
+          Include titles not approved yet
+        </label>
+        <button
+          @click="plan"
+          :disabled="planning || !form.publishDays.length"
+          class="px-4 py-2 bg-accent-green text-white rounded hover:bg-accent-green-hover transition-colors disabled:opacity-50"
+        >
+          {{ planning ? 'Planning...' : 'Plan calendar' }}
+        </button>
+        <div class="flex gap-2 ml-auto">
+          <a :href="csvUrl" class="px-3 py-2 text-sm border border-tertiary rounded hover:bg-tertiary">Export CSV</a>
+          <a :href="icsUrl" class="px-3 py-2 text-sm border border-tertiary rounded hover:bg-tertiary">Export iCal</a>
+        </div>
+      </div>
+
+      <div v-if="error" class="bg-red-100 border border-red-300 text-red-700 px-4 py-3 rounded">{{ error }}</div>
+
+      <div v-if="lastPlan" class="text-sm text-secondary">
+        Planned {{ lastPlan.planned }} titles ({{ lastPlan.seasonal }} seasonal)<span v-if="lastPlan.planned"> from {{ lastPlan.start_date }} to {{ lastPlan.end_date }}</span><span v-if="lastPlan.unscheduled">; {{ lastPlan.unscheduled }} did not fit in the planning horizon</span>.
+        <span v-if="!lastPlan.planned && !form.includePending">No approved titles found; include titles not approved yet to plan them anyway.</span>
+      </div>
+
+      <div class="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div class="bg-secondary border border-tertiary rounded-lg p-4">
+          <div class="text-sm text-secondary">Planned</div>
+          <div class="text-2xl font-bold text-primary">{{ counts.planned }}</div>
+        </div>
+        <div class="bg-secondary border border-tertiary rounded-lg p-4">
+          <div class="text-sm text-secondary">Published</div>
+          <div class="text-2xl font-bold text-primary">{{ counts.published }}</div>
+        </div>
+        <div class="bg-secondary border border-tertiary rounded-lg p-4">
+          <div class="text-sm text-secondary">Skipped</div>
+          <div class="text-2xl font-bold text-primary">{{ counts.skipped }}</div>
+        </div>
+        <div class="bg-secondary border border-tertiary rounded-lg p-4">
+          <div class="text-sm text-secondary">Seasonal</div>
+          <div class="text-2xl font-bold text-primary">{{ counts.seasonal }}</div>
+        </div>
+      </div>
+
+      <div v-if="loading" class="text-center py-12">
+        <div class="animate-spin rounded-full h-8 w-8 border-b-2 border-accent-green mx-auto"></div>
+      </div>
+
+      <CalendarGrid
+        v-else
+        :entries="entries"
+        :month="month"
+        @previous="shiftMonth(-1)"
+        @next="shiftMonth(1)"
+        @status-change="changeStatus"
+      />
+    </div>
+  `
+};
+
+// Mount the component
+const { createApp } = Vue;
+
+document.addEventListener('DOMContentLoaded', () => {
+  const container = document.getElementById('content-calendar');
+  if (container) {
+    createApp(ContentCalendarContainer).mount(container);
+    console.log('Content Calendar Container mounted');
+  }
+});
+
+// Export for module usage
+export default ContentCalendarContainer;
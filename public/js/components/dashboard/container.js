@@ -4,15 +4,31 @@
  */
 
 import { AppStore } from '../../store.js';
+import { APIClient } from '../../api/client.js';
 import { ProjectCardsComponent } from './project-cards.js';
+import { RunningJobsComponent } from './running-jobs.js';
+
+// How often to look for newly started runs and queued jobs
+const ACTIVE_RUNS_REFRESH_MS = 10000;
 
 const DashboardContainer = {
   data() {
     return {
       searchQuery: '',
-      selectedType: ''
+      selectedType: '',
+      runningJobs: [],
+      jobs: [],
+      newProjectTarget: '',
+      jobMessage: null,
+      jobError: null
     };
   },
+
+  created() {
+    // EventSource per watched run, kept outside reactive state
+    this.runEventSources = {};
+    this.activeRunsTimer = null;
+  },
   
   computed: {
     store() { 
@@ -44,13 +60,23 @@ const DashboardContainer = {
       return this.store.data.stats || {
         total_projects: 0,
         total_keywords: 0,
-        total_clusters: 0
+        total_clusters: 0,
+        api_cost_month: 0
       };
     },
     
     loading() {
       return this.store.data.loading;
     },
+
+    // Queued or running job per project, so cards don't offer the same work twice
+    pendingJobs() {
+      const pending = {};
+      this.jobs
+        .filter(job => job.project_id && ['queued', 'running'].includes(job.status))
+        .forEach(job => { pending[job.project_id] = job; });
+      return pending;
+    },
     
     error() {
       return this.store.data.error;
@@ -62,6 +88,107 @@ const DashboardContainer = {
       await this.store.loadDashboard();
     },
     
+    async loadJobs() {
+      try {
+        const hadPending = this.jobs.some(job => ['queued', 'running'].includes(job.status));
+        const { jobs } = await APIClient.loadJobs();
+        this.jobs = jobs;
+        // A job finished since the last check: refresh project stats
+        if (hadPending && !jobs.some(job => ['queued', 'running'].includes(job.status))) {
+          await this.loadDashboard();
+        }
+      } catch (error) {
+        console.error('Failed to load jobs:', error);
+      }
+    },
+
+    async refreshActivity() {
+      await Promise.all([this.loadJobs(), this.loadRunningJobs()]);
+    },
+
+    async startJob(type, projectId, options = {}) {
+      this.jobError = null;
+      try {
+        const job = await APIClient.startJob(type, projectId, options);
+        this.jobMessage = `Job #${job.id} (${type}) queued`;
+        await this.refreshActivity();
+        return job;
+      } catch (error) {
+        this.jobMessage = null;
+        this.jobError = error.message;
+        return null;
+      }
+    },
+
+    async handleProjectAction({ project, action }) {
+      if (action === 'recluster' && !confirm(`Re-cluster ${project.name}? Existing clusters and generated titles will be replaced.`)) {
+        return;
+      }
+      await this.startJob(action, project.id);
+    },
+
+    async handleJobCancel(job) {
+      this.jobError = null;
+      try {
+        const cancelled = await APIClient.cancelJob(job.id);
+        this.jobMessage = cancelled.status === 'cancelled'
+          ? `Job #${job.id} (${job.type}) cancelled`
+          : `Job #${job.id} (${job.type}) will stop at its next checkpoint`;
+        await this.refreshActivity();
+      } catch (error) {
+        this.jobMessage = null;
+        this.jobError = error.message;
+      }
+    },
+
+    async createProject() {
+      const target = this.newProjectTarget.trim();
+      if (!target) return;
+      const options = /^https?:\/\//.test(target) || target.includes('/') ? { url: target } : { domain: target };
+      if (await this.startJob('create', null, options)) {
+        this.newProjectTarget = '';
+      }
+    },
+
+    async loadRunningJobs() {
+      try {
+        const { runs } = await APIClient.loadActiveRuns();
+        runs
+          .filter(run => !this.runEventSources[run.run_id])
+          .forEach(run => this.watchRun(run));
+      } catch (error) {
+        console.error('Failed to load running jobs:', error);
+      }
+    },
+
+    // Follow a run's progress over Server-Sent Events until it finishes
+    watchRun(run) {
+      this.runningJobs.push({ ...run, lastLog: null });
+      const update = progress => this.updateJob(run.run_id, progress);
+      this.runEventSources[run.run_id] = APIClient.openRunEvents(run.run_id, {
+        snapshot: update,
+        stage: update,
+        progress: update,
+        status: update,
+        log: log => this.updateJob(run.run_id, { lastLog: log }),
+        done: progress => {
+          update(progress);
+          this.runEventSources[run.run_id].close();
+          // Keep the finished bar visible for a moment, then refresh the project stats
+          setTimeout(() => {
+            this.runningJobs = this.runningJobs.filter(job => job.run_id !== run.run_id);
+            delete this.runEventSources[run.run_id];
+            this.loadDashboard();
+          }, 5000);
+        }
+      });
+    },
+
+    updateJob(runId, changes) {
+      const job = this.runningJobs.find(j => j.run_id === runId);
+      if (job) Object.assign(job, changes);
+    },
+
     handleProjectSelect(project) {
       console.log('Project selected:', project);
       // Navigate to project keywords page
@@ -76,16 +203,30 @@ const DashboardContainer = {
         return (num / 1000).toFixed(1) + 'K';
       }
       return num?.toLocaleString() || '0';
+    },
+
+    // Estimated USD spend, with more decimals for small amounts
+    formatCost(amount) {
+      const value = amount || 0;
+      return '$' + value.toFixed(value > 0 && value < 1 ? 4 : 2);
     }
   },
   
   async mounted() {
     // Load dashboard data when component mounts
     await this.loadDashboard();
+    await this.refreshActivity();
+    this.activeRunsTimer = setInterval(() => this.refreshActivity(), ACTIVE_RUNS_REFRESH_MS);
+  },
+
+  beforeUnmount() {
+    clearInterval(this.activeRunsTimer);
+    Object.values(this.runEventSources).forEach(source => source.close());
   },
   
   components: { 
-    ProjectCards: ProjectCardsComponent 
+    ProjectCards: ProjectCardsComponent,
+    RunningJobs: RunningJobsComponent
   },
   
   template: `
@@ -114,7 +255,7 @@ const DashboardContainer = {
           </div>
           
           <!-- Stats Overview -->
-          <div class="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+          <div class="grid grid-cols-1 md:grid-cols-4 gap-6 mb-6">
             <div class="stat-card bg-primary border border-tertiary rounded-lg p-6 text-center">
               <div class="text-3xl font-bold text-accent-green mb-1">
                 {{ formatNumber(stats.total_projects) }}
@@ -133,8 +274,33 @@ const DashboardContainer = {
               </div>
               <div class="text-sm text-secondary">Total Clusters</div>
             </div>
+            <div class="stat-card bg-primary border border-tertiary rounded-lg p-6 text-center">
+              <div class="text-3xl font-bold text-yellow-500 mb-1">
+                {{ formatCost(stats.api_cost_month) }}
+              </div>
+              <div class="text-sm text-secondary">API Spend This Month (est.)</div>
+            </div>
           </div>
           
+          <!-- New project -->
+          <form @submit.prevent="createProject" class="flex flex-col sm:flex-row gap-4 mb-4">
+            <input
+              v-model="newProjectTarget"
+              type="text"
+              placeholder="New project: example.com or https://example.com/blog/"
+              class="flex-1 px-4 py-2 border border-tertiary rounded-lg bg-primary text-primary placeholder-muted focus:border-accent-green focus:outline-none"
+            />
+            <button
+              type="submit"
+              :disabled="!newProjectTarget.trim()"
+              class="px-4 py-2 bg-accent-green text-white rounded hover:bg-accent-green-hover transition-colors disabled:opacity-50"
+            >
+              ➕ Create Project
+            </button>
+          </form>
+          <div v-if="jobMessage" class="text-sm text-accent-green mb-4">{{ jobMessage }}</div>
+          <div v-if="jobError" class="text-sm text-red-500 mb-4">{{ jobError }}</div>
+          
           <!-- Search and Filters -->
           <div class="flex flex-col sm:flex-row gap-4 mb-6">
             <div class="flex-1">
@@ -173,6 +339,8 @@ const DashboardContainer = {
       <!-- Projects Section -->
       <main class="dashboard-main p-6">
         <div class="max-w-7xl mx-auto">
+          <RunningJobs :jobs="runningJobs" @project-select="handleProjectSelect" />
+
           <div class="flex items-center justify-between mb-6">
             <h2 class="text-xl font-semibold text-primary">
               Projects 
@@ -185,7 +353,10 @@ const DashboardContainer = {
           <ProjectCards 
             :projects="projects" 
             :loading="loading"
+            :pending-jobs="pendingJobs"
             @project-select="handleProjectSelect"
+            @project-action="handleProjectAction"
+            @job-cancel="handleJobCancel"
           />
         </div>
       </main>
@@ -6,10 +6,11 @@
 export const ProjectCardsComponent = {
   props: {
     projects: { type: Array, default: () => [] },
-    loading: { type: Boolean, default: false }
+    loading: { type: Boolean, default: false },
+    pendingJobs: { type: Object, default: () => ({}) } // Queued or running job per project id
   },
   
-  emits: ['project-select'],
+  emits: ['project-select', 'project-action', 'job-cancel'],
   
   template: `
     <div class="projects-container">
@@ -79,6 +80,14 @@ export const ProjectCardsComponent = {
               <div class="stat-label text-xs text-secondary">Clusters</div>
             </div>
           </div>
+
+          <!-- Estimated API spend -->
+          <div class="project-spend flex items-center justify-between text-xs mb-3" :title="'All time: ' + formatCost(project.api_cost_total)">
+            <span class="text-secondary">💰 API spend this month</span>
+            <span :class="isOverBudget(project) ? 'text-red-500 font-semibold' : 'text-primary'">
+              {{ formatCost(project.api_cost_month) }}<template v-if="project.monthly_budget"> / {{ formatCost(project.monthly_budget) }}</template>
+            </span>
+          </div>
           
           <!-- Project Meta -->
           <div class="project-meta">
@@ -119,6 +128,34 @@ export const ProjectCardsComponent = {
                 📝 Titles
               </a>
             </div>
+
+            <!-- Background jobs -->
+            <div class="flex items-center justify-between gap-1 mt-2" @click.stop>
+              <template v-if="pendingJobs[project.id]">
+                <span class="flex-1 px-2 py-1 bg-yellow-100 text-yellow-800 text-xs rounded text-center">
+                  ⏳ {{ pendingJobs[project.id].type }} {{ pendingJobs[project.id].cancel_requested ? 'cancelling' : pendingJobs[project.id].status }}
+                  <span v-if="pendingJobs[project.id].attempts > 1">(attempt {{ pendingJobs[project.id].attempts }}/{{ pendingJobs[project.id].max_attempts }})</span>
+                </span>
+                <button
+                  v-if="!pendingJobs[project.id].cancel_requested"
+                  @click.stop="$emit('job-cancel', pendingJobs[project.id])"
+                  class="px-2 py-1 bg-tertiary text-primary text-xs rounded hover:bg-opacity-80 transition-colors"
+                  title="Cancel job"
+                >
+                  ✕
+                </button>
+              </template>
+              <template v-else>
+                <button
+                  v-for="action in jobActions"
+                  :key="action.type"
+                  @click.stop="$emit('project-action', { project, action: action.type })"
+                  class="flex-1 px-2 py-1 bg-tertiary text-primary text-xs rounded hover:bg-opacity-80 transition-colors"
+                >
+                  {{ action.label }}
+                </button>
+              </template>
+            </div>
           </div>
           
           <!-- Hover Effect -->
@@ -128,6 +165,16 @@ export const ProjectCardsComponent = {
     </div>
   `,
   
+  data() {
+    return {
+      jobActions: [
+        { type: 'rescrape', label: '🔄 Rescrape' },
+        { type: 'recluster', label: '🧩 Recluster' },
+        { type: 'generate-titles', label: '✍️ Titles' }
+      ]
+    };
+  },
+
   methods: {
     getProjectTypeClass(type) {
       const baseClasses = 'px-2 py-1 rounded text-xs font-medium';
@@ -140,6 +187,8 @@ export const ProjectCardsComponent = {
           return baseClasses + ' bg-orange-100 text-orange-800';
         case 'url':
           return baseClasses + ' bg-green-100 text-green-800';
+        case 'seed':
+          return baseClasses + ' bg-yellow-100 text-yellow-800';
         default:
           return baseClasses + ' bg-gray-100 text-gray-800';
       }
@@ -151,6 +200,7 @@ export const ProjectCardsComponent = {
         case 'subdomain': return 'Subdomain';
         case 'subfolder': return 'Subfolder';
         case 'url': return 'URL';
+        case 'seed': return 'Seed keywords';
         default: return type;
       }
     },
@@ -188,6 +238,17 @@ export const ProjectCardsComponent = {
       return num?.toLocaleString() || '0';
     },
     
+    // Estimated USD spend, with more decimals for small amounts
+    formatCost(amount) {
+      const value = amount || 0;
+      return '$' + value.toFixed(value > 0 && value < 1 ? 4 : 2);
+    },
+
+    // 90% or more of the monthly budget spent
+    isOverBudget(project) {
+      return Boolean(project.monthly_budget) && project.api_cost_month >= project.monthly_budget * 0.9;
+    },
+    
     formatDate(dateString) {
       if (!dateString) return 'Never';
       
@@ -0,0 +1,67 @@
+/**
+ * Running Jobs Presentational Component
+ * Pure UI component for live progress bars of processing runs
+ */
+
+export const RunningJobsComponent = {
+  props: {
+    jobs: { type: Array, default: () => [] }
+  },
+
+  emits: ['project-select'],
+
+  methods: {
+    formatStage(stage) {
+      return (stage || 'starting').replace(/_/g, ' ');
+    },
+
+    formatEta(ms) {
+      if (ms === null || ms === undefined) return '';
+      const seconds = Math.ceil(ms / 1000);
+      if (seconds < 60) return `~${seconds}s left`;
+      return `~${Math.ceil(seconds / 60)} min left`;
+    },
+
+    barClass(job) {
+      if (job.status === 'failed') return 'bg-red-500';
+      if (job.status === 'completed') return 'bg-accent-green';
+      if (job.status === 'cancelled') return 'bg-gray-400';
+      return 'bg-blue-500';
+    }
+  },
+
+  template: `
+    <div v-if="jobs.length" class="running-jobs space-y-3 mb-6">
+      <h2 class="text-xl font-semibold text-primary">Running Jobs</h2>
+      <div
+        v-for="job in jobs"
+        :key="job.run_id"
+        class="bg-primary border border-tertiary rounded-lg p-4"
+      >
+        <div class="flex items-center justify-between text-sm mb-2">
+          <button @click="$emit('project-select', { id: job.project_id })" class="font-semibold text-primary hover:text-accent-green">
+            {{ job.project_name }} · #{{ job.run_id }} {{ job.run_type }}
+          </button>
+          <span class="text-secondary">
+            {{ formatStage(job.stage) }}
+            <span v-if="job.total_stages">({{ job.completed_stages }}/{{ job.total_stages }})</span>
+            · {{ job.progress_percent }}%
+            <span v-if="job.eta_ms !== null"> · {{ formatEta(job.eta_ms) }}</span>
+          </span>
+        </div>
+        <div class="h-2 bg-tertiary rounded overflow-hidden">
+          <div :class="barClass(job)" class="h-full transition-all duration-500" :style="{ width: job.progress_percent + '%' }"></div>
+        </div>
+        <div v-if="job.batch" class="text-xs text-secondary mt-2">
+          Batch {{ job.batch.current_batch }}/{{ job.batch.total_batches }} ·
+          {{ job.batch.processed_keywords.toLocaleString() }}/{{ job.batch.total_keywords.toLocaleString() }} keywords
+          ({{ job.batch.mode }} mode, {{ formatStage(job.batch.stage) }})
+        </div>
+        <div v-if="job.error_message" class="text-xs text-red-500 mt-2">{{ job.error_message }}</div>
+        <div v-else-if="job.lastLog" class="text-xs text-secondary mt-2 truncate" :title="job.lastLog.message">
+          {{ job.lastLog.message }}
+        </div>
+      </div>
+    </div>
+  `
+};
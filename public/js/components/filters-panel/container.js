@@ -20,6 +20,7 @@ const FiltersContainer = {
         volumeMin: 0,
         volumeMax: null,
         competition: '',
+        intent: '',
         hasFaq: null
       }; 
     }
@@ -38,6 +39,7 @@ const FiltersContainer = {
         volumeMin: 0,
         volumeMax: null,
         competition: '',
+        intent: '',
         hasFaq: null
       };
       this.store.updateFilters(defaultFilters);
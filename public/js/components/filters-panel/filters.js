@@ -124,6 +124,24 @@ export const FiltersComponent = {
         </select>
       </div>
       
+      <!-- Search Intent -->
+      <div class="filter-group mb-6">
+        <label class="block text-sm font-medium text-primary mb-2">
+          Search Intent
+        </label>
+        <select 
+          :value="filters.intent"
+          @change="updateFilter('intent', $event.target.value)"
+          class="w-full px-3 py-2 border border-tertiary rounded bg-primary text-primary focus:border-accent-green focus:outline-none"
+        >
+          <option value="">All Intents</option>
+          <option value="informational">Informational</option>
+          <option value="commercial">Commercial</option>
+          <option value="transactional">Transactional</option>
+          <option value="navigational">Navigational</option>
+        </select>
+      </div>
+      
       <!-- FAQ Filter -->
       <div class="filter-group mb-6">
         <label class="flex items-center space-x-2 cursor-pointer">
@@ -160,6 +178,10 @@ export const FiltersComponent = {
             <span class="text-secondary">Competition:</span>
             <span class="text-primary">{{ filters.competition }}</span>
           </div>
+          <div v-if="filters.intent" class="flex items-center justify-between">
+            <span class="text-secondary">Intent:</span>
+            <span class="text-primary capitalize">{{ filters.intent }}</span>
+          </div>
           <div v-if="filters.hasFaq" class="flex items-center justify-between">
             <span class="text-secondary">FAQ:</span>
             <span class="text-primary">Required</span>
@@ -178,6 +200,7 @@ export const FiltersComponent = {
         this.filters.volumeMin > 0 ||
         this.filters.volumeMax ||
         this.filters.competition ||
+        this.filters.intent ||
         this.filters.hasFaq
       );
     }
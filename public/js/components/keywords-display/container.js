@@ -4,9 +4,21 @@
  */
 
 import { AppStore } from '../../store.js';
+import { APIClient } from '../../api/client.js';
 import { KeywordsTableComponent } from './keywords-table.js';
 
+// Rows at the top of the table that get a position sparkline
+const HISTORY_ROW_LIMIT = 100;
+
 const KeywordsDisplayContainer = {
+  data() {
+    return {
+      projectId: new URLSearchParams(window.location.search).get('id'),
+      histories: {},
+      historyRunCount: 0
+    };
+  },
+
   computed: {
     store() { 
       return AppStore; 
@@ -40,7 +52,35 @@ const KeywordsDisplayContainer = {
     }
   },
   
+  watch: {
+    processedKeywords() {
+      this.loadHistories();
+    }
+  },
+
   methods: {
+    // Load the position history of the rows at the top of the table that do not have it yet
+    async loadHistories() {
+      if (!this.projectId) return;
+      const missing = this.processedKeywords
+        .slice(0, HISTORY_ROW_LIMIT)
+        .map(k => k.keyword)
+        .filter(keyword => !(String(keyword).toLowerCase().replace(/\s+/g, ' ').trim() in this.histories));
+      if (missing.length === 0) return;
+
+      try {
+        const data = await APIClient.loadKeywordHistory(this.projectId, missing);
+        this.historyRunCount = data.runs.length;
+        const histories = { ...this.histories };
+        data.keywords.forEach(history => {
+          histories[history.keyword] = history;
+        });
+        this.histories = histories;
+      } catch (error) {
+        console.warn('Keyword history unavailable:', error.message);
+      }
+    },
+
     handleSort(field) {
       const currentSort = this.store.data.sort;
       const order = currentSort.field === field && currentSort.order === 'desc' ? 'asc' : 'desc';
@@ -132,6 +172,8 @@ const KeywordsDisplayContainer = {
         <KeywordsTable 
           :keywords="processedKeywords" 
           :loading="loading"
+          :histories="histories"
+          :show-trend="historyRunCount > 1"
           @sort="handleSort"
           @keyword-click="handleKeywordClick"
         />
@@ -6,7 +6,10 @@
 export const KeywordsTableComponent = {
   props: {
     keywords: { type: Array, default: () => [] },
-    loading: { type: Boolean, default: false }
+    loading: { type: Boolean, default: false },
+    // Position history by normalized keyword text; the Trend column shows once a project has two runs
+    histories: { type: Object, default: () => ({}) },
+    showTrend: { type: Boolean, default: false }
   },
   
   emits: ['sort', 'keyword-click'],
@@ -69,6 +72,8 @@ export const KeywordsTableComponent = {
                   </svg>
                 </div>
               </th>
+              <th v-if="showTrend" class="text-left">Trend</th>
+              <th class="text-left">Intent</th>
               <th class="text-left">Cluster</th>
               <th class="text-center">FAQ</th>
             </tr>
@@ -82,6 +87,7 @@ export const KeywordsTableComponent = {
             >
               <td class="keyword-text">
                 <span class="font-medium text-primary">{{ keyword.keyword }}</span>
+                <span v-if="keyword.is_seasonal" class="seasonal-badge" :title="seasonalTitle(keyword)">Seasonal</span>
               </td>
               <td class="volume-cell">
                 <div class="volume-container">
@@ -105,6 +111,30 @@ export const KeywordsTableComponent = {
               <td class="cpc-cell">
                 <span class="font-mono text-sm">\${{ formatCpc(keyword.cpc) }}</span>
               </td>
+              <td v-if="showTrend" class="trend-cell">
+                <div v-if="historyFor(keyword)" class="trend-container" :title="trendTitle(historyFor(keyword))">
+                  <svg :width="sparkline.width" :height="sparkline.height" class="sparkline">
+                    <polyline
+                      v-for="(segment, index) in sparklineSegments(historyFor(keyword))"
+                      :key="index"
+                      :points="segment"
+                      fill="none"
+                      stroke="currentColor"
+                      stroke-width="1.5"
+                    />
+                  </svg>
+                  <span v-if="historyFor(keyword).summary.position_change" :class="trendClass(historyFor(keyword))">
+                    {{ formatPositionChange(historyFor(keyword).summary.position_change) }}
+                  </span>
+                </div>
+                <span v-else class="text-muted">-</span>
+              </td>
+              <td class="intent-cell">
+                <span v-if="keyword.intent" :class="getIntentClass(keyword.intent)" :title="intentTitle(keyword)">
+                  {{ keyword.intent }}
+                </span>
+                <span v-else class="text-muted">-</span>
+              </td>
               <td class="cluster-cell">
                 <span v-if="keyword.cluster_name" class="cluster-name">
                   {{ keyword.cluster_name }}
@@ -128,7 +158,72 @@ export const KeywordsTableComponent = {
     </div>
   `,
   
+  data() {
+    return {
+      sparkline: { width: 80, height: 24, padding: 2 }
+    };
+  },
+
   methods: {
+    // Histories are keyed by the keyword text as the server normalizes it
+    historyFor(keyword) {
+      const key = String(keyword.keyword || '').toLowerCase().replace(/\s+/g, ' ').trim();
+      const history = this.histories[key];
+      return history && history.summary.runs_ranked > 0 ? history : null;
+    },
+
+    // Polyline point lists; runs the keyword did not rank in break the line
+    sparklineSegments(history) {
+      const { width, height, padding } = this.sparkline;
+      const positions = history.points.map(point => point.position).filter(Boolean);
+      const best = Math.min(...positions);
+      const worst = Math.max(...positions);
+      const step = history.points.length > 1 ? (width - padding * 2) / (history.points.length - 1) : 0;
+      // Position 1 is drawn at the top
+      const y = position => worst === best
+        ? height / 2
+        : padding + ((position - best) / (worst - best)) * (height - padding * 2);
+
+      const segments = [];
+      let current = [];
+      history.points.forEach((point, index) => {
+        if (!point.position) {
+          if (current.length) segments.push(current);
+          current = [];
+          return;
+        }
+        current.push(`${(padding + index * step).toFixed(1)},${y(point.position).toFixed(1)}`);
+      });
+      if (current.length) segments.push(current);
+
+      // A single point is drawn as a short flat line so it stays visible
+      return segments.map(segment => {
+        if (segment.length > 1) return segment.join(' ');
+        const [x, yPos] = segment[0].split(',').map(Number);
+        return `${x - 1.5},${yPos} ${x + 1.5},${yPos}`;
+      });
+    },
+
+    trendClass(history) {
+      return 'trend-change text-xs font-medium ' + (history.summary.position_change > 0 ? 'text-green-500' : 'text-red-500');
+    },
+
+    trendTitle(history) {
+      const { summary, points } = history;
+      const lines = points.map(point => `${point.scrape_date}: ${point.position ? `#${point.position}` : 'not ranking'}` +
+        (point.search_volume != null ? `, volume ${point.search_volume.toLocaleString()}` : ''));
+      return [`Best position #${summary.best_position} over ${points.length} runs`, ...lines].join('\n');
+    },
+
+    seasonalTitle(keyword) {
+      const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+      return 'Peaks in ' + (keyword.peak_months || []).map(month => months[month - 1]).join(', ');
+    },
+
+    formatPositionChange(change) {
+      return change > 0 ? `▲${change}` : `▼${Math.abs(change)}`;
+    },
+
     getVolumeBarStyle(volume) {
       if (!this.keywords.length) return { width: '0%' };
       const maxVolume = Math.max(...this.keywords.map(k => k.search_volume));
@@ -157,6 +252,23 @@ export const KeywordsTableComponent = {
       return baseClasses + ' competition-high';
     },
     
+    getIntentClass(intent) {
+      const baseClasses = 'px-2 py-1 rounded text-xs capitalize';
+      const colors = {
+        informational: 'bg-blue-100 text-blue-700',
+        commercial: 'bg-yellow-100 text-yellow-700',
+        transactional: 'bg-green-100 text-green-700',
+        navigational: 'bg-purple-100 text-purple-700'
+      };
+      return baseClasses + ' ' + (colors[intent] || '');
+    },
+    
+    intentTitle(keyword) {
+      return keyword.intent_confidence != null
+        ? `Confidence ${(keyword.intent_confidence * 100).toFixed(0)}%`
+        : '';
+    },
+    
     formatCpc(value) {
       if (value == null || value === '' || isNaN(value)) {
         return '0.00';
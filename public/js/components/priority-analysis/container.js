@@ -0,0 +1,53 @@
+/**
+ * Priority Analysis Container Component
+ * Loads the priority analysis of the project's latest run for the project page
+ */
+
+import { APIClient } from '../../api/client.js';
+import { PriorityReportComponent } from './priority-report.js';
+
+const PriorityAnalysisContainer = {
+  data() {
+    return {
+      projectId: new URLSearchParams(window.location.search).get('id'),
+      analysis: null,
+      expanded: false,
+      error: null
+    };
+  },
+
+  async mounted() {
+    if (!this.projectId) return;
+
+    try {
+      this.analysis = await APIClient.loadPriorityAnalysis(this.projectId);
+    } catch (error) {
+      this.error = error.message;
+    }
+  },
+
+  components: {
+    PriorityReport: PriorityReportComponent
+  },
+
+  template: `
+    <div v-if="analysis || error" class="bg-secondary border-b border-tertiary px-6 py-3">
+      <div v-if="error" class="text-sm text-secondary">Priority analysis unavailable: {{ error }}</div>
+      <PriorityReport v-else :analysis="analysis" :expanded="expanded" @toggle="expanded = !expanded" />
+    </div>
+  `
+};
+
+// Mount the component
+const { createApp } = Vue;
+
+document.addEventListener('DOMContentLoaded', () => {
+  const container = document.getElementById('priority-analysis');
+  if (container) {
+    createApp(PriorityAnalysisContainer).mount(container);
+    console.log('Priority Analysis Container mounted');
+  }
+});
+
+// Export for module usage
+export default PriorityAnalysisContainer;
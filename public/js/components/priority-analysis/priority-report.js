@@ -0,0 +1,65 @@
+/**
+ * Priority Report Presentational Component
+ * Pure UI component for a run's quick wins, long-term targets and striking-distance keywords
+ */
+
+export const PriorityReportComponent = {
+  props: {
+    analysis: { type: Object, default: null },
+    expanded: { type: Boolean, default: false }
+  },
+
+  emits: ['toggle'],
+
+  computed: {
+    buckets() {
+      if (!this.analysis) return [];
+      const range = this.analysis.scoring?.striking_distance || { min: 4, max: 20 };
+      return [
+        { key: 'quick_wins', title: '⚡ Quick Wins', hint: 'Low competition, enough volume or already close' },
+        { key: 'striking_distance', title: '🎯 Striking Distance', hint: `Ranking ${range.min}–${range.max}` },
+        { key: 'long_term_targets', title: '🏔️ Long-term Targets', hint: 'High volume, harder competition' },
+        { key: 'top_opportunities', title: '⭐ Top Opportunities', hint: 'Highest volume × ease' }
+      ].map(bucket => ({ ...bucket, ...this.analysis[bucket.key] }));
+    }
+  },
+
+  template: `
+    <div v-if="analysis" class="space-y-3">
+      <div class="flex flex-wrap items-center gap-4 text-sm">
+        <span class="font-semibold text-primary">Priority · run #{{ analysis.run_id }}</span>
+        <span class="text-secondary">
+          <span class="text-green-500">{{ analysis.counts.high }}</span> high /
+          <span class="text-yellow-500">{{ analysis.counts.medium }}</span> medium /
+          <span>{{ analysis.counts.low }}</span> low
+        </span>
+        <span v-for="bucket in buckets" :key="'count-' + bucket.key" class="text-secondary">
+          {{ bucket.title }} <span class="text-primary font-semibold">{{ bucket.total }}</span>
+        </span>
+        <span v-if="analysis.scoring?.profile" class="text-secondary">Profile: {{ analysis.scoring.profile }}</span>
+        <button @click="$emit('toggle')" class="ml-auto text-accent-green hover:underline">
+          {{ expanded ? 'Hide' : 'Show keywords' }}
+        </button>
+      </div>
+
+      <div v-if="expanded" class="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
+        <section v-for="bucket in buckets" :key="bucket.key" class="bg-primary border border-tertiary rounded-lg p-3">
+          <h3 class="font-semibold text-primary">{{ bucket.title }} ({{ bucket.total }})</h3>
+          <div class="text-xs text-secondary mb-2">{{ bucket.hint }}</div>
+          <div v-if="!bucket.keywords.length" class="text-sm text-secondary">None</div>
+          <div class="max-h-48 overflow-y-auto">
+            <div v-for="k in bucket.keywords" :key="bucket.key + '-' + k.keyword_id" class="flex justify-between gap-2 text-sm py-1 border-b border-tertiary">
+              <span class="text-primary truncate" :title="k.cluster_name || ''">{{ k.keyword }}</span>
+              <span class="text-secondary whitespace-nowrap">
+                #{{ k.position || '-' }} · {{ k.search_volume.toLocaleString() }} · {{ (k.competition * 100).toFixed(0) }}%
+              </span>
+            </div>
+          </div>
+          <div v-if="bucket.total > bucket.keywords.length" class="text-xs text-secondary mt-1">
+            Showing {{ bucket.keywords.length }} of {{ bucket.total }}
+          </div>
+        </section>
+      </div>
+    </div>
+  `
+};
@@ -0,0 +1,125 @@
+/**
+ * Run Diff Container Component
+ * Loads project runs, handles run selection and fetches the diff report
+ */
+
+import { APIClient } from '../../api/client.js';
+import { DiffReportComponent } from './diff-report.js';
+
+const RunDiffContainer = {
+  data() {
+    return {
+      projectId: new URLSearchParams(window.location.search).get('id'),
+      project: null,
+      runs: [],
+      fromRun: '',
+      toRun: '',
+      report: null,
+      loading: false,
+      error: null
+    };
+  },
+
+  methods: {
+    async loadRuns() {
+      const data = await APIClient.loadRuns(this.projectId);
+      this.project = data.project;
+      this.runs = data.runs;
+      document.getElementById('project-name-breadcrumb').textContent = data.project.name;
+      document.title = `Run Changes - ${data.project.name}`;
+    },
+
+    async loadDiff() {
+      this.loading = true;
+      this.error = null;
+      try {
+        this.report = await APIClient.loadRunDiff(this.projectId, { from: this.fromRun, to: this.toRun });
+        this.fromRun = this.report.from.id;
+        this.toRun = this.report.to.id;
+      } catch (error) {
+        this.report = null;
+        this.error = error.message;
+      } finally {
+        this.loading = false;
+      }
+    },
+
+    runLabel(run) {
+      return `#${run.id} ${run.run_type} · ${run.scrape_date} (${run.keyword_count} keywords)`;
+    }
+  },
+
+  async mounted() {
+    if (!this.projectId) {
+      this.error = 'No project ID specified';
+      return;
+    }
+
+    try {
+      await this.loadRuns();
+      if (this.runs.length < 2) {
+        this.error = 'This project needs at least two completed runs. Rescrape it to see what changed.';
+        return;
+      }
+      await this.loadDiff();
+    } catch (error) {
+      this.error = error.message;
+    }
+  },
+
+  components: {
+    DiffReport: DiffReportComponent
+  },
+
+  template: `
+    <div class="max-w-7xl mx-auto p-6 space-y-6">
+      <div class="flex flex-col md:flex-row md:items-end gap-4">
+        <div class="flex-1">
+          <h1 class="text-2xl font-bold text-primary">📈 Run Changes</h1>
+          <p class="text-secondary text-sm">New and lost keywords, position and volume changes, and cluster shifts between two runs</p>
+        </div>
+        <label class="text-sm text-secondary">
+          Compare
+          <select v-model="fromRun" class="block mt-1 px-3 py-2 border border-tertiary rounded bg-primary text-primary">
+            <option v-for="run in runs" :key="'from-' + run.id" :value="run.id">{{ runLabel(run) }}</option>
+          </select>
+        </label>
+        <label class="text-sm text-secondary">
+          with
+          <select v-model="toRun" class="block mt-1 px-3 py-2 border border-tertiary rounded bg-primary text-primary">
+            <option v-for="run in runs" :key="'to-' + run.id" :value="run.id">{{ runLabel(run) }}</option>
+          </select>
+        </label>
+        <button
+          @click="loadDiff"
+          :disabled="loading || !runs.length"
+          class="px-4 py-2 bg-accent-green text-white rounded hover:bg-accent-green-hover transition-colors disabled:opacity-50"
+        >
+          {{ loading ? 'Comparing...' : 'Compare' }}
+        </button>
+      </div>
+
+      <div v-if="error" class="bg-red-100 border border-red-300 text-red-700 px-4 py-3 rounded">{{ error }}</div>
+
+      <div v-if="loading" class="text-center py-12">
+        <div class="animate-spin rounded-full h-8 w-8 border-b-2 border-accent-green mx-auto"></div>
+      </div>
+
+      <DiffReport v-else :report="report" />
+    </div>
+  `
+};
+
+// Mount the component
+const { createApp } = Vue;
+
+document.addEventListener('DOMContentLoaded', () => {
+  const container = document.getElementById('run-diff');
+  if (container) {
+    createApp(RunDiffContainer).mount(container);
+    console.log('Run Diff Container mounted');
+  }
+});
+
+// Export for module usage
+export default RunDiffContainer;
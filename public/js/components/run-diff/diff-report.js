@@ -0,0 +1,134 @@
+/**
+ * Run Diff Report Presentational Component
+ * Pure UI component for showing what changed between two processing runs
+ */
+
+export const DiffReportComponent = {
+  props: {
+    report: { type: Object, default: null }
+  },
+
+  methods: {
+    signed(value) {
+      return value > 0 ? `+${value.toLocaleString()}` : value.toLocaleString();
+    },
+
+    changeClass(value) {
+      if (value > 0) return 'text-green-500';
+      if (value < 0) return 'text-red-500';
+      return 'text-secondary';
+    }
+  },
+
+  template: `
+    <div v-if="report" class="space-y-6">
+      <!-- Summary cards -->
+      <div class="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div class="bg-secondary border border-tertiary rounded-lg p-4">
+          <div class="text-sm text-secondary">Keywords</div>
+          <div class="text-2xl font-bold text-primary">{{ report.summary.to_keywords.toLocaleString() }}</div>
+          <div :class="changeClass(report.summary.to_keywords - report.summary.from_keywords)" class="text-sm">
+            {{ signed(report.summary.to_keywords - report.summary.from_keywords) }}
+          </div>
+        </div>
+        <div class="bg-secondary border border-tertiary rounded-lg p-4">
+          <div class="text-sm text-secondary">Search Volume</div>
+          <div class="text-2xl font-bold text-primary">{{ report.summary.to_search_volume.toLocaleString() }}</div>
+          <div :class="changeClass(report.summary.to_search_volume - report.summary.from_search_volume)" class="text-sm">
+            {{ signed(report.summary.to_search_volume - report.summary.from_search_volume) }}
+          </div>
+        </div>
+        <div class="bg-secondary border border-tertiary rounded-lg p-4">
+          <div class="text-sm text-secondary">New / Lost</div>
+          <div class="text-2xl font-bold">
+            <span class="text-green-500">{{ report.summary.new_keywords }}</span>
+            <span class="text-secondary"> / </span>
+            <span class="text-red-500">{{ report.summary.lost_keywords }}</span>
+          </div>
+        </div>
+        <div class="bg-secondary border border-tertiary rounded-lg p-4">
+          <div class="text-sm text-secondary">Position Gains / Drops</div>
+          <div class="text-2xl font-bold">
+            <span class="text-green-500">{{ report.summary.position_gains }}</span>
+            <span class="text-secondary"> / </span>
+            <span class="text-red-500">{{ report.summary.position_drops }}</span>
+          </div>
+        </div>
+      </div>
+
+      <!-- Keyword changes -->
+      <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <section class="bg-secondary border border-tertiary rounded-lg p-4">
+          <h3 class="font-semibold text-primary mb-3">🆕 New Keywords</h3>
+          <div v-if="!report.keywords.new.length" class="text-sm text-secondary">None</div>
+          <div v-for="k in report.keywords.new" :key="'new-' + k.keyword" class="flex justify-between text-sm py-1 border-b border-tertiary">
+            <span class="text-primary">{{ k.keyword }}</span>
+            <span class="text-secondary">#{{ k.position || '-' }} · {{ (k.search_volume || 0).toLocaleString() }}</span>
+          </div>
+        </section>
+
+        <section class="bg-secondary border border-tertiary rounded-lg p-4">
+          <h3 class="font-semibold text-primary mb-3">🗑️ Lost Keywords</h3>
+          <div v-if="!report.keywords.lost.length" class="text-sm text-secondary">None</div>
+          <div v-for="k in report.keywords.lost" :key="'lost-' + k.keyword" class="flex justify-between text-sm py-1 border-b border-tertiary">
+            <span class="text-primary">{{ k.keyword }}</span>
+            <span class="text-secondary">was #{{ k.position || '-' }} · {{ (k.search_volume || 0).toLocaleString() }}</span>
+          </div>
+        </section>
+
+        <section class="bg-secondary border border-tertiary rounded-lg p-4">
+          <h3 class="font-semibold text-primary mb-3">⬆️ Position Gains</h3>
+          <div v-if="!report.keywords.gains.length" class="text-sm text-secondary">None</div>
+          <div v-for="k in report.keywords.gains" :key="'gain-' + k.keyword" class="flex justify-between text-sm py-1 border-b border-tertiary">
+            <span class="text-primary">{{ k.keyword }}</span>
+            <span class="text-green-500">{{ k.from_position }} → {{ k.to_position }} ({{ signed(k.change) }})</span>
+          </div>
+        </section>
+
+        <section class="bg-secondary border border-tertiary rounded-lg p-4">
+          <h3 class="font-semibold text-primary mb-3">⬇️ Position Drops</h3>
+          <div v-if="!report.keywords.drops.length" class="text-sm text-secondary">None</div>
+          <div v-for="k in report.keywords.drops" :key="'drop-' + k.keyword" class="flex justify-between text-sm py-1 border-b border-tertiary">
+            <span class="text-primary">{{ k.keyword }}</span>
+            <span class="text-red-500">{{ k.from_position }} → {{ k.to_position }} ({{ signed(k.change) }})</span>
+          </div>
+        </section>
+
+        <section class="bg-secondary border border-tertiary rounded-lg p-4 lg:col-span-2">
+          <h3 class="font-semibold text-primary mb-3">📊 Search Volume Changes</h3>
+          <div v-if="!report.keywords.volume_changes.length" class="text-sm text-secondary">None</div>
+          <div v-for="k in report.keywords.volume_changes" :key="'vol-' + k.keyword" class="flex justify-between text-sm py-1 border-b border-tertiary">
+            <span class="text-primary">{{ k.keyword }}</span>
+            <span :class="changeClass(k.change)">{{ k.from_volume.toLocaleString() }} → {{ k.to_volume.toLocaleString() }} ({{ signed(k.change_percent) }}%)</span>
+          </div>
+        </section>
+      </div>
+
+      <!-- Cluster changes -->
+      <section class="bg-secondary border border-tertiary rounded-lg p-4">
+        <h3 class="font-semibold text-primary mb-3">🧩 Cluster Changes</h3>
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+          <div>
+            <div class="text-secondary mb-2">Appeared ({{ report.clusters.appeared.length }})</div>
+            <div v-for="c in report.clusters.appeared" :key="'ca-' + c.name" class="text-green-500 py-0.5">
+              {{ c.name }} ({{ c.keyword_count }})
+            </div>
+          </div>
+          <div>
+            <div class="text-secondary mb-2">Disappeared ({{ report.clusters.disappeared.length }})</div>
+            <div v-for="c in report.clusters.disappeared" :key="'cd-' + c.name" class="text-red-500 py-0.5">
+              {{ c.name }} ({{ c.keyword_count }})
+            </div>
+          </div>
+          <div>
+            <div class="text-secondary mb-2">Changed size ({{ report.clusters.resized.length }})</div>
+            <div v-for="c in report.clusters.resized" :key="'cr-' + c.name" class="py-0.5">
+              <span class="text-primary">{{ c.name }}</span>
+              <span :class="changeClass(c.change_percent)"> {{ c.from_count }} → {{ c.to_count }} ({{ signed(c.change_percent) }}%)</span>
+            </div>
+          </div>
+        </div>
+      </section>
+    </div>
+  `
+};
@@ -78,6 +78,7 @@ window.AppStore = (function() {
             volumeMin: 0,
             volumeMax: null,
             competition: '',
+            intent: '',
             hasFaq: null
         },
         
@@ -341,6 +342,11 @@ window.AppStore = (function() {
                 );
             }
             
+            // Apply search intent filter
+            if (filters.intent) {
+                filtered = filtered.filter(k => k.intent === filters.intent);
+            }
+            
             // Apply FAQ filter
             if (filters.hasFaq !== null) {
                 filtered = filtered.filter(k => 
@@ -2,7 +2,7 @@
 
 /**
  * Migration script to update run_type constraint in processing_runs table
- * Adds 'faq_generation' to allowed run types
+ * Adds 'faq_generation' and 'import' to allowed run types
  */
 
 const Database = require('better-sqlite3');
@@ -11,6 +11,7 @@ const fs = require('fs');
 
 const DB_PATH = path.join(__dirname, '..', 'data', 'keywords-cluster.db');
 const BACKUP_PATH = path.join(__dirname, '..', 'data', 'keywords-cluster.db.backup-run-types');
+const RUN_TYPES = ['create', 'rescrape', 'writemore', 'analyze', 'faq_generation', 'import'];
 
 console.log('🔄 Starting database migration for run_type constraint...');
 
@@ -33,7 +34,7 @@ try {
   console.log('📋 Current schema:', currentSchema.sql);
 
   // Check if migration is needed
-  if (currentSchema.sql.includes("'faq_generation'")) {
+  if (RUN_TYPES.every(runType => currentSchema.sql.includes(`'${runType}'`))) {
     console.log('✅ Database already has the correct constraint. No migration needed.');
     db.close();
     process.exit(0);
@@ -49,7 +50,7 @@ try {
     CREATE TABLE processing_runs_new (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       project_id INTEGER NOT NULL,
-      run_type TEXT NOT NULL CHECK(run_type IN ('create', 'rescrape', 'writemore', 'analyze', 'faq_generation')),
+      run_type TEXT NOT NULL CHECK(run_type IN (${RUN_TYPES.map(runType => `'${runType}'`).join(', ')})),
       scrape_date DATE NOT NULL,
       status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
       current_stage TEXT,
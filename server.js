@@ -7,6 +7,77 @@ const path = require('path');
 const Database = require('better-sqlite3');
 const DB_PATH = path.join(__dirname, 'data', 'keywords-cluster.db');
 const db = new Database(DB_PATH);
+const DatabaseSchema = require('./src/database/schema');
+const { RunDiffService } = require('./src/services/run-diff-service');
+const { KeywordHistoryService } = require('./src/services/keyword-history-service');
+const { SeasonalityService } = require('./src/services/seasonality-service');
+const { ContentCalendarService } = require('./src/services/content-calendar-service');
+const { TitleReviewService } = require('./src/services/title-review-service');
+const { TitleContentService, TITLE_CONTENT_TYPES } = require('./src/services/title-content-service');
+const { INTENTS } = require('./src/services/intent-classification-service');
+const { BrandService } = require('./src/services/brand-service');
+const { ScoringProfileService } = require('./src/services/scoring-profile-service');
+const { PriorityScoringService } = require('./src/services/priority-scoring-service');
+const { PriorityAnalysisService } = require('./src/services/priority-analysis-service');
+const { RunProgressService } = require('./src/services/run-progress-service');
+const { ApiUsageService, ApiUsageTracker } = require('./src/services/api-usage-service');
+const { ResponseCache } = require('./src/services/response-cache');
+const { CompetitorService } = require('./src/services/competitor-service');
+const { withRequestContext } = require('./src/http');
+const ScoringProfileModel = require('./src/database/models/scoring-profile');
+const ProjectModel = require('./src/database/models/project');
+const BatchRunModel = require('./src/database/models/batch-run');
+const ContentCalendarModel = require('./src/database/models/content-calendar');
+const { JobQueue, JOB_QUEUE_DEFAULTS } = require('./src/services/job-queue');
+const { RescrapeScheduler, SCHEDULER_DEFAULTS } = require('./src/services/rescrape-scheduler');
+const { keepDatabaseOpen } = require('./src/database/connection');
+const { COMMANDS } = require('./cli/index-new');
+const { UsageError, toList } = require('./cli/utils/arguments');
+
+// Tables added since the database was created (e.g. scoring_profiles) are normally created by the CLI
+DatabaseSchema.createTables(db);
+DatabaseSchema.createIndexes(db);
+DatabaseSchema.insertDefaults(db);
+
+// Per-cluster keyword counts for each search intent
+const INTENT_COUNT_COLUMNS = INTENTS
+  .map(intent => `COUNT(CASE WHEN k.intent = '${intent}' THEN 1 END) as ${intent}_count`)
+  .join(',\n        ');
+
+// Fold the *_count columns into an intent_breakdown object
+function withIntentBreakdown(cluster) {
+  const intent_breakdown = {};
+  INTENTS.forEach(intent => {
+    intent_breakdown[intent] = cluster[`${intent}_count`] || 0;
+  });
+  return { ...cluster, intent_breakdown };
+}
+
+// Per-cluster totals for branded vs non-branded keywords
+const BRAND_SPLIT_COLUMNS = `
+        COUNT(CASE WHEN k.contains_brand = 1 THEN 1 END) as branded_count,
+        COUNT(CASE WHEN k.contains_brand = 0 THEN 1 END) as non_branded_count,
+        COALESCE(SUM(CASE WHEN k.contains_brand = 1 THEN k.search_volume END), 0) as branded_search_volume,
+        COALESCE(SUM(CASE WHEN k.contains_brand = 0 THEN k.search_volume END), 0) as non_branded_search_volume,
+        COALESCE(SUM(CASE WHEN k.contains_brand = 1 THEN k.traffic_percent END), 0) as branded_traffic_percent,
+        COALESCE(SUM(CASE WHEN k.contains_brand = 0 THEN k.traffic_percent END), 0) as non_branded_traffic_percent`;
+
+// Fold the branded_* / non_branded_* columns into a brand_split object with shares
+function withBrandSplit(cluster) {
+  const brand_split = BrandService.withShares({
+    branded: {
+      keywords: cluster.branded_count,
+      search_volume: cluster.branded_search_volume,
+      traffic_percent: cluster.branded_traffic_percent
+    },
+    non_branded: {
+      keywords: cluster.non_branded_count,
+      search_volume: cluster.non_branded_search_volume,
+      traffic_percent: cluster.non_branded_traffic_percent
+    }
+  });
+  return { ...withIntentBreakdown(cluster), brand_split };
+}
 
 // Add cache-busting headers for API routes
 app.use('/api', (req, res, next) => {
@@ -49,6 +120,24 @@ app.get('/api/dashboard', (req, res) => {
       LEFT JOIN keywords k ON k.project_id = p.id
     `).get();
 
+    // Estimated API spend per project (databases without migration 4 have none recorded)
+    const projectRows = db.prepare('SELECT id, name, configuration FROM projects').all();
+    let spend = [];
+    try {
+      spend = new ApiUsageService(db).projectSpend(projectRows);
+    } catch (err) {
+      console.warn('API usage unavailable (run node src/database/migrations.js):', err.message);
+    }
+    const spendByProject = new Map(spend.map(row => [row.project_id, row]));
+    const rowsById = new Map(projectRows.map(row => [row.id, row]));
+    projects.forEach(project => {
+      const row = spendByProject.get(project.id);
+      project.api_cost_total = row?.cost || 0;
+      project.api_cost_month = row?.month_cost || 0;
+      project.monthly_budget = ApiUsageService.budgetForProject(rowsById.get(project.id)).perMonth;
+    });
+    stats.api_cost_month = projects.reduce((sum, project) => sum + project.api_cost_month, 0);
+
     res.json({ projects, stats });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -165,13 +254,15 @@ function handleKeywordsRequest(req, res) {
           SUM(k.search_volume) as actual_total_volume,
           AVG(k.competition) as actual_avg_competition,
           AVG(k.cpc) as actual_avg_cpc,
-          AVG(k.priority_score) as avg_priority_score
+          AVG(k.priority_score) as avg_priority_score,
+          ${INTENT_COUNT_COLUMNS},
+          ${BRAND_SPLIT_COLUMNS}
         FROM keyword_clusters kc
         LEFT JOIN keywords k ON kc.id = k.cluster_id AND kc.project_id = k.project_id AND k.run_id = kc.run_id
         WHERE kc.project_id = ? AND kc.run_id = ?
         GROUP BY kc.id
         ORDER BY actual_total_volume DESC, actual_keyword_count DESC
-      `).all(projectId, targetRun.id);
+      `).all(projectId, targetRun.id).map(withBrandSplit);
 
       console.log('Clusters found:', clusters.length);
 
@@ -215,6 +306,24 @@ function handleKeywordsRequest(req, res) {
       }
     }
     
+    // Peak months of keywords and clusters from their SEMrush trends as of the run's scrape date
+    const seasonality = new SeasonalityService();
+    keywords = keywords.map(keyword => {
+      const analysis = seasonality.analyze(keyword.trends, targetRun.scrape_date);
+      return {
+        ...keyword,
+        is_seasonal: Boolean(analysis?.is_seasonal),
+        peak_months: analysis ? analysis.peak_months : []
+      };
+    });
+    const clusterSeasonality = new Map(seasonality.analyzeClusters(keywords, targetRun.scrape_date)
+      .map(cluster => [cluster.cluster_id, cluster]));
+    clusters = clusters.map(cluster => ({
+      ...cluster,
+      is_seasonal: Boolean(clusterSeasonality.get(cluster.id)?.is_seasonal),
+      peak_months: clusterSeasonality.get(cluster.id)?.peak_months || []
+    }));
+
     // Get total historical runs count
     const totalRuns = db.prepare(`
       SELECT COUNT(*) as count FROM processing_runs
@@ -231,7 +340,9 @@ function handleKeywordsRequest(req, res) {
         run_date: targetRun.scrape_date,
         run_type: targetRun.run_type,
         completed_at: targetRun.completed_at,
-        total_historical_runs: totalRuns.count
+        total_historical_runs: totalRuns.count,
+        brand_split: BrandService.summarize(keywords),
+        seasonal_keywords: keywords.filter(keyword => keyword.is_seasonal).length
       }
     });
   } catch (err) {
@@ -290,13 +401,15 @@ function handleClustersRequest(req, res) {
         AVG(k.competition) as avg_competition,
         AVG(k.cpc) as avg_cpc,
         AVG(k.priority_score) as avg_priority_score,
-        GROUP_CONCAT(k.keyword, ', ') as sample_keywords
+        GROUP_CONCAT(k.keyword, ', ') as sample_keywords,
+        ${INTENT_COUNT_COLUMNS},
+        ${BRAND_SPLIT_COLUMNS}
       FROM keyword_clusters kc
       LEFT JOIN keywords k ON kc.id = k.cluster_id AND kc.project_id = k.project_id AND k.run_id = kc.run_id
       WHERE kc.project_id = ? AND kc.run_id = ?
       GROUP BY kc.id
       ORDER BY total_search_volume DESC, keyword_count DESC
-    `).all(projectId, targetRun.id);
+    `).all(projectId, targetRun.id).map(withBrandSplit);
 
     // Get total historical runs count
     const totalRuns = db.prepare(`
@@ -417,6 +530,7 @@ function handleGeneratedContentRequest(req, res) {
     
     // Group by cluster for better organization
     const byCluster = {};
+    const extras = new TitleContentService(db).listGenerated(projectId);
     content.forEach(item => {
       const clusterName = item.cluster_name || 'Uncategorized';
       if (!byCluster[clusterName]) {
@@ -435,7 +549,14 @@ function handleGeneratedContentRequest(req, res) {
         quality_score: item.quality_score,
         is_approved: item.is_approved,
         is_used: item.is_used,
+        status: item.status || 'draft',
+        notes: item.usage_notes,
+        assigned_to: item.assigned_to,
+        published_url: item.published_url,
+        has_outline: (extras[item.id] || []).includes('outline'),
+        has_meta_description: (extras[item.id] || []).includes('meta_description'),
         created_at: item.created_at,
+        updated_at: item.updated_at,
         related_keyword: item.related_keyword,
         search_volume: item.search_volume,
         competition: item.competition
@@ -453,6 +574,7 @@ function handleGeneratedContentRequest(req, res) {
       by_cluster: byCluster,
       total_titles: content.length,
       clusters_with_content: Object.keys(byCluster).length,
+      status_counts: new TitleReviewService(db).countByStatus(projectId),
       meta: {
         run_id: targetRun.id,
         run_date: targetRun.scrape_date,
@@ -505,6 +627,743 @@ app.put('/api/generated-content/mark-used', express.json(), (req, res) => {
   }
 });
 
+// PUT /api/generated-content/:projectId/titles/status - Move titles through the review workflow
+// { titleIds, status, note, assignedTo, publishedUrl }
+app.put('/api/generated-content/:projectId/titles/status', express.json(), (req, res) => {
+  try {
+    const project = db.prepare('SELECT id FROM projects WHERE id = ?').get(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ error: `Project ${req.params.projectId} not found` });
+    }
+
+    const { titleIds, status, note, assignedTo, publishedUrl } = req.body || {};
+    if (!Array.isArray(titleIds) || titleIds.length === 0) {
+      return res.status(400).json({ error: 'titleIds array is required' });
+    }
+    let result;
+    try {
+      result = new TitleReviewService(db).setStatus(project.id, titleIds, status, { note, assignedTo, publishedUrl });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.json({ updated_count: result.updated.length, ...result });
+  } catch (err) {
+    console.error('Error in /api/generated-content/:projectId/titles/status:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/generated-content/:projectId/titles/:titleId - Edit a title { content, notes, assignedTo, publishedUrl }
+app.put('/api/generated-content/:projectId/titles/:titleId', express.json(), (req, res) => {
+  try {
+    const { content, notes, assignedTo, publishedUrl } = req.body || {};
+    let title;
+    try {
+      title = new TitleReviewService(db).updateTitle(req.params.projectId, req.params.titleId, { content, notes, assignedTo, publishedUrl });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (!title) {
+      return res.status(404).json({ error: `Title ${req.params.titleId} not found in project ${req.params.projectId}` });
+    }
+    res.json({ title });
+  } catch (err) {
+    console.error('Error in /api/generated-content/:projectId/titles/:titleId:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/generated-content/:projectId/titles/:titleId/history - Edits, status changes and notes of a title
+app.get('/api/generated-content/:projectId/titles/:titleId/history', (req, res) => {
+  try {
+    const result = new TitleReviewService(db).getHistory(req.params.projectId, req.params.titleId);
+    if (!result) {
+      return res.status(404).json({ error: `Title ${req.params.titleId} not found in project ${req.params.projectId}` });
+    }
+    res.json(result);
+  } catch (err) {
+    console.error('Error in /api/generated-content/:projectId/titles/:titleId/history:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/generated-content/:projectId/titles/:titleId/content - Stored outline and meta description of a title
+app.get('/api/generated-content/:projectId/titles/:titleId/content', (req, res) => {
+  try {
+    const service = new TitleContentService(db);
+    const context = service.loadTitleContext(req.params.projectId, req.params.titleId);
+    if (!context) {
+      return res.status(404).json({ error: `Title ${req.params.titleId} not found in project ${req.params.projectId}` });
+    }
+    res.json({ title: { id: context.title.id, content: context.title.content }, ...service.getForTitle(context.title.project_id, context.title.id) });
+  } catch (err) {
+    console.error('Error in /api/generated-content/:projectId/titles/:titleId/content:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/generated-content/:projectId/titles/:titleId/generate - Write an outline or meta description
+// { type, cache } (cache: false asks the LLM again instead of reusing a cached response)
+app.post('/api/generated-content/:projectId/titles/:titleId/generate', express.json(), async (req, res) => {
+  let usage = null;
+  try {
+    const { type, cache } = req.body || {};
+    if (!TITLE_CONTENT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${TITLE_CONTENT_TYPES.join(', ')}` });
+    }
+
+    const project = new ProjectModel(db).findById(req.params.projectId);
+    usage = new ApiUsageTracker(db, { project });
+    const responseCache = ResponseCache.forRun(db, { cache });
+    const content = await withRequestContext({ usage, cache: responseCache },
+      () => new TitleContentService(db).generate(req.params.projectId, req.params.titleId, type));
+    if (!content) {
+      return res.status(404).json({ error: `Title ${req.params.titleId} not found in project ${req.params.projectId}` });
+    }
+    res.json({ type, content });
+  } catch (err) {
+    console.error('Error in /api/generated-content/:projectId/titles/:titleId/generate:', err);
+    // 402 when the project's budget refused the request
+    res.status(usage?.exceeded ? 402 : 500).json({ error: usage?.exceeded?.message || err.message });
+  }
+});
+
+// GET /api/projects/:id/runs - Completed runs with keyword data (newest first)
+app.get('/api/projects/:id/runs', (req, res) => {
+  try {
+    const project = db.prepare('SELECT id, name FROM projects WHERE id = ?').get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: `Project ${req.params.id} not found` });
+    }
+
+    const runs = new RunDiffService(db).getComparableRuns(project.id);
+    res.json({ project, runs });
+  } catch (err) {
+    console.error('Error in /api/projects/:id/runs:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/projects/:id/usage?days= - Estimated API spend by provider, model and run, with budgets
+app.get('/api/projects/:id/usage', (req, res) => {
+  try {
+    const project = new ProjectModel(db).findById(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: `Project ${req.params.id} not found` });
+    }
+
+    const days = parseInt(req.query.days, 10);
+    const since = days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : undefined;
+    res.json(new ApiUsageService(db).projectReport(project, { since }));
+  } catch (err) {
+    console.error('Error in /api/projects/:id/usage:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/projects/:id/competitors?database= - Organic competitors saved by `kwt competitors`
+app.get('/api/projects/:id/competitors', (req, res) => {
+  try {
+    const project = new ProjectModel(db).findById(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: `Project ${req.params.id} not found` });
+    }
+
+    const competitors = new CompetitorService(db).list(project.id, { database: req.query.database });
+    res.json({ project: { id: project.id, name: project.name }, competitors });
+  } catch (err) {
+    console.error('Error in /api/projects/:id/competitors:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/projects/:id/diff?from=&to= - Run-to-run diff (defaults to latest run vs the one before)
+app.get('/api/projects/:id/diff', (req, res) => {
+  try {
+    const project = db.prepare('SELECT id, name FROM projects WHERE id = ?').get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: `Project ${req.params.id} not found` });
+    }
+
+    const diffService = new RunDiffService(db);
+    let runs;
+    try {
+      runs = diffService.resolveRuns(project.id, { from: req.query.from, to: req.query.to });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const report = diffService.diffRuns(project.id, { from: runs.from.id, to: runs.to.id, limit });
+    res.json({ project, ...report });
+  } catch (err) {
+    console.error('Error in /api/projects/:id/diff:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/projects/:id/keywords/history?keyword=&runs= - Position and volume of keywords across runs
+// (repeat keyword= for several keywords, e.g. the sparklines of a keywords table page)
+app.get('/api/projects/:id/keywords/history', (req, res) => {
+  try {
+    const project = db.prepare('SELECT id, name FROM projects WHERE id = ?').get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: `Project ${req.params.id} not found` });
+    }
+
+    const keywords = [].concat(req.query.keyword || []).filter(keyword => String(keyword).trim());
+    if (keywords.length === 0) {
+      return res.status(400).json({ error: 'keyword is required' });
+    }
+    if (keywords.length > 200) {
+      return res.status(400).json({ error: 'At most 200 keywords per request' });
+    }
+
+    const maxRuns = Math.min(parseInt(req.query.runs, 10) || 20, 100);
+    const history = new KeywordHistoryService(db).getHistory(project.id, keywords, { maxRuns });
+    res.json({ project, ...history });
+  } catch (err) {
+    console.error('Error in /api/projects/:id/keywords/history:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/projects/:id/seasonality?run=&limit= - Seasonal keywords and clusters of a run (defaults to the latest)
+app.get('/api/projects/:id/seasonality', (req, res) => {
+  try {
+    const project = db.prepare('SELECT id, name FROM projects WHERE id = ?').get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: `Project ${req.params.id} not found` });
+    }
+
+    const runId = req.query.run ? parseInt(req.query.run, 10) : getLatestRun(project.id, db)?.id;
+    if (!runId) {
+      return res.status(404).json({ error: 'No completed runs found for this project' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    let report;
+    try {
+      report = new SeasonalityService(db).analyzeRun(project.id, runId, { limit });
+    } catch (err) {
+      return res.status(404).json({ error: err.message });
+    }
+    res.json({ project, ...report });
+  } catch (err) {
+    console.error('Error in /api/projects/:id/seasonality:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/projects/:id/calendar?from=&to= - Planned publishing dates and the project's calendar settings
+app.get('/api/projects/:id/calendar', (req, res) => {
+  try {
+    const project = db.prepare('SELECT id, name, configuration FROM projects WHERE id = ?').get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: `Project ${req.params.id} not found` });
+    }
+
+    const entries = new ContentCalendarService(db).getCalendar(project.id, { from: req.query.from, to: req.query.to });
+    res.json({
+      project: { id: project.id, name: project.name },
+      settings: ContentCalendarService.settingsForProject(project),
+      entries
+    });
+  } catch (err) {
+    console.error('Error in /api/projects/:id/calendar:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/projects/:id/calendar/plan - Re-plan titles { startDate, weeklyCapacity, publishDays, leadWeeks, includePending }
+app.post('/api/projects/:id/calendar/plan', express.json(), (req, res) => {
+  try {
+    const project = db.prepare('SELECT id FROM projects WHERE id = ?').get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: `Project ${req.params.id} not found` });
+    }
+
+    const { startDate, weeklyCapacity, publishDays, leadWeeks, includePending } = req.body || {};
+    let plan;
+    try {
+      plan = new ContentCalendarService(db).plan(project.id, {
+        startDate: startDate || undefined,
+        weeklyCapacity: weeklyCapacity === undefined ? undefined : Number(weeklyCapacity),
+        publishDays,
+        leadWeeks: leadWeeks === undefined ? undefined : Number(leadWeeks),
+        includePending: includePending === true
+      });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.json(plan);
+  } catch (err) {
+    console.error('Error in /api/projects/:id/calendar/plan:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/projects/:id/calendar/export?format=csv|ics - Download the calendar
+app.get('/api/projects/:id/calendar/export', (req, res) => {
+  try {
+    const project = db.prepare('SELECT id, name, slug FROM projects WHERE id = ?').get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: `Project ${req.params.id} not found` });
+    }
+    const format = req.query.format || 'csv';
+    if (!['csv', 'ics'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or ics' });
+    }
+
+    const entries = new ContentCalendarService(db).getCalendar(project.id);
+    const filename = `calendar_${project.slug || project.id}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'ics') {
+      res.type('text/calendar').send(ContentCalendarService.toICS(entries, project));
+    } else {
+      res.type('text/csv').send(ContentCalendarService.toCSV(entries));
+    }
+  } catch (err) {
+    console.error('Error in /api/projects/:id/calendar/export:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/projects/:id/calendar/:entryId - Mark an entry { status: planned | published | skipped }
+app.put('/api/projects/:id/calendar/:entryId', express.json(), (req, res) => {
+  try {
+    const status = req.body?.status;
+    if (!['planned', 'published', 'skipped'].includes(status)) {
+      return res.status(400).json({ error: 'status must be planned, published or skipped' });
+    }
+
+    const entry = new ContentCalendarModel(db).setStatus(Number(req.params.id), Number(req.params.entryId), status);
+    if (!entry) {
+      return res.status(404).json({ error: `Calendar entry ${req.params.entryId} not found in project ${req.params.id}` });
+    }
+    res.json({ entry });
+  } catch (err) {
+    console.error('Error in /api/projects/:id/calendar/:entryId:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/projects/:id/scoring-profiles - Profiles the project can score with
+app.get('/api/projects/:id/scoring-profiles', (req, res) => {
+  try {
+    const project = db.prepare('SELECT id, name, configuration FROM projects WHERE id = ?').get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: `Project ${req.params.id} not found` });
+    }
+
+    res.json({
+      project: { id: project.id, name: project.name },
+      default_profile: ScoringProfileService.defaultProfileName(project),
+      profiles: new ScoringProfileModel(db).findForProject(project.id)
+    });
+  } catch (err) {
+    console.error('Error in /api/projects/:id/scoring-profiles:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/projects/:id/scoring-profiles - Create or update a custom profile for the project
+app.post('/api/projects/:id/scoring-profiles', express.json(), (req, res) => {
+  try {
+    const project = db.prepare('SELECT id FROM projects WHERE id = ?').get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: `Project ${req.params.id} not found` });
+    }
+
+    const { name, description, weights = {}, thresholds = {}, factors = {} } = req.body || {};
+    if (!name || !/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+      return res.status(400).json({ error: 'name is required (lowercase letters, digits and dashes)' });
+    }
+    const settings = PriorityScoringService.resolveSettings({ weights, thresholds, factors });
+    const invalid = [...Object.entries(settings.weights), ...Object.entries(settings.thresholds)]
+      .filter(([, value]) => typeof value !== 'number' || value < 0)
+      .map(([key]) => key);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Weights and thresholds must be non-negative numbers: ${invalid.join(', ')}` });
+    }
+
+    let profile;
+    try {
+      profile = new ScoringProfileModel(db).saveProfile({ projectId: project.id, name, description, ...settings });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(201).json({ profile });
+  } catch (err) {
+    console.error('Error in POST /api/projects/:id/scoring-profiles:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/projects/:id/rescore - Re-score a run ({ profile, runId, setDefault }) without re-fetching or re-clustering
+app.post('/api/projects/:id/rescore', express.json(), async (req, res) => {
+  try {
+    let project = db.prepare('SELECT * FROM projects WHERE id = ?').get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: `Project ${req.params.id} not found` });
+    }
+
+    const { profile, runId, setDefault = false } = req.body || {};
+    if (runId && !db.prepare('SELECT 1 FROM keywords WHERE project_id = ? AND run_id = ? LIMIT 1').get(project.id, runId)) {
+      return res.status(404).json({ error: `Run ${runId} has no keywords in project ${project.id}` });
+    }
+
+    const scoringService = new ScoringProfileService(db);
+    let resolved;
+    try {
+      resolved = scoringService.resolve(project, profile);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    if (setDefault) {
+      const configuration = { ...ProjectModel.configurationOf(project), scoringProfile: resolved.name };
+      db.prepare('UPDATE projects SET configuration = ? WHERE id = ?').run(JSON.stringify(configuration), project.id);
+      project = { ...project, configuration: JSON.stringify(configuration) };
+    }
+
+    const result = await scoringService.rescoreRun(project, { runId, profile: resolved.name });
+    res.json({ project: { id: project.id, name: project.name }, ...result });
+  } catch (err) {
+    console.error('Error in /api/projects/:id/rescore:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Priority analysis handler: quick wins, long-term targets and striking-distance keywords of a run
+function handlePriorityRequest(req, res) {
+  try {
+    const project = db.prepare('SELECT id, name FROM projects WHERE id = ?').get(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ error: `Project ${req.params.projectId} not found` });
+    }
+
+    const runId = req.params.runId || db.prepare(`
+      SELECT MAX(run_id) as run_id FROM keywords WHERE project_id = ?
+    `).get(project.id).run_id;
+    const analysis = runId && new PriorityAnalysisService(db).getForRun(project.id, Number(runId));
+    if (!analysis) {
+      return res.status(404).json({ error: runId ? `Run ${runId} has no keywords in project ${project.id}` : 'No processed keywords found for this project' });
+    }
+
+    res.json({ project, ...analysis });
+  } catch (err) {
+    console.error('Error in /api/priority:', err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// GET /api/priority/:projectId - Priority analysis of the latest run
+app.get('/api/priority/:projectId', handlePriorityRequest);
+
+// GET /api/priority/:projectId/:runId - Priority analysis of a specific run
+app.get('/api/priority/:projectId/:runId', handlePriorityRequest);
+
+// Jobs started from the web UI run the same commands as the CLI in this process. They are stored in
+// job_queue, so queued jobs and retries survive a restart. A retried create would find the project it
+// already created, and a retried recluster has already removed the old clusters, so those run once.
+const JOB_TYPES = {
+  create: { command: 'create', maxAttempts: 1 },
+  rescrape: { command: 'rescrape', maxAttempts: 3 },
+  recluster: { command: 'recluster', maxAttempts: 1 },
+  'generate-titles': { command: 'writemore', maxAttempts: 3 },
+  resume: { command: 'runs', maxAttempts: 1 }
+};
+const jobQueue = new JobQueue(db, Object.fromEntries(
+  Object.entries(JOB_TYPES).map(([type, { command, maxAttempts }]) => [type, {
+    maxAttempts,
+    // The signal also reaches the HTTP clients, so a cancel stops in-flight SEMrush and LLM calls
+    handler: (options, { signal }) => withRequestContext({ signal }, () => new COMMANDS[command].Command().run({ ...options, signal }))
+  }])
+), {
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || JOB_QUEUE_DEFAULTS.concurrency
+});
+keepDatabaseOpen();
+
+// Queues the rescrapes of projects with a schedule when they are due (SCHEDULER=off disables it)
+const scheduler = new RescrapeScheduler(db, jobQueue, {
+  intervalMs: parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || SCHEDULER_DEFAULTS.intervalMs
+});
+
+// Validate a request body with the CLI's flag rules and queue the job (202), or answer 400/404/409
+function queueJob(req, res, type) {
+  try {
+    let projectId = null;
+    const { priority, ...flags } = req.body || {};
+    if (req.params.id) {
+      const project = db.prepare('SELECT id FROM projects WHERE id = ?').get(req.params.id);
+      if (!project) {
+        return res.status(404).json({ error: `Project ${req.params.id} not found` });
+      }
+      projectId = project.id;
+      flags.project = project.id;
+    }
+
+    const pending = projectId && jobQueue.findPending(type, projectId);
+    if (pending) {
+      return res.status(409).json({ error: `A ${type} job is already ${pending.status} for this project`, job: pending });
+    }
+
+    let options;
+    try {
+      options = COMMANDS[JOB_TYPES[type].command].build(flags, []);
+    } catch (err) {
+      if (err instanceof UsageError) {
+        return res.status(400).json({ error: err.message });
+      }
+      throw err;
+    }
+
+    if (type === 'create') {
+      const projectModel = new ProjectModel(db);
+      const existing = options.method === 'Domain' ? projectModel.findByDomain(options.target)
+        : options.method === 'Seed' ? projectModel.findBySeeds(toList(options.target))
+          : projectModel.findByUrl(options.target);
+      if (existing) {
+        return res.status(409).json({ error: `${options.method} already exists: ${existing.name}. Rescrape it instead`, project: { id: existing.id, name: existing.name } });
+      }
+    }
+
+    if (priority !== undefined && !Number.isInteger(priority)) {
+      return res.status(400).json({ error: 'priority must be an integer' });
+    }
+
+    res.status(202).json({ job: jobQueue.enqueue(type, options, { projectId, priority }) });
+  } catch (err) {
+    console.error(`Error queueing ${type} job:`, err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// POST /api/projects - Create a project ({ domain | url | seeds, seedReports, database, limit, mode, brandTerms })
+app.post('/api/projects', express.json(), (req, res) => queueJob(req, res, 'create'));
+
+// POST /api/projects/:id/rescrape - Fetch fresh keywords ({ database, limit })
+app.post('/api/projects/:id/rescrape', express.json(), (req, res) => queueJob(req, res, 'rescrape'));
+
+// POST /api/projects/:id/recluster - Re-cluster keywords ({ algorithm, clusters, distanceThreshold, ..., excludeBranded })
+app.post('/api/projects/:id/recluster', express.json(), (req, res) => queueJob(req, res, 'recluster'));
+
+// POST /api/projects/:id/generate-titles - Expand keywords and generate FAQ titles ({ select, count, clusterIds, ... })
+app.post('/api/projects/:id/generate-titles', express.json(), (req, res) => queueJob(req, res, 'generate-titles'));
+
+// GET /api/jobs?project=&status= - Jobs queued from the web UI (newest first, last 100)
+app.get('/api/jobs', (req, res) => {
+  const status = req.query.status ? String(req.query.status).split(',') : undefined;
+  res.json({ jobs: jobQueue.list({ projectId: req.query.project, status }) });
+});
+
+// GET /api/jobs/:id - A single job with its result or error
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job ${req.params.id} not found` });
+  }
+  res.json({ job });
+});
+
+// POST /api/jobs/:id/cancel - Cancel a queued job or stop a running one at its next checkpoint
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  try {
+    const job = jobQueue.cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    }
+    if (!['running', 'cancelled'].includes(job.status)) {
+      return res.status(409).json({ error: `Job ${job.id} is already ${job.status}`, job });
+    }
+    res.json({ job });
+  } catch (err) {
+    console.error('Error cancelling job:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/schedules - Projects with a rescrape schedule, their next run and last outcome
+app.get('/api/schedules', (req, res) => {
+  try {
+    res.json({ schedules: scheduler.list() });
+  } catch (err) {
+    console.error('Error in /api/schedules:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/projects/:id/schedule - Set the rescrape schedule ({ schedule: "every Monday, database=us, limit=5000" }
+// or { schedule: { frequency, day, dayOfMonth, time, database, limit } })
+app.put('/api/projects/:id/schedule', express.json(), (req, res) => {
+  try {
+    const project = db.prepare('SELECT id FROM projects WHERE id = ?').get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: `Project ${req.params.id} not found` });
+    }
+
+    try {
+      RescrapeScheduler.parseSchedule(req.body?.schedule);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.json(scheduler.setSchedule(project.id, req.body.schedule));
+  } catch (err) {
+    console.error('Error in PUT /api/projects/:id/schedule:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/projects/:id/schedule - Stop rescraping the project automatically
+app.delete('/api/projects/:id/schedule', (req, res) => {
+  try {
+    const project = db.prepare('SELECT id FROM projects WHERE id = ?').get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: `Project ${req.params.id} not found` });
+    }
+
+    const removed = scheduler.removeSchedule(project.id);
+    if (!removed) {
+      return res.status(404).json({ error: `Project ${project.id} has no rescrape schedule` });
+    }
+    res.json({ removed });
+  } catch (err) {
+    console.error('Error in DELETE /api/projects/:id/schedule:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/batch-runs?project=&status= - Batch sessions with their checkpoints (paused, failed and cancelled by default)
+app.get('/api/batch-runs', (req, res) => {
+  try {
+    const statuses = req.query.status ? String(req.query.status).split(',') : undefined;
+    const projectId = req.query.project === undefined ? undefined : Number(req.query.project);
+    res.json({ batchRuns: new BatchRunModel(db).findWithCheckpoints({ projectId, statuses }) });
+  } catch (err) {
+    console.error('Error in /api/batch-runs:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/batch-runs/:id/resume - Queue a resume from the latest valid checkpoint ({ force, priority })
+app.post('/api/batch-runs/:id/resume', express.json(), (req, res) => {
+  try {
+    const { force = false, priority } = req.body || {};
+    const batchRuns = new BatchRunModel(db);
+    const batchRun = batchRuns.findById(req.params.id);
+    if (!batchRun) {
+      return res.status(404).json({ error: `Batch run ${req.params.id} not found` });
+    }
+    if (!batchRuns.isResumable(batchRun) && !(force === true && batchRun.status === 'running')) {
+      return res.status(409).json({ error: `Batch run ${batchRun.id} is ${batchRun.status} and cannot be resumed` });
+    }
+    if (priority !== undefined && !Number.isInteger(priority)) {
+      return res.status(400).json({ error: 'priority must be an integer' });
+    }
+
+    const pending = jobQueue.findPending('resume', batchRun.project_id);
+    if (pending) {
+      return res.status(409).json({ error: `A resume job is already ${pending.status} for this project`, job: pending });
+    }
+
+    const options = { action: 'resume', batchRunId: batchRun.id, force: force === true };
+    res.status(202).json({ job: jobQueue.enqueue('resume', options, { projectId: batchRun.project_id, priority }) });
+  } catch (err) {
+    console.error('Error queueing resume job:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Runs may be processed by the CLI in another process, so run events are polled from the database
+const RUN_EVENTS_POLL_MS = 1000;
+const RUN_EVENTS_HEARTBEAT_MS = 15000;
+
+// GET /api/runs/active - Pending and running runs with their progress
+app.get('/api/runs/active', (req, res) => {
+  try {
+    res.json({ runs: new RunProgressService(db).getActiveRuns() });
+  } catch (err) {
+    console.error('Error in /api/runs/active:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/runs/:runId/events - Server-Sent Events stream of stage changes, batch progress, ETA and log lines
+// Events: snapshot, stage, progress, status, log (id = log id, for Last-Event-ID), done
+app.get('/api/runs/:runId/events', (req, res) => {
+  const progressService = new RunProgressService(db);
+  let progress;
+  try {
+    progress = progressService.getProgress(req.params.runId);
+  } catch (err) {
+    console.error('Error in /api/runs/:runId/events:', err);
+    return res.status(500).json({ error: err.message });
+  }
+  if (!progress) {
+    return res.status(404).json({ error: `Run ${req.params.runId} not found` });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (event, data, id) => {
+    if (id) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Resume after the last log line the browser saw, otherwise start with the recent ones
+  let lastLogId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+  const logs = lastLogId ? progressService.getLogs(progress.run_id, lastLogId) : progressService.getRecentLogs(progress.run_id);
+  send('snapshot', progress);
+  logs.forEach(log => {
+    lastLogId = log.id;
+    send('log', log, log.id);
+  });
+
+  let poller = null;
+  let heartbeat = null;
+  const stop = () => {
+    clearInterval(poller);
+    clearInterval(heartbeat);
+  };
+  const finish = () => {
+    stop();
+    send('done', progress);
+    res.end();
+  };
+
+  if (!RunProgressService.isActive(progress)) {
+    return finish();
+  }
+
+  poller = setInterval(() => {
+    try {
+      const current = progressService.getProgress(progress.run_id);
+      progressService.getLogs(progress.run_id, lastLogId).forEach(log => {
+        lastLogId = log.id;
+        send('log', log, log.id);
+      });
+      RunProgressService.changes(progress, current).forEach(event => send(event, current));
+      progress = current;
+      if (!RunProgressService.isActive(progress)) {
+        finish();
+      }
+    } catch (err) {
+      console.error('Error in /api/runs/:runId/events:', err);
+      stop();
+      res.end();
+    }
+  }, RUN_EVENTS_POLL_MS);
+  heartbeat = setInterval(() => res.write(': heartbeat\n\n'), RUN_EVENTS_HEARTBEAT_MS);
+
+  req.on('close', stop);
+});
+
 // Debug endpoint to inspect database structure
 app.get('/api/debug/schema', (req, res) => {
   try {
@@ -567,4 +1426,11 @@ app.get('/project', (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}`);
+  const interrupted = jobQueue.start();
+  if (interrupted > 0) {
+    console.log(`Recovered ${interrupted} job(s) interrupted by the last shutdown`);
+  }
+  if (process.env.SCHEDULER !== 'off') {
+    scheduler.start();
+  }
 });
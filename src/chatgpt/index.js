@@ -1,8 +1,11 @@
 // Unified ChatGPT Functions Utility
 // Provides: chatgptCompletion, chatgptSearchCompletion, chatgptStructuredArray
 // Requires: OPENAI_API_KEY in environment
+// Requests go through the shared 'openai' HTTP client (rate limit, timeout, retries on 429/5xx)
 
-const axios = require('axios');
+const { getHttpClient } = require('../http');
+
+const openai = getHttpClient('openai');
 
 /**
  * Basic ChatGPT completion (prompt → completion)
@@ -29,7 +32,7 @@ async function chatgptCompletion(prompt, config = {}) {
     max_tokens: config.max_tokens ?? 512
   };
   console.log(`OpenAI API call - chatgptCompletion: ${model}, prompt length: ${prompt.length}`);
-  const response = await axios.post(url, payload, {
+  const response = await openai.post(url, payload, {
     headers: {
       'Authorization': `Bearer ${apiKey}`,
       'Content-Type': 'application/json'
@@ -61,7 +64,7 @@ async function chatgptSearchCompletion(prompt, config = {}) {
   // Note: /v1/responses does NOT support system_message
 
   console.log(`OpenAI API call - chatgptSearchCompletion: ${model}, prompt length: ${prompt.length}`);
-  const response = await axios.post(url, payload, {
+  const response = await openai.post(url, payload, {
     headers: {
       'Authorization': `Bearer ${apiKey}`,
       'Content-Type': 'application/json'
@@ -103,7 +106,7 @@ async function chatgptStructuredArray(prompt, functionSchema, config = {}) {
     max_tokens: config.max_tokens ?? 200
   };
   console.log(`OpenAI API call - chatgptStructuredArray: ${model}, prompt length: ${prompt.length}`);
-  const response = await axios.post(url, payload, {
+  const response = await openai.post(url, payload, {
     headers: {
       'Authorization': `Bearer ${apiKey}`,
       'Content-Type': 'application/json'
@@ -134,8 +137,38 @@ async function chatgptStructuredArray(prompt, functionSchema, config = {}) {
   return [];
 }
 
+/**
+ * OpenAI embeddings for a batch of texts
+ * @param {Array<string>} inputs
+ * @param {object} [config] - { model, dimensions }
+ * @returns {Promise<Array<Array<number>>>} one vector per input, in input order
+ */
+async function chatgptEmbeddings(inputs, config = {}) {
+  const apiKey = process.env.OPENAI_API_KEY;
+  if (!apiKey) throw new Error('OPENAI_API_KEY environment variable not set');
+  const model = config.model || 'text-embedding-3-small';
+  const url = 'https://api.openai.com/v1/embeddings';
+  const payload = {
+    model,
+    input: inputs,
+    ...(config.dimensions && { dimensions: config.dimensions })
+  };
+  console.log(`OpenAI API call - chatgptEmbeddings: ${model}, inputs: ${inputs.length}`);
+  const response = await openai.post(url, payload, {
+    cache: false, // Vectors are cached per keyword in keyword_embeddings
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    }
+  });
+  return response.data.data
+    .sort((a, b) => a.index - b.index)
+    .map(item => item.embedding);
+}
+
 module.exports = {
   chatgptCompletion,
   chatgptSearchCompletion,
-  chatgptStructuredArray
+  chatgptStructuredArray,
+  chatgptEmbeddings
 };
@@ -0,0 +1,259 @@
+// Alternative clustering algorithms. Each returns { clusters, centroids } in the same
+// shape as ml-kmeans, except that unassigned (noise) points get the label -1.
+
+const NOISE = -1;
+
+const CLUSTERING_ALGORITHMS = ['kmeans', 'hierarchical', 'dbscan', 'serp'];
+
+function cosineDistance(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 1;
+  return Math.max(0, 1 - dot / Math.sqrt(normA * normB));
+}
+
+// Keywords hierarchical and DBSCAN accept when no maxKeywords is given (n×n matrix ≈ 36 MB)
+const DEFAULT_MAX_KEYWORDS = 3000;
+
+// Pairwise distances as a flat n×n Float32Array; refuses more than maxPoints vectors
+function distanceMatrix(vectors, distance = cosineDistance, maxPoints = DEFAULT_MAX_KEYWORDS) {
+  const n = vectors.length;
+  if (n > maxPoints) {
+    throw new Error(`Too many keywords for a distance matrix: ${n} (limit ${maxPoints}). Use k-means or raise maxKeywords`);
+  }
+  const matrix = new Float32Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const d = distance(vectors[i], vectors[j]);
+      matrix[i * n + j] = d;
+      matrix[j * n + i] = d;
+    }
+  }
+  return matrix;
+}
+
+// Relabel cluster ids to 0..k-1, turning groups smaller than minSize into noise
+function compactLabels(labels, minSize = 1) {
+  const sizes = new Map();
+  labels.forEach(label => {
+    if (label !== NOISE) sizes.set(label, (sizes.get(label) || 0) + 1);
+  });
+
+  const mapping = new Map();
+  return labels.map(label => {
+    if (label === NOISE || sizes.get(label) < minSize) return NOISE;
+    if (!mapping.has(label)) mapping.set(label, mapping.size);
+    return mapping.get(label);
+  });
+}
+
+function computeCentroids(vectors, labels) {
+  const centroids = [];
+  const counts = [];
+  labels.forEach((label, i) => {
+    if (label === NOISE) return;
+    if (!centroids[label]) {
+      centroids[label] = new Array(vectors[i].length).fill(0);
+      counts[label] = 0;
+    }
+    vectors[i].forEach((v, d) => { centroids[label][d] += v; });
+    counts[label]++;
+  });
+  return centroids.map((centroid, label) => centroid.map(v => v / counts[label]));
+}
+
+// Lance-Williams updates for the supported (reducible) linkages
+const LINKAGES = {
+  single: (dA, dB) => Math.min(dA, dB),
+  complete: (dA, dB) => Math.max(dA, dB),
+  average: (dA, dB, sizeA, sizeB) => (sizeA * dA + sizeB * dB) / (sizeA + sizeB)
+};
+
+/**
+ * Agglomerative hierarchical clustering cut at a distance threshold.
+ * Builds the full dendrogram with the nearest-neighbour chain algorithm (O(n²)),
+ * then keeps only merges at or below the cutoff.
+ * @param {Array<Array<number>>} vectors - Keyword embeddings
+ * @param {Object} [params]
+ * @param {number} [params.distanceThreshold=0.7] - Cosine distance above which clusters are not merged
+ * @param {string} [params.linkage='average'] - average, complete or single
+ * @param {number} [params.minClusterSize=2] - Smaller groups are left unassigned
+ * @param {number} [params.maxKeywords=3000] - More vectors than this throw (the distance matrix is n×n)
+ * @returns {{clusters: Array<number>, centroids: Array<Array<number>>}}
+ */
+function hierarchicalClustering(vectors, { distanceThreshold = 0.7, linkage = 'average', minClusterSize = 2, maxKeywords = DEFAULT_MAX_KEYWORDS } = {}) {
+  const update = LINKAGES[linkage];
+  if (!update) {
+    throw new Error(`Unknown linkage "${linkage}". Available: ${Object.keys(LINKAGES).join(', ')}`);
+  }
+
+  const n = vectors.length;
+  const dist = distanceMatrix(vectors, cosineDistance, maxKeywords);
+  const sizes = new Array(n).fill(1);
+  const active = new Set(Array.from({ length: n }, (_, i) => i));
+  const merges = [];
+  const chain = [];
+
+  while (active.size > 1) {
+    if (chain.length === 0) {
+      chain.push(active.values().next().value);
+    }
+
+    const current = chain[chain.length - 1];
+    const previous = chain.length > 1 ? chain[chain.length - 2] : null;
+
+    // Prefer the previous chain element on ties so the chain always terminates
+    let nearest = previous;
+    let nearestDistance = previous === null ? Infinity : dist[current * n + previous];
+    for (const other of active) {
+      if (other === current) continue;
+      const d = dist[current * n + other];
+      if (d < nearestDistance) {
+        nearest = other;
+        nearestDistance = d;
+      }
+    }
+
+    if (nearest !== previous) {
+      chain.push(nearest);
+      continue;
+    }
+
+    // Reciprocal nearest neighbours: merge previous into current
+    chain.pop();
+    chain.pop();
+    merges.push({ a: current, b: previous, distance: nearestDistance });
+    active.delete(previous);
+    for (const other of active) {
+      if (other === current) continue;
+      const d = update(dist[current * n + other], dist[previous * n + other], sizes[current], sizes[previous]);
+      dist[current * n + other] = d;
+      dist[other * n + current] = d;
+    }
+    sizes[current] += sizes[previous];
+  }
+
+  // Replay merges below the cutoff; merged clusters keep the slot of one of their points
+  const parent = Array.from({ length: n }, (_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  merges
+    .filter(merge => merge.distance <= distanceThreshold)
+    .forEach(merge => { parent[find(merge.b)] = find(merge.a); });
+
+  const clusters = compactLabels(Array.from({ length: n }, (_, i) => find(i)), minClusterSize);
+  return { clusters, centroids: computeCentroids(vectors, clusters) };
+}
+
+/**
+ * DBSCAN density clustering. Points without enough neighbours stay unassigned.
+ * @param {Array<Array<number>>} vectors - Keyword embeddings
+ * @param {Object} [params]
+ * @param {number} [params.epsilon=0.5] - Neighbourhood radius (cosine distance)
+ * @param {number} [params.minPoints=3] - Neighbours (including the point) needed for a core point
+ * @param {number} [params.maxKeywords=3000] - More vectors than this throw (the distance matrix is n×n)
+ * @returns {{clusters: Array<number>, centroids: Array<Array<number>>}}
+ */
+function dbscanClustering(vectors, { epsilon = 0.5, minPoints = 3, maxKeywords = DEFAULT_MAX_KEYWORDS } = {}) {
+  const n = vectors.length;
+  const dist = distanceMatrix(vectors, cosineDistance, maxKeywords);
+  const neighbours = (i) => {
+    const result = [];
+    for (let j = 0; j < n; j++) {
+      if (dist[i * n + j] <= epsilon) result.push(j);
+    }
+    return result;
+  };
+
+  const UNVISITED = -2;
+  const labels = new Array(n).fill(UNVISITED);
+  let clusterId = 0;
+
+  for (let i = 0; i < n; i++) {
+    if (labels[i] !== UNVISITED) continue;
+
+    const seeds = neighbours(i);
+    if (seeds.length < minPoints) {
+      labels[i] = NOISE;
+      continue;
+    }
+
+    labels[i] = clusterId;
+    const queue = seeds.filter(j => j !== i);
+    while (queue.length > 0) {
+      const j = queue.shift();
+      if (labels[j] === NOISE) labels[j] = clusterId; // Border point
+      if (labels[j] !== UNVISITED) continue;
+
+      labels[j] = clusterId;
+      const reachable = neighbours(j);
+      if (reachable.length >= minPoints) {
+        queue.push(...reachable.filter(k => labels[k] === UNVISITED || labels[k] === NOISE));
+      }
+    }
+    clusterId++;
+  }
+
+  const clusters = compactLabels(labels);
+  return { clusters, centroids: computeCentroids(vectors, clusters) };
+}
+
+// Compare ranking URLs without protocol, www, query string, fragment or trailing slash
+function normalizeUrl(url) {
+  if (!url) return '';
+  return String(url)
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/[?#].*$/, '')
+    .replace(/\/+$/, '');
+}
+
+/**
+ * SERP-overlap clustering: keywords for which the same page ranks belong together.
+ * Keywords without a ranking URL stay unassigned.
+ * @param {Array<Object>} keywords - Keywords with a `url` field (from raw_keywords)
+ * @param {Array<Array<number>>} vectors - Keyword embeddings, used for centroids only
+ * @param {Object} [params]
+ * @param {number} [params.minClusterSize=2] - URLs ranking for fewer keywords are left unassigned
+ * @returns {{clusters: Array<number>, centroids: Array<Array<number>>, urls: Array<string>}}
+ */
+function serpOverlapClustering(keywords, vectors, { minClusterSize = 2 } = {}) {
+  const groups = new Map();
+  const labels = keywords.map(keyword => {
+    const url = normalizeUrl(keyword.url);
+    if (!url) return NOISE;
+    if (!groups.has(url)) groups.set(url, groups.size);
+    return groups.get(url);
+  });
+
+  const clusters = compactLabels(labels, minClusterSize);
+  const urls = [];
+  clusters.forEach((label, i) => {
+    if (label !== NOISE) urls[label] = keywords[i].url;
+  });
+
+  return { clusters, centroids: computeCentroids(vectors, clusters), urls };
+}
+
+module.exports = {
+  NOISE,
+  CLUSTERING_ALGORITHMS,
+  cosineDistance,
+  normalizeUrl,
+  hierarchicalClustering,
+  dbscanClustering,
+  serpOverlapClustering
+};
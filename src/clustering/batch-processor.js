@@ -2,6 +2,8 @@ const { ClusteringService } = require('../services/clustering-service');
 const DataCleaningService = require('../services/data-cleaning-service');
 const DeduplicationService = require('../services/deduplication-service');
 const { PriorityScoringService } = require('../services/priority-scoring-service');
+const { IntentClassificationService } = require('../services/intent-classification-service');
+const { BrandService } = require('../services/brand-service');
 
 class BatchProcessor {
   constructor(config = {}) {
@@ -11,6 +13,10 @@ class BatchProcessor {
       maxMemoryUsageMB: 512,
       checkpointInterval: 50, // Save checkpoint every N keywords
       enableProgressLogging: true,
+      onProgress: null, // Called with getProgress() after each batch and stage
+      onLog: null,      // Called with (level, message) for every log line
+      signal: null,     // AbortSignal; processing stops between batches and stages once it is aborted
+      onCheckpoint: null, // Called with the checkpoint data after each stage and every few cleaning batches
       ...config
     };
 
@@ -19,6 +25,7 @@ class BatchProcessor {
     this.deduper = new DeduplicationService();
     this.clusterer = new ClusteringService(config.clustering || {});
     this.scorer = new PriorityScoringService(config.scoring || {});
+    this.intentClassifier = new IntentClassificationService(config.intent || {});
 
     // Processing state
     this.batchRun = null;
@@ -37,10 +44,15 @@ class BatchProcessor {
     this.intermediateResults = {
       cleaned: [],
       unique: [],
+      similarGroups: [],
       clusters: [],
+      clustering: null,
       scored: []
     };
 
+    // Stages finished in this session or before the checkpoint it was restored from
+    this.completedStages = new Set();
+
     this.isPaused = false;
     this.isRunning = false;
   }
@@ -121,21 +133,30 @@ class BatchProcessor {
 
       // Stage 1: Data Cleaning (batch processing)
       await this.runStage('cleaning', async () => {
-        this.intermediateResults.cleaned = await this.processCleaningInBatches();
+        await this.processCleaningInBatches(options.cleaning);
       });
 
       // Stage 2: Deduplication 
       await this.runStage('deduplication', async () => {
-        const { unique } = await this.deduper.deduplicateKeywords(this.intermediateResults.cleaned, options.deduplication);
+        const { unique, similarGroups } = await this.deduper.deduplicateKeywords(this.intermediateResults.cleaned, options.deduplication);
         this.intermediateResults.unique = unique;
+        this.intermediateResults.similarGroups = similarGroups;
+      });
+
+      // Stage 3: Intent classification (rules, optional LLM fallback for ambiguous keywords)
+      await this.runStage('intent', async () => {
+        await this.intentClassifier.classifyKeywords(this.intermediateResults.unique, options.intent);
       });
 
-      // Stage 3: Clustering (can be memory intensive, so batch if needed)
+      // Stage 4: Clustering (can be memory intensive, so batch if needed)
       await this.runStage('clustering', async () => {
-        this.intermediateResults.clusters = await this.processClusteringOptimized();
+        this.intermediateResults.clusters = await this.processClusteringOptimized(options);
+        this.intermediateResults.clustering = this.clusterer.lastStrategy;
+        // Scoring looks clusters up by the keywords' cluster_id
+        this.assignClusterIds();
       });
 
-      // Stage 4: Priority Scoring
+      // Stage 5: Priority Scoring
       await this.runStage('scoring', async () => {
         this.intermediateResults.scored = await this.scorer.calculatePriorityScores(
           this.intermediateResults.unique, 
@@ -144,7 +165,7 @@ class BatchProcessor {
         );
       });
 
-      // Stage 5: Finalization
+      // Stage 6: Finalization
       await this.runStage('finalizing', async () => {
         this.assignClusterIds();
       });
@@ -152,6 +173,7 @@ class BatchProcessor {
       // Mark as completed
       this.isRunning = false;
       this.processingState.currentStage = 'completed';
+      this.reportProgress();
       
       const totalTime = Date.now() - this.processingState.startTime;
       this.log('info', `Batch processing completed in ${Math.round(totalTime / 1000)} seconds`);
@@ -159,16 +181,27 @@ class BatchProcessor {
       return {
         keywords: this.intermediateResults.scored,
         clusters: this.intermediateResults.clusters,
+        cleaned: this.intermediateResults.cleaned,
+        unique: this.intermediateResults.unique,
+        similarGroups: this.intermediateResults.similarGroups,
         stats: {
           totalKeywords: this.processingState.totalKeywords,
           processedKeywords: this.processingState.processedKeywords,
           totalTime,
-          batchMode: this.batchMode
+          batchMode: this.batchMode,
+          clustering: this.intermediateResults.clustering,
+          intents: this.intentClassifier.summarize(this.intermediateResults.unique),
+          brand: BrandService.summarize(this.intermediateResults.unique)
         }
       };
 
     } catch (error) {
       this.isRunning = false;
+      if (this.config.signal?.aborted) {
+        this.processingState.currentStage = 'cancelled';
+        this.log('warn', 'Batch processing cancelled');
+        throw error;
+      }
       this.processingState.currentStage = 'failed';
       throw new Error(`Batch processing failed: ${error.message}`);
     }
@@ -257,29 +290,31 @@ class BatchProcessor {
   }
 
   /**
-   * Process data cleaning in batches
+   * Process data cleaning in batches, continuing after the keywords cleaned before a pause or checkpoint
    */
-  async processCleaningInBatches() {
-    const cleaned = [];
+  async processCleaningInBatches(cleaningOptions = {}) {
+    const cleaned = this.intermediateResults.cleaned;
     const batchSize = this.processingState.batchSize;
     
-    for (let i = 0; i < this.rawKeywords.length; i += batchSize) {
+    for (let i = this.processingState.processedKeywords; i < this.rawKeywords.length; i += batchSize) {
       if (this.isPaused) {
         this.log('info', 'Cleaning paused');
         return cleaned;
       }
+      this.config.signal?.throwIfAborted();
 
       const batch = this.rawKeywords.slice(i, i + batchSize);
-      const batchCleaned = await this.cleaner.cleanKeywords(batch);
+      const batchCleaned = await this.cleaner.cleanKeywords(batch, cleaningOptions);
       cleaned.push(...batchCleaned);
       
       this.processingState.processedKeywords = Math.min(i + batchSize, this.rawKeywords.length);
       this.processingState.currentBatch = Math.floor(i / batchSize) + 1;
+      this.reportProgress();
       
       // Periodic checkpoint and progress logging
       if ((i + batchSize) % (this.config.checkpointInterval * 2) === 0) {
         this.log('info', `Cleaned ${this.processingState.processedKeywords}/${this.processingState.totalKeywords} keywords`);
-        await this.createCheckpoint('cleaning');
+        await this.createCheckpoint('cleaning', 'batch');
       }
     }
     
@@ -289,18 +324,21 @@ class BatchProcessor {
   /**
    * Process clustering with memory optimization
    */
-  async processClusteringOptimized() {
-    const keywords = this.intermediateResults.unique;
+  async processClusteringOptimized(options = {}) {
+    const keywords = options.excludeBranded
+      ? this.intermediateResults.unique.filter(k => !k.contains_brand)
+      : this.intermediateResults.unique;
     
     if (keywords.length <= 1000) {
       // Small dataset - process normally
-      return await this.clusterer.performAdvancedClustering(keywords);
+      return await this.clusterer.performAdvancedClustering(keywords, options.clustering);
     } else {
       // Large dataset - use optimized clustering approach
       this.log('info', `Large dataset detected (${keywords.length} keywords). Using optimized clustering.`);
       
       // For batch mode, reduce cluster granularity to improve performance
       const clusteringOptions = {
+        ...options.clustering,
         clusterCount: Math.min(50, Math.ceil(keywords.length / 60)) // Limit clusters for faster processing
       };
       
@@ -325,14 +363,22 @@ class BatchProcessor {
    */
   async runStage(stageName, stageFunction) {
     if (this.isPaused) return;
+    if (this.completedStages.has(stageName)) {
+      this.log('info', `Skipping stage: ${stageName} (already completed)`);
+      return;
+    }
+    this.config.signal?.throwIfAborted();
 
     this.processingState.currentStage = stageName;
     this.log('info', `Starting stage: ${stageName}`);
+    this.reportProgress();
     
     try {
       await stageFunction();
+      this.completedStages.add(stageName);
       await this.createCheckpoint(stageName);
       this.log('info', `Completed stage: ${stageName}`);
+      this.reportProgress();
     } catch (error) {
       this.log('error', `Stage ${stageName} failed: ${error.message}`);
       throw error;
@@ -340,9 +386,9 @@ class BatchProcessor {
   }
 
   /**
-   * Create a checkpoint for recovery
+   * Create a checkpoint for recovery ('stage' once a stage is done, 'batch' part way through cleaning)
    */
-  async createCheckpoint(stageName) {
+  async createCheckpoint(stageName, checkpointType = 'stage') {
     this.processingState.lastCheckpoint = {
       stage: stageName,
       timestamp: Date.now(),
@@ -350,6 +396,52 @@ class BatchProcessor {
       currentBatch: this.processingState.currentBatch,
       memoryUsage: process.memoryUsage().rss / 1024 / 1024 // MB
     };
+
+    if (!this.config.onCheckpoint) return;
+    try {
+      await this.config.onCheckpoint({
+        checkpointType,
+        stageName,
+        batchNumber: this.processingState.currentBatch,
+        keywordsProcessed: this.processingState.processedKeywords,
+        processingState: {
+          completedStages: [...this.completedStages],
+          batchMode: this.batchMode,
+          batchSize: this.processingState.batchSize
+        },
+        intermediateResults: this.intermediateResults
+      });
+    } catch (error) {
+      // A missing checkpoint only costs work on resume, so keep processing
+      this.log('warn', `Checkpoint after ${stageName} not saved: ${error.message}`);
+    }
+  }
+
+  /**
+   * Continue an interrupted session from a saved checkpoint instead of initialize()
+   * @param {Object} recoveryState - From CheckpointManager.recoverProcessingState
+   * @param {Object} session - batchMode and batchSize of the interrupted session
+   */
+  restore(recoveryState, { batchMode, batchSize }) {
+    const { rawKeywords, processingState = {}, intermediateResults = {} } = recoveryState;
+
+    this.rawKeywords = rawKeywords;
+    this.batchMode = batchMode;
+    this.processingState = {
+      currentStage: 'initialized',
+      currentBatch: recoveryState.batchNumber || 0,
+      totalBatches: Math.ceil(rawKeywords.length / batchSize),
+      processedKeywords: recoveryState.keywordsProcessed || 0,
+      totalKeywords: rawKeywords.length,
+      batchSize,
+      startTime: null,
+      pauseTime: null,
+      lastCheckpoint: null
+    };
+    this.intermediateResults = { ...this.intermediateResults, ...intermediateResults };
+    this.completedStages = new Set(processingState.completedStages || []);
+
+    this.log('info', `Restored from ${recoveryState.stageName} checkpoint: ${this.completedStages.size} stage(s) done, ${this.processingState.processedKeywords}/${rawKeywords.length} keywords cleaned`);
   }
 
   /**
@@ -384,6 +476,15 @@ class BatchProcessor {
     return Math.ceil(remaining / rate);
   }
 
+  /**
+   * Pass the current progress to the onProgress hook
+   */
+  reportProgress() {
+    if (this.config.onProgress) {
+      this.config.onProgress(this.getProgress());
+    }
+  }
+
   /**
    * Logging utility
    */
@@ -392,6 +493,9 @@ class BatchProcessor {
       const timestamp = new Date().toISOString();
       console.log(`[${timestamp}] [${level.toUpperCase()}] BatchProcessor: ${message}`);
     }
+    if (this.config.onLog) {
+      this.config.onLog(level, message);
+    }
   }
 }
 
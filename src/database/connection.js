@@ -77,20 +77,28 @@ class DatabaseConnection {
 
 // Singleton instance
 let dbInstance = null;
+let dbReady = null;
+let keepOpen = false;
 
 module.exports = {
   DatabaseConnection,
   getDatabase: async () => {
     if (!dbInstance) {
       dbInstance = new DatabaseConnection();
-      await dbInstance.initialize();
+      dbReady = dbInstance.initialize();
     }
+    // Callers that arrive while the first one is still initializing wait for the same connection
+    await dbReady;
     return dbInstance.getConnection();
   },
   closeDatabase: () => {
-    if (dbInstance) {
+    if (dbInstance && !keepOpen) {
       dbInstance.close();
       dbInstance = null;
     }
+  },
+  // Commands run as background jobs share the connection, so one job finishing must not close it for the others
+  keepDatabaseOpen: () => {
+    keepOpen = true;
   }
 };
\ No newline at end of file
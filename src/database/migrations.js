@@ -89,8 +89,186 @@ class DatabaseMigrations {
       }
     }
 
+    // Migration 2: Add striking_distance column to priority_analysis table
+    if (currentVersion < 2) {
+      console.log('Running migration 2: Adding striking_distance column...');
+
+      try {
+        if (!this.columnExists('priority_analysis', 'striking_distance')) {
+          this.db.exec(`
+            ALTER TABLE priority_analysis
+            ADD COLUMN striking_distance TEXT
+          `);
+          console.log('✅ Added striking_distance column to priority_analysis table');
+        } else {
+          console.log('✅ striking_distance column already exists');
+        }
+
+        this.setVersion(2);
+        console.log('✅ Migration 2 completed successfully');
+      } catch (error) {
+        console.error('❌ Migration 2 failed:', error.message);
+        throw error;
+      }
+    }
+
+    // Migration 3: Add the title review workflow columns to generated_content
+    if (currentVersion < 3) {
+      console.log('Running migration 3: Adding title review columns...');
+
+      try {
+        if (!this.columnExists('generated_content', 'status')) {
+          this.db.exec(`
+            ALTER TABLE generated_content
+            ADD COLUMN status TEXT DEFAULT 'draft' CHECK(status IN ('draft', 'approved', 'assigned', 'published', 'rejected'))
+          `);
+          // Existing titles keep their meaning: used titles are published, approved ones approved
+          this.db.exec(`
+            UPDATE generated_content
+            SET status = CASE WHEN is_used = 1 THEN 'published' WHEN is_approved = 1 THEN 'approved' ELSE 'draft' END
+          `);
+          console.log('✅ Added status column to generated_content table');
+        } else {
+          console.log('✅ status column already exists');
+        }
+
+        ['assigned_to TEXT', 'published_url TEXT', 'updated_at DATETIME'].forEach(definition => {
+          const [column] = definition.split(' ');
+          if (!this.columnExists('generated_content', column)) {
+            this.db.exec(`ALTER TABLE generated_content ADD COLUMN ${definition}`);
+            console.log(`✅ Added ${column} column to generated_content table`);
+          } else {
+            console.log(`✅ ${column} column already exists`);
+          }
+        });
+
+        this.setVersion(3);
+        console.log('✅ Migration 3 completed successfully');
+      } catch (error) {
+        console.error('❌ Migration 3 failed:', error.message);
+        throw error;
+      }
+    }
+
+    // Migration 4: Rebuild api_usage for cost tracking (project, model, tokens, units, all providers)
+    if (currentVersion < 4) {
+      console.log('Running migration 4: Rebuilding api_usage for cost tracking...');
+
+      try {
+        if (!this.columnExists('api_usage', 'project_id')) {
+          // SQLite can't change a CHECK constraint in place, so copy the rows into a new table
+          this.db.transaction(() => {
+            this.db.exec(`
+              CREATE TABLE api_usage_new (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                project_id INTEGER,
+                run_id INTEGER,
+                api_provider TEXT NOT NULL CHECK(api_provider IN ('semrush', 'openai', 'anthropic', 'azure', 'local')),
+                endpoint TEXT,
+                method TEXT,
+                model TEXT,
+                request_size INTEGER,
+                response_size INTEGER,
+                input_tokens INTEGER,
+                output_tokens INTEGER,
+                api_units INTEGER,
+                duration_ms INTEGER,
+                cost_estimate REAL,
+                status_code INTEGER,
+                error_message TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (project_id) REFERENCES projects (id) ON DELETE CASCADE,
+                FOREIGN KEY (run_id) REFERENCES processing_runs (id) ON DELETE CASCADE
+              )
+            `);
+            this.db.exec(`
+              INSERT INTO api_usage_new (id, project_id, run_id, api_provider, endpoint, method, request_size,
+                response_size, duration_ms, cost_estimate, status_code, error_message, timestamp)
+              SELECT u.id, r.project_id, u.run_id, u.api_provider, u.endpoint, u.method, u.request_size,
+                u.response_size, u.duration_ms, u.cost_estimate, u.status_code, u.error_message, u.timestamp
+              FROM api_usage u LEFT JOIN processing_runs r ON r.id = u.run_id
+            `);
+            this.db.exec('DROP TABLE api_usage');
+            this.db.exec('ALTER TABLE api_usage_new RENAME TO api_usage');
+            this.db.exec('CREATE INDEX IF NOT EXISTS idx_api_usage_run ON api_usage (run_id)');
+          })();
+          console.log('✅ Rebuilt api_usage table');
+        } else {
+          console.log('✅ api_usage table already tracks costs');
+        }
+
+        this.setVersion(4);
+        console.log('✅ Migration 4 completed successfully');
+      } catch (error) {
+        console.error('❌ Migration 4 failed:', error.message);
+        throw error;
+      }
+    }
+
+    // Migration 5: Allow seed-keyword projects (project_type 'seed' and a seed_keywords column)
+    if (currentVersion < 5) {
+      console.log('Running migration 5: Adding seed keyword projects...');
+
+      try {
+        const { sql } = this.db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'projects'").get();
+        if (!sql.includes("'seed'")) {
+          // Every table references projects by name: with foreign keys off, dropping the old table
+          // neither cascades nor breaks those references, and the rebuilt one takes its place
+          this.db.pragma('foreign_keys = OFF');
+          const orphansBefore = this.db.pragma('foreign_key_check').length;
+          try {
+            this.db.transaction(() => {
+              this.db.exec(`
+                CREATE TABLE projects_new (
+                  id INTEGER PRIMARY KEY AUTOINCREMENT,
+                  name TEXT NOT NULL,
+                  domain TEXT,
+                  url TEXT,
+                  seed_keywords TEXT,
+                  project_type TEXT CHECK(project_type IN ('domain', 'subdomain', 'subfolder', 'url', 'seed')),
+                  slug TEXT UNIQUE NOT NULL,
+                  configuration TEXT,
+                  status TEXT DEFAULT 'active' CHECK(status IN ('active', 'archived', 'deleted')),
+                  tags TEXT,
+                  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                  last_processed DATETIME
+                )
+              `);
+              const columns = this.db.prepare('PRAGMA table_info(projects)').all()
+                .map(column => column.name)
+                .filter(name => this.columnExists('projects_new', name))
+                .join(', ');
+              this.db.exec(`INSERT INTO projects_new (${columns}) SELECT ${columns} FROM projects`);
+              this.db.exec('DROP TABLE projects');
+              this.db.exec('ALTER TABLE projects_new RENAME TO projects');
+              this.db.exec('CREATE INDEX IF NOT EXISTS idx_projects_slug ON projects (slug)');
+              this.db.exec('CREATE INDEX IF NOT EXISTS idx_projects_domain ON projects (domain)');
+              this.db.exec('CREATE INDEX IF NOT EXISTS idx_projects_status ON projects (status)');
+
+              const orphans = this.db.pragma('foreign_key_check').length;
+              if (orphans > orphansBefore) {
+                throw new Error(`${orphans - orphansBefore} rows would lose their project`);
+              }
+            })();
+          } finally {
+            this.db.pragma('foreign_keys = ON');
+          }
+          console.log('✅ Rebuilt projects table with the seed project type');
+        } else {
+          console.log('✅ projects table already allows seed projects');
+        }
+
+        this.setVersion(5);
+        console.log('✅ Migration 5 completed successfully');
+      } catch (error) {
+        console.error('❌ Migration 5 failed:', error.message);
+        throw error;
+      }
+    }
+
     // Future migrations can be added here
-    // if (currentVersion < 2) { ... }
+    // if (currentVersion < 6) { ... }
 
     console.log('✅ All migrations completed');
   }
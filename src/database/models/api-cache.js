@@ -0,0 +1,106 @@
+const BaseModel = require('./base');
+
+// SQLite CURRENT_TIMESTAMP format (UTC), so timestamps compare as strings
+const toTimestamp = date => date.toISOString().replace('T', ' ').slice(0, 19);
+
+class ApiCacheModel extends BaseModel {
+  constructor(db) {
+    super(db, 'api_cache');
+  }
+
+  // Get a cached response by key, expired or not
+  findByKey(cacheKey) {
+    return this.db.prepare(`SELECT * FROM ${this.tableName} WHERE cache_key = ?`).get(cacheKey);
+  }
+
+  /**
+   * Store a response, replacing an earlier one for the same request
+   * @param {Object} entry
+   * @param {string} entry.cacheKey
+   * @param {string} entry.provider
+   * @param {string} [entry.endpoint]
+   * @param {string} [entry.model]
+   * @param {Object} entry.request - The hashed request, without secrets
+   * @param {number} [entry.statusCode]
+   * @param {*} entry.response - Response body
+   * @param {Date|null} [entry.expiresAt] - null never expires
+   * @param {Date} [entry.createdAt]
+   */
+  store(entry) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO ${this.tableName}
+        (cache_key, provider, endpoint, model, request, status_code, response, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      entry.cacheKey,
+      entry.provider,
+      entry.endpoint ?? null,
+      entry.model ?? null,
+      JSON.stringify(entry.request),
+      entry.statusCode ?? null,
+      JSON.stringify(entry.response),
+      toTimestamp(entry.createdAt || new Date()),
+      entry.expiresAt ? toTimestamp(entry.expiresAt) : null
+    );
+  }
+
+  // Count a response served from the cache
+  recordHit(cacheKey, date = new Date()) {
+    this.db.prepare(`
+      UPDATE ${this.tableName} SET hit_count = hit_count + 1, last_hit_at = ? WHERE cache_key = ?
+    `).run(toTimestamp(date), cacheKey);
+  }
+
+  // Whether an entry has expired at `date`
+  static isExpired(row, date = new Date()) {
+    return row.expires_at !== null && row.expires_at <= toTimestamp(date);
+  }
+
+  /**
+   * Delete entries, all or only those of a provider and/or already expired
+   * @param {Object} [filter]
+   * @param {string} [filter.provider]
+   * @param {boolean} [filter.expiredOnly]
+   * @param {Date} [filter.now]
+   * @returns {number} Entries deleted
+   */
+  clear({ provider, expiredOnly = false, now = new Date() } = {}) {
+    const conditions = [];
+    const params = [];
+    if (provider) {
+      conditions.push('provider = ?');
+      params.push(provider);
+    }
+    if (expiredOnly) {
+      conditions.push('expires_at IS NOT NULL AND expires_at <= ?');
+      params.push(toTimestamp(now));
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db.prepare(`DELETE FROM ${this.tableName} ${where}`).run(params).changes;
+  }
+
+  // Entries, hits and size per provider
+  getStats(now = new Date()) {
+    const query = `
+      SELECT provider, COUNT(*) AS entries,
+             COALESCE(SUM(hit_count), 0) AS hits,
+             SUM(CASE WHEN expires_at IS NOT NULL AND expires_at <= ? THEN 1 ELSE 0 END) AS expired,
+             COALESCE(SUM(LENGTH(response)), 0) AS response_bytes,
+             MIN(created_at) AS oldest,
+             MAX(last_hit_at) AS last_hit
+      FROM ${this.tableName}
+      GROUP BY provider
+      ORDER BY provider
+    `;
+    return this.db.prepare(query).all(toTimestamp(now));
+  }
+
+  // All entries, optionally of one provider, oldest first
+  findEntries({ provider } = {}) {
+    const where = provider ? 'WHERE provider = ?' : '';
+    const query = `SELECT * FROM ${this.tableName} ${where} ORDER BY created_at, cache_key`;
+    return this.db.prepare(query).all(provider ? [provider] : []);
+  }
+}
+
+module.exports = ApiCacheModel;
@@ -0,0 +1,129 @@
+const BaseModel = require('./base');
+
+// SQLite CURRENT_TIMESTAMP format (UTC), so timestamps compare as strings
+const toTimestamp = date => date.toISOString().replace('T', ' ').slice(0, 19);
+
+class ApiUsageModel extends BaseModel {
+  constructor(db) {
+    super(db, 'api_usage');
+  }
+
+  // Store one API call (one row per attempt, retries included)
+  record(call) {
+    return this.create({
+      project_id: call.projectId ?? null,
+      run_id: call.runId ?? null,
+      api_provider: call.provider,
+      endpoint: call.endpoint,
+      method: call.method,
+      model: call.model ?? null,
+      request_size: call.requestSize ?? null,
+      response_size: call.responseSize ?? null,
+      input_tokens: call.inputTokens ?? null,
+      output_tokens: call.outputTokens ?? null,
+      api_units: call.units ?? null,
+      duration_ms: call.durationMs ?? null,
+      cost_estimate: call.cost ?? 0,
+      status_code: call.statusCode ?? null,
+      error_message: call.error ?? null
+    });
+  }
+
+  // First moment of the month containing `date` (UTC)
+  static monthStart(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+
+  /**
+   * Calls and estimated cost of a project and/or run
+   * @param {Object} filter
+   * @param {number} [filter.projectId]
+   * @param {number} [filter.runId]
+   * @param {Date} [filter.since]
+   * @returns {{calls: number, cost: number}}
+   */
+  getSpend({ projectId, runId, since } = {}) {
+    const { where, params } = this.buildFilter({ projectId, runId, since });
+    const query = `SELECT COUNT(*) AS calls, COALESCE(SUM(cost_estimate), 0) AS cost FROM ${this.tableName} ${where}`;
+    return this.db.prepare(query).get(params);
+  }
+
+  // Estimated cost of a project's calls this calendar month
+  getMonthSpend(projectId, date = new Date()) {
+    return this.getSpend({ projectId, since: ApiUsageModel.monthStart(date) }).cost;
+  }
+
+  // Spend per project, most expensive first
+  summarizeByProject({ since } = {}) {
+    const { where, params } = this.buildFilter({ since }, 'u.');
+    const query = `
+      SELECT u.project_id, p.name AS project_name, COUNT(*) AS calls,
+             COALESCE(SUM(u.cost_estimate), 0) AS cost,
+             COALESCE(SUM(u.input_tokens), 0) + COALESCE(SUM(u.output_tokens), 0) AS tokens,
+             COALESCE(SUM(u.api_units), 0) AS units,
+             SUM(CASE WHEN u.status_code IS NULL OR u.status_code >= 400 THEN 1 ELSE 0 END) AS errors,
+             MAX(u.timestamp) AS last_call
+      FROM ${this.tableName} u
+      LEFT JOIN projects p ON p.id = u.project_id
+      ${where}
+      GROUP BY u.project_id
+      ORDER BY cost DESC, calls DESC
+    `;
+    return this.db.prepare(query).all(params);
+  }
+
+  // Spend per provider, model and endpoint, optionally for one project
+  summarizeByProvider({ projectId, since } = {}) {
+    const { where, params } = this.buildFilter({ projectId, since });
+    const query = `
+      SELECT api_provider, model, endpoint, COUNT(*) AS calls,
+             COALESCE(SUM(cost_estimate), 0) AS cost,
+             COALESCE(SUM(input_tokens), 0) AS input_tokens,
+             COALESCE(SUM(output_tokens), 0) AS output_tokens,
+             COALESCE(SUM(api_units), 0) AS units,
+             SUM(CASE WHEN status_code IS NULL OR status_code >= 400 THEN 1 ELSE 0 END) AS errors,
+             AVG(duration_ms) AS avg_duration_ms
+      FROM ${this.tableName}
+      ${where}
+      GROUP BY api_provider, model, endpoint
+      ORDER BY cost DESC, calls DESC
+    `;
+    return this.db.prepare(query).all(params);
+  }
+
+  // Spend of a project's most recent runs
+  summarizeByRun(projectId, limit = 10) {
+    const query = `
+      SELECT u.run_id, r.run_type, r.status, r.started_at, COUNT(*) AS calls,
+             COALESCE(SUM(u.cost_estimate), 0) AS cost
+      FROM ${this.tableName} u
+      JOIN processing_runs r ON r.id = u.run_id
+      WHERE u.project_id = ?
+      GROUP BY u.run_id
+      ORDER BY u.run_id DESC
+      LIMIT ?
+    `;
+    return this.db.prepare(query).all(projectId, limit);
+  }
+
+  // WHERE clause shared by the summaries
+  buildFilter({ projectId, runId, since }, prefix = '') {
+    const conditions = [];
+    const params = [];
+    if (projectId !== undefined && projectId !== null) {
+      conditions.push(`${prefix}project_id = ?`);
+      params.push(projectId);
+    }
+    if (runId !== undefined && runId !== null) {
+      conditions.push(`${prefix}run_id = ?`);
+      params.push(runId);
+    }
+    if (since) {
+      conditions.push(`${prefix}timestamp >= ?`);
+      params.push(toTimestamp(since));
+    }
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+  }
+}
+
+module.exports = ApiUsageModel;
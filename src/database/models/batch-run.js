@@ -0,0 +1,117 @@
+const BaseModel = require('./base');
+
+// Sessions that stopped before completing and can be picked up from a checkpoint
+const RESUMABLE_STATUSES = ['paused', 'failed', 'cancelled'];
+
+class BatchRunModel extends BaseModel {
+  constructor(db) {
+    super(db, 'batch_runs');
+  }
+
+  // Record a batch processing session for a run
+  startBatch(projectId, runId, { batchMode, totalKeywords, totalBatches, batchSize, fastSamplePercentage, configuration, resumeData }) {
+    return this.create({
+      project_id: projectId,
+      run_id: runId,
+      batch_mode: batchMode,
+      total_keywords: totalKeywords,
+      total_batches: totalBatches,
+      batch_size: batchSize,
+      fast_sample_percentage: fastSamplePercentage,
+      status: 'running',
+      current_stage: 'initialized',
+      configuration,
+      resume_data: resumeData
+    });
+  }
+
+  // Store a BatchProcessor.getProgress() snapshot
+  updateProgress(batchRunId, progress) {
+    const data = {
+      processed_keywords: progress.processedKeywords,
+      current_batch: progress.currentBatch,
+      total_batches: progress.totalBatches,
+      current_stage: progress.stage,
+      stage_progress: progress.progressPercent || 0,
+      status: progress.isPaused ? 'paused' : 'running',
+      processing_time_ms: progress.elapsedTime || 0
+    };
+    if (progress.estimatedTimeRemaining !== undefined) {
+      data.estimated_completion = progress.estimatedTimeRemaining === null
+        ? null
+        : new Date(Date.now() + progress.estimatedTimeRemaining).toISOString();
+    }
+    return this.update(batchRunId, data);
+  }
+
+  completeBatch(batchRunId, processingTimeMs) {
+    return this.update(batchRunId, {
+      status: 'completed',
+      current_stage: 'completed',
+      stage_progress: 100,
+      completed_at: new Date().toISOString(),
+      estimated_completion: null,
+      processing_time_ms: processingTimeMs
+    });
+  }
+
+  markFailed(batchRunId, errorMessage) {
+    return this.update(batchRunId, {
+      status: 'failed',
+      completed_at: new Date().toISOString(),
+      error_message: errorMessage
+    });
+  }
+
+  // Reopen a session that is picked up from a checkpoint
+  markResumed(batchRunId) {
+    return this.update(batchRunId, {
+      status: 'running',
+      resumed_at: new Date().toISOString(),
+      completed_at: null,
+      error_message: null
+    });
+  }
+
+  markCancelled(batchRunId) {
+    return this.update(batchRunId, {
+      status: 'cancelled',
+      completed_at: new Date().toISOString(),
+      estimated_completion: null
+    });
+  }
+
+  // Whether a session stopped before completing and can be resumed
+  isResumable(batchRun) {
+    return RESUMABLE_STATUSES.includes(batchRun.status);
+  }
+
+  // Sessions with their project, run and latest recoverable checkpoint, newest first
+  findWithCheckpoints({ projectId, statuses = RESUMABLE_STATUSES } = {}) {
+    const params = [...statuses];
+    let projectFilter = '';
+    if (projectId !== undefined) {
+      projectFilter = 'AND br.project_id = ?';
+      params.push(projectId);
+    }
+    return this.db.prepare(`
+      SELECT br.*, p.name as project_name, pr.run_type,
+        (SELECT COUNT(*) FROM batch_checkpoints bc WHERE bc.batch_run_id = br.id AND bc.is_recoverable = 1) as checkpoint_count,
+        (SELECT bc.stage_name FROM batch_checkpoints bc WHERE bc.batch_run_id = br.id AND bc.is_recoverable = 1
+          ORDER BY bc.created_at DESC, bc.id DESC LIMIT 1) as last_checkpoint_stage
+      FROM ${this.tableName} br
+      JOIN projects p ON p.id = br.project_id
+      LEFT JOIN processing_runs pr ON pr.id = br.run_id
+      WHERE br.status IN (${statuses.map(() => '?').join(', ')}) ${projectFilter}
+      ORDER BY br.id DESC
+    `).all(...params);
+  }
+
+  // Latest batch session of a run
+  findLatestByRun(runId) {
+    const query = `SELECT * FROM ${this.tableName} WHERE run_id = ? ORDER BY id DESC LIMIT 1`;
+    return this.db.prepare(query).get(runId);
+  }
+}
+
+module.exports = BatchRunModel;
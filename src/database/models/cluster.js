@@ -117,6 +117,12 @@ class ClusterModel extends BaseModel {
     const query = `DELETE FROM ${this.tableName} WHERE run_id = ?`;
     return this.db.prepare(query).run(runId);
   }
+
+  // Delete all clusters for a project (used before re-clustering)
+  deleteByProject(projectId) {
+    const query = `DELETE FROM ${this.tableName} WHERE project_id = ?`;
+    return this.db.prepare(query).run(projectId);
+  }
 }
 
 module.exports = ClusterModel;
\ No newline at end of file
@@ -0,0 +1,102 @@
+const BaseModel = require('./base');
+
+// SEMrush domain_organic_organic headers and the competitors column each one fills
+const COMPETITOR_HEADERS = {
+  'Domain': 'domain',
+  'Competitor Relevance': 'relevance',
+  'Common Keywords': 'common_keywords',
+  'Organic Keywords': 'organic_keywords',
+  'Organic Traffic': 'organic_traffic',
+  'Organic Cost': 'organic_cost',
+  'Adwords Keywords': 'adwords_keywords'
+};
+
+const REAL_FIELDS = ['relevance', 'organic_cost'];
+
+class CompetitorModel extends BaseModel {
+  constructor(db) {
+    super(db, 'competitors');
+  }
+
+  /**
+   * Save the competitors of a SEMrush domain_organic_organic export, replacing the figures
+   * fetched earlier for the same project, database and domain
+   * @param {number} projectId
+   * @param {string} database - SEMrush database (e.g., 'us')
+   * @param {string} csvData
+   * @returns {Array<Object>} Saved rows, most relevant first
+   */
+  saveFromCSV(projectId, database, csvData) {
+    const lines = csvData.split('\n');
+    if (lines.length < 2) return [];
+
+    const fields = lines[0].split(';').map(name => COMPETITOR_HEADERS[name.trim()] || null);
+    if (!fields.includes('domain')) {
+      throw new Error('Not a SEMrush competitors export: no Domain column');
+    }
+
+    const upsert = this.db.prepare(`
+      INSERT INTO ${this.tableName}
+        (project_id, database, domain, relevance, common_keywords, organic_keywords, organic_traffic, organic_cost, adwords_keywords, fetched_at)
+      VALUES (@project_id, @database, @domain, @relevance, @common_keywords, @organic_keywords, @organic_traffic, @organic_cost, @adwords_keywords, CURRENT_TIMESTAMP)
+      ON CONFLICT (project_id, database, domain) DO UPDATE SET
+        relevance = excluded.relevance,
+        common_keywords = excluded.common_keywords,
+        organic_keywords = excluded.organic_keywords,
+        organic_traffic = excluded.organic_traffic,
+        organic_cost = excluded.organic_cost,
+        adwords_keywords = excluded.adwords_keywords,
+        fetched_at = excluded.fetched_at
+    `);
+
+    const saveAll = this.db.transaction(() => {
+      const domains = [];
+      lines.slice(1).map(line => line.trim()).filter(Boolean).forEach(line => {
+        const values = line.split(';');
+        const row = Object.fromEntries(Object.values(COMPETITOR_HEADERS).map(field => [field, null]));
+        fields.forEach((field, index) => {
+          if (!field) return;
+          row[field] = field === 'domain'
+            ? (values[index] || '').trim().toLowerCase()
+            : REAL_FIELDS.includes(field) ? this.parseFloat(values[index]) : this.parseInteger(values[index]);
+        });
+        if (!row.domain) return;
+
+        upsert.run({ ...row, project_id: projectId, database });
+        domains.push(row.domain);
+      });
+      return domains;
+    });
+
+    const domains = saveAll();
+    return this.getByProject(projectId, { database }).filter(row => domains.includes(row.domain));
+  }
+
+  /**
+   * Competitors of a project, most relevant first
+   * @param {number} projectId
+   * @param {Object} [filter]
+   * @param {string} [filter.database] - Only those fetched for this SEMrush database
+   * @returns {Array<Object>}
+   */
+  getByProject(projectId, { database } = {}) {
+    const query = `
+      SELECT * FROM ${this.tableName}
+      WHERE project_id = ? ${database ? 'AND database = ?' : ''}
+      ORDER BY relevance DESC, common_keywords DESC, domain
+    `;
+    return this.db.prepare(query).all(database ? [projectId, database] : [projectId]);
+  }
+
+  parseInteger(value) {
+    const parsed = parseInt(value);
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  parseFloat(value) {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? null : parsed;
+  }
+}
+
+module.exports = CompetitorModel;
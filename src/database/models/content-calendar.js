@@ -0,0 +1,78 @@
+const BaseModel = require('./base');
+
+class ContentCalendarModel extends BaseModel {
+  constructor(db) {
+    super(db, 'content_calendar');
+  }
+
+  // Calendar entries of a project by publishing date, with the title, cluster and primary keyword
+  findForProject(projectId, { from, to, status } = {}) {
+    const conditions = ['cc.project_id = ?'];
+    const params = [projectId];
+    if (from) {
+      conditions.push('cc.publish_date >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('cc.publish_date <= ?');
+      params.push(to);
+    }
+    if (status) {
+      conditions.push('cc.status = ?');
+      params.push(status);
+    }
+
+    return this.db.prepare(`
+      SELECT
+        cc.*,
+        gc.content AS title,
+        gc.is_approved,
+        kc.cluster_name,
+        k.keyword AS primary_keyword,
+        k.search_volume
+      FROM ${this.tableName} cc
+      INNER JOIN generated_content gc ON gc.id = cc.content_id
+      LEFT JOIN keyword_clusters kc ON kc.id = cc.cluster_id
+      LEFT JOIN keywords k ON k.id = gc.primary_keyword_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY cc.publish_date, cc.priority_score DESC, cc.id
+    `).all(...params).map(row => this.toEntry(row));
+  }
+
+  // Replace the project's planned entries; published and skipped entries are kept
+  replacePlan(projectId, entries) {
+    const insert = this.db.prepare(`
+      INSERT INTO ${this.tableName} (project_id, content_id, cluster_id, publish_date, status, priority_score, peak_months, reason)
+      VALUES (?, ?, ?, ?, 'planned', ?, ?, ?)
+    `);
+    return this.transaction(() => {
+      const removed = this.db.prepare(`DELETE FROM ${this.tableName} WHERE project_id = ? AND status = 'planned'`)
+        .run(projectId).changes;
+      entries.forEach(entry => {
+        insert.run(
+          projectId,
+          entry.content_id,
+          entry.cluster_id ?? null,
+          entry.publish_date,
+          entry.priority_score ?? null,
+          entry.peak_months ? JSON.stringify(entry.peak_months) : null,
+          entry.reason || null
+        );
+      });
+      return { removed, planned: entries.length };
+    });
+  }
+
+  // Mark an entry planned, published or skipped
+  setStatus(projectId, id, status) {
+    const entry = this.findOne({ id, project_id: projectId });
+    return entry ? this.toEntry(this.update(id, { status })) : null;
+  }
+
+  // Parse peak_months
+  toEntry(row) {
+    return row && { ...row, peak_months: row.peak_months ? JSON.parse(row.peak_months) : [] };
+  }
+}
+
+module.exports = ContentCalendarModel;
@@ -0,0 +1,59 @@
+const BaseModel = require('./base');
+
+class GeneratedContentModel extends BaseModel {
+  constructor(db) {
+    super(db, 'generated_content');
+  }
+
+  // Titles of a project by id, in the order of the ids given
+  findTitles(projectId, ids) {
+    if (ids.length === 0) return [];
+    const placeholders = ids.map(() => '?').join(',');
+    const rows = this.db.prepare(`
+      SELECT * FROM ${this.tableName}
+      WHERE project_id = ? AND content_type = 'title' AND id IN (${placeholders})
+    `).all(projectId, ...ids);
+    const byId = new Map(rows.map(row => [row.id, row]));
+    return ids.map(id => byId.get(Number(id))).filter(Boolean);
+  }
+
+  // Record one changed field of a title
+  addHistory(title, field, oldValue, newValue, note = null) {
+    this.db.prepare(`
+      INSERT INTO generated_content_history (content_id, project_id, field, old_value, new_value, note)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(title.id, title.project_id, field, oldValue ?? null, newValue ?? null, note || null);
+  }
+
+  // Change history of a title, newest first
+  getHistory(contentId) {
+    return this.db.prepare(`
+      SELECT id, field, old_value, new_value, note, created_at
+      FROM generated_content_history
+      WHERE content_id = ?
+      ORDER BY id DESC
+    `).all(contentId);
+  }
+
+  // Rejected titles of a project with the note given when rejecting; titles of the same
+  // cluster (by id, or by name for clusters of other runs) come first
+  findRejected(projectId, { clusterId = null, clusterName = null, limit = 10 } = {}) {
+    return this.db.prepare(`
+      SELECT
+        gc.id, gc.content, gc.cluster_id,
+        (SELECT h.note FROM generated_content_history h
+          WHERE h.content_id = gc.id AND h.field = 'status' AND h.new_value = 'rejected'
+          ORDER BY h.id DESC LIMIT 1) AS reason
+      FROM ${this.tableName} gc
+      LEFT JOIN keyword_clusters kc ON kc.id = gc.cluster_id
+      WHERE gc.project_id = ? AND gc.content_type = 'title' AND gc.status = 'rejected'
+      ORDER BY
+        CASE WHEN gc.cluster_id = ? OR kc.cluster_name = ? THEN 0 ELSE 1 END,
+        COALESCE(gc.updated_at, gc.created_at) DESC,
+        gc.id DESC
+      LIMIT ?
+    `).all(projectId, clusterId, clusterName, limit);
+  }
+}
+
+module.exports = GeneratedContentModel;
@@ -0,0 +1,153 @@
+const BaseModel = require('./base');
+
+class JobModel extends BaseModel {
+  constructor(db) {
+    super(db, 'job_queue');
+  }
+
+  // Add a queued job
+  enqueue(type, options = {}, { projectId = null, priority = 0, maxAttempts = 1 } = {}) {
+    return this.toJob(this.create({
+      type,
+      project_id: projectId,
+      status: 'queued',
+      priority,
+      options,
+      max_attempts: maxAttempts,
+      created_at: new Date().toISOString()
+    }));
+  }
+
+  // Job by id with options and result parsed
+  get(id) {
+    return this.toJob(this.findById(id));
+  }
+
+  // Jobs newest first, optionally filtered by project or status
+  list({ projectId, status, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (projectId !== undefined) {
+      conditions.push('project_id = ?');
+      params.push(Number(projectId));
+    }
+    if (status !== undefined) {
+      const statuses = [].concat(status);
+      conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db.prepare(`SELECT * FROM ${this.tableName} ${where} ORDER BY id DESC LIMIT ?`)
+      .all(...params, limit)
+      .map(row => this.toJob(row));
+  }
+
+  // Queued or running job of a type for a project
+  findPending(type, projectId) {
+    return this.toJob(this.db.prepare(`
+      SELECT * FROM ${this.tableName}
+      WHERE type = ? AND project_id = ? AND status IN ('queued', 'running')
+      ORDER BY id LIMIT 1
+    `).get(type, projectId));
+  }
+
+  // Highest-priority queued job that is due, skipping projects that already have a running job
+  findNextRunnable(now = new Date().toISOString()) {
+    return this.toJob(this.db.prepare(`
+      SELECT * FROM ${this.tableName}
+      WHERE status = 'queued'
+        AND (run_after IS NULL OR run_after <= ?)
+        AND (project_id IS NULL OR project_id NOT IN (
+          SELECT project_id FROM ${this.tableName} WHERE status = 'running' AND project_id IS NOT NULL
+        ))
+      ORDER BY priority DESC, id ASC
+      LIMIT 1
+    `).get(now));
+  }
+
+  // Earliest retry time of queued jobs that are waiting out a backoff
+  findNextRunAfter(now = new Date().toISOString()) {
+    const row = this.db.prepare(`
+      SELECT MIN(run_after) as run_after FROM ${this.tableName}
+      WHERE status = 'queued' AND run_after > ?
+    `).get(now);
+    return row.run_after;
+  }
+
+  // Mark a queued job as running; false when another worker got to it first
+  claim(id) {
+    const result = this.db.prepare(`
+      UPDATE ${this.tableName}
+      SET status = 'running', attempts = attempts + 1, started_at = ?, finished_at = NULL
+      WHERE id = ? AND status = 'queued'
+    `).run(new Date().toISOString(), id);
+    return result.changes === 1;
+  }
+
+  complete(id, result) {
+    return this.update(id, {
+      status: 'completed',
+      result: JSON.stringify(result ?? null),
+      error_message: null,
+      finished_at: new Date().toISOString()
+    });
+  }
+
+  markFailed(id, errorMessage) {
+    return this.update(id, {
+      status: 'failed',
+      error_message: errorMessage,
+      finished_at: new Date().toISOString()
+    });
+  }
+
+  // Put a failed attempt back in the queue until runAfter
+  scheduleRetry(id, errorMessage, runAfter) {
+    return this.update(id, {
+      status: 'queued',
+      error_message: errorMessage,
+      run_after: runAfter
+    });
+  }
+
+  markCancelled(id) {
+    return this.update(id, {
+      status: 'cancelled',
+      cancel_requested: true,
+      finished_at: new Date().toISOString()
+    });
+  }
+
+  // Flag a running job so its worker stops it
+  requestCancel(id) {
+    return this.update(id, { cancel_requested: true });
+  }
+
+  // Jobs left running by a process that stopped: requeue them, or fail them when out of attempts
+  recoverInterrupted() {
+    const interrupted = this.findAll({ status: 'running' });
+    interrupted.forEach(job => {
+      if (job.cancel_requested) {
+        this.markCancelled(job.id);
+      } else if (job.attempts < job.max_attempts) {
+        this.scheduleRetry(job.id, 'Interrupted by a restart', null);
+      } else {
+        this.markFailed(job.id, 'Interrupted by a restart');
+      }
+    });
+    return interrupted.length;
+  }
+
+  // Row with JSON columns parsed
+  toJob(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      options: row.options ? JSON.parse(row.options) : {},
+      result: row.result ? JSON.parse(row.result) : null,
+      cancel_requested: Boolean(row.cancel_requested)
+    };
+  }
+}
+
+module.exports = JobModel;
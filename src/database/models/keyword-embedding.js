@@ -0,0 +1,65 @@
+const BaseModel = require('./base');
+
+class KeywordEmbeddingModel extends BaseModel {
+  constructor(db) {
+    super(db, 'keyword_embeddings');
+  }
+
+  // Get cached vectors for keywords as a Map of keyword → Array<number>
+  getVectors(provider, model, dimensions, keywords) {
+    const vectors = new Map();
+    const query = this.db.prepare(`
+      SELECT keyword, vector FROM ${this.tableName}
+      WHERE provider = ? AND model = ? AND dimensions = ? AND keyword = ?
+    `);
+
+    for (const keyword of keywords) {
+      const row = query.get(provider, model, dimensions, keyword);
+      if (row) {
+        vectors.set(keyword, this.fromBlob(row.vector));
+      }
+    }
+
+    return vectors;
+  }
+
+  // Store vectors, keeping any that are already cached
+  saveVectors(provider, model, dimensions, entries) {
+    const insert = this.db.prepare(`
+      INSERT OR IGNORE INTO ${this.tableName} (provider, model, dimensions, keyword, vector)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    const saveAll = this.db.transaction(() => {
+      entries.forEach(([keyword, vector]) => {
+        insert.run(provider, model, dimensions, keyword, this.toBlob(vector));
+      });
+    });
+
+    saveAll();
+    return entries.length;
+  }
+
+  // Get cache size per provider/model
+  getStats() {
+    const query = `
+      SELECT provider, model, dimensions, COUNT(*) as keyword_count
+      FROM ${this.tableName}
+      GROUP BY provider, model, dimensions
+    `;
+    return this.db.prepare(query).all();
+  }
+
+  // Vectors are stored as raw Float32 bytes
+  toBlob(vector) {
+    return Buffer.from(new Float32Array(vector).buffer);
+  }
+
+  fromBlob(blob) {
+    // Copy first: Buffer offsets are not guaranteed to be 4-byte aligned
+    const bytes = blob.buffer.slice(blob.byteOffset, blob.byteOffset + blob.byteLength);
+    return Array.from(new Float32Array(bytes));
+  }
+}
+
+module.exports = KeywordEmbeddingModel;
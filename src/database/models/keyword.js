@@ -147,6 +147,82 @@ class KeywordModel extends BaseModel {
     `;
     return this.db.prepare(query).all(projectId, runId, limit);
   }
+
+  // Branded vs non-branded keyword count, search volume and traffic for a run
+  getBrandSplit(runId) {
+    const query = `
+      SELECT
+        CASE WHEN contains_brand = 1 THEN 'branded' ELSE 'non_branded' END as bucket,
+        COUNT(*) as keywords,
+        COALESCE(SUM(search_volume), 0) as search_volume,
+        COALESCE(SUM(traffic_percent), 0) as traffic_percent
+      FROM ${this.tableName}
+      WHERE run_id = ?
+      GROUP BY bucket
+    `;
+    const split = {
+      branded: { keywords: 0, search_volume: 0, traffic_percent: 0 },
+      non_branded: { keywords: 0, search_volume: 0, traffic_percent: 0 }
+    };
+    this.db.prepare(query).all(runId).forEach(({ bucket, ...totals }) => {
+      split[bucket] = totals;
+    });
+    return split;
+  }
+
+  // Branded keyword count and search volume per cluster of a run
+  getBrandSplitByCluster(runId) {
+    const query = `
+      SELECT
+        cluster_id,
+        cluster_name,
+        COUNT(*) as keyword_count,
+        COUNT(CASE WHEN contains_brand = 1 THEN 1 END) as branded_count,
+        COALESCE(SUM(search_volume), 0) as search_volume,
+        COALESCE(SUM(CASE WHEN contains_brand = 1 THEN search_volume END), 0) as branded_search_volume,
+        COALESCE(SUM(traffic_percent), 0) as traffic_percent,
+        COALESCE(SUM(CASE WHEN contains_brand = 1 THEN traffic_percent END), 0) as branded_traffic_percent
+      FROM ${this.tableName}
+      WHERE run_id = ? AND cluster_id IS NOT NULL
+      GROUP BY cluster_id
+      ORDER BY search_volume DESC
+    `;
+    return this.db.prepare(query).all(runId);
+  }
+
+  // Most recent run that produced keywords for a project
+  getLatestRunId(projectId) {
+    const row = this.db.prepare(`SELECT MAX(run_id) as run_id FROM ${this.tableName} WHERE project_id = ?`).get(projectId);
+    return row ? row.run_id : null;
+  }
+
+  // Re-flag contains_brand for every keyword of a project, returns the number of branded keywords
+  markBranded(projectId, brandService) {
+    const keywords = this.db.prepare(`SELECT id, keyword FROM ${this.tableName} WHERE project_id = ?`).all(projectId);
+    const update = this.db.prepare(`UPDATE ${this.tableName} SET contains_brand = ? WHERE id = ?`);
+
+    let branded = 0;
+    this.db.transaction(() => {
+      keywords.forEach(keyword => {
+        const isBranded = brandService.isBranded(keyword.keyword);
+        if (isBranded) branded++;
+        update.run(isBranded ? 1 : 0, keyword.id);
+      });
+    })();
+    return branded;
+  }
+
+  // Get project keywords with the ranking URL of their raw record (for SERP-overlap clustering)
+  getWithRankingUrls(projectId) {
+    const query = `
+      SELECT k.*, r.url
+      FROM ${this.tableName} k
+      LEFT JOIN raw_keywords r ON r.id = k.raw_keyword_id
+      WHERE k.project_id = ?
+      ORDER BY k.id
+    `;
+    return this.db.prepare(query).all(projectId);
+  }
 }
 
 module.exports = KeywordModel;
\ No newline at end of file
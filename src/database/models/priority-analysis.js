@@ -0,0 +1,59 @@
+const BaseModel = require('./base');
+
+class PriorityAnalysisModel extends BaseModel {
+  constructor(db) {
+    super(db, 'priority_analysis');
+  }
+
+  // Replace the analysis of a run (one row per run, refreshed on re-scoring)
+  saveForRun(projectId, runId, analysis) {
+    this.db.prepare(`DELETE FROM ${this.tableName} WHERE project_id = ? AND run_id = ?`).run(projectId, runId);
+
+    const data = {
+      project_id: projectId,
+      run_id: runId,
+      high_priority_count: analysis.counts.high,
+      medium_priority_count: analysis.counts.medium,
+      low_priority_count: analysis.counts.low,
+      top_opportunities: analysis.top_opportunities,
+      quick_wins: analysis.quick_wins,
+      long_term_targets: analysis.long_term_targets,
+      scoring_weights: analysis.scoring
+    };
+    // Databases created before the column existed need migration 2
+    if (this.hasColumn('striking_distance')) {
+      data.striking_distance = analysis.striking_distance;
+    }
+
+    return this.toAnalysis(this.create(data));
+  }
+
+  // Analysis of a run
+  findByRun(projectId, runId) {
+    const row = this.findOne({ project_id: projectId, run_id: runId });
+    return row ? this.toAnalysis(row) : null;
+  }
+
+  // Parse the JSON bucket columns
+  toAnalysis(row) {
+    const parse = value => (value ? JSON.parse(value) : { total: 0, keywords: [] });
+    return {
+      id: row.id,
+      project_id: row.project_id,
+      run_id: row.run_id,
+      analysis_date: row.analysis_date,
+      counts: {
+        high: row.high_priority_count || 0,
+        medium: row.medium_priority_count || 0,
+        low: row.low_priority_count || 0
+      },
+      scoring: row.scoring_weights ? JSON.parse(row.scoring_weights) : null,
+      top_opportunities: parse(row.top_opportunities),
+      quick_wins: parse(row.quick_wins),
+      long_term_targets: parse(row.long_term_targets),
+      striking_distance: parse(row.striking_distance)
+    };
+  }
+}
+
+module.exports = PriorityAnalysisModel;
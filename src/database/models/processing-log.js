@@ -0,0 +1,43 @@
+const BaseModel = require('./base');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+class ProcessingLogModel extends BaseModel {
+  constructor(db) {
+    super(db, 'processing_logs');
+  }
+
+  // Append a log line to a run
+  log(runId, stage, message, level = 'info', details = null) {
+    return this.create({
+      run_id: runId,
+      stage: stage || 'general',
+      level: LOG_LEVELS.includes(level) ? level : 'info',
+      message,
+      details
+    });
+  }
+
+  // Log lines of a run after a given log id, oldest first
+  findByRun(runId, { afterId = 0, limit = 200 } = {}) {
+    const query = `
+      SELECT * FROM ${this.tableName}
+      WHERE run_id = ? AND id > ?
+      ORDER BY id
+      LIMIT ?
+    `;
+    return this.db.prepare(query).all(runId, afterId, limit);
+  }
+
+  // Most recent log lines of a run, oldest first
+  findRecent(runId, limit = 50) {
+    const query = `
+      SELECT * FROM (
+        SELECT * FROM ${this.tableName} WHERE run_id = ? ORDER BY id DESC LIMIT ?
+      ) ORDER BY id
+    `;
+    return this.db.prepare(query).all(runId, limit);
+  }
+}
+
+module.exports = ProcessingLogModel;
@@ -5,14 +5,17 @@ class ProcessingRunModel extends BaseModel {
     super(db, 'processing_runs');
   }
 
-  startRun(projectId, runType = 'create') {
+  // Start a run; a trigger other than a person (e.g. 'scheduler') is kept in its processing_stats
+  startRun(projectId, runType = 'create', totalStages = 8, { trigger = null } = {}) {
     const data = {
       project_id: projectId,
       run_type: runType,
+      total_stages: totalStages,
       scrape_date: new Date().toISOString().split('T')[0],
       status: 'running',
       started_at: new Date().toISOString(),
-      current_stage: 'initialization'
+      current_stage: 'initialization',
+      ...(trigger && { processing_stats: JSON.stringify({ trigger }) })
     };
 
     return this.create(data);
@@ -35,6 +38,24 @@ class ProcessingRunModel extends BaseModel {
     });
   }
 
+  // Store the clustering algorithm and parameters with the run's stats
+  recordClustering(runId, strategy) {
+    const run = this.findById(runId);
+    const stats = run && run.processing_stats ? JSON.parse(run.processing_stats) : {};
+    return this.update(runId, {
+      processing_stats: JSON.stringify({ ...stats, clustering: strategy })
+    });
+  }
+
+  // Store the scoring profile used for the run's current priority scores
+  recordScoring(runId, scoring) {
+    const run = this.findById(runId);
+    const stats = run && run.processing_stats ? JSON.parse(run.processing_stats) : {};
+    return this.update(runId, {
+      processing_stats: JSON.stringify({ ...stats, scoring })
+    });
+  }
+
   markFailed(runId, errorMessage) {
     return this.update(runId, {
       status: 'failed',
@@ -43,6 +64,22 @@ class ProcessingRunModel extends BaseModel {
     });
   }
 
+  markCancelled(runId) {
+    return this.update(runId, {
+      status: 'cancelled',
+      completed_at: new Date().toISOString()
+    });
+  }
+
+  // Reopen a failed, cancelled or interrupted run whose batch session is being resumed
+  resumeRun(runId) {
+    return this.update(runId, {
+      status: 'running',
+      completed_at: null,
+      error_message: null
+    });
+  }
+
   incrementApiUsage(runId, provider) {
     const column = provider === 'semrush' ? 'semrush_api_calls' : 'openai_api_calls';
     const current = this.findById(runId);
@@ -10,17 +10,27 @@ class ProjectModel extends BaseModel {
     return this.db.prepare(query).get(slug);
   }
 
+  // Resolve a CLI/API project reference given as numeric id or slug
+  findByIdOrSlug(identifier) {
+    if (/^\d+$/.test(String(identifier))) {
+      const project = this.findById(parseInt(identifier, 10));
+      if (project) return project;
+    }
+    return this.findBySlug(String(identifier));
+  }
+
   findActive() {
     return this.findAll({ status: 'active' });
   }
 
-  createProject({ name, domain, url, projectType, configuration = {}, tags = [] }) {
+  createProject({ name, domain, url, seedKeywords, projectType, configuration = {}, tags = [] }) {
     const slug = this.generateSlug(name);
     
     const data = {
       name,
       domain,
       url,
+      ...(seedKeywords && { seed_keywords: JSON.stringify(seedKeywords) }),
       project_type: projectType,
       slug,
       configuration: JSON.stringify(configuration),
@@ -31,6 +41,22 @@ class ProjectModel extends BaseModel {
     return this.create(data);
   }
 
+  /**
+   * A project's configuration as an object. Rows hold it as a JSON string; a missing or
+   * unreadable one is treated as empty so readers and writers agree on it.
+   * @param {Object|null} project - Project row, or a project whose configuration is already parsed
+   * @returns {Object}
+   */
+  static configurationOf(project) {
+    const configuration = project?.configuration || {};
+    if (typeof configuration !== 'string') return configuration;
+    try {
+      return JSON.parse(configuration) || {};
+    } catch {
+      return {};
+    }
+  }
+
   updateConfiguration(id, configuration) {
     return this.update(id, {
       configuration: JSON.stringify(configuration)
@@ -59,6 +85,28 @@ class ProjectModel extends BaseModel {
     return this.db.prepare(query).get(url);
   }
 
+  // Active seed project with the same seed keywords, in any order or case
+  findBySeeds(seeds) {
+    const normalize = list => list.map(seed => seed.toLowerCase()).sort().join('\n');
+    const wanted = normalize(seeds);
+    const query = `SELECT * FROM ${this.tableName} WHERE project_type = 'seed' AND status = 'active'`;
+    return this.db.prepare(query).all().find(project => normalize(ProjectModel.seedsOf(project)) === wanted);
+  }
+
+  // Seed keywords of a seed project (empty for other projects)
+  static seedsOf(project) {
+    try {
+      return project?.seed_keywords ? JSON.parse(project.seed_keywords) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  // What a project tracks, for lists: its domain, URL or seed keywords
+  static describeTarget(project) {
+    return project.domain || project.url || ProjectModel.seedsOf(project).join(', ');
+  }
+
   // Dangerous operations - use with caution
   deleteProjectCompletely(id) {
     // This will cascade delete all related data due to foreign key constraints
@@ -1,17 +1,40 @@
 const BaseModel = require('./base');
 
+// SEMrush CSV headers and the raw_keywords field each one fills. Domain reports export all of
+// them (Ph,Po,Pp,Pd,Nq,Cp,Ur,Tr,Tc,Co,Nr,Td); phrase reports have no position, URL or traffic.
+const SEMRUSH_HEADERS = {
+  'Keyword': 'keyword',
+  'Position': 'position',
+  'Previous Position': 'previous_position',
+  'Position Difference': 'position_difference',
+  'Search Volume': 'search_volume',
+  'CPC': 'cpc',
+  'Url': 'url',
+  'Traffic (%)': 'traffic_percent',
+  'Traffic Cost (%)': 'traffic_cost_percent',
+  'Competition': 'competition',
+  'Number of Results': 'number_of_results',
+  'Trends': 'trends'
+};
+
+const INTEGER_FIELDS = ['position', 'previous_position', 'position_difference', 'search_volume', 'number_of_results'];
+const TEXT_FIELDS = ['keyword', 'url', 'trends'];
+
 class RawKeywordModel extends BaseModel {
   constructor(db) {
     super(db, 'raw_keywords');
   }
 
-  // Parse and save keywords from CSV data
+  // Parse and save keywords from SEMrush CSV data (any keyword report)
   saveFromCSV(projectId, runId, csvData) {
     const lines = csvData.split('\n');
     if (lines.length < 2) return [];
 
-    // Parse header to understand structure
-    const header = lines[0].split(';');
+    // Columns are matched by header name; exports without known headers use the domain report order
+    const header = lines[0].split(';').map(name => name.trim());
+    const fields = header.some(name => SEMRUSH_HEADERS[name])
+      ? header.map(name => SEMRUSH_HEADERS[name] || null)
+      : Object.values(SEMRUSH_HEADERS);
     const keywords = [];
 
     // Process each line (skip header and empty lines)
@@ -22,23 +45,15 @@ class RawKeywordModel extends BaseModel {
       const values = line.split(';');
       if (values.length < header.length) continue;
 
-      // Map CSV columns to database fields based on sample structure
-      const keywordData = {
-        project_id: projectId,
-        run_id: runId,
-        keyword: values[0] || '',
-        position: this.parseInteger(values[1]),
-        previous_position: this.parseInteger(values[2]),
-        position_difference: this.parseInteger(values[3]),
-        search_volume: this.parseInteger(values[4]),
-        cpc: this.parseFloat(values[5]),
-        url: values[6] || '',
-        traffic_percent: this.parseFloat(values[7]),
-        traffic_cost_percent: this.parseFloat(values[8]),
-        competition: this.parseFloat(values[9]),
-        number_of_results: this.parseInteger(values[10]),
-        trends: values[11] || ''
-      };
+      const keywordData = { project_id: projectId, run_id: runId, keyword: '', url: '', trends: '' };
+      fields.forEach((field, index) => {
+        if (!field) return;
+        if (TEXT_FIELDS.includes(field)) {
+          keywordData[field] = values[index] || '';
+        } else {
+          keywordData[field] = INTEGER_FIELDS.includes(field) ? this.parseInteger(values[index]) : this.parseFloat(values[index]);
+        }
+      });
 
       const savedKeyword = this.create(keywordData);
       keywords.push(savedKeyword);
@@ -47,6 +62,28 @@ class RawKeywordModel extends BaseModel {
     return keywords;
   }
 
+  // Save already mapped keyword records (e.g. from a local file import)
+  saveRecords(projectId, runId, records) {
+    const saveAll = this.db.transaction(() => records.map(record => this.create({
+      project_id: projectId,
+      run_id: runId,
+      keyword: record.keyword,
+      position: record.position ?? null,
+      previous_position: record.previous_position ?? null,
+      position_difference: record.position_difference ?? null,
+      search_volume: record.search_volume ?? null,
+      cpc: record.cpc ?? null,
+      url: record.url || '',
+      traffic_percent: record.traffic_percent ?? null,
+      traffic_cost_percent: record.traffic_cost_percent ?? null,
+      competition: record.competition ?? null,
+      number_of_results: record.number_of_results ?? null,
+      trends: record.trends || ''
+    })));
+
+    return saveAll();
+  }
+
   // Get unprocessed keywords for a run
   getUnprocessed(runId) {
     return this.findAll({ 
@@ -105,4 +142,4 @@ class RawKeywordModel extends BaseModel {
   }
 }
 
-module.exports = RawKeywordModel;
\ No newline at end of file
+module.exports = RawKeywordModel;
@@ -0,0 +1,60 @@
+const BaseModel = require('./base');
+
+class ScoringProfileModel extends BaseModel {
+  constructor(db) {
+    super(db, 'scoring_profiles');
+  }
+
+  // Profiles available to a project: its own first, then the shared ones it doesn't override
+  findForProject(projectId) {
+    const query = `
+      SELECT * FROM ${this.tableName}
+      WHERE project_id = ? OR (project_id IS NULL AND name NOT IN (
+        SELECT name FROM ${this.tableName} WHERE project_id = ?
+      ))
+      ORDER BY project_id IS NULL, is_builtin DESC, name
+    `;
+    return this.db.prepare(query).all(projectId, projectId).map(row => this.toProfile(row));
+  }
+
+  // Find a profile by name, preferring the project's own over a shared one
+  findByName(name, projectId = null) {
+    const query = `
+      SELECT * FROM ${this.tableName}
+      WHERE name = ? AND (project_id = ? OR project_id IS NULL)
+      ORDER BY project_id IS NULL
+      LIMIT 1
+    `;
+    const row = this.db.prepare(query).get(name, projectId);
+    return row ? this.toProfile(row) : null;
+  }
+
+  // Create or replace a project's (or, without projectId, a shared) custom profile
+  saveProfile({ projectId = null, name, description = null, weights, thresholds, factors }) {
+    const existing = this.db.prepare(`
+      SELECT * FROM ${this.tableName} WHERE name = ? AND project_id IS ?
+    `).get(name, projectId);
+    if (existing && existing.is_builtin) {
+      throw new Error(`"${name}" is a built-in profile; save your changes under another name`);
+    }
+
+    const data = { description, weights, thresholds, factors };
+    const row = existing
+      ? this.update(existing.id, data)
+      : this.create({ project_id: projectId, name, ...data, is_builtin: false });
+    return this.toProfile(row);
+  }
+
+  // Parse the JSON settings columns
+  toProfile(row) {
+    return {
+      ...row,
+      is_builtin: Boolean(row.is_builtin),
+      weights: JSON.parse(row.weights),
+      thresholds: JSON.parse(row.thresholds),
+      factors: JSON.parse(row.factors)
+    };
+  }
+}
+
+module.exports = ScoringProfileModel;
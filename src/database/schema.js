@@ -7,7 +7,8 @@ class DatabaseSchema {
         name TEXT NOT NULL,
         domain TEXT,
         url TEXT,
-        project_type TEXT CHECK(project_type IN ('domain', 'subdomain', 'subfolder', 'url')),
+        seed_keywords TEXT,
+        project_type TEXT CHECK(project_type IN ('domain', 'subdomain', 'subfolder', 'url', 'seed')),
         slug TEXT UNIQUE NOT NULL,
         configuration TEXT,
         status TEXT DEFAULT 'active' CHECK(status IN ('active', 'archived', 'deleted')),
@@ -23,7 +24,7 @@ class DatabaseSchema {
       CREATE TABLE IF NOT EXISTS processing_runs (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         project_id INTEGER NOT NULL,
-        run_type TEXT NOT NULL CHECK(run_type IN ('create', 'rescrape', 'writemore', 'analyze', 'faq_generation')),
+        run_type TEXT NOT NULL CHECK(run_type IN ('create', 'rescrape', 'writemore', 'analyze', 'faq_generation', 'import')),
         scrape_date DATE NOT NULL,
         status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
         current_stage TEXT,
@@ -182,14 +183,34 @@ class DatabaseSchema {
         is_approved BOOLEAN DEFAULT FALSE,
         is_used BOOLEAN DEFAULT FALSE,
         usage_notes TEXT,
+        status TEXT DEFAULT 'draft' CHECK(status IN ('draft', 'approved', 'assigned', 'published', 'rejected')),
+        assigned_to TEXT,
+        published_url TEXT,
         metadata TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME,
         FOREIGN KEY (project_id) REFERENCES projects (id) ON DELETE CASCADE,
         FOREIGN KEY (run_id) REFERENCES processing_runs (id) ON DELETE CASCADE,
         FOREIGN KEY (primary_keyword_id) REFERENCES keywords (id)
       )
     `);
 
+    // Review history of generated content: text edits, status changes, notes
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS generated_content_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        content_id INTEGER NOT NULL,
+        project_id INTEGER NOT NULL,
+        field TEXT NOT NULL CHECK(field IN ('content', 'status', 'notes', 'assigned_to', 'published_url')),
+        old_value TEXT,
+        new_value TEXT,
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (content_id) REFERENCES generated_content (id) ON DELETE CASCADE,
+        FOREIGN KEY (project_id) REFERENCES projects (id) ON DELETE CASCADE
+      )
+    `);
+
     // Processing logs table
     db.exec(`
       CREATE TABLE IF NOT EXISTS processing_logs (
@@ -209,17 +230,23 @@ class DatabaseSchema {
     db.exec(`
       CREATE TABLE IF NOT EXISTS api_usage (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER,
         run_id INTEGER,
-        api_provider TEXT NOT NULL CHECK(api_provider IN ('semrush', 'openai')),
+        api_provider TEXT NOT NULL CHECK(api_provider IN ('semrush', 'openai', 'anthropic', 'azure', 'local')),
         endpoint TEXT,
         method TEXT,
+        model TEXT,
         request_size INTEGER,
         response_size INTEGER,
+        input_tokens INTEGER,
+        output_tokens INTEGER,
+        api_units INTEGER,
         duration_ms INTEGER,
         cost_estimate REAL,
         status_code INTEGER,
         error_message TEXT,
         timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects (id) ON DELETE CASCADE,
         FOREIGN KEY (run_id) REFERENCES processing_runs (id) ON DELETE CASCADE
       )
     `);
@@ -236,6 +263,7 @@ class DatabaseSchema {
         top_opportunities TEXT,
         quick_wins TEXT,
         long_term_targets TEXT,
+        striking_distance TEXT,
         scoring_weights TEXT,
         analysis_date DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (project_id) REFERENCES projects (id),
@@ -285,9 +313,9 @@ class DatabaseSchema {
         stage_name TEXT NOT NULL,
         batch_number INTEGER DEFAULT 1,
         keywords_processed INTEGER DEFAULT 0,
-        cluster_state TEXT,
-        processing_state TEXT,
-        intermediate_results TEXT,
+        cluster_state BLOB,
+        processing_state BLOB,
+        intermediate_results BLOB,
         performance_data TEXT,
         memory_usage INTEGER,
         validation_hash TEXT,
@@ -297,6 +325,116 @@ class DatabaseSchema {
         FOREIGN KEY (batch_run_id) REFERENCES batch_runs (id) ON DELETE CASCADE
       )
     `);
+
+    // Embedding vectors cached per keyword, shared across projects and runs
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS keyword_embeddings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider TEXT NOT NULL,
+        model TEXT NOT NULL,
+        dimensions INTEGER NOT NULL,
+        keyword TEXT NOT NULL,
+        vector BLOB NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (provider, model, dimensions, keyword)
+      )
+    `);
+
+    // API responses keyed by a hash of the request (provider, model, prompt or SEMrush query);
+    // expires_at NULL marks entries that never expire (imported fixtures)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS api_cache (
+        cache_key TEXT PRIMARY KEY,
+        provider TEXT NOT NULL,
+        endpoint TEXT,
+        model TEXT,
+        request TEXT NOT NULL,
+        status_code INTEGER,
+        response TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME,
+        hit_count INTEGER DEFAULT 0,
+        last_hit_at DATETIME
+      )
+    `);
+
+    // Domains competing with a project in organic search (SEMrush domain_organic_organic)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS competitors (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER NOT NULL,
+        database TEXT NOT NULL,
+        domain TEXT NOT NULL,
+        relevance REAL,
+        common_keywords INTEGER,
+        organic_keywords INTEGER,
+        organic_traffic INTEGER,
+        organic_cost REAL,
+        adwords_keywords INTEGER,
+        fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(project_id, database, domain),
+        FOREIGN KEY (project_id) REFERENCES projects (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Named priority scoring profiles; project_id NULL marks profiles shared by all projects
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS scoring_profiles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER,
+        name TEXT NOT NULL,
+        description TEXT,
+        weights TEXT NOT NULL,
+        thresholds TEXT NOT NULL,
+        factors TEXT NOT NULL,
+        is_builtin BOOLEAN DEFAULT FALSE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Background jobs (create, rescrape, recluster, title generation) that survive restarts
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS job_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        project_id INTEGER,
+        status TEXT DEFAULT 'queued' CHECK(status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+        priority INTEGER DEFAULT 0,
+        options TEXT,
+        result TEXT,
+        error_message TEXT,
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 1,
+        run_after DATETIME,
+        cancel_requested BOOLEAN DEFAULT FALSE,
+        created_at DATETIME,
+        started_at DATETIME,
+        finished_at DATETIME,
+        FOREIGN KEY (project_id) REFERENCES projects (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Content calendar: publishing dates planned for generated titles
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS content_calendar (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER NOT NULL,
+        content_id INTEGER NOT NULL,
+        cluster_id INTEGER,
+        publish_date TEXT NOT NULL,
+        status TEXT DEFAULT 'planned' CHECK(status IN ('planned', 'published', 'skipped')),
+        priority_score REAL,
+        peak_months TEXT,
+        reason TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(project_id, content_id),
+        FOREIGN KEY (project_id) REFERENCES projects (id) ON DELETE CASCADE,
+        FOREIGN KEY (content_id) REFERENCES generated_content (id) ON DELETE CASCADE
+      )
+    `);
   }
 
   static createIndexes(db) {
@@ -310,6 +448,8 @@ class DatabaseSchema {
       'CREATE INDEX IF NOT EXISTS idx_raw_keywords_project ON raw_keywords (project_id)',
       'CREATE INDEX IF NOT EXISTS idx_raw_keywords_run ON raw_keywords (run_id)',
       'CREATE INDEX IF NOT EXISTS idx_raw_keywords_keyword ON raw_keywords (keyword)',
+      // Keyword history lookups by lowercased text without spaces (KeywordHistoryService.loadRows)
+      "CREATE INDEX IF NOT EXISTS idx_raw_keywords_run_compact ON raw_keywords (run_id, REPLACE(LOWER(keyword), ' ', ''))",
       'CREATE INDEX IF NOT EXISTS idx_keywords_project ON keywords (project_id)',
       'CREATE INDEX IF NOT EXISTS idx_keywords_run ON keywords (run_id)',
       'CREATE INDEX IF NOT EXISTS idx_keywords_cluster ON keywords (cluster_id)',
@@ -321,6 +461,7 @@ class DatabaseSchema {
       'CREATE INDEX IF NOT EXISTS idx_dedupe_run ON deduplication_groups (run_id)',
       'CREATE INDEX IF NOT EXISTS idx_content_project ON generated_content (project_id)',
       'CREATE INDEX IF NOT EXISTS idx_content_run ON generated_content (run_id)',
+      'CREATE INDEX IF NOT EXISTS idx_content_history_content ON generated_content_history (content_id)',
       'CREATE INDEX IF NOT EXISTS idx_logs_run ON processing_logs (run_id)',
       'CREATE INDEX IF NOT EXISTS idx_api_usage_run ON api_usage (run_id)',
       'CREATE INDEX IF NOT EXISTS idx_priority_run ON priority_analysis (run_id)',
@@ -328,7 +469,13 @@ class DatabaseSchema {
       'CREATE INDEX IF NOT EXISTS idx_batch_runs_status ON batch_runs (status)',
       'CREATE INDEX IF NOT EXISTS idx_batch_runs_run ON batch_runs (run_id)',
       'CREATE INDEX IF NOT EXISTS idx_batch_checkpoints_run ON batch_checkpoints (batch_run_id)',
-      'CREATE INDEX IF NOT EXISTS idx_batch_checkpoints_type ON batch_checkpoints (checkpoint_type, stage_name)'
+      'CREATE INDEX IF NOT EXISTS idx_batch_checkpoints_type ON batch_checkpoints (checkpoint_type, stage_name)',
+      'CREATE INDEX IF NOT EXISTS idx_batch_checkpoints_created ON batch_checkpoints (created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_scoring_profiles_project ON scoring_profiles (project_id, name)',
+      'CREATE INDEX IF NOT EXISTS idx_job_queue_status ON job_queue (status, priority, run_after)',
+      'CREATE INDEX IF NOT EXISTS idx_job_queue_project ON job_queue (project_id)',
+      'CREATE INDEX IF NOT EXISTS idx_api_cache_provider ON api_cache (provider, expires_at)',
+      'CREATE INDEX IF NOT EXISTS idx_content_calendar_date ON content_calendar (project_id, publish_date)'
     ];
 
     indexes.forEach(indexSql => {
@@ -351,6 +498,25 @@ class DatabaseSchema {
       VALUES ('schema_version', '1', CURRENT_TIMESTAMP)
     `).run();
     
+    // Built-in scoring profiles (kept in sync with SCORING_PROFILES, custom profiles are untouched)
+    const { SCORING_PROFILES } = require('../../cli/config/clustering');
+    const { PriorityScoringService } = require('../services/priority-scoring-service');
+    const updateBuiltin = db.prepare(`
+      UPDATE scoring_profiles SET description = ?, weights = ?, thresholds = ?, factors = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE project_id IS NULL AND name = ? AND is_builtin = 1
+    `);
+    const insertBuiltin = db.prepare(`
+      INSERT INTO scoring_profiles (project_id, name, description, weights, thresholds, factors, is_builtin)
+      SELECT NULL, ?, ?, ?, ?, ?, 1
+      WHERE NOT EXISTS (SELECT 1 FROM scoring_profiles WHERE project_id IS NULL AND name = ?)
+    `);
+    Object.entries(SCORING_PROFILES).forEach(([name, profile]) => {
+      const { weights, thresholds, factors } = PriorityScoringService.resolveSettings(profile);
+      const values = [profile.description, JSON.stringify(weights), JSON.stringify(thresholds), JSON.stringify(factors)];
+      updateBuiltin.run(...values, name);
+      insertBuiltin.run(name, ...values, name);
+    });
+    
     console.log('Database schema and indexes created successfully');
   }
 }
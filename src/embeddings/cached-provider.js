@@ -0,0 +1,39 @@
+const { getDatabase } = require('../database/connection');
+const KeywordEmbeddingModel = require('../database/models/keyword-embedding');
+
+// Wraps a provider so each keyword is embedded at most once per provider/model
+class CachedEmbeddingProvider {
+  constructor(provider, { getDb = getDatabase } = {}) {
+    this.provider = provider;
+    this.getDb = getDb;
+    this.name = provider.name;
+    this.model = provider.model;
+    this.dimensions = provider.dimensions;
+    this.cacheable = true;
+    this.lastStats = { cached: 0, embedded: 0 };
+  }
+
+  async embed(texts) {
+    const db = await this.getDb();
+    const cache = new KeywordEmbeddingModel(db);
+    const keys = texts.map(text => text.toLowerCase().trim());
+    const uniqueKeys = [...new Set(keys)];
+
+    const vectors = cache.getVectors(this.name, this.model, this.dimensions, uniqueKeys);
+    const missing = uniqueKeys.filter(key => !vectors.has(key));
+
+    if (missing.length > 0) {
+      const { embeddings } = await this.provider.embed(missing);
+      const entries = missing.map((key, i) => [key, embeddings[i]]);
+      cache.saveVectors(this.name, this.model, this.dimensions, entries);
+      entries.forEach(([key, vector]) => vectors.set(key, vector));
+    }
+
+    this.lastStats = { cached: uniqueKeys.length - missing.length, embedded: missing.length };
+    console.log(`✓ Embeddings (${this.name}/${this.model}): ${this.lastStats.cached} cached, ${this.lastStats.embedded} new`);
+
+    return { embeddings: keys.map(key => vectors.get(key)), vocabulary: [] };
+  }
+}
+
+module.exports = { CachedEmbeddingProvider };
@@ -0,0 +1,39 @@
+const { TfidfEmbeddingProvider } = require('./tfidf-provider');
+const { OpenAIEmbeddingProvider } = require('./openai-provider');
+const { LocalEmbeddingProvider } = require('./local-provider');
+const { CachedEmbeddingProvider } = require('./cached-provider');
+
+// Every provider exposes { name, model, dimensions, cacheable, embed(texts) → { embeddings, vocabulary } }
+const EMBEDDING_PROVIDERS = {
+  tfidf: TfidfEmbeddingProvider,
+  openai: OpenAIEmbeddingProvider,
+  local: LocalEmbeddingProvider
+};
+
+/**
+ * Build the embedding provider described by the clustering config
+ * @param {Object} [embeddingConfig] - CLUSTERING_DEFAULTS.embeddings shape: { provider, model, dimensions, batchSize, cache }
+ * @param {Object} [semanticConfig] - CLUSTERING_DEFAULTS.semantic (tokenization options for TF-IDF)
+ * @returns {Object} Provider instance, wrapped with the SQLite cache when it supports caching
+ */
+function createEmbeddingProvider(embeddingConfig = {}, semanticConfig = {}) {
+  const name = embeddingConfig.provider || 'tfidf';
+  const Provider = EMBEDDING_PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown embedding provider "${name}". Available: ${Object.keys(EMBEDDING_PROVIDERS).join(', ')}`);
+  }
+
+  const provider = name === 'tfidf'
+    ? new Provider(semanticConfig)
+    : new Provider(embeddingConfig);
+
+  if (provider.cacheable && embeddingConfig.cache !== false) {
+    return new CachedEmbeddingProvider(provider);
+  }
+  return provider;
+}
+
+module.exports = {
+  EMBEDDING_PROVIDERS,
+  createEmbeddingProvider
+};
@@ -0,0 +1,33 @@
+const { getHttpClient } = require('../http');
+const { normalizeVector, chunk } = require('./vector-utils');
+
+// Local embedding model served by Ollama (POST /api/embed), no data leaves the machine
+class LocalEmbeddingProvider {
+  constructor(config = {}) {
+    this.name = 'local';
+    this.url = config.url || process.env.LOCAL_EMBEDDINGS_URL || 'http://localhost:11434';
+    this.model = config.model || process.env.LOCAL_EMBEDDINGS_MODEL || 'nomic-embed-text';
+    this.dimensions = 0;
+    this.batchSize = config.batchSize || 100;
+    this.cacheable = true;
+  }
+
+  async embed(texts) {
+    const embeddings = [];
+    for (const batch of chunk(texts, this.batchSize)) {
+      let response;
+      try {
+        response = await getHttpClient('local').post(`${this.url}/api/embed`, { model: this.model, input: batch }, {
+          cache: false // Vectors are cached per keyword in keyword_embeddings
+        });
+      } catch (error) {
+        throw new Error(`Local embedding server at ${this.url} failed: ${error.message}`);
+      }
+      embeddings.push(...response.data.embeddings.map(normalizeVector));
+    }
+
+    return { embeddings, vocabulary: [] };
+  }
+}
+
+module.exports = { LocalEmbeddingProvider };
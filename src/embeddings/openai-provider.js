@@ -0,0 +1,29 @@
+const { chatgptEmbeddings } = require('../chatgpt');
+const { normalizeVector, chunk } = require('./vector-utils');
+
+// OpenAI embedding API (captures synonyms like "buy sneakers" / "purchase trainers")
+class OpenAIEmbeddingProvider {
+  constructor(config = {}) {
+    this.name = 'openai';
+    this.model = config.model || 'text-embedding-3-small';
+    // Shortened vectors keep k-means fast; 0 means the model's native size
+    this.dimensions = config.dimensions || 0;
+    this.batchSize = config.batchSize || 100;
+    this.cacheable = true;
+  }
+
+  async embed(texts) {
+    const embeddings = [];
+    for (const batch of chunk(texts, this.batchSize)) {
+      const vectors = await chatgptEmbeddings(batch, {
+        model: this.model,
+        dimensions: this.dimensions || undefined
+      });
+      embeddings.push(...vectors.map(normalizeVector));
+    }
+
+    return { embeddings, vocabulary: [] };
+  }
+}
+
+module.exports = { OpenAIEmbeddingProvider };
@@ -0,0 +1,82 @@
+const natural = require('natural');
+const { normalizeVector } = require('./vector-utils');
+
+const STOPWORDS = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should']);
+
+// Bag-of-words TF-IDF vectors (default provider, no external calls)
+class TfidfEmbeddingProvider {
+  constructor(config = {}) {
+    this.name = 'tfidf';
+    this.model = 'tfidf';
+    this.dimensions = 0;
+    // Vectors depend on the vocabulary of the whole batch, so they can't be cached per keyword
+    this.cacheable = false;
+    this.useStopwordFiltering = config.useStopwordFiltering;
+    this.enhancedTokenization = config.enhancedTokenization;
+  }
+
+  tokenize(text) {
+    const tokenizer = new natural.WordTokenizer();
+    let tokens = tokenizer.tokenize(text.toLowerCase());
+
+    // Filter stopwords if enabled in config
+    if (this.useStopwordFiltering) {
+      tokens = tokens.filter(t => !STOPWORDS.has(t) && t.length > 2);
+    }
+
+    // Apply stemming for better semantic grouping
+    if (this.enhancedTokenization) {
+      tokens = tokens.map(t => natural.PorterStemmer.stem(t));
+    }
+
+    return tokens;
+  }
+
+  embedSync(texts) {
+    const vocab = new Map();
+    let index = 0;
+
+    const documents = texts.map(text => {
+      const tokens = this.tokenize(text);
+      tokens.forEach(t => {
+        if (!vocab.has(t)) {
+          vocab.set(t, index++);
+        }
+      });
+      return tokens;
+    });
+
+    // How many documents contain each term
+    const documentFreq = new Map();
+    documents.forEach(tokens => {
+      new Set(tokens).forEach(token => {
+        documentFreq.set(token, (documentFreq.get(token) || 0) + 1);
+      });
+    });
+
+    const embeddings = documents.map(tokens => {
+      const vector = new Array(vocab.size).fill(0);
+      const termFreq = new Map();
+
+      tokens.forEach(t => {
+        termFreq.set(t, (termFreq.get(t) || 0) + 1);
+      });
+
+      tokens.forEach(t => {
+        const tf = termFreq.get(t) / tokens.length;
+        const idf = Math.log(documents.length / (documentFreq.get(t) || 1));
+        vector[vocab.get(t)] = tf * idf;
+      });
+
+      return normalizeVector(vector);
+    });
+
+    return { embeddings, vocabulary: Array.from(vocab.keys()) };
+  }
+
+  async embed(texts) {
+    return this.embedSync(texts);
+  }
+}
+
+module.exports = { TfidfEmbeddingProvider };
@@ -0,0 +1,16 @@
+// Scale a vector to unit length so providers are comparable in the feature matrix
+function normalizeVector(vector) {
+  const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+  return magnitude > 0 ? vector.map(val => val / magnitude) : vector;
+}
+
+// Split an array into chunks of at most `size` items
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+module.exports = { normalizeVector, chunk };
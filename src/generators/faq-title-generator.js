@@ -1,10 +1,11 @@
 // src/generators/faq-title-generator.js
 // FAQ title generation for keyword clusters
-const { chatgptStructuredArray } = require('../chatgpt/index');
+const { createLLMProvider } = require('../llm');
 
 class FAQTitleGenerator {
-  constructor({ titlesPerCluster = 5, config = {} } = {}) {
+  constructor({ titlesPerCluster = 5, config = {}, llmProvider } = {}) {
     this.titlesPerCluster = titlesPerCluster;
+    this.llmProvider = llmProvider || createLLMProvider();
     this.config = Object.assign({
       systemMessage: 'You are an expert SEO content strategist specializing in FAQ content. Generate FAQ-style titles that answer common user questions.',
       temperature: 0.7,
@@ -38,9 +39,10 @@ class FAQTitleGenerator {
    * @param {string} cluster.name - Cluster name/theme
    * @param {Array} cluster.keywords - Array of keyword objects with .keyword property
    * @param {Array} existingTitles - Existing titles to avoid duplicates
+   * @param {Array} rejectedTitles - Titles an editor rejected, as strings or {content, reason}; shown as examples to avoid
    * @returns {Array} Generated FAQ titles
    */
-  async generateFAQTitles(cluster, existingTitles = []) {
+  async generateFAQTitles(cluster, existingTitles = [], rejectedTitles = []) {
     if (!cluster.keywords || cluster.keywords.length === 0) {
       throw new Error('Cluster must have keywords');
     }
@@ -55,6 +57,12 @@ class FAQTitleGenerator {
     const existingContext = existingTitles.length > 0 
       ? `\n\nAvoid creating titles similar to these existing ones:\n${existingTitles.slice(0, 10).join('\n')}`
       : '';
+    const rejected = rejectedTitles.slice(0, 10).map(title => typeof title === 'string' ? { content: title } : title);
+    const rejectedContext = rejected.length > 0
+      ? `\n\nAn editor rejected these titles. Do not write titles like them:\n${rejected
+        .map(title => `- ${title.content}${title.reason ? ` (rejected: ${title.reason})` : ''}`)
+        .join('\n')}`
+      : '';
 
     const prompt = `Generate ${this.titlesPerCluster} unique and comprehensive FAQ-style article titles for the "${cluster.name}" topic cluster.
 
@@ -68,7 +76,7 @@ Requirements:
 - Add year-specific titles: "Best X in 2024", "Latest X Trends"
 - Keep most titles under 60 characters but allow some longer comprehensive titles up to 80 characters
 - Make them specific, actionable, and valuable
-- Cover problems, solutions, benefits, features, and comparisons${existingContext}
+- Cover problems, solutions, benefits, features, and comparisons${existingContext}${rejectedContext}
 
 Examples of comprehensive FAQ titles:
 - "How to Start Crypto Trading for Beginners"
@@ -81,10 +89,10 @@ Examples of comprehensive FAQ titles:
 - "Step-by-Step Guide to Setting Up a Crypto Wallet"`;
 
     try {
-      const result = await chatgptStructuredArray(prompt, this.functionSchema, this.config);
+      const result = await this.llmProvider.structuredArray(prompt, this.functionSchema, this.config);
       
       // Filter out any titles that might be duplicates (basic similarity check)
-      const filteredTitles = this.removeSimilarTitles(result, existingTitles);
+      const filteredTitles = this.removeSimilarTitles(result, [...existingTitles, ...rejected.map(title => title.content)]);
       
       return filteredTitles.slice(0, this.titlesPerCluster);
     } catch (err) {
@@ -0,0 +1,117 @@
+// src/generators/meta-description-generator.js
+// Meta description generation for a chosen title
+const { createLLMProvider } = require('../llm');
+
+// Search engines show roughly this many characters of a description
+const META_DESCRIPTION_LENGTH = { min: 120, max: 160 };
+
+class MetaDescriptionGenerator {
+  constructor({ candidates = 3, config = {}, llmProvider } = {}) {
+    this.candidates = candidates;
+    this.llmProvider = llmProvider || createLLMProvider();
+    this.config = Object.assign({
+      systemMessage: 'You are an expert SEO copywriter. Write meta descriptions that earn the click: specific, accurate, and within the length search engines display.',
+      temperature: 0.7,
+      top_p: 0.9,
+      max_tokens: 600
+    }, config);
+
+    this.functionSchema = {
+      name: "generate_meta_descriptions",
+      description: "Generate meta descriptions for an article title",
+      parameters: {
+        type: "object",
+        properties: {
+          descriptions: {
+            type: "array",
+            description: `Meta descriptions of ${META_DESCRIPTION_LENGTH.min}-${META_DESCRIPTION_LENGTH.max} characters`,
+            items: {
+              type: "string",
+              description: "One meta description, plain text without quotes"
+            }
+          }
+        },
+        required: ["descriptions"]
+      }
+    };
+  }
+
+  /**
+   * Generate a meta description for an article title
+   * @param {string} title - Article title the description is for
+   * @param {Object} cluster - Cluster information with keywords
+   * @param {string} cluster.name - Cluster name/theme
+   * @param {Array} cluster.keywords - Array of keyword objects with .keyword property
+   * @param {string} [primaryKeyword] - Keyword the description should contain
+   * @returns {Object} { description, alternatives }
+   */
+  async generateMetaDescription(title, cluster, primaryKeyword = null) {
+    if (!title || !title.trim()) {
+      throw new Error('A title is required to generate a meta description');
+    }
+
+    const keywords = (cluster.keywords || [])
+      .slice(0, 8)
+      .map(k => k.keyword || k);
+
+    const prompt = `Write ${this.candidates} different meta descriptions for an article titled "${title}" in the "${cluster.name}" topic cluster.
+
+${primaryKeyword ? `Primary keyword (use it once, naturally): ${primaryKeyword}\n` : ''}${keywords.length > 0 ? `Related keywords: ${keywords.join(', ')}\n` : ''}
+Requirements:
+- Between ${META_DESCRIPTION_LENGTH.min} and ${META_DESCRIPTION_LENGTH.max} characters each
+- Say what the reader will learn or get, in active voice
+- End with a reason to click, without clickbait or ALL CAPS
+- Do not repeat the title word for word`;
+
+    try {
+      const result = await this.llmProvider.structuredArray(prompt, this.functionSchema, this.config);
+      const descriptions = this.validateDescriptions(result);
+      if (descriptions.length === 0) {
+        throw new Error('The response contained no descriptions');
+      }
+      const [description, ...alternatives] = this.rankDescriptions(descriptions, primaryKeyword);
+      return { description, alternatives };
+    } catch (err) {
+      console.error('Meta description generation error for title:', title, err);
+      throw new Error(`Failed to generate meta description: ${err.message}`);
+    }
+  }
+
+  /**
+   * Trim, unquote and shorten descriptions that run past the maximum length
+   * @param {Array} descriptions - Descriptions returned by the model
+   * @returns {Array} Non-empty descriptions
+   */
+  validateDescriptions(descriptions) {
+    return (Array.isArray(descriptions) ? descriptions : [])
+      .filter(text => typeof text === 'string')
+      .map(text => MetaDescriptionGenerator.truncate(text.trim().replace(/^["']|["']$/g, '').replace(/\s+/g, ' ')))
+      .filter(Boolean);
+  }
+
+  /**
+   * Best first: within the displayed length, then containing the primary keyword, then closest to the maximum
+   * @param {Array} descriptions
+   * @param {string} [primaryKeyword]
+   * @returns {Array}
+   */
+  rankDescriptions(descriptions, primaryKeyword) {
+    const keyword = primaryKeyword ? primaryKeyword.toLowerCase() : null;
+    const score = text => (text.length >= META_DESCRIPTION_LENGTH.min ? 2 : 0) +
+      (keyword && text.toLowerCase().includes(keyword) ? 1 : 0);
+    return [...descriptions].sort((a, b) => score(b) - score(a) || b.length - a.length);
+  }
+
+  /**
+   * Cut a description at the last word that fits the maximum length
+   * @param {string} text
+   * @returns {string}
+   */
+  static truncate(text) {
+    if (text.length <= META_DESCRIPTION_LENGTH.max) return text;
+    const cut = text.slice(0, META_DESCRIPTION_LENGTH.max - 1);
+    return `${cut.slice(0, cut.lastIndexOf(' ')).replace(/[\s,;:.-]+$/, '')}…`;
+  }
+}
+
+module.exports = { MetaDescriptionGenerator, META_DESCRIPTION_LENGTH };
@@ -0,0 +1,128 @@
+// src/generators/outline-generator.js
+// Article outline generation (H2/H3 structure) for a chosen title
+const { createLLMProvider } = require('../llm');
+
+class OutlineGenerator {
+  constructor({ maxSections = 8, config = {}, llmProvider } = {}) {
+    this.maxSections = maxSections;
+    this.llmProvider = llmProvider || createLLMProvider();
+    this.config = Object.assign({
+      systemMessage: 'You are an expert SEO content strategist. Plan article outlines that answer the reader\'s question and cover the topic\'s search terms naturally.',
+      temperature: 0.5,
+      top_p: 0.9,
+      max_tokens: 1500
+    }, config);
+
+    this.functionSchema = {
+      name: "generate_article_outline",
+      description: "Generate the H2/H3 outline of an article for a given title",
+      parameters: {
+        type: "object",
+        properties: {
+          sections: {
+            type: "array",
+            description: "H2 sections of the article in reading order",
+            items: {
+              type: "object",
+              properties: {
+                heading: {
+                  type: "string",
+                  description: "H2 heading"
+                },
+                subheadings: {
+                  type: "array",
+                  description: "H3 headings under this section",
+                  items: { type: "string" }
+                },
+                keywords: {
+                  type: "array",
+                  description: "Cluster keywords this section covers",
+                  items: { type: "string" }
+                }
+              },
+              required: ["heading", "subheadings"]
+            }
+          }
+        },
+        required: ["sections"]
+      }
+    };
+  }
+
+  /**
+   * Generate an outline for an article title
+   * @param {string} title - Article title the outline is for
+   * @param {Object} cluster - Cluster information with keywords
+   * @param {string} cluster.name - Cluster name/theme
+   * @param {Array} cluster.keywords - Array of keyword objects with .keyword property
+   * @returns {Object} { sections: [{heading, subheadings, keywords}], markdown }
+   */
+  async generateOutline(title, cluster) {
+    if (!title || !title.trim()) {
+      throw new Error('A title is required to generate an outline');
+    }
+
+    const keywords = (cluster.keywords || [])
+      .slice(0, 15) // Limit keywords to prevent prompt bloat
+      .map(k => k.keyword || k);
+
+    const prompt = `Create an article outline for the title "${title}" in the "${cluster.name}" topic cluster.
+
+${keywords.length > 0 ? `Keywords the article should cover: ${keywords.join(', ')}\n\n` : ''}Requirements:
+- ${Math.min(4, this.maxSections)} to ${this.maxSections} H2 sections in a logical reading order, starting with the direct answer to the title
+- 2 to 4 H3 subheadings per section
+- Work every keyword into the section where it fits best, and list it under that section's keywords
+- Include a short FAQ section with related questions when the keywords contain questions
+- End with a conclusion or next steps section
+- Headings must be specific and descriptive, not generic ("Introduction", "Overview")`;
+
+    try {
+      const result = await this.llmProvider.structuredArray(prompt, this.functionSchema, this.config);
+      const sections = this.validateSections(result);
+      if (sections.length === 0) {
+        throw new Error('The response contained no sections');
+      }
+      return { sections, markdown: OutlineGenerator.toMarkdown(title, sections) };
+    } catch (err) {
+      console.error('Outline generation error for title:', title, err);
+      throw new Error(`Failed to generate outline: ${err.message}`);
+    }
+  }
+
+  /**
+   * Keep well-formed sections, trimmed to maxSections
+   * @param {Array} sections - Sections returned by the model
+   * @returns {Array} Sections with a heading, string subheadings and keywords
+   */
+  validateSections(sections) {
+    const clean = values => (Array.isArray(values) ? values : [])
+      .filter(value => typeof value === 'string' && value.trim())
+      .map(value => value.trim());
+
+    return (Array.isArray(sections) ? sections : [])
+      .filter(section => section && typeof section.heading === 'string' && section.heading.trim())
+      .slice(0, this.maxSections)
+      .map(section => ({
+        heading: section.heading.trim(),
+        subheadings: clean(section.subheadings),
+        keywords: clean(section.keywords)
+      }));
+  }
+
+  /**
+   * Outline as Markdown: the title as H1, sections as H2, subheadings as H3
+   * @param {string} title
+   * @param {Array} sections
+   * @returns {string}
+   */
+  static toMarkdown(title, sections) {
+    const lines = [`# ${title}`];
+    sections.forEach(section => {
+      lines.push('', `## ${section.heading}`);
+      section.subheadings.forEach(subheading => lines.push(`### ${subheading}`));
+    });
+    return lines.join('\n');
+  }
+}
+
+module.exports = { OutlineGenerator };
@@ -0,0 +1,126 @@
+const axios = require('axios');
+const { TokenBucket } = require('./token-bucket');
+const { currentRequestContext } = require('./request-context');
+const { sleep: abortableSleep } = require('./sleep');
+
+// Connection errors worth another attempt (refused connections are not: nothing is listening)
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_NETWORK'];
+
+// axios with a rate limit, timeouts and retries with exponential backoff on 429, 5xx and dropped connections
+class HttpClient {
+  /**
+   * @param {string} name - Provider name used in log messages
+   * @param {Object} [config]
+   * @param {number} [config.timeout] - Request timeout in ms
+   * @param {number} [config.maxRetries] - Retries after the first attempt
+   * @param {number} [config.baseDelayMs] - First backoff, doubled each retry
+   * @param {number} [config.maxDelayMs] - Longest backoff
+   * @param {number} [config.maxRetryAfterMs] - Longest Retry-After to wait for
+   * @param {Object|null} [config.rateLimit] - { requestsPerMinute, burst }, null for no limit
+   * @param {Function} [config.sleep] - (ms, signal) => Promise (tests)
+   * @param {Function} [config.random] - () => [0, 1) for jitter (tests)
+   */
+  constructor(name, config = {}) {
+    this.name = name;
+    this.timeout = config.timeout ?? 60000;
+    this.maxRetries = config.maxRetries ?? 4;
+    this.baseDelayMs = config.baseDelayMs ?? 1000;
+    this.maxDelayMs = config.maxDelayMs ?? 60000;
+    this.maxRetryAfterMs = config.maxRetryAfterMs ?? 300000;
+    this.sleep = config.sleep || abortableSleep;
+    this.random = config.random || Math.random;
+    this.bucket = config.rateLimit ? new TokenBucket({ ...config.rateLimit, sleep: this.sleep }) : null;
+  }
+
+  // Whether a failed request may succeed when sent again
+  static isRetryable(error) {
+    const status = error.response?.status;
+    if (status) return status === 429 || status >= 500;
+    return RETRYABLE_CODES.includes(error.code);
+  }
+
+  /**
+   * Milliseconds a Retry-After header asks us to wait (seconds or an HTTP date), or null
+   * @param {Object} error - axios error
+   * @returns {number|null}
+   */
+  static retryAfterMs(error) {
+    const headers = error.response?.headers || {};
+    const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  // Backoff before retry number `attempt` (0-based): Retry-After when given, else exponential with jitter
+  retryDelay(error, attempt) {
+    const retryAfter = HttpClient.retryAfterMs(error);
+    if (retryAfter !== null) return retryAfter;
+    const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.round(exponential / 2 + this.random() * exponential / 2);
+  }
+
+  /**
+   * Send a request, retrying transient failures. A response in the current run's cache is
+   * returned without a request; otherwise every attempt is reported to the run's usage
+   * tracker, which may refuse it (budget), and a successful response is cached.
+   * @param {string} method - get | post
+   * @param {string} url
+   * @param {Object} [data] - Body for post
+   * @param {Object} [config] - axios config; timeout defaults to the provider's, signal (default: the
+   *   request context's) cancels the request, rate-limit waits and retry backoffs, cache: false
+   *   bypasses the response cache
+   * @returns {Promise<Object>} axios response (cached ones have `cached: true`)
+   */
+  async request(method, url, data, config = {}) {
+    const { usage: tracker, cache, signal: contextSignal } = currentRequestContext();
+    const { cache: useCache = true, signal = contextSignal, ...axiosConfig } = config;
+    const requestConfig = { ...axiosConfig, ...(signal && { signal }), timeout: config.timeout ?? this.timeout };
+    const call = { provider: this.name, method, url, data, params: config.params };
+
+    const cached = useCache ? cache?.lookup(call) : null;
+    if (cached) return cached;
+
+    for (let attempt = 0; ; attempt++) {
+      signal?.throwIfAborted();
+      tracker?.beforeRequest(call);
+      if (this.bucket) await this.bucket.take(signal);
+
+      const startedAt = Date.now();
+      try {
+        const response = method === 'get'
+          ? await axios.get(url, requestConfig)
+          : await axios.post(url, data, requestConfig);
+        tracker?.afterRequest({ ...call, response, durationMs: Date.now() - startedAt });
+        if (useCache) cache?.store(call, response);
+        return response;
+      } catch (error) {
+        tracker?.afterRequest({ ...call, response: error.response, error, durationMs: Date.now() - startedAt });
+        if (attempt >= this.maxRetries || !HttpClient.isRetryable(error) || signal?.aborted) {
+          throw error;
+        }
+        const delay = this.retryDelay(error, attempt);
+        if (delay > this.maxRetryAfterMs) {
+          throw error;
+        }
+        const reason = error.response?.status ? `HTTP ${error.response.status}` : error.code;
+        console.warn(`⚠️ ${this.name} request failed (${reason}), retry ${attempt + 1}/${this.maxRetries} in ${(delay / 1000).toFixed(1)}s`);
+        await this.sleep(delay, signal);
+        signal?.throwIfAborted();
+      }
+    }
+  }
+
+  get(url, config) {
+    return this.request('get', url, undefined, config);
+  }
+
+  post(url, data, config) {
+    return this.request('post', url, data, config);
+  }
+}
+
+module.exports = { HttpClient, RETRYABLE_CODES };
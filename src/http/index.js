@@ -0,0 +1,51 @@
+const { HttpClient } = require('./http-client');
+const { TokenBucket } = require('./token-bucket');
+const { withRequestContext, currentRequestContext } = require('./request-context');
+const { RETRY_DEFAULTS, HTTP_DEFAULTS } = require('../../cli/config/http');
+
+// One client per provider, so every caller of a provider shares its rate limit
+const clients = new Map();
+
+// Provider settings with environment overrides (OPENAI_TIMEOUT_MS, SEMRUSH_MAX_RETRIES, SEMRUSH_CACHE_TTL_HOURS, ...)
+function httpConfigFor(name) {
+  const config = { ...RETRY_DEFAULTS, ...(HTTP_DEFAULTS[name] || HTTP_DEFAULTS.default) };
+  const prefix = name.toUpperCase();
+  const timeout = Number(process.env[`${prefix}_TIMEOUT_MS`]);
+  const maxRetries = Number(process.env[`${prefix}_MAX_RETRIES`]);
+  if (timeout > 0) config.timeout = timeout;
+  if (Number.isInteger(maxRetries) && maxRetries >= 0) config.maxRetries = maxRetries;
+  const cacheTtl = process.env[`${prefix}_CACHE_TTL_HOURS`];
+  if (cacheTtl !== undefined && cacheTtl !== '' && Number(cacheTtl) >= 0) config.cacheTtlHours = Number(cacheTtl);
+  return config;
+}
+
+// Path of an API URL, without host or query string
+function endpointOf(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * The shared HTTP client of a provider
+ * @param {string} name - openai, anthropic, azure, local, semrush, ...
+ * @returns {HttpClient}
+ */
+function getHttpClient(name) {
+  if (!clients.has(name)) {
+    clients.set(name, new HttpClient(name, httpConfigFor(name)));
+  }
+  return clients.get(name);
+}
+
+module.exports = {
+  HttpClient,
+  TokenBucket,
+  getHttpClient,
+  httpConfigFor,
+  endpointOf,
+  withRequestContext,
+  currentRequestContext
+};
@@ -0,0 +1,26 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// The usage tracker, response cache and abort signal of the run that is making the current request,
+// however deep in the call stack: generators and API wrappers don't need to pass them down to the
+// HTTP client
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with a context that applies to every request the shared HTTP clients make on its behalf
+ * @param {Object} context
+ * @param {Object} [context.usage] - { beforeRequest(call), afterRequest(call) }; beforeRequest may throw to block the call
+ * @param {Object} [context.cache] - { lookup(call), store(call, response) }; a hit is returned without a request
+ * @param {AbortSignal} [context.signal] - Cancels requests and their waits (default: the enclosing context's)
+ * @param {Function} fn
+ * @returns {*} fn's result
+ */
+function withRequestContext({ usage = null, cache = null, signal = currentRequestContext().signal ?? null } = {}, fn) {
+  return storage.run({ usage, cache, signal }, fn);
+}
+
+// The context of the current run, or an empty one outside of a run
+function currentRequestContext() {
+  return storage.getStore() || {};
+}
+
+module.exports = { withRequestContext, currentRequestContext };
@@ -0,0 +1,48 @@
+const { sleep: abortableSleep } = require('./sleep');
+
+// Request rate limiter: holds up to `burst` requests and refills at requestsPerMinute
+class TokenBucket {
+  /**
+   * @param {Object} options
+   * @param {number} options.requestsPerMinute - Sustained rate
+   * @param {number} [options.burst=1] - Requests that may go out at once after a quiet period
+   * @param {Function} [options.now] - Clock in ms (tests)
+   * @param {Function} [options.sleep] - (ms, signal) => Promise (tests)
+   */
+  constructor({ requestsPerMinute, burst = 1, now = Date.now, sleep = abortableSleep }) {
+    if (!(requestsPerMinute > 0)) {
+      throw new Error('requestsPerMinute must be greater than 0');
+    }
+    this.capacity = Math.max(1, burst);
+    this.refillPerMs = requestsPerMinute / 60000;
+    this.tokens = this.capacity;
+    this.now = now;
+    this.sleep = sleep;
+    this.updatedAt = now();
+  }
+
+  refill() {
+    const now = this.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  // Milliseconds until a request may go out (0 when one may go now)
+  waitTime() {
+    this.refill();
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+  }
+
+  // Wait for a token and take it; an abort of signal stops the wait
+  async take(signal) {
+    let wait = this.waitTime();
+    while (wait > 0) {
+      await this.sleep(wait, signal);
+      signal?.throwIfAborted();
+      wait = this.waitTime();
+    }
+    this.tokens -= 1;
+  }
+}
+
+module.exports = { TokenBucket };
@@ -0,0 +1,62 @@
+const { getHttpClient } = require('../http');
+const { parseStructuredArray } = require('./structured-output');
+
+// Anthropic Messages API (ANTHROPIC_API_KEY); structured output through a forced tool call
+class AnthropicLLMProvider {
+  constructor(config = {}) {
+    this.name = 'anthropic';
+    this.url = (config.url || process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/+$/, '');
+    this.model = config.model || process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest';
+    this.apiKey = config.apiKey || process.env.ANTHROPIC_API_KEY || null;
+  }
+
+  payload(prompt, config, defaultSystemMessage) {
+    return {
+      model: this.model,
+      system: config.systemMessage || defaultSystemMessage,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: config.temperature ?? 0.2,
+      max_tokens: config.max_tokens ?? 512
+    };
+  }
+
+  async post(payload, call) {
+    if (!this.apiKey) throw new Error('ANTHROPIC_API_KEY environment variable not set');
+    console.log(`LLM call (${this.name}) - ${call}: ${this.model}, prompt length: ${payload.messages[0].content.length}`);
+    try {
+      const response = await getHttpClient('anthropic').post(`${this.url}/v1/messages`, payload, {
+        headers: {
+          'x-api-key': this.apiKey,
+          'anthropic-version': '2023-06-01',
+          'Content-Type': 'application/json'
+        }
+      });
+      return response.data.content || [];
+    } catch (error) {
+      const detail = error.response?.data?.error?.message || error.message;
+      throw new Error(`Anthropic API request failed: ${detail}`);
+    }
+  }
+
+  async complete(prompt, config = {}) {
+    const content = await this.post(this.payload(prompt, config, 'Be precise and concise.'), 'complete');
+    return content.filter(block => block.type === 'text').map(block => block.text).join('');
+  }
+
+  async structuredArray(prompt, functionSchema, config = {}) {
+    const payload = {
+      ...this.payload(prompt, config, 'Please strictly follow the function return format.'),
+      tools: [{
+        name: functionSchema.name,
+        description: functionSchema.description,
+        input_schema: functionSchema.parameters
+      }],
+      tool_choice: { type: 'tool', name: functionSchema.name }
+    };
+    const content = await this.post(payload, 'structuredArray');
+    const toolUse = content.find(block => block.type === 'tool_use');
+    return parseStructuredArray(toolUse ? toolUse.input : content.find(block => block.type === 'text')?.text || '', functionSchema);
+  }
+}
+
+module.exports = { AnthropicLLMProvider };
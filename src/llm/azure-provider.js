@@ -0,0 +1,26 @@
+const { OpenAICompatibleProvider } = require('./openai-compatible-provider');
+
+// Azure OpenAI deployment (AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY, AZURE_OPENAI_DEPLOYMENT)
+class AzureOpenAIProvider extends OpenAICompatibleProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'azure';
+    this.url = (config.url || process.env.AZURE_OPENAI_ENDPOINT || '').replace(/\/+$/, '');
+    // Azure addresses models by deployment name
+    this.model = config.model || process.env.AZURE_OPENAI_DEPLOYMENT || 'gpt-4o-mini';
+    this.apiKey = config.apiKey || process.env.AZURE_OPENAI_API_KEY || null;
+    this.apiVersion = config.apiVersion || process.env.AZURE_OPENAI_API_VERSION || '2024-06-01';
+  }
+
+  endpoint() {
+    if (!this.url) throw new Error('AZURE_OPENAI_ENDPOINT environment variable not set');
+    return `${this.url}/openai/deployments/${encodeURIComponent(this.model)}/chat/completions?api-version=${this.apiVersion}`;
+  }
+
+  headers() {
+    if (!this.apiKey) throw new Error('AZURE_OPENAI_API_KEY environment variable not set');
+    return { 'Content-Type': 'application/json', 'api-key': this.apiKey };
+  }
+}
+
+module.exports = { AzureOpenAIProvider };
@@ -0,0 +1,59 @@
+const { OpenAILLMProvider } = require('./openai-provider');
+const { AnthropicLLMProvider } = require('./anthropic-provider');
+const { AzureOpenAIProvider } = require('./azure-provider');
+const { OpenAICompatibleProvider } = require('./openai-compatible-provider');
+const { MockLLMProvider } = require('./mock-provider');
+const ProjectModel = require('../database/models/project');
+
+// Every provider exposes { name, model, complete(prompt, config) → string, structuredArray(prompt, functionSchema, config) → Array }
+// config is the chatgpt/index.js shape: { model, systemMessage, temperature, top_p, max_tokens }
+const LLM_PROVIDERS = {
+  openai: OpenAILLMProvider,
+  anthropic: AnthropicLLMProvider,
+  azure: AzureOpenAIProvider,
+  local: OpenAICompatibleProvider,
+  mock: MockLLMProvider
+};
+
+/**
+ * Build an LLM provider
+ * @param {Object} [llmConfig] - { provider, model, url } (provider defaults to LLM_PROVIDER, then openai)
+ * @returns {Object} Provider instance
+ */
+function createLLMProvider(llmConfig = {}) {
+  const name = llmConfig.provider || process.env.LLM_PROVIDER || 'openai';
+  const Provider = LLM_PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+  }
+  return new Provider(llmConfig);
+}
+
+// The LLM settings stored in a project's configuration ({} when none)
+function llmConfigForProject(project) {
+  const configuration = ProjectModel.configurationOf(project);
+  return configuration.llm || {};
+}
+
+/**
+ * The project's LLM settings with per-command overrides applied. Picking another provider
+ * drops the project's model and url, which belong to its own provider.
+ * @param {Object} project - Project row
+ * @param {Object} [overrides] - { provider, model, url }; undefined values are ignored
+ * @returns {Object} { provider, model, url }
+ */
+function resolveLLMConfig(project, overrides = {}) {
+  const projectConfig = llmConfigForProject(project);
+  const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined && value !== null));
+  if (defined.provider && defined.provider !== (projectConfig.provider || process.env.LLM_PROVIDER || 'openai')) {
+    return defined;
+  }
+  return { ...projectConfig, ...defined };
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  createLLMProvider,
+  llmConfigForProject,
+  resolveLLMConfig
+};
@@ -0,0 +1,126 @@
+const { arrayProperty } = require('./structured-output');
+
+// Title patterns for string arrays; they start the way FAQ titles do so the pipeline keeps them
+const STRING_TEMPLATES = [
+  'How to Get Started With {subject}',
+  'What Is {subject} and How Does It Work?',
+  'Why {subject} Matters: Common Questions Answered',
+  'Best {subject} Options Compared',
+  'Complete Guide to {subject}',
+  'When Should You Choose {subject}?',
+  'Top Mistakes to Avoid With {subject}',
+  'Step-by-Step {subject} Checklist'
+];
+
+const KEYWORD_MODIFIERS = ['guide', 'ideas', 'tips', 'for beginners', 'cost', 'examples', 'checklist', 'vs alternatives'];
+
+const titleCase = text => text.replace(/\b\w/g, letter => letter.toUpperCase());
+
+// Deterministic, schema-valid responses without network access (offline runs and tests)
+class MockLLMProvider {
+  /**
+   * @param {Object} [config]
+   * @param {Object} [config.responses] - Canned arrays (or (prompt) => array) by function name
+   */
+  constructor(config = {}) {
+    this.name = 'mock';
+    this.model = config.model || 'mock';
+    this.responses = config.responses || {};
+    this.calls = [];
+  }
+
+  // What the prompt is about: its first quoted phrase
+  static subject(prompt) {
+    const quoted = String(prompt).match(/"([^"\n]{2,80})"/);
+    return quoted ? quoted[1] : 'your topic';
+  }
+
+  // Lines listed after the prompt's last "...:" line (e.g. the keywords to classify)
+  static listedItems(prompt) {
+    const lines = String(prompt).split('\n');
+    const start = lines.map(line => line.trim().endsWith(':')).lastIndexOf(true);
+    if (start === -1) return [];
+    return lines.slice(start + 1)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('-'));
+  }
+
+  // How many items to return: one per listed keyword, else the first count in the prompt, else 5
+  static itemCount(prompt, itemSchema, listed) {
+    if (itemSchema.type === 'object' && itemSchema.properties?.keyword && listed.length > 0) {
+      return listed.length;
+    }
+    const count = String(prompt).match(/\b([1-9]\d?)\b/);
+    return count ? Number(count[1]) : 5;
+  }
+
+  /**
+   * A value satisfying a JSON schema, derived from the prompt subject and item position
+   * @param {Object} schema
+   * @param {Object} context - { subject, listed, property }
+   * @param {number} index
+   * @returns {*}
+   */
+  static sampleValue(schema = {}, context, index) {
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+      return schema.enum[index % schema.enum.length];
+    }
+
+    switch (schema.type) {
+      case 'object':
+        return Object.fromEntries(Object.entries(schema.properties || {}).map(([property, propertySchema]) => [
+          property,
+          MockLLMProvider.sampleValue(propertySchema, { ...context, property }, index)
+        ]));
+      case 'array':
+        return [0, 1].map(offset => MockLLMProvider.sampleValue(schema.items, context, index * 2 + offset));
+      case 'number':
+        return 0.8;
+      case 'integer':
+        return index + 1;
+      case 'boolean':
+        return false;
+      default:
+        break;
+    }
+
+    const { subject, listed, property } = context;
+    if (property === 'keyword') {
+      if (listed[index]) return listed[index];
+      const modifier = KEYWORD_MODIFIERS[index % KEYWORD_MODIFIERS.length];
+      const round = Math.floor(index / KEYWORD_MODIFIERS.length);
+      return `${subject} ${modifier}${round > 0 ? ` ${round + 1}` : ''}`.toLowerCase();
+    }
+    if (property) {
+      return `${titleCase(property)} ${index + 1} about ${subject}`;
+    }
+    const template = STRING_TEMPLATES[index % STRING_TEMPLATES.length];
+    const round = Math.floor(index / STRING_TEMPLATES.length);
+    return `${template.replace('{subject}', titleCase(subject))}${round > 0 ? ` (Part ${round + 1})` : ''}`;
+  }
+
+  async complete(prompt, config = {}) {
+    this.calls.push({ type: 'complete', prompt, config });
+    return `Mock response about ${MockLLMProvider.subject(prompt)}.`;
+  }
+
+  async structuredArray(prompt, functionSchema, config = {}) {
+    this.calls.push({ type: 'structuredArray', prompt, functionSchema, config });
+
+    const canned = this.responses[functionSchema.name];
+    if (canned !== undefined) {
+      return typeof canned === 'function' ? canned(prompt) : canned;
+    }
+
+    const property = arrayProperty(functionSchema);
+    if (!property) return [];
+
+    const itemSchema = property.schema.items || { type: 'string' };
+    const listed = MockLLMProvider.listedItems(prompt);
+    const context = { subject: MockLLMProvider.subject(prompt), listed, property: null };
+    return Array.from({ length: MockLLMProvider.itemCount(prompt, itemSchema, listed) },
+      (_, index) => MockLLMProvider.sampleValue(itemSchema, context, index));
+  }
+}
+
+module.exports = { MockLLMProvider };
@@ -0,0 +1,68 @@
+const { getHttpClient } = require('../http');
+const { parseStructuredArray } = require('./structured-output');
+
+// OpenAI-compatible chat server (Ollama, llama.cpp, vLLM, LM Studio), no data leaves the machine
+class OpenAICompatibleProvider {
+  constructor(config = {}) {
+    this.name = 'local';
+    this.url = (config.url || process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.model = config.model || process.env.LOCAL_LLM_MODEL || 'llama3.1';
+    this.apiKey = config.apiKey || process.env.LOCAL_LLM_API_KEY || null;
+  }
+
+  endpoint() {
+    return `${this.url}/chat/completions`;
+  }
+
+  headers() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
+    };
+  }
+
+  payload(prompt, config, defaultSystemMessage) {
+    return {
+      model: this.model,
+      messages: [
+        { role: 'system', content: config.systemMessage || defaultSystemMessage },
+        { role: 'user', content: prompt }
+      ],
+      temperature: config.temperature ?? 0.2,
+      top_p: config.top_p ?? 0.9,
+      max_tokens: config.max_tokens ?? 512
+    };
+  }
+
+  async post(payload, call) {
+    const url = this.endpoint();
+    const headers = this.headers();
+    console.log(`LLM call (${this.name}) - ${call}: ${this.model}, prompt length: ${payload.messages[1].content.length}`);
+    try {
+      const response = await getHttpClient(this.name).post(url, payload, { headers });
+      return response.data.choices[0].message;
+    } catch (error) {
+      const detail = error.response?.data?.error?.message || error.message;
+      throw new Error(`${this.name} LLM server at ${this.url} failed: ${detail}`);
+    }
+  }
+
+  async complete(prompt, config = {}) {
+    const message = await this.post(this.payload(prompt, config, 'Be precise and concise.'), 'complete');
+    return message.content || '';
+  }
+
+  async structuredArray(prompt, functionSchema, config = {}) {
+    const payload = {
+      ...this.payload(prompt, config, 'Please strictly follow the function return format.'),
+      tools: [{ type: 'function', function: functionSchema }],
+      tool_choice: { type: 'function', function: { name: functionSchema.name } }
+    };
+    const message = await this.post(payload, 'structuredArray');
+    // Servers without tool support answer with the JSON as text
+    const args = message.tool_calls?.[0]?.function?.arguments ?? message.function_call?.arguments ?? message.content;
+    return parseStructuredArray(args, functionSchema);
+  }
+}
+
+module.exports = { OpenAICompatibleProvider };
@@ -0,0 +1,21 @@
+const { chatgptCompletion, chatgptStructuredArray } = require('../chatgpt');
+
+// OpenAI chat completions (OPENAI_API_KEY), the default provider
+class OpenAILLMProvider {
+  constructor(config = {}) {
+    this.name = 'openai';
+    // An explicitly configured model wins over the model a caller asks for
+    this.configuredModel = config.model || null;
+    this.model = this.configuredModel || 'gpt-4o-mini';
+  }
+
+  async complete(prompt, config = {}) {
+    return chatgptCompletion(prompt, { ...config, model: this.configuredModel || config.model || this.model });
+  }
+
+  async structuredArray(prompt, functionSchema, config = {}) {
+    return chatgptStructuredArray(prompt, functionSchema, { ...config, model: this.configuredModel || config.model || this.model });
+  }
+}
+
+module.exports = { OpenAILLMProvider };
@@ -0,0 +1,42 @@
+// Shared parsing of structured (function/tool call) output into the array callers expect
+
+/**
+ * Parse function-call arguments and return the array they hold
+ * @param {string|Object} args - JSON arguments, an object, or a text reply containing JSON
+ * @param {Object} functionSchema - The function schema the model was asked to fill
+ * @returns {Array} The array property declared first in the schema, any array property, or []
+ */
+function parseStructuredArray(args, functionSchema = {}) {
+  let obj = args;
+  if (typeof args === 'string') {
+    // Local models often answer in plain text, sometimes wrapped in ```json fences
+    const text = args.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '');
+    const start = text.search(/[[{]/);
+    try {
+      obj = JSON.parse(start > 0 ? text.slice(start) : text);
+    } catch (parseError) {
+      console.error('JSON parse error:', parseError.message);
+      console.error('Raw arguments:', args);
+      return [];
+    }
+  }
+
+  if (Array.isArray(obj)) return obj;
+  if (!obj || typeof obj !== 'object') return [];
+
+  const declared = Object.keys(functionSchema.parameters?.properties || {});
+  const key = [...declared, ...Object.keys(obj)].find(name => Array.isArray(obj[name]));
+  if (key) return obj[key];
+
+  console.warn('No valid array found in API response');
+  return [];
+}
+
+// The array property of a function schema: { name, schema } (the items are described by schema.items)
+function arrayProperty(functionSchema = {}) {
+  const properties = functionSchema.parameters?.properties || {};
+  const name = Object.keys(properties).find(key => properties[key].type === 'array');
+  return name ? { name, schema: properties[name] } : null;
+}
+
+module.exports = { parseStructuredArray, arrayProperty };
@@ -1,9 +1,32 @@
 const crypto = require('crypto');
+const zlib = require('zlib');
+
+// First byte of every stored state BLOB: how the JSON after it is encoded
+const STATE_FORMATS = { json: 0, gzip: 1, brotli: 2 };
+const STATE_FORMAT_NAMES = Object.fromEntries(Object.entries(STATE_FORMATS).map(([name, marker]) => [marker, name]));
+
+const CHECKPOINT_DEFAULTS = {
+  compression: 'brotli',            // brotli | gzip | none
+  minCompressBytes: 512,            // Smaller states are stored as plain JSON
+  keepCount: 5,                     // Checkpoints kept per batch run
+  maxBytesPerRun: 64 * 1024 * 1024, // Stored state per batch run; the oldest checkpoints go first
+  maxAgeDays: 14                    // Checkpoints older than this are deleted
+};
+
+// Bytes of state stored by a checkpoint row
+const STORED_BYTES_SQL = 'COALESCE(LENGTH(cluster_state), 0) + COALESCE(LENGTH(processing_state), 0) + COALESCE(LENGTH(intermediate_results), 0)';
 
 class CheckpointManager {
-  constructor(database) {
+  /**
+   * @param {Database} database - better-sqlite3 connection holding batch_checkpoints
+   * @param {Object} [config] - Overrides for CHECKPOINT_DEFAULTS
+   */
+  constructor(database, config = {}) {
     this.db = database;
-    this.compressionEnabled = true;
+    this.config = { ...CHECKPOINT_DEFAULTS, ...config };
+    if (this.config.compression !== 'none' && STATE_FORMATS[this.config.compression] === undefined) {
+      throw new Error(`Unknown checkpoint compression "${this.config.compression}". Use brotli, gzip or none`);
+    }
   }
 
   /**
@@ -33,7 +56,9 @@ class CheckpointManager {
         stageName,
         batchNumber,
         keywordsProcessed,
-        serializedProcessingState
+        serializedProcessingState,
+        serializedClusterState,
+        serializedResults
       });
 
       // Memory usage tracking
@@ -77,7 +102,7 @@ class CheckpointManager {
         recoveryInstructions
       );
 
-      // Clean up old checkpoints to prevent database bloat
+      // Apply the retention policies so large runs do not keep growing the database
       await this.cleanupOldCheckpoints(batchRunId);
 
       return {
@@ -93,39 +118,45 @@ class CheckpointManager {
   }
 
   /**
-   * Load the latest checkpoint for a batch run
+   * Load the latest valid checkpoint for a batch run, falling back to earlier ones
+   * when the validation hash does not match or the state cannot be read back
+   * @returns {Object|null} Deserialized checkpoint with skipped_checkpoints (ids of the corrupt ones passed over)
    */
   async loadLatestCheckpoint(batchRunId) {
     try {
       const query = `
         SELECT * FROM batch_checkpoints 
         WHERE batch_run_id = ? AND is_recoverable = 1
-        ORDER BY created_at DESC 
-        LIMIT 1
+        ORDER BY created_at DESC, id DESC
       `;
 
-      const checkpoint = this.db.prepare(query).get(batchRunId);
-      
-      if (!checkpoint) {
-        return null;
-      }
+      const skipped = [];
+      for (const checkpoint of this.db.prepare(query).all(batchRunId)) {
+        // Validate checkpoint integrity
+        const isValid = await this.validateCheckpoint(checkpoint);
+        if (!isValid) {
+          console.warn(`Checkpoint ${checkpoint.id} (${checkpoint.stage_name}) failed validation - trying an earlier one`);
+          skipped.push(checkpoint.id);
+          continue;
+        }
 
-      // Validate checkpoint integrity
-      const isValid = await this.validateCheckpoint(checkpoint);
-      if (!isValid) {
-        throw new Error('Checkpoint validation failed - data may be corrupted');
+        // Deserialize state objects
+        try {
+          return {
+            ...checkpoint,
+            cluster_state: checkpoint.cluster_state ? this.deserializeState(checkpoint.cluster_state) : null,
+            processing_state: checkpoint.processing_state ? this.deserializeState(checkpoint.processing_state) : null,
+            intermediate_results: checkpoint.intermediate_results ? this.deserializeState(checkpoint.intermediate_results) : null,
+            performance_data: checkpoint.performance_data ? JSON.parse(checkpoint.performance_data) : null,
+            skipped_checkpoints: skipped
+          };
+        } catch (error) {
+          console.warn(`Checkpoint ${checkpoint.id} (${checkpoint.stage_name}) could not be read: ${error.message} - trying an earlier one`);
+          skipped.push(checkpoint.id);
+        }
       }
 
-      // Deserialize state objects
-      const deserializedCheckpoint = {
-        ...checkpoint,
-        cluster_state: checkpoint.cluster_state ? this.deserializeState(checkpoint.cluster_state) : null,
-        processing_state: checkpoint.processing_state ? this.deserializeState(checkpoint.processing_state) : null,
-        intermediate_results: checkpoint.intermediate_results ? this.deserializeState(checkpoint.intermediate_results) : null,
-        performance_data: checkpoint.performance_data ? JSON.parse(checkpoint.performance_data) : null
-      };
-
-      return deserializedCheckpoint;
+      return null;
 
     } catch (error) {
       throw new Error(`Failed to load checkpoint: ${error.message}`);
@@ -139,10 +170,10 @@ class CheckpointManager {
     try {
       const query = `
         SELECT id, checkpoint_type, stage_name, batch_number, keywords_processed, 
-               memory_usage, created_at, is_recoverable
+               memory_usage, created_at, is_recoverable, ${STORED_BYTES_SQL} as stored_bytes
         FROM batch_checkpoints 
         WHERE batch_run_id = ?
-        ORDER BY created_at ASC
+        ORDER BY created_at ASC, id ASC
       `;
 
       return this.db.prepare(query).all(batchRunId);
@@ -153,19 +184,29 @@ class CheckpointManager {
   }
 
   /**
-   * Serialize state objects with optional compression
+   * Serialize a state object to a BLOB: one STATE_FORMATS marker byte followed by the
+   * (compressed) JSON
    */
   serializeState(state) {
     try {
-      const jsonString = JSON.stringify(state);
-      
-      if (this.compressionEnabled && jsonString.length > 1000) {
-        // For large objects, use simple base64 encoding (Node.js built-in)
-        // In a production environment, you might want to use gzip compression
-        return Buffer.from(jsonString, 'utf8').toString('base64');
+      const json = Buffer.from(JSON.stringify(state), 'utf8');
+      const { compression, minCompressBytes } = this.config;
+      const format = compression === 'none' || json.length < minCompressBytes ? 'json' : compression;
+
+      let body = json;
+      if (format === 'gzip') {
+        body = zlib.gzipSync(json);
+      } else if (format === 'brotli') {
+        body = zlib.brotliCompressSync(json, {
+          params: {
+            // Quality 11 (the default) is several times slower for a few percent less
+            [zlib.constants.BROTLI_PARAM_QUALITY]: 5,
+            [zlib.constants.BROTLI_PARAM_SIZE_HINT]: json.length
+          }
+        });
       }
-      
-      return jsonString;
+
+      return Buffer.concat([Buffer.from([STATE_FORMATS[format]]), body]);
 
     } catch (error) {
       throw new Error(`State serialization failed: ${error.message}`);
@@ -173,36 +214,64 @@ class CheckpointManager {
   }
 
   /**
-   * Deserialize state objects
+   * Deserialize a state BLOB written by serializeState, or a TEXT state written before
+   * states were stored as BLOBs (plain or base64-encoded JSON)
    */
   deserializeState(serializedState) {
     try {
-      // Check if it's base64 encoded (compressed)
-      let jsonString = serializedState;
-      
-      try {
-        // Try to decode as base64 first
-        const decoded = Buffer.from(serializedState, 'base64').toString('utf8');
-        // If it's valid JSON after decoding, it was compressed
-        JSON.parse(decoded);
-        jsonString = decoded;
-      } catch (e) {
-        // Not base64 encoded or not valid JSON after decoding, use as-is
+      if (!Buffer.isBuffer(serializedState)) {
+        return this.deserializeLegacyState(serializedState);
       }
 
-      return JSON.parse(jsonString);
+      const format = STATE_FORMAT_NAMES[serializedState[0]];
+      const body = serializedState.subarray(1);
+      let json;
+      if (format === 'json') {
+        json = body;
+      } else if (format === 'gzip') {
+        json = zlib.gunzipSync(body);
+      } else if (format === 'brotli') {
+        json = zlib.brotliDecompressSync(body);
+      } else {
+        throw new Error(`unknown format marker ${serializedState[0]}`);
+      }
+
+      return JSON.parse(json.toString('utf8'));
 
     } catch (error) {
       throw new Error(`State deserialization failed: ${error.message}`);
     }
   }
 
+  // TEXT states had no format marker, so base64 is told apart from JSON by trial parsing
+  deserializeLegacyState(serializedState) {
+    try {
+      const decoded = Buffer.from(serializedState, 'base64').toString('utf8');
+      return JSON.parse(decoded);
+    } catch (e) {
+      return JSON.parse(serializedState);
+    }
+  }
+
   /**
    * Generate validation hash for checkpoint integrity
    */
   generateValidationHash(data) {
+    // State BLOBs are hashed as bytes (JSON.stringify would turn a Buffer into an array of numbers)
+    const fields = {};
+    const blobs = [];
+    Object.entries(data).forEach(([key, value]) => {
+      if (Buffer.isBuffer(value)) {
+        fields[key] = value.length;
+        blobs.push(value);
+      } else {
+        fields[key] = value;
+      }
+    });
+
     const hash = crypto.createHash('md5');
-    hash.update(JSON.stringify(data));
+    hash.update(JSON.stringify(fields));
+    blobs.forEach(blob => hash.update(blob));
     return hash.digest('hex');
   }
 
@@ -215,7 +284,9 @@ class CheckpointManager {
         stageName: checkpoint.stage_name,
         batchNumber: checkpoint.batch_number,
         keywordsProcessed: checkpoint.keywords_processed,
-        serializedProcessingState: checkpoint.processing_state
+        serializedProcessingState: checkpoint.processing_state,
+        serializedClusterState: checkpoint.cluster_state,
+        serializedResults: checkpoint.intermediate_results
       };
 
       const expectedHash = this.generateValidationHash(validationData);
@@ -233,7 +304,7 @@ class CheckpointManager {
   isRecoverable(stageName, checkpointData) {
     // Define which stages can be safely recovered from
     const recoverableStages = [
-      'cleaning', 'deduplication', 'clustering', 'scoring', 'completed'
+      'cleaning', 'deduplication', 'intent', 'clustering', 'scoring', 'finalizing', 'completed'
     ];
 
     if (!recoverableStages.includes(stageName)) {
@@ -269,6 +340,11 @@ class CheckpointManager {
         instructions.push('Cleaned data available in intermediate results');
         break;
 
+      case 'intent':
+        instructions.push('Resume from intent classification stage');
+        instructions.push('Deduplicated data ready for classification');
+        break;
+
       case 'clustering':
         instructions.push('Resume from clustering stage');
         instructions.push('Deduplicated data ready for clustering');
@@ -296,29 +372,68 @@ class CheckpointManager {
   }
 
   /**
-   * Clean up old checkpoints to prevent database bloat
+   * Retention for one batch run: keep the latest keepCount checkpoints, then drop the oldest
+   * until the stored state fits in maxBytesPerRun (the latest checkpoint is always kept).
+   * Checkpoints of every run older than maxAgeDays are pruned as well.
    */
-  async cleanupOldCheckpoints(batchRunId, keepCount = 5) {
+  async cleanupOldCheckpoints(batchRunId, keepCount = this.config.keepCount) {
     try {
-      // Keep only the latest N checkpoints per batch run
-      const deleteQuery = `
-        DELETE FROM batch_checkpoints 
-        WHERE batch_run_id = ? AND id NOT IN (
-          SELECT id FROM batch_checkpoints 
-          WHERE batch_run_id = ?
-          ORDER BY created_at DESC 
-          LIMIT ?
-        )
-      `;
+      const checkpoints = this.db.prepare(`
+        SELECT id, ${STORED_BYTES_SQL} as stored_bytes
+        FROM batch_checkpoints
+        WHERE batch_run_id = ?
+        ORDER BY created_at DESC, id DESC
+      `).all(batchRunId);
+
+      let totalBytes = 0;
+      const removed = checkpoints.filter((checkpoint, index) => {
+        totalBytes += checkpoint.stored_bytes;
+        return index > 0 && (index >= keepCount || totalBytes > this.config.maxBytesPerRun);
+      });
 
-      this.db.prepare(deleteQuery).run(batchRunId, batchRunId, keepCount);
+      const deleteCheckpoint = this.db.prepare('DELETE FROM batch_checkpoints WHERE id = ?');
+      this.db.transaction(() => removed.forEach(checkpoint => deleteCheckpoint.run(checkpoint.id)))();
+
+      this.pruneCheckpoints();
+      return removed.length;
 
     } catch (error) {
       // Non-critical error - log but don't throw
       console.warn('Checkpoint cleanup warning:', error.message);
+      return 0;
     }
   }
 
+  /**
+   * Delete checkpoints older than maxAgeDays and drop the state of checkpoints whose batch
+   * run completed (they can no longer be resumed; the rows stay for getPerformanceAnalysis)
+   * @returns {{deleted: number, released: number}}
+   */
+  pruneCheckpoints(maxAgeDays = this.config.maxAgeDays) {
+    const deleted = this.db.prepare(`
+      DELETE FROM batch_checkpoints WHERE created_at < datetime('now', ?)
+    `).run(`-${maxAgeDays} days`).changes;
+
+    const released = this.db.prepare(`
+      UPDATE batch_checkpoints
+      SET cluster_state = NULL, processing_state = NULL, intermediate_results = NULL, is_recoverable = 0
+      WHERE ${STORED_BYTES_SQL} > 0
+        AND batch_run_id IN (SELECT id FROM batch_runs WHERE status = 'completed')
+    `).run().changes;
+
+    return { deleted, released };
+  }
+
+  // Checkpoint count and stored state bytes, overall and for recoverable checkpoints
+  getStorageStats() {
+    return this.db.prepare(`
+      SELECT COUNT(*) as checkpoints,
+        COALESCE(SUM(${STORED_BYTES_SQL}), 0) as stored_bytes,
+        COALESCE(SUM(CASE WHEN is_recoverable = 1 THEN 1 ELSE 0 END), 0) as recoverable
+      FROM batch_checkpoints
+    `).get();
+  }
+
   /**
    * Recovery helper: Rebuild processing state from checkpoint
    */
@@ -329,6 +444,7 @@ class CheckpointManager {
         stageName: checkpoint.stage_name,
         batchNumber: checkpoint.batch_number,
         keywordsProcessed: checkpoint.keywords_processed,
+        processingState: checkpoint.processing_state || {},
         intermediateResults: checkpoint.intermediate_results || {},
         nextSteps: JSON.parse(checkpoint.recovery_instructions || '[]')
       };
@@ -416,4 +532,4 @@ class CheckpointManager {
   }
 }
 
-module.exports = { CheckpointManager };
\ No newline at end of file
+module.exports = { CheckpointManager, CHECKPOINT_DEFAULTS, STATE_FORMATS };
\ No newline at end of file
@@ -1,49 +1,40 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { getHttpClient } = require('./http');
+const { EXPORT_COLUMNS } = require('../cli/config/semrush');
+
+// Shared client: rate limited, SEMRUSH_TIMEOUT_MS timeout, retries on 429/5xx and dropped connections
+const semrush = getHttpClient('semrush');
+
+const ENDPOINT = 'https://api.semrush.com/';
+
+// Sample export returned instead of calling SEMrush when NODE_ENV=development
+function readSampleData(samplePath) {
+  try {
+    const sampleData = fs.readFileSync(samplePath, 'utf8');
+    console.log('Using sample data from:', samplePath);
+    return sampleData;
+  } catch (err) {
+    console.error('Error reading sample file:', err.message);
+    throw new Error('Sample file not found. Please ensure sample/output.csv exists.');
+  }
+}
 
 /**
- * Fetch SEMrush keywords data (generic for url or domain)
- * @param {Object} options
- * @param {string} options.apiKey - SEMrush API key
- * @param {string} options.type - 'url_organic' or 'domain_organic'
- * @param {string} options.target - URL or domain to analyze
- * @param {string} options.database - SEMrush database (e.g., 'us')
- * @param {number} options.limit - Max results
+ * Request one SEMrush report, logging progress while large exports download
+ * @param {Object} params - Query parameters (type, key, database, display_limit, ...)
+ * @param {string} description - What is fetched, for the log
  * @returns {Promise<string>} CSV data
  */
-async function fetchSemrushKeywordsDomain({ target, database, limit }) {
-  if (process.env.NODE_ENV === 'development') {
-    try {
-      const samplePath = path.join(__dirname, '..', 'output', 'semrush_lbank_com_2025-07-28.csv');
-      const sampleData = fs.readFileSync(samplePath, 'utf8');
-      console.log('Using sample data from:', samplePath);
-      return sampleData;
-    } catch (err) {
-      console.error('Error reading sample file:', err.message);
-      throw new Error('Sample file not found. Please ensure sample/output.csv exists.');
-    }
-  }
-
-  const apiKey = process.env.SEMRUSH_API_KEY;
-  const endpoint = 'https://api.semrush.com/';
-  const params = {
-    type: 'domain_organic',
-    key: apiKey,
-    database,
-    display_limit: limit,
-    export_columns: 'Ph,Po,Pp,Pd,Nq,Cp,Ur,Tr,Tc,Co,Nr,Td',
-    display_sort: 'tr_desc',
-    domain: target,
-  };
-  const fullUrl = endpoint + '?' + Object.entries(params).map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`).join('&');
+async function requestReport(params, description) {
+  const fullUrl = ENDPOINT + '?' + Object.entries(params).map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`).join('&');
   console.log('Request URL:', fullUrl);
 
   let progressInterval;
   
   try {
     console.log('📡 Sending request to SEMrush API...');
-    console.log(`🎯 Target: ${target} | Database: ${database} | Limit: ${limit}`);
+    console.log(`🎯 ${description} | Database: ${params.database} | Limit: ${params.display_limit}`);
     
     // Add timeout and progress logging
     const startTime = Date.now();
@@ -54,9 +45,8 @@ async function fetchSemrushKeywordsDomain({ target, database, limit }) {
       console.log(`⏳ Still waiting for SEMrush response... (${elapsed}s elapsed)`);
     }, 10000);
     
-    const response = await axios.get(endpoint, { 
+    const response = await semrush.get(ENDPOINT, {
       params,
-      timeout: 300000, // 5 minute timeout
       headers: {
         'User-Agent': 'Keywords-Cluster-Tool/1.0'
       }
@@ -72,7 +62,7 @@ async function fetchSemrushKeywordsDomain({ target, database, limit }) {
     if (progressInterval) clearInterval(progressInterval);
     
     if (err.code === 'ECONNABORTED') {
-      console.error('❌ SEMrush API request timed out (5+ minutes)');
+      console.error(`❌ SEMrush API request timed out (${Math.round(semrush.timeout / 1000)}s)`);
     } else if (err.response?.status) {
       console.error(`❌ SEMrush API error (${err.response.status}):`, err.response?.data || err.message);
     } else {
@@ -82,7 +72,29 @@ async function fetchSemrushKeywordsDomain({ target, database, limit }) {
   }
 }
 
+/**
+ * Fetch SEMrush keywords data (generic for url or domain)
+ * @param {Object} options
+ * @param {string} options.target - Domain to analyze
+ * @param {string} options.database - SEMrush database (e.g., 'us')
+ * @param {number} options.limit - Max results
+ * @returns {Promise<string>} CSV data
+ */
+async function fetchSemrushKeywordsDomain({ target, database, limit }) {
+  if (process.env.NODE_ENV === 'development') {
+    return readSampleData(path.join(__dirname, '..', 'output', 'semrush_lbank_com_2025-07-28.csv'));
+  }
 
+  return requestReport({
+    type: 'domain_organic',
+    key: process.env.SEMRUSH_API_KEY,
+    database,
+    display_limit: limit,
+    export_columns: EXPORT_COLUMNS.domain,
+    display_sort: 'tr_desc',
+    domain: target,
+  }, `Target: ${target}`);
+}
 
 /**
  * Fetch SEMrush keywords for a subfolder
@@ -95,74 +107,127 @@ async function fetchSemrushKeywordsDomain({ target, database, limit }) {
  */
 async function fetchSemrushKeywordsSubfolder({ apiKey, subfolder, database, limit }) {
   if (process.env.NODE_ENV === 'development') {
-    try {
-      const samplePath = path.join(__dirname, '..', '..', 'sample', 'output.csv');
-      const sampleData = fs.readFileSync(samplePath, 'utf8');
-      console.log('Using sample data from:', samplePath);
-      return sampleData;
-    } catch (err) {
-      console.error('Error reading sample file:', err.message);
-      throw new Error('Sample file not found. Please ensure sample/output.csv exists.');
-    }
+    return readSampleData(path.join(__dirname, '..', '..', 'sample', 'output.csv'));
   }
 
-  const endpoint = 'https://api.semrush.com/';
-  const params = {
+  return requestReport({
     type: 'subfolder_organic',
     key: apiKey,
     subfolder,
     database,
     display_limit: limit,
-    export_columns: 'Ph,Po,Pp,Pd,Nq,Cp,Ur,Tr,Tc,Co,Nr,Td',
+    export_columns: EXPORT_COLUMNS.domain,
     display_sort: 'tr_desc',
-  };
-  const fullUrl = endpoint + '?' + Object.entries(params).map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`).join('&');
-  console.log('Request URL:', fullUrl);
+  }, `Subfolder: ${subfolder}`);
+}
 
-  let progressInterval;
-  
-  try {
-    console.log('📡 Sending request to SEMrush API...');
-    console.log(`🎯 Subfolder: ${subfolder} | Database: ${database} | Limit: ${limit}`);
-    
-    // Add timeout and progress logging
-    const startTime = Date.now();
-    
-    // Show progress every 10 seconds
-    progressInterval = setInterval(() => {
-      const elapsed = Math.floor((Date.now() - startTime) / 1000);
-      console.log(`⏳ Still waiting for SEMrush response... (${elapsed}s elapsed)`);
-    }, 10000);
-    
-    const response = await axios.get(endpoint, { 
-      params,
-      timeout: 300000, // 5 minute timeout
-      headers: {
-        'User-Agent': 'Keywords-Cluster-Tool/1.0'
-      }
-    });
-    
-    clearInterval(progressInterval);
-    const elapsed = Math.floor((Date.now() - startTime) / 1000);
-    console.log(`✅ SEMrush API response received (${elapsed}s)`);
-    console.log(`📊 Response size: ${response.data.length} characters`);
-    
-    return response.data;
-  } catch (err) {
-    if (progressInterval) clearInterval(progressInterval);
-    
-    if (err.code === 'ECONNABORTED') {
-      console.error('❌ SEMrush API request timed out (5+ minutes)');
-    } else if (err.response?.status) {
-      console.error(`❌ SEMrush API error (${err.response.status}):`, err.response?.data || err.message);
-    } else {
-      console.error('❌ Network error:', err.message);
+/**
+ * Fetch keywords for a seed phrase from one phrase report
+ * @param {Object} options
+ * @param {string} options.type - phrase_related, phrase_fullsearch or phrase_questions
+ * @param {string} options.phrase - Seed keyword
+ * @param {string} options.database - SEMrush database (e.g., 'us')
+ * @param {number} options.limit - Max results
+ * @returns {Promise<string>} CSV data (Keyword;Search Volume;CPC;Competition;Number of Results;Trends),
+ *   empty when SEMrush has nothing for the phrase
+ */
+async function fetchSemrushKeywordsPhrase({ type, phrase, database, limit }) {
+  const csvData = await requestReport({
+    type,
+    key: process.env.SEMRUSH_API_KEY,
+    phrase,
+    database,
+    display_limit: limit,
+    export_columns: EXPORT_COLUMNS.phrase,
+    display_sort: 'nq_desc',
+  }, `${type}: "${phrase}"`);
+
+  // "ERROR 50 :: NOTHING FOUND" is an answer, other errors (bad key, no units left) are failures
+  if (csvData.startsWith('ERROR 50 ')) return '';
+  if (csvData.startsWith('ERROR')) {
+    throw new Error(`SEMrush ${type} failed for "${phrase}": ${csvData.trim()}`);
+  }
+  return csvData;
+}
+
+/**
+ * Fetch keywords for seed phrases from several phrase reports, as one export: duplicates are
+ * kept once (highest volume) and the `limit` highest-volume keywords are returned
+ * @param {Object} options
+ * @param {Array<string>} options.seeds - Seed keywords
+ * @param {Array<string>} options.reports - SEMrush phrase report types
+ * @param {string} options.database - SEMrush database (e.g., 'us')
+ * @param {number} options.limit - Max keywords in total
+ * @returns {Promise<string>} CSV data
+ */
+async function fetchSemrushKeywordsSeeds({ seeds, reports, database, limit }) {
+  if (process.env.NODE_ENV === 'development') {
+    return readSampleData(path.join(__dirname, '..', 'output', 'semrush_lbank_com_2025-07-28.csv'));
+  }
+
+  // The limit is shared so a project costs about the same whatever the number of seeds
+  const perRequest = Math.max(1, Math.ceil(limit / (seeds.length * reports.length)));
+  let header = null;
+  const rows = new Map();
+  for (const phrase of seeds) {
+    for (const type of reports) {
+      const csvData = await fetchSemrushKeywordsPhrase({ type, phrase, database, limit: perRequest });
+      const [first, ...lines] = csvData.split('\n').map(line => line.trim()).filter(Boolean);
+      if (!first) continue;
+      header = header || first;
+      const volumeIndex = header.split(';').indexOf('Search Volume');
+
+      lines.forEach(line => {
+        const values = line.split(';');
+        const keyword = values[0].toLowerCase();
+        const volume = Number(values[volumeIndex]) || 0;
+        const existing = rows.get(keyword);
+        if (!existing || volume > existing.volume) {
+          rows.set(keyword, { line, volume });
+        }
+      });
     }
-    throw err;
   }
+
+  if (!header) return '';
+  const lines = [...rows.values()]
+    .sort((a, b) => b.volume - a.volume)
+    .slice(0, limit)
+    .map(row => row.line);
+  console.log(`🌱 ${lines.length} unique keywords from ${seeds.length} seeds × ${reports.length} reports`);
+  return [header, ...lines].join('\n') + '\n';
+}
+
+/**
+ * Fetch the domains competing with a domain in organic search (domain_organic_organic)
+ * @param {Object} options
+ * @param {string} options.target - Domain to find competitors for
+ * @param {string} options.database - SEMrush database (e.g., 'us')
+ * @param {number} options.limit - Max competitors
+ * @returns {Promise<string>} CSV data (Domain;Competitor Relevance;Common Keywords;Organic Keywords;
+ *   Organic Traffic;Organic Cost;Adwords Keywords)
+ */
+async function fetchSemrushCompetitors({ target, database, limit }) {
+  const csvData = await requestReport({
+    type: 'domain_organic_organic',
+    key: process.env.SEMRUSH_API_KEY,
+    domain: target,
+    database,
+    display_limit: limit,
+    export_columns: EXPORT_COLUMNS.competitors,
+  }, `Competitors of ${target}`);
+
+  if (csvData.startsWith('ERROR 50 ')) return '';
+  if (csvData.startsWith('ERROR')) {
+    throw new Error(`SEMrush competitors failed for ${target}: ${csvData.trim()}`);
+  }
+  return csvData;
 }
 
 module.exports = {
   fetchSemrushKeywordsDomain,
   fetchSemrushKeywordsSubfolder,
-};
\ No newline at end of file
+  fetchSemrushKeywordsPhrase,
+  fetchSemrushKeywordsSeeds,
+  fetchSemrushCompetitors,
+};
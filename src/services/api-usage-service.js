@@ -0,0 +1,268 @@
+const ApiUsageModel = require('../database/models/api-usage');
+const ProjectModel = require('../database/models/project');
+const { endpointOf } = require('../http');
+const {
+  LLM_PRICING,
+  DEFAULT_LLM_PRICING,
+  FREE_PROVIDERS,
+  SEMRUSH_UNITS_PER_LINE,
+  SEMRUSH_UNIT_PRICE_USD,
+  ESTIMATED_OUTPUT_TOKENS,
+  BUDGET_DEFAULTS
+} = require('../../cli/config/usage');
+
+// Raised before a call that would take a run or project over its budget
+class BudgetExceededError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.code = 'BUDGET_EXCEEDED';
+    this.details = details;
+  }
+}
+
+// $0.0123 for small amounts, $12.34 otherwise
+const formatUsd = amount => `$${amount < 1 ? amount.toFixed(4) : amount.toFixed(2)}`;
+
+// USD per 1M tokens for a model, by longest matching prefix
+function llmPricing(model) {
+  const match = Object.keys(LLM_PRICING)
+    .filter(prefix => (model || '').startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? LLM_PRICING[match] : DEFAULT_LLM_PRICING;
+}
+
+function semrushUnitPrice() {
+  const configured = process.env.SEMRUSH_UNIT_PRICE_USD;
+  return configured && Number(configured) >= 0 ? Number(configured) : SEMRUSH_UNIT_PRICE_USD;
+}
+
+function tokenCost(model, inputTokens, outputTokens) {
+  const pricing = llmPricing(model);
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1e6;
+}
+
+function sizeOf(value) {
+  if (value === undefined || value === null) return 0;
+  return typeof value === 'string' ? value.length : JSON.stringify(value).length;
+}
+
+// Data lines of a SEMrush CSV response (header and "ERROR 50 :: NOTHING FOUND" bodies excluded)
+function semrushLines(body) {
+  if (typeof body !== 'string' || body.startsWith('ERROR')) return 0;
+  const lines = body.split('\n').filter(line => line.trim() !== '');
+  return Math.max(0, lines.length - 1);
+}
+
+/**
+ * What an HTTP call cost, from the token usage or SEMrush lines in its response
+ * @param {Object} call - { provider, method, url, data, params, response, error, durationMs }
+ * @returns {Object} Fields for ApiUsageModel.record (without project and run)
+ */
+function measureCall(call) {
+  const body = call.response?.data;
+  const measured = {
+    provider: call.provider,
+    method: call.method.toUpperCase(),
+    endpoint: endpointOf(call.url),
+    requestSize: sizeOf(call.data),
+    responseSize: sizeOf(body),
+    durationMs: call.durationMs,
+    statusCode: call.response?.status ?? null,
+    error: call.error ? (call.error.response?.data?.error?.message || call.error.message) : null,
+    cost: 0
+  };
+
+  if (call.provider === 'semrush') {
+    const type = call.params?.type;
+    const units = call.error ? 0 : semrushLines(body) * (SEMRUSH_UNITS_PER_LINE[type] || SEMRUSH_UNITS_PER_LINE.default);
+    return { ...measured, endpoint: type || measured.endpoint, units, cost: units * semrushUnitPrice() };
+  }
+
+  const usage = body?.usage || {};
+  const inputTokens = usage.prompt_tokens ?? usage.input_tokens ?? null;
+  const outputTokens = usage.completion_tokens ?? usage.output_tokens ?? (inputTokens !== null ? 0 : null);
+  const model = call.data?.model || body?.model || null;
+  const cost = inputTokens === null || FREE_PROVIDERS.includes(call.provider)
+    ? 0
+    : tokenCost(model, inputTokens, outputTokens);
+  return { ...measured, model, inputTokens, outputTokens, cost };
+}
+
+/**
+ * Upper estimate of what a call is about to cost, for budget checks: SEMrush lines at the
+ * requested display limit, LLM prompts at ~4 characters per token plus max_tokens of output
+ * @param {Object} call - { provider, url, data, params }
+ * @returns {number} USD
+ */
+function estimateRequestCost(call) {
+  if (FREE_PROVIDERS.includes(call.provider)) return 0;
+
+  if (call.provider === 'semrush') {
+    const lines = Number(call.params?.display_limit) || 1;
+    return lines * (SEMRUSH_UNITS_PER_LINE[call.params?.type] || SEMRUSH_UNITS_PER_LINE.default) * semrushUnitPrice();
+  }
+
+  const inputTokens = Math.ceil(sizeOf(call.data) / 4);
+  const isEmbedding = /\/embeddings$/.test(endpointOf(call.url));
+  const outputTokens = isEmbedding ? 0 : (call.data?.max_tokens ?? ESTIMATED_OUTPUT_TOKENS);
+  return tokenCost(call.data?.model, inputTokens, outputTokens);
+}
+
+// Records the API calls of one run (or command) and stops them at the run and monthly budgets
+class ApiUsageTracker {
+  /**
+   * @param {Object} db - better-sqlite3 database
+   * @param {Object} [options]
+   * @param {Object} [options.project] - Project row; its configuration.budget applies
+   * @param {number} [options.runId] - processing_runs id the calls belong to
+   * @param {Object} [options.budget] - { perRun, perMonth } in USD, overriding the project's
+   */
+  constructor(db, { project = null, runId = null, budget } = {}) {
+    this.usageModel = new ApiUsageModel(db);
+    this.projectId = project?.id ?? null;
+    this.runId = runId;
+    this.budget = budget || ApiUsageService.budgetForProject(project);
+    // Databases without migration 4 can't store calls or sum a month of them
+    this.recording = this.usageModel.hasColumn('project_id');
+    if (!this.recording) {
+      console.warn('⚠️ API usage is not recorded until the database is migrated (node src/database/migrations.js)');
+    }
+    this.calls = 0;
+    this.cost = 0;
+    this.byProvider = {};
+    this.exceeded = null;
+  }
+
+  // Later calls belong to this processing run
+  setRun(runId) {
+    this.runId = runId;
+  }
+
+  // Refuse a call that would go over the run or monthly budget (free calls always pass)
+  beforeRequest(call) {
+    const estimate = estimateRequestCost(call);
+    if (estimate === 0) return;
+
+    const { perRun, perMonth } = this.budget;
+    if (perRun !== null && perRun !== undefined && this.cost + estimate > perRun) {
+      this.exceed(`Run budget of ${formatUsd(perRun)} reached (${formatUsd(this.cost)} spent, next ${call.provider} call ~${formatUsd(estimate)})`,
+        { budget: 'run', limit: perRun, spent: this.cost, estimate });
+    }
+    if (perMonth !== null && perMonth !== undefined && this.projectId !== null && this.recording) {
+      const spent = this.usageModel.getMonthSpend(this.projectId);
+      if (spent + estimate > perMonth) {
+        this.exceed(`Monthly budget of ${formatUsd(perMonth)} reached (${formatUsd(spent)} spent this month, next ${call.provider} call ~${formatUsd(estimate)})`,
+          { budget: 'month', limit: perMonth, spent, estimate });
+      }
+    }
+  }
+
+  exceed(message, details) {
+    this.exceeded = new BudgetExceededError(message, details);
+    throw this.exceeded;
+  }
+
+  // Store a finished attempt; tracking problems never fail the call itself
+  afterRequest(call) {
+    const measured = measureCall(call);
+    this.calls++;
+    this.cost += measured.cost;
+    const provider = this.byProvider[measured.provider] || (this.byProvider[measured.provider] = { calls: 0, cost: 0 });
+    provider.calls++;
+    provider.cost += measured.cost;
+
+    if (!this.recording) return;
+    try {
+      this.usageModel.record({ ...measured, projectId: this.projectId, runId: this.runId });
+    } catch (error) {
+      console.warn(`⚠️ API usage is no longer recorded: ${error.message}`);
+      this.recording = false;
+    }
+  }
+
+  // Stop a generation loop once a call has been refused for budget, like AbortSignal.throwIfAborted
+  throwIfExceeded() {
+    if (this.exceeded) throw this.exceeded;
+  }
+
+  // Calls and estimated cost so far
+  summary() {
+    return {
+      calls: this.calls,
+      cost: this.cost,
+      byProvider: this.byProvider,
+      ...(this.exceeded && { budgetExceeded: this.exceeded.message })
+    };
+  }
+}
+
+// Spend reports for the `kwt usage` command and the dashboard
+class ApiUsageService {
+  constructor(db) {
+    this.usageModel = new ApiUsageModel(db);
+  }
+
+  /**
+   * Run and monthly budgets of a project: its configuration.budget, else KWT_RUN_BUDGET_USD
+   * and KWT_MONTHLY_BUDGET_USD, else no limit
+   * @param {Object|null} project - Project row
+   * @returns {{perRun: number|null, perMonth: number|null}}
+   */
+  static budgetForProject(project) {
+    const configuration = ProjectModel.configurationOf(project);
+    const budget = configuration.budget || {};
+    const fromEnv = name => (process.env[name] && Number(process.env[name]) > 0 ? Number(process.env[name]) : null);
+    return {
+      perRun: budget.perRun ?? fromEnv('KWT_RUN_BUDGET_USD') ?? BUDGET_DEFAULTS.perRun,
+      perMonth: budget.perMonth ?? fromEnv('KWT_MONTHLY_BUDGET_USD') ?? BUDGET_DEFAULTS.perMonth
+    };
+  }
+
+  /**
+   * Spend per project for the period, with this month's spend against each monthly budget
+   * @param {Array<Object>} projects - Project rows to include budgets for
+   * @param {Object} [options]
+   * @param {Date} [options.since] - Start of the period (all time when omitted)
+   * @returns {Array<Object>}
+   */
+  projectSpend(projects, { since } = {}) {
+    const byId = new Map(projects.map(project => [project.id, project]));
+    return this.usageModel.summarizeByProject({ since }).map(row => {
+      const project = byId.get(row.project_id);
+      const budget = ApiUsageService.budgetForProject(project);
+      return {
+        ...row,
+        month_cost: row.project_id !== null ? this.usageModel.getMonthSpend(row.project_id) : null,
+        budget
+      };
+    });
+  }
+
+  /**
+   * Detailed spend of one project: totals, providers/models/endpoints and recent runs
+   * @param {Object} project - Project row
+   * @param {Object} [options]
+   * @param {Date} [options.since]
+   * @returns {Object}
+   */
+  projectReport(project, { since } = {}) {
+    return {
+      project: { id: project.id, name: project.name },
+      budget: ApiUsageService.budgetForProject(project),
+      total: this.usageModel.getSpend({ projectId: project.id, since }),
+      month: this.usageModel.getSpend({ projectId: project.id, since: ApiUsageModel.monthStart() }),
+      providers: this.usageModel.summarizeByProvider({ projectId: project.id, since }),
+      runs: this.usageModel.summarizeByRun(project.id)
+    };
+  }
+}
+
+module.exports = {
+  ApiUsageService,
+  ApiUsageTracker,
+  BudgetExceededError,
+  measureCall,
+  estimateRequestCost,
+  formatUsd
+};
@@ -0,0 +1,132 @@
+// src/services/brand-service.js
+// Brand term matching and branded vs non-branded share reporting
+const ProjectModel = require('../database/models/project');
+
+/**
+ * Compile one configured brand term. Plain terms match as whole words (spaces also match
+ * hyphens or no separator, so "coin base" covers "coin-base" and "coinbase"); terms written
+ * as /pattern/flags are used as case-insensitive regular expressions (g and y are dropped).
+ * @param {string} term
+ * @returns {RegExp|null} null for empty terms
+ */
+function parseBrandTerm(term) {
+  const text = String(term || '').trim();
+  if (!text) return null;
+
+  const literal = text.match(/^\/(.+)\/([a-z]*)$/);
+  if (literal) {
+    // g and y would make test() stateful through lastIndex, so repeated matches alternate
+    const flags = literal[2].replace(/[gy]/g, '');
+    try {
+      return new RegExp(literal[1], flags.includes('i') ? flags : `${flags}i`);
+    } catch (error) {
+      throw new Error(`Invalid brand pattern ${text}: ${error.message}`);
+    }
+  }
+
+  const escaped = text
+    .toLowerCase()
+    .split(/\s+/)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[\\s-]?');
+  return new RegExp(`\\b${escaped}\\b`, 'i');
+}
+
+class BrandService {
+  /**
+   * @param {Array<string>} [terms] - Brand names, misspellings and /regex/ variants
+   */
+  constructor(terms = []) {
+    this.terms = [];
+    this.patterns = [];
+    terms.forEach(term => {
+      const pattern = parseBrandTerm(term);
+      if (pattern) {
+        this.terms.push(String(term).trim());
+        this.patterns.push(pattern);
+      }
+    });
+  }
+
+  get isEmpty() {
+    return this.patterns.length === 0;
+  }
+
+  // First configured term the keyword matches, or null
+  matchTerm(keyword) {
+    const text = String(keyword || '').toLowerCase();
+    const index = this.patterns.findIndex(pattern => pattern.test(text));
+    return index === -1 ? null : this.terms[index];
+  }
+
+  isBranded(keyword) {
+    return this.matchTerm(keyword) !== null;
+  }
+
+  /**
+   * Keyword count, search volume and traffic for branded vs non-branded keywords
+   * @param {Array<Object>} keywords - Keywords with contains_brand, search_volume and traffic_percent
+   * @returns {{branded: Object, non_branded: Object, volume_share: number, traffic_share: number}}
+   */
+  static summarize(keywords) {
+    const empty = () => ({ keywords: 0, search_volume: 0, traffic_percent: 0 });
+    const split = { branded: empty(), non_branded: empty() };
+
+    keywords.forEach(keyword => {
+      const bucket = keyword.contains_brand ? split.branded : split.non_branded;
+      bucket.keywords++;
+      bucket.search_volume += Number(keyword.search_volume) || 0;
+      bucket.traffic_percent += Number(keyword.traffic_percent) || 0;
+    });
+
+    return BrandService.withShares(split);
+  }
+
+  // Add branded volume/traffic shares (0-100) to a { branded, non_branded } split
+  static withShares(split) {
+    const share = (field) => {
+      const total = split.branded[field] + split.non_branded[field];
+      return total > 0 ? Math.round((split.branded[field] / total) * 1000) / 10 : 0;
+    };
+    split.branded.traffic_percent = Math.round(split.branded.traffic_percent * 100) / 100;
+    split.non_branded.traffic_percent = Math.round(split.non_branded.traffic_percent * 100) / 100;
+    return { ...split, volume_share: share('search_volume'), traffic_share: share('traffic_percent') };
+  }
+
+  // Brand name implied by a project's domain, e.g. blog.lbank.com or lbank.co.uk → lbank
+  static termsFromDomain(project) {
+    const parts = String(project?.domain || project?.url || '')
+      .toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .split('/')[0]
+      .split('.');
+    let index = parts.length - 2;
+    if (index > 0 && ['co', 'com', 'org', 'net', 'ac', 'gov'].includes(parts[index])) index--;
+    const name = parts[Math.max(index, 0)];
+    return name && name.length > 2 ? [name] : [];
+  }
+
+  /**
+   * Brand settings stored under projects.configuration.brand.
+   * Projects without configured terms fall back to the name in their domain.
+   * @param {Object} project - Project row (configuration may be a JSON string)
+   * @returns {{terms: Array<string>, excludeFromClustering: boolean, excludeFromTitles: boolean, configured: boolean}}
+   */
+  static configForProject(project) {
+    const configuration = ProjectModel.configurationOf(project);
+    const brand = configuration.brand || {};
+    const configured = Array.isArray(brand.terms) && brand.terms.length > 0;
+    return {
+      terms: configured ? brand.terms : BrandService.termsFromDomain(project),
+      excludeFromClustering: Boolean(brand.excludeFromClustering),
+      excludeFromTitles: Boolean(brand.excludeFromTitles),
+      configured
+    };
+  }
+
+  static forProject(project) {
+    return new BrandService(BrandService.configForProject(project).terms);
+  }
+}
+
+module.exports = { BrandService, parseBrandTerm };
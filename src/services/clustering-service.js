@@ -2,16 +2,55 @@ const { kmeans } = require('ml-kmeans');
 const natural = require('natural');
 const { Matrix } = require('ml-matrix');
 const { CLUSTERING_DEFAULTS } = require('../../cli/config/clustering');
+const { createEmbeddingProvider } = require('../embeddings');
+const { TfidfEmbeddingProvider } = require('../embeddings/tfidf-provider');
+const {
+  NOISE,
+  CLUSTERING_ALGORITHMS,
+  hierarchicalClustering,
+  dbscanClustering,
+  serpOverlapClustering
+} = require('../clustering/algorithms');
 
 class ClusteringService {
   constructor(config = {}) {
-    this.config = { ...CLUSTERING_DEFAULTS, ...config };
+    this.config = {
+      ...CLUSTERING_DEFAULTS,
+      ...config,
+      embeddings: { ...CLUSTERING_DEFAULTS.embeddings, ...config.embeddings }
+    };
+    this.embeddingProvider = createEmbeddingProvider(this.config.embeddings, this.config.semantic);
+    // Algorithm, parameters and unassigned count of the last clustering call
+    this.lastStrategy = null;
+  }
+
+  // Pick the algorithm and parameters for a clustering call: options override CLUSTERING_DEFAULTS
+  resolveStrategy(options = {}) {
+    const algorithm = options.algorithm || this.config.algorithm || 'kmeans';
+    if (!CLUSTERING_ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Unknown clustering algorithm "${algorithm}". Available: ${CLUSTERING_ALGORITHMS.join(', ')}`);
+    }
+
+    const params = algorithm === 'kmeans'
+      ? { clusterCount: options.clusterCount || 'auto' }
+      : { ...this.config[algorithm], ...options.params };
+
+    // Hierarchical and DBSCAN need an n×n distance matrix; too many keywords fall back to k-means
+    if (params.maxKeywords && options.keywordCount > params.maxKeywords) {
+      console.warn(`⚠️ ${options.keywordCount} keywords exceed the ${algorithm} limit of ${params.maxKeywords}; using k-means instead`);
+      return { algorithm: 'kmeans', params: { clusterCount: options.clusterCount || 'auto', fallbackFrom: algorithm } };
+    }
+
+    return { algorithm, params };
   }
 
   async performAdvancedClustering(keywords, options = {}) {
     if (!keywords || keywords.length === 0) {
       return [];
     }
+
+    const strategy = this.resolveStrategy({ ...options, keywordCount: keywords.length });
+    this.lastStrategy = { ...strategy, unassigned: 0 };
     
     // Handle single keyword case
     if (keywords.length === 1) {
@@ -36,10 +75,19 @@ class ClusteringService {
       return [cluster];
     }
 
-    const { embeddings, vocabulary } = this.generateSemanticEmbeddings(keywords);
+    const { embeddings, vocabulary } = await this.generateEmbeddings(keywords);
     const features = this.buildFeatureMatrix(keywords, embeddings);
 
+    if (strategy.algorithm !== 'kmeans') {
+      return this.clusterWithStrategy(strategy, keywords, embeddings, vocabulary, features);
+    }
+
     const k = options.clusterCount || await this.optimizeClusterCount(features, this.config.kmeans?.maxClusters);
+    this.lastStrategy.params = {
+      clusterCount: k,
+      optimized: !options.clusterCount,
+      ...(strategy.params.fallbackFrom && { fallbackFrom: strategy.params.fallbackFrom })
+    };
     
     // Handle case where we need only 1 cluster
     if (k === 1) {
@@ -71,6 +119,40 @@ class ClusteringService {
     return clusters;
   }
 
+  // Hierarchical, DBSCAN and SERP-overlap clustering; keywords they leave unassigned get no cluster
+  async clusterWithStrategy(strategy, keywords, embeddings, vocabulary, features) {
+    const { algorithm, params } = strategy;
+    let result;
+    if (algorithm === 'hierarchical') {
+      result = hierarchicalClustering(embeddings, params);
+    } else if (algorithm === 'dbscan') {
+      result = dbscanClustering(embeddings, params);
+    } else {
+      result = serpOverlapClustering(keywords, embeddings, params);
+    }
+
+    const assigned = [];
+    result.clusters.forEach((label, i) => {
+      if (label !== NOISE) assigned.push(i);
+    });
+    this.lastStrategy.unassigned = keywords.length - assigned.length;
+    console.log(`✓ ${algorithm} clustering: ${result.centroids.length} clusters, ${this.lastStrategy.unassigned} keywords unassigned`);
+
+    const clusters = this.buildClusters(result, keywords, embeddings, vocabulary);
+    await this.generateClusterNames(clusters);
+    if (result.urls) {
+      clusters.forEach((cluster, i) => { cluster.description = `Keywords ranking with ${result.urls[i]}`; });
+    }
+    if (clusters.length > 0) {
+      this.assessClusterQuality(
+        clusters,
+        assigned.map(i => features[i]),
+        assigned.map(i => result.clusters[i])
+      );
+    }
+    return clusters;
+  }
+
   buildFeatureMatrix(keywords, embeddings) {
     const semanticWeight = this.config.semantic?.semanticWeight || 0.4;
     const maxSearchVolume = Math.max(...keywords.map(k => k.search_volume || 0));
@@ -199,72 +281,14 @@ class ClusteringService {
     return inertia;
   }
 
+  // Embed keywords with the configured provider (TF-IDF unless configured otherwise)
+  async generateEmbeddings(keywords) {
+    return this.embeddingProvider.embed(keywords.map(k => k.keyword));
+  }
+
   generateSemanticEmbeddings(keywords) {
-    const tokenizer = new natural.WordTokenizer();
-    const stopwords = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should']);
-    const vocab = new Map();
-    let index = 0;
-    
-    // Enhanced tokenization with stopword filtering and stemming
-    const documents = keywords.map(k => {
-      let tokens = tokenizer.tokenize(k.keyword.toLowerCase());
-      
-      // Filter stopwords if enabled in config
-      if (this.config.semantic?.useStopwordFiltering) {
-        tokens = tokens.filter(t => !stopwords.has(t) && t.length > 2);
-      }
-      
-      // Apply stemming for better semantic grouping
-      if (this.config.semantic?.enhancedTokenization) {
-        tokens = tokens.map(t => natural.PorterStemmer.stem(t));
-      }
-      
-      tokens.forEach(t => {
-        if (!vocab.has(t)) {
-          vocab.set(t, index++);
-        }
-      });
-      return tokens;
-    });
-    
-    // Generate TF-IDF weighted embeddings instead of simple term frequency
-    const documentFreq = new Map(); // How many documents contain each term
-    documents.forEach(tokens => {
-      const uniqueTokens = new Set(tokens);
-      uniqueTokens.forEach(token => {
-        documentFreq.set(token, (documentFreq.get(token) || 0) + 1);
-      });
-    });
-    
-    const embeddings = documents.map(tokens => {
-      const vector = new Array(vocab.size).fill(0);
-      const termFreq = new Map();
-      
-      // Calculate term frequency for this document
-      tokens.forEach(t => {
-        termFreq.set(t, (termFreq.get(t) || 0) + 1);
-      });
-      
-      // Apply TF-IDF weighting
-      tokens.forEach(t => {
-        const i = vocab.get(t);
-        const tf = termFreq.get(t) / tokens.length; // Term frequency
-        const idf = Math.log(documents.length / (documentFreq.get(t) || 1)); // Inverse document frequency
-        vector[i] = tf * idf;
-      });
-      
-      // Normalize vector to unit length for better clustering
-      const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
-      if (magnitude > 0) {
-        for (let i = 0; i < vector.length; i++) {
-          vector[i] /= magnitude;
-        }
-      }
-      
-      return vector;
-    });
-    
-    return { embeddings, vocabulary: Array.from(vocab.keys()) };
+    const tfidf = new TfidfEmbeddingProvider(this.config.semantic);
+    return tfidf.embedSync(keywords.map(k => k.keyword));
   }
 
   calculateSemanticSimilarity(a, b) {
@@ -304,6 +328,7 @@ class ClusteringService {
   buildClusters(result, keywords, embeddings, vocabulary) {
     const clusters = [];
     result.clusters.forEach((cid, idx) => {
+      if (cid === NOISE) return;
       if (!clusters[cid]) {
         clusters[cid] = { id: cid, keywords: [], embeddings: [], center: result.centroids[cid] };
       }
@@ -348,7 +373,7 @@ class ClusteringService {
   }
 
   assessClusterQuality(clusters, features, assignments) {
-    const silhouette = this.calculateSilhouetteScore(features, assignments, clusters.length);
+    const silhouette = clusters.length > 1 ? this.calculateSilhouetteScore(features, assignments, clusters.length) : 1.0;
     clusters.forEach(cluster => {
       // Use database schema property names
       cluster.silhouette_score = silhouette;
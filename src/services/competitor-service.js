@@ -0,0 +1,71 @@
+// src/services/competitor-service.js
+// Discover the domains competing with a project in organic search (SEMrush domain_organic_organic)
+const { fetchSemrushCompetitors } = require('../semrush-api');
+const CompetitorModel = require('../database/models/competitor');
+const ProjectModel = require('../database/models/project');
+const { withRequestContext } = require('../http');
+const { ApiUsageTracker } = require('./api-usage-service');
+const { ResponseCache } = require('./response-cache');
+const { COMPETITOR_LIMIT } = require('../../cli/config/semrush');
+
+class CompetitorService {
+  /**
+   * @param {Object} db - better-sqlite3 database with the competitors table
+   */
+  constructor(db) {
+    this.db = db;
+    this.competitorModel = new CompetitorModel(db);
+  }
+
+  /**
+   * Domain SEMrush compares against: the project's domain, or the host of its URL
+   * @param {Object} project - projects row
+   * @returns {string}
+   * @throws {Error} For seed projects, which have no domain
+   */
+  static domainOf(project) {
+    if (project.domain) return project.domain.replace(/^https?:\/\//, '').replace(/\/.*$/, '').toLowerCase();
+    if (project.url) {
+      return new URL(/^https?:\/\//.test(project.url) ? project.url : `https://${project.url}`).hostname.toLowerCase();
+    }
+    throw new Error(`Project ${project.name} has no domain to find competitors for (${project.project_type} project)`);
+  }
+
+  /**
+   * Fetch a project's organic competitors and save them. The SEMrush call is recorded against
+   * the project's budget, and a fresh cached export is reused unless cache is false.
+   * @param {Object} project - projects row
+   * @param {Object} [options]
+   * @param {string} [options.database] - SEMrush database (default: the project's, else 'us')
+   * @param {number} [options.limit] - Max competitors (default COMPETITOR_LIMIT)
+   * @param {boolean} [options.cache] - false calls SEMrush even when a cached export is fresh
+   * @returns {Promise<{domain: string, database: string, competitors: Array<Object>, usage: Object, cache: Object}>}
+   */
+  async discover(project, { database, limit = COMPETITOR_LIMIT, cache } = {}) {
+    const domain = CompetitorService.domainOf(project);
+    const configuration = ProjectModel.configurationOf(project);
+    const semrushDatabase = database || configuration.database || 'us';
+
+    const usage = new ApiUsageTracker(this.db, { project });
+    const responseCache = ResponseCache.forRun(this.db, { cache });
+    const csvData = await withRequestContext({ usage, cache: responseCache },
+      () => fetchSemrushCompetitors({ target: domain, database: semrushDatabase, limit }));
+
+    const competitors = this.competitorModel.saveFromCSV(project.id, semrushDatabase, csvData);
+
+    return {
+      domain,
+      database: semrushDatabase,
+      competitors,
+      usage: usage.summary(),
+      cache: responseCache.summary()
+    };
+  }
+
+  // Competitors saved for a project, most relevant first
+  list(projectId, { database } = {}) {
+    return this.competitorModel.getByProject(projectId, { database });
+  }
+}
+
+module.exports = { CompetitorService };
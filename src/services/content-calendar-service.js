@@ -0,0 +1,328 @@
+// src/services/content-calendar-service.js
+// Plan publishing dates for generated titles: higher-priority clusters first, seasonal clusters
+// ahead of their peak months, and no more titles per week than the project's capacity
+const ProjectModel = require('../database/models/project');
+const ContentCalendarModel = require('../database/models/content-calendar');
+const { SeasonalityService } = require('./seasonality-service');
+const { WEEKDAYS } = require('./rescrape-scheduler');
+
+const CALENDAR_DEFAULTS = {
+  weeklyCapacity: 3,                                // Titles published per week
+  publishDays: ['monday', 'wednesday', 'friday'],  // Days of the week titles go out on
+  leadWeeks: 6,                                     // Weeks before a seasonal peak month its titles are published
+  horizonWeeks: 52                                  // Titles that do not fit in this many weeks stay unscheduled
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dates are plain "YYYY-MM-DD" strings, computed in UTC so the server's time zone does not shift them
+const toDate = value => new Date(`${value}T00:00:00Z`);
+const formatDate = date => date.toISOString().slice(0, 10);
+const addDays = (value, days) => formatDate(new Date(toDate(value).getTime() + days * DAY_MS));
+
+class ContentCalendarService {
+  /**
+   * @param {Object} db - better-sqlite3 connection
+   */
+  constructor(db) {
+    this.db = db;
+    this.projectModel = new ProjectModel(db);
+    this.calendarModel = new ContentCalendarModel(db);
+    this.seasonality = new SeasonalityService(db);
+  }
+
+  // The project's calendar settings from its configuration over CALENDAR_DEFAULTS
+  static settingsForProject(project) {
+    const configuration = ProjectModel.configurationOf(project);
+    return { ...CALENDAR_DEFAULTS, ...configuration.calendar };
+  }
+
+  /**
+   * Validate calendar settings
+   * @returns {Object} Settings with publish days in week order
+   * @throws {Error} When a setting is out of range
+   */
+  static validateSettings(settings) {
+    const { weeklyCapacity, leadWeeks, horizonWeeks } = settings;
+    if (!Number.isInteger(weeklyCapacity) || weeklyCapacity < 1 || weeklyCapacity > 50) {
+      throw new Error('Weekly capacity must be a whole number between 1 and 50');
+    }
+    if (!Number.isInteger(leadWeeks) || leadWeeks < 0 || leadWeeks > 26) {
+      throw new Error('Lead weeks must be a whole number between 0 and 26');
+    }
+    if (!Number.isInteger(horizonWeeks) || horizonWeeks < 1 || horizonWeeks > 104) {
+      throw new Error('Horizon must be between 1 and 104 weeks');
+    }
+
+    const listed = typeof settings.publishDays === 'string' ? settings.publishDays.split(',') : [].concat(settings.publishDays || []);
+    const days = listed.map(day => String(day).trim().toLowerCase()).filter(Boolean);
+    const unknown = days.find(day => !WEEKDAYS.includes(day));
+    if (days.length === 0 || unknown !== undefined) {
+      throw new Error(unknown ? `Unknown publish day "${unknown}"` : 'At least one publish day is required');
+    }
+    // Week order starting on Monday
+    const order = day => (WEEKDAYS.indexOf(day) + 6) % 7;
+    const publishDays = [...new Set(days)].sort((a, b) => order(a) - order(b));
+
+    return { ...settings, publishDays };
+  }
+
+  // Store calendar settings in the project's configuration, keeping the rest of it
+  saveSettings(projectId, settings) {
+    const configuration = ProjectModel.configurationOf(this.projectModel.findById(projectId));
+    const { weeklyCapacity, publishDays, leadWeeks } = settings;
+    configuration.calendar = { weeklyCapacity, publishDays, leadWeeks };
+    this.projectModel.updateConfiguration(projectId, configuration);
+  }
+
+  // Titles that can be planned: approved or assigned (and drafts with includePending), unused,
+  // and not already published or skipped in the calendar
+  loadTitles(projectId, { includePending = false } = {}) {
+    return this.db.prepare(`
+      SELECT
+        gc.id, gc.content, gc.run_id, gc.cluster_id, gc.is_approved,
+        kc.cluster_name,
+        k.keyword AS primary_keyword,
+        k.priority_score AS keyword_priority
+      FROM generated_content gc
+      LEFT JOIN keyword_clusters kc ON kc.id = gc.cluster_id
+      LEFT JOIN keywords k ON k.id = gc.primary_keyword_id
+      WHERE gc.project_id = ? AND gc.content_type = 'title' AND gc.is_used = 0
+        AND gc.status IN (${includePending ? "'draft', " : ''}'approved', 'assigned')
+        AND gc.id NOT IN (SELECT content_id FROM content_calendar WHERE project_id = ? AND status != 'planned')
+      ORDER BY gc.id
+    `).all(projectId, projectId);
+  }
+
+  // Average keyword priority and seasonality of the clusters of the given runs, by cluster id
+  loadClusters(projectId, runIds) {
+    const clusters = new Map();
+    runIds.forEach(runId => {
+      const run = this.db.prepare('SELECT scrape_date FROM processing_runs WHERE id = ?').get(runId);
+      const keywords = this.db.prepare(`
+        SELECT cluster_id, cluster_name, search_volume, trends, priority_score
+        FROM keywords
+        WHERE project_id = ? AND run_id = ? AND cluster_id IS NOT NULL
+      `).all(projectId, runId);
+
+      keywords.forEach(keyword => {
+        if (!clusters.has(keyword.cluster_id)) {
+          clusters.set(keyword.cluster_id, { total: 0, count: 0, seasonality: null });
+        }
+        const cluster = clusters.get(keyword.cluster_id);
+        cluster.total += keyword.priority_score || 0;
+        cluster.count++;
+      });
+      this.seasonality.analyzeClusters(keywords, run?.scrape_date).forEach(analysis => {
+        clusters.get(analysis.cluster_id).seasonality = analysis;
+      });
+    });
+
+    return new Map([...clusters].map(([id, cluster]) => [id, {
+      priority: cluster.count ? cluster.total / cluster.count : 0,
+      seasonality: cluster.seasonality
+    }]));
+  }
+
+  /**
+   * Publishing slots of a week: the capacity spread over the publish days, earlier days first,
+   * skipping days before the start date
+   * @param {string} weekStart - Monday of the week
+   * @returns {Array<string>} Dates
+   */
+  static weekSlots(weekStart, startDate, { weeklyCapacity, publishDays }) {
+    const slots = [];
+    for (let i = 0; i < weeklyCapacity; i++) {
+      const day = publishDays[Math.floor((i * publishDays.length) / weeklyCapacity)];
+      const date = addDays(weekStart, (WEEKDAYS.indexOf(day) + 6) % 7);
+      if (date >= startDate) slots.push(date);
+    }
+    return slots;
+  }
+
+  /**
+   * Week (counted from the start date's week) a seasonal cluster's titles should be published by:
+   * leadWeeks before the first day of its next peak month
+   */
+  static targetWeek(seasonality, startDate, firstMonday, leadWeeks) {
+    const months = SeasonalityService.monthsUntilPeak(seasonality, startDate);
+    if (months === 0) return 0;
+    const start = toDate(startDate);
+    const peakStart = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, 1));
+    const target = peakStart.getTime() - leadWeeks * 7 * DAY_MS;
+    return Math.max(0, Math.floor((target - toDate(firstMonday).getTime()) / (7 * DAY_MS)));
+  }
+
+  /**
+   * Assign titles to publishing dates and store the plan (replacing earlier planned entries)
+   * @param {number} projectId
+   * @param {Object} [options]
+   * @param {string} [options.startDate] - First possible publishing date, YYYY-MM-DD (defaults to today)
+   * @param {number} [options.weeklyCapacity] - Overrides the project's setting
+   * @param {Array<string>} [options.publishDays] - Overrides the project's setting
+   * @param {number} [options.leadWeeks] - Overrides the project's setting
+   * @param {boolean} [options.includePending=false] - Also plan titles that are not approved yet
+   * @param {boolean} [options.save=true] - Store the plan and the settings it was made with
+   * @returns {Object} Settings, planned entries, and the number of titles that did not fit
+   */
+  plan(projectId, { startDate = formatDate(new Date()), includePending = false, save = true, ...overrides } = {}) {
+    const project = this.projectModel.findById(projectId);
+    if (!project) {
+      throw new Error(`Project ${projectId} not found`);
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || Number.isNaN(toDate(startDate).getTime())) {
+      throw new Error(`Start date must be YYYY-MM-DD, got "${startDate}"`);
+    }
+    const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+    const settings = ContentCalendarService.validateSettings({ ...ContentCalendarService.settingsForProject(project), ...defined });
+
+    const titles = this.loadTitles(projectId, { includePending });
+    const clusters = this.loadClusters(projectId, [...new Set(titles.map(title => title.run_id))]);
+    const firstMonday = addDays(startDate, -((toDate(startDate).getUTCDay() + 6) % 7));
+
+    const candidates = titles.map(title => {
+      const cluster = clusters.get(title.cluster_id);
+      const seasonality = cluster?.seasonality?.is_seasonal ? cluster.seasonality : null;
+      return {
+        title,
+        priority: cluster ? cluster.priority : (title.keyword_priority || 0),
+        seasonality,
+        targetWeek: seasonality
+          ? ContentCalendarService.targetWeek(seasonality, startDate, firstMonday, settings.leadWeeks)
+          : null
+      };
+    });
+
+    // Each slot takes, in order: seasonal titles whose target week has come, then the
+    // highest-priority other titles, then seasonal titles ahead of their target week.
+    // Within a group a cluster that has no title in the week yet goes first.
+    const byPriority = (a, b) => b.priority - a.priority || a.title.id - b.title.id;
+    const entries = [];
+    let remaining = candidates;
+    for (let week = 0; week < settings.horizonWeeks && remaining.length > 0; week++) {
+      const weekStart = addDays(firstMonday, week * 7);
+      const clustersThisWeek = new Set();
+      for (const date of ContentCalendarService.weekSlots(weekStart, startDate, settings)) {
+        const groups = [
+          remaining.filter(c => c.seasonality && c.targetWeek <= week)
+            .sort((a, b) => a.targetWeek - b.targetWeek || byPriority(a, b)),
+          remaining.filter(c => !c.seasonality).sort(byPriority),
+          remaining.filter(c => c.seasonality && c.targetWeek > week)
+            .sort((a, b) => a.targetWeek - b.targetWeek || byPriority(a, b))
+        ];
+        const group = groups.find(g => g.length > 0);
+        if (!group) break;
+        const pick = group.find(c => !clustersThisWeek.has(c.title.cluster_id)) || group[0];
+        clustersThisWeek.add(pick.title.cluster_id);
+        remaining = remaining.filter(c => c !== pick);
+
+        entries.push({
+          content_id: pick.title.id,
+          cluster_id: pick.title.cluster_id,
+          cluster_name: pick.title.cluster_name,
+          title: pick.title.content,
+          primary_keyword: pick.title.primary_keyword,
+          is_approved: pick.title.is_approved,
+          publish_date: date,
+          priority_score: Math.round(pick.priority * 1000) / 1000,
+          peak_months: pick.seasonality ? pick.seasonality.peak_months : [],
+          reason: pick.seasonality
+            ? `Seasonal cluster, peaks ${SeasonalityService.describeMonths(pick.seasonality.peak_months)}`
+            : `Cluster priority ${pick.priority.toFixed(2)}`
+        });
+      }
+    }
+
+    if (save) {
+      this.calendarModel.replacePlan(projectId, entries);
+      this.saveSettings(projectId, settings);
+    }
+
+    return {
+      project: { id: project.id, name: project.name, slug: project.slug },
+      settings,
+      start_date: startDate,
+      end_date: entries.length ? entries[entries.length - 1].publish_date : null,
+      planned: entries.length,
+      seasonal: entries.filter(entry => entry.peak_months.length > 0).length,
+      unscheduled: remaining.length,
+      entries
+    };
+  }
+
+  // Stored calendar entries of a project
+  getCalendar(projectId, filters = {}) {
+    return this.calendarModel.findForProject(projectId, filters);
+  }
+
+  // Calendar as CSV, one row per entry
+  static toCSV(entries) {
+    const escape = value => {
+      const text = value == null ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = ['Publish Date', 'Title', 'Cluster', 'Primary Keyword', 'Search Volume', 'Status', 'Peak Months', 'Reason'];
+    const rows = entries.map(entry => [
+      entry.publish_date,
+      entry.title,
+      entry.cluster_name,
+      entry.primary_keyword,
+      entry.search_volume,
+      entry.status,
+      SeasonalityService.describeMonths(entry.peak_months || []),
+      entry.reason
+    ].map(escape).join(','));
+    return [header.join(','), ...rows].join('\n') + '\n';
+  }
+
+  // Calendar as iCalendar (RFC 5545), one all-day event per entry
+  static toICS(entries, project) {
+    const escape = value => String(value ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+    // Lines longer than 75 octets continue on the next line after a space
+    const fold = line => {
+      const parts = [];
+      let current = '';
+      for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+          parts.push(current);
+          current = '';
+        }
+        current += char;
+      }
+      parts.push(current);
+      return parts.join('\r\n ');
+    };
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const compact = date => date.replace(/-/g, '');
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Keywords Cluster Tool//Content Calendar//EN',
+      'CALSCALE:GREGORIAN',
+      `X-WR-CALNAME:${escape(`${project.name} content calendar`)}`
+    ];
+    entries.forEach(entry => {
+      const description = [
+        entry.cluster_name && `Cluster: ${entry.cluster_name}`,
+        entry.primary_keyword && `Primary keyword: ${entry.primary_keyword}`,
+        entry.reason
+      ].filter(Boolean).join('\n');
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:content-${entry.content_id}-project-${project.id}@keywords-cluster-tool`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${compact(entry.publish_date)}`,
+        `DTEND;VALUE=DATE:${compact(addDays(entry.publish_date, 1))}`,
+        `SUMMARY:${escape(entry.title)}`,
+        `DESCRIPTION:${escape(description)}`,
+        `STATUS:${entry.status === 'skipped' ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT'
+      );
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(fold).join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = { ContentCalendarService, CALENDAR_DEFAULTS };
@@ -10,6 +10,7 @@ try {
 } catch {
   validator = null;
 }
+const { BrandService } = require('./brand-service');
 
 class DataCleaningService {
   sanitizeKeyword(keyword) {
@@ -52,11 +53,14 @@ class DataCleaningService {
     return keywords.filter(k => k.quality_score >= threshold);
   }
 
+  // options.brandTerms: brand names, misspellings and /regex/ variants (see BrandService)
   async cleanKeywords(rawKeywords, options = {}) {
     const qualityThreshold = options.qualityThreshold || 0.3;
+    const brand = new BrandService(options.brandTerms || []);
     const cleaned = rawKeywords.map(k => {
       const original = k.keyword || k;
       const cleanedKeyword = this.standardizeFormat(original);
+      const brandTerm = brand.matchTerm(original) || brand.matchTerm(cleanedKeyword);
       return {
         ...k,
         original_keyword: original,
@@ -64,7 +68,9 @@ class DataCleaningService {
         search_volume: this.validateSearchVolume(k.search_volume),
         competition: this.validateCompetitionScore(k.competition),
         is_cleaned: true,
-        quality_score: this.assessKeywordQuality(cleanedKeyword)
+        quality_score: this.assessKeywordQuality(cleanedKeyword),
+        contains_brand: brandTerm !== null,
+        brand_term: brandTerm
       };
     });
     return this.filterLowQualityKeywords(cleaned, qualityThreshold);
@@ -0,0 +1,200 @@
+// src/services/intent-classification-service.js
+// Search intent classification: modifier rules first, optional LLM fallback for ambiguous keywords
+const { createLLMProvider } = require('../llm');
+const { INTENT_DEFAULTS } = require('../../cli/config/clustering');
+const { BrandService } = require('./brand-service');
+
+// Values allowed by the keywords.intent CHECK constraint, in tie-break order
+const INTENTS = ['transactional', 'commercial', 'navigational', 'informational'];
+
+// Modifier patterns with the weight each adds to its intent
+const INTENT_RULES = {
+  transactional: [
+    { pattern: /\b(buy|purchase|order)\b/, weight: 1 },
+    { pattern: /\b(coupon|promo code|discount|deals?|cheap|for sale|free trial|near me)\b/, weight: 0.8 },
+    { pattern: /\b(download|sign ?up|subscribe|register|install|shop)\b/, weight: 0.7 }
+  ],
+  commercial: [
+    { pattern: /\b(vs\.?|versus|compare|comparison|alternatives?)\b/, weight: 1 },
+    { pattern: /\b(best|reviews?|rating|ratings)\b/, weight: 0.9 },
+    { pattern: /\b(price|prices|pricing|cost|costs|fees?)\b/, weight: 0.8 },
+    { pattern: /\btop( \d+)?\b/, weight: 0.6 }
+  ],
+  navigational: [
+    { pattern: /\b(login|log in|sign in|official site|website|customer service|contact)\b/, weight: 0.9 },
+    { pattern: /\b(app|support|account)\b/, weight: 0.5 }
+  ],
+  informational: [
+    { pattern: /\bhow to\b/, weight: 1 },
+    { pattern: /^(what|why|how|when|where|who|which|can|does|do|is|are|should)\b/, weight: 0.9 },
+    { pattern: /\b(guide|tutorial|tips|meaning|definition|explained|examples?|ideas|learn)\b/, weight: 0.7 }
+  ]
+};
+
+const BRAND_WEIGHT = 1;
+
+class IntentClassificationService {
+  /**
+   * @param {Object} [config] - Overrides for INTENT_DEFAULTS
+   * @param {Object} [options]
+   * @param {Object} [options.llmProvider] - Provider for ambiguous keywords (see src/llm)
+   */
+  constructor(config = {}, { llmProvider } = {}) {
+    this.config = { ...INTENT_DEFAULTS, ...config };
+    this.llmProvider = llmProvider || null;
+
+    this.functionSchema = {
+      name: 'classify_intents',
+      description: 'Classify the search intent of each keyword',
+      parameters: {
+        type: 'object',
+        properties: {
+          intents: {
+            type: 'array',
+            description: 'One entry per keyword, in the order given',
+            items: {
+              type: 'object',
+              properties: {
+                keyword: { type: 'string', description: 'The keyword exactly as given' },
+                intent: { type: 'string', enum: INTENTS, description: 'Search intent of the keyword' },
+                confidence: { type: 'number', description: 'Confidence score 0-1' }
+              },
+              required: ['keyword', 'intent', 'confidence']
+            }
+          }
+        },
+        required: ['intents']
+      }
+    };
+  }
+
+  /**
+   * Classify one keyword with the modifier rules
+   * @param {string} keyword
+   * @param {Array<string>|BrandService} [brand] - Brand terms (or a compiled matcher) that make a keyword navigational
+   * @returns {{intent: string, confidence: number, ambiguous: boolean, signals: Array<string>}}
+   */
+  classify(keyword, brand = []) {
+    const text = String(keyword || '').toLowerCase().trim();
+    const scores = Object.fromEntries(INTENTS.map(intent => [intent, 0]));
+    const signals = [];
+
+    Object.entries(INTENT_RULES).forEach(([intent, rules]) => {
+      rules.forEach(({ pattern, weight }) => {
+        const match = text.match(pattern);
+        if (match) {
+          scores[intent] += weight;
+          signals.push(match[0].trim());
+        }
+      });
+    });
+
+    const brandTerm = (brand instanceof BrandService ? brand : new BrandService(brand)).matchTerm(text);
+    if (brandTerm) {
+      scores.navigational += BRAND_WEIGHT;
+      signals.push(brandTerm);
+    }
+
+    // Highest score wins; INTENTS order breaks ties
+    const ranked = [...INTENTS].sort((a, b) => scores[b] - scores[a]);
+    const top = scores[ranked[0]];
+    const second = scores[ranked[1]];
+
+    if (top === 0) {
+      // Bare head terms are usually research queries, but we can't tell from the words alone
+      return { intent: 'informational', confidence: 0.3, ambiguous: true, signals };
+    }
+
+    const margin = (top - second) / top;
+    const confidence = Math.round((0.4 + 0.55 * Math.min(top, 1) * margin) * 100) / 100;
+
+    return {
+      intent: ranked[0],
+      confidence,
+      ambiguous: confidence < this.config.ambiguityThreshold,
+      signals
+    };
+  }
+
+  /**
+   * Set intent and intent_confidence on every keyword (in place)
+   * @param {Array<Object>} keywords - Keywords with a `keyword` field
+   * @param {Object} [options]
+   * @param {Array<string>} [options.brandTerms] - Brand terms for navigational matching (see BrandService)
+   * @param {boolean} [options.useLLM] - Ask the LLM about ambiguous keywords (defaults to INTENT_DEFAULTS.useLLM)
+   * @param {Object} [options.llm] - LLM settings ({ provider, model }) when no provider was passed to the constructor
+   * @returns {Promise<Array<Object>>} The same keywords
+   */
+  async classifyKeywords(keywords, options = {}) {
+    const brand = new BrandService(options.brandTerms || []);
+    const useLLM = options.useLLM ?? this.config.useLLM;
+    const ambiguous = [];
+
+    keywords.forEach(keyword => {
+      const result = this.classify(keyword.keyword, brand);
+      keyword.intent = result.intent;
+      keyword.intent_confidence = result.confidence;
+      if (result.ambiguous) ambiguous.push(keyword);
+    });
+
+    if (useLLM && ambiguous.length > 0) {
+      await this.classifyWithLLM(ambiguous, options.llm);
+    }
+
+    const breakdown = this.summarize(keywords);
+    console.log(`✓ Intent: ${INTENTS.map(intent => `${breakdown[intent]} ${intent}`).join(', ')} (${ambiguous.length} ambiguous)`);
+    return keywords;
+  }
+
+  /**
+   * Overwrite rule results for ambiguous keywords with LLM classifications.
+   * Failures are logged and leave the rule results in place.
+   * @param {Array<Object>} keywords
+   * @param {Object} [llmConfig] - { provider, model } (see src/llm)
+   * @returns {Promise<number>} Number of keywords the LLM classified
+   */
+  async classifyWithLLM(keywords, llmConfig = {}) {
+    let classified = 0;
+    // Built on use, so rule-only classification never needs LLM settings
+    const llmProvider = this.llmProvider || createLLMProvider(llmConfig);
+
+    for (let i = 0; i < keywords.length; i += this.config.llmBatchSize) {
+      const batch = keywords.slice(i, i + this.config.llmBatchSize);
+      const prompt = `Classify the search intent (informational, navigational, commercial or transactional) of each keyword:\n${batch.map(k => k.keyword).join('\n')}`;
+
+      try {
+        const results = await llmProvider.structuredArray(prompt, this.functionSchema, {
+          model: this.config.model,
+          systemMessage: 'You are an SEO analyst. Classify search intent precisely.',
+          temperature: 0,
+          max_tokens: 60 * batch.length
+        });
+
+        const byKeyword = new Map(results.map(result => [String(result.keyword).toLowerCase().trim(), result]));
+        batch.forEach(keyword => {
+          const result = byKeyword.get(keyword.keyword.toLowerCase().trim());
+          if (result && INTENTS.includes(result.intent)) {
+            keyword.intent = result.intent;
+            keyword.intent_confidence = Math.min(Math.max(Number(result.confidence) || 0.7, 0), 1);
+            classified++;
+          }
+        });
+      } catch (error) {
+        console.warn(`⚠️ LLM intent classification failed, keeping rule results: ${error.message}`);
+      }
+    }
+
+    return classified;
+  }
+
+  // Count keywords per intent
+  summarize(keywords) {
+    const breakdown = Object.fromEntries(INTENTS.map(intent => [intent, 0]));
+    keywords.forEach(keyword => {
+      if (breakdown[keyword.intent] !== undefined) breakdown[keyword.intent]++;
+    });
+    return breakdown;
+  }
+}
+
+module.exports = { IntentClassificationService, INTENTS };
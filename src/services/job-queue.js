@@ -0,0 +1,173 @@
+// src/services/job-queue.js
+// SQLite-backed queue for long jobs (create, rescrape, recluster, title generation):
+// priorities, a concurrency cap, retries with exponential backoff and cancellation
+const JobModel = require('../database/models/job');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+const JOB_QUEUE_DEFAULTS = {
+  concurrency: 2,           // Jobs running at once in this process (never two for the same project)
+  retryDelayMs: 30000,      // Wait before the first retry, doubled for every further attempt
+  maxRetryDelayMs: 900000
+};
+
+// Abort reason of a cancelled job; handlers see it through signal.throwIfAborted()
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job #${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+  }
+}
+
+class JobQueue {
+  /**
+   * @param {Database} db - better-sqlite3 connection holding the job_queue table
+   * @param {Object<string, Object>} types - Per job type: { handler(options, { job, signal }), maxAttempts, priority }
+   * @param {Object} [config] - Overrides for JOB_QUEUE_DEFAULTS
+   */
+  constructor(db, types = {}, config = {}) {
+    this.jobModel = new JobModel(db);
+    this.types = types;
+    this.config = { ...JOB_QUEUE_DEFAULTS, ...config };
+    this.controllers = new Map(); // AbortController per job running in this process
+    this.retryTimer = null;
+    this.started = false;
+  }
+
+  // Job types this queue can run
+  get typeNames() {
+    return Object.keys(this.types);
+  }
+
+  // Time to wait before retrying after the given attempt
+  static retryDelay(attempt, config = JOB_QUEUE_DEFAULTS) {
+    return Math.min(config.maxRetryDelayMs, config.retryDelayMs * 2 ** Math.max(0, attempt - 1));
+  }
+
+  /**
+   * Recover jobs interrupted by a restart and start working
+   * @returns {number} Jobs that were left running by the previous process
+   */
+  start() {
+    const interrupted = this.jobModel.recoverInterrupted();
+    this.started = true;
+    this.work();
+    return interrupted;
+  }
+
+  // Stop starting new jobs; running jobs finish on their own
+  stop() {
+    this.started = false;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+  }
+
+  /**
+   * Queue a job
+   * @param {string} type - One of the configured job types
+   * @param {Object} options - Passed to the handler
+   * @param {Object} [meta]
+   * @param {number} [meta.projectId] - Project the job works on
+   * @param {number} [meta.priority] - Higher runs first (defaults to the type's priority)
+   * @param {number} [meta.maxAttempts] - Attempts before the job fails (defaults to the type's maxAttempts)
+   * @returns {Object} The queued job
+   */
+  enqueue(type, options = {}, { projectId = null, priority, maxAttempts } = {}) {
+    const jobType = this.types[type];
+    if (!jobType) {
+      throw new Error(`Unknown job type "${type}". Available: ${this.typeNames.join(', ')}`);
+    }
+
+    const job = this.jobModel.enqueue(type, options, {
+      projectId,
+      priority: priority ?? jobType.priority ?? 0,
+      maxAttempts: maxAttempts ?? jobType.maxAttempts ?? 1
+    });
+    if (this.started) setImmediate(() => this.work());
+    return job;
+  }
+
+  get(id) {
+    return this.jobModel.get(id);
+  }
+
+  list(filters = {}) {
+    return this.jobModel.list(filters);
+  }
+
+  // Queued or running job of a type for a project, to avoid queueing the same work twice
+  findPending(type, projectId) {
+    return this.jobModel.findPending(type, projectId);
+  }
+
+  /**
+   * Cancel a queued job, or signal a running one to stop
+   * @param {number} id
+   * @returns {Object|null} The job after the request (finished jobs are returned unchanged)
+   */
+  cancel(id) {
+    const job = this.jobModel.get(id);
+    if (!job) return null;
+
+    if (job.status === 'queued') {
+      this.jobModel.markCancelled(job.id);
+    } else if (job.status === 'running') {
+      this.jobModel.requestCancel(job.id);
+      const controller = this.controllers.get(job.id);
+      if (controller) controller.abort(new JobCancelledError(job.id));
+    }
+    return this.jobModel.get(job.id);
+  }
+
+  // Start due jobs until the concurrency cap is reached
+  work() {
+    if (!this.started) return;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    let next;
+    while (this.controllers.size < this.config.concurrency && (next = this.jobModel.findNextRunnable())) {
+      if (this.jobModel.claim(next.id)) {
+        this.run(this.jobModel.get(next.id));
+      }
+    }
+    this.scheduleRetryCheck();
+  }
+
+  // Run one claimed job and record its outcome
+  async run(job) {
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+
+    try {
+      const result = await this.types[job.type].handler(job.options, { job, signal: controller.signal });
+      this.jobModel.complete(job.id, result);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        this.jobModel.markCancelled(job.id);
+        console.log(`Job #${job.id} (${job.type}) cancelled`);
+      } else if (job.attempts < job.max_attempts && error.retryable !== false) {
+        const delay = JobQueue.retryDelay(job.attempts, this.config);
+        this.jobModel.scheduleRetry(job.id, error.message, new Date(Date.now() + delay).toISOString());
+        console.error(`Job #${job.id} (${job.type}) failed, retrying in ${Math.round(delay / 1000)}s:`, error.message);
+      } else {
+        this.jobModel.markFailed(job.id, error.message);
+        console.error(`Job #${job.id} (${job.type}) failed:`, error.message);
+      }
+    } finally {
+      this.controllers.delete(job.id);
+      this.work();
+    }
+  }
+
+  // Wake up when the next job waiting out a retry backoff is due
+  scheduleRetryCheck() {
+    const runAfter = this.jobModel.findNextRunAfter();
+    if (!runAfter) return;
+
+    this.retryTimer = setTimeout(() => this.work(), Math.max(0, new Date(runAfter).getTime() - Date.now()));
+    this.retryTimer.unref();
+  }
+}
+
+module.exports = { JobQueue, JobCancelledError, JOB_STATUSES, JOB_QUEUE_DEFAULTS };
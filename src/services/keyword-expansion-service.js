@@ -1,9 +1,10 @@
 // src/services/keyword-expansion-service.js
 // Service for expanding keyword coverage using AI and semantic analysis
-const { chatgptStructuredArray } = require('../chatgpt/index');
+const { createLLMProvider } = require('../llm');
 
 class KeywordExpansionService {
-  constructor({ config = {} } = {}) {
+  constructor({ config = {}, llmProvider } = {}) {
+    this.llmProvider = llmProvider || createLLMProvider();
     this.config = Object.assign({
       systemMessage: 'Generate SEO keywords with types, intents, and confidence scores.',
       temperature: 0.7,
@@ -139,7 +140,7 @@ class KeywordExpansionService {
    */
   async executeExpansion(prompt, metadata, maxResults) {
     try {
-      const result = await chatgptStructuredArray(prompt, this.functionSchema, this.config);
+      const result = await this.llmProvider.structuredArray(prompt, this.functionSchema, this.config);
 
       if (!result) {
         console.warn('API returned null/undefined result');
@@ -0,0 +1,109 @@
+// Position and volume of keywords across the completed runs of a project (rank tracking history)
+const { RunDiffService } = require('./run-diff-service');
+
+class KeywordHistoryService {
+  /**
+   * @param {Object} db - better-sqlite3 connection
+   * @param {Object} [options]
+   * @param {number} [options.maxRuns=20] - Most recent runs a history covers
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.maxRuns = options.maxRuns ?? 20;
+  }
+
+  // Completed runs with raw keyword data, oldest first, limited to the most recent ones
+  getRuns(projectId, maxRuns = this.maxRuns) {
+    return new RunDiffService(this.db).getComparableRuns(projectId)
+      .slice(0, maxRuns)
+      .reverse();
+  }
+
+  // Raw keyword rows of the given runs that match one of the normalized keywords. SQLite narrows
+  // the rows to the lowercased text without spaces (idx_raw_keywords_run_compact), so spacing
+  // variants are found too; the exact normalized match is then checked in JS. The unary + keeps
+  // SQLite from choosing the project index, which would read every row of the project.
+  loadRows(projectId, runIds, keywords) {
+    if (runIds.length === 0 || keywords.size === 0) return [];
+    const compact = [...new Set([...keywords].map(keyword => keyword.replace(/ /g, '')))];
+    const runPlaceholders = runIds.map(() => '?').join(',');
+    const keywordPlaceholders = compact.map(() => '?').join(',');
+    return this.db.prepare(`
+      SELECT run_id, keyword, position, previous_position, search_volume, cpc, url
+      FROM raw_keywords
+      WHERE +project_id = ? AND run_id IN (${runPlaceholders})
+        AND REPLACE(LOWER(keyword), ' ', '') IN (${keywordPlaceholders})
+    `).all(projectId, ...runIds, ...compact)
+      .map(row => ({ ...row, keyword: RunDiffService.normalizeKeyword(row.keyword) }))
+      .filter(row => keywords.has(row.keyword));
+  }
+
+  // First, latest and best position plus the position and volume change over the series
+  static summarize(points) {
+    const ranked = points.filter(point => point.position);
+    const withVolume = points.filter(point => point.search_volume != null);
+    const first = ranked[0];
+    const latest = ranked[ranked.length - 1];
+
+    return {
+      runs_ranked: ranked.length,
+      first_position: first?.position ?? null,
+      latest_position: latest?.position ?? null,
+      best_position: ranked.length ? Math.min(...ranked.map(point => point.position)) : null,
+      // Positive when the keyword moved up
+      position_change: ranked.length > 1 ? first.position - latest.position : null,
+      volume_change: withVolume.length > 1
+        ? withVolume[withVolume.length - 1].search_volume - withVolume[0].search_volume
+        : null,
+      ranking_in_latest_run: points.length > 0 && Boolean(points[points.length - 1].position)
+    };
+  }
+
+  /**
+   * Position and volume history of keywords, one point per run (oldest first). Keywords are matched
+   * across runs by their normalized text; a run the keyword did not rank in has a null position.
+   * @param {number} projectId
+   * @param {Array<string>|string} keywords
+   * @param {Object} [options]
+   * @param {number} [options.maxRuns] - Most recent runs to include (defaults to the service's maxRuns)
+   * @returns {{runs: Array<Object>, keywords: Array<{keyword: string, points: Array<Object>, summary: Object}>}}
+   */
+  getHistory(projectId, keywords, { maxRuns } = {}) {
+    const requested = [...new Set([].concat(keywords).map(RunDiffService.normalizeKeyword).filter(Boolean))];
+    const runs = this.getRuns(projectId, maxRuns);
+    const rows = this.loadRows(projectId, runs.map(run => run.id), new Set(requested));
+
+    // Best position wins when a run has the keyword more than once (several ranking URLs)
+    const byKeyword = new Map(requested.map(keyword => [keyword, new Map()]));
+    rows.forEach(row => {
+      const byRun = byKeyword.get(row.keyword);
+      const existing = byRun.get(row.run_id);
+      if (!existing || (row.position && (!existing.position || row.position < existing.position))) {
+        byRun.set(row.run_id, row);
+      }
+    });
+
+    return {
+      runs,
+      keywords: requested.map(keyword => {
+        const byRun = byKeyword.get(keyword);
+        const points = runs.map(run => {
+          const row = byRun.get(run.id);
+          return {
+            run_id: run.id,
+            run_type: run.run_type,
+            scrape_date: run.scrape_date,
+            position: row?.position ?? null,
+            previous_position: row?.previous_position ?? null,
+            search_volume: row?.search_volume ?? null,
+            cpc: row?.cpc ?? null,
+            url: row?.url ?? null
+          };
+        });
+        return { keyword, points, summary: KeywordHistoryService.summarize(points) };
+      })
+    };
+  }
+}
+
+module.exports = { KeywordHistoryService };
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+
+// raw_keywords fields that an import file can provide
+const IMPORT_FIELDS = ['keyword', 'position', 'search_volume', 'cpc', 'competition', 'url', 'trends'];
+
+// Header names used by common exports (SEMrush, Ahrefs, Google Search Console, spreadsheets)
+const HEADER_ALIASES = {
+  keyword: ['keyword', 'keywords', 'query', 'top queries', 'search term', 'search query', 'phrase'],
+  position: ['position', 'pos', 'rank', 'ranking', 'current position', 'average position', 'avg position'],
+  // Search Console impressions are not search volume: map them explicitly with --map if wanted
+  search_volume: ['search volume', 'volume', 'avg monthly searches', 'monthly searches', 'sv'],
+  cpc: ['cpc', 'cpc (usd)', 'cost per click', 'top of page bid (high range)'],
+  competition: ['competition', 'competition (indexed value)', 'com', 'kd', 'keyword difficulty', 'difficulty'],
+  url: ['url', 'current url', 'landing page', 'page', 'ranking url', 'top pages'],
+  trends: ['trends', 'trend', 'monthly trend']
+};
+
+// Decimal separators an import can force; 'auto' guesses per value
+const DECIMAL_SEPARATORS = ['auto', '.', ','];
+
+// Reads local keyword exports and maps their columns onto raw_keywords fields
+class KeywordImportService {
+  /**
+   * Read a CSV/TSV/XLSX file into headers and rows
+   * @param {string} filePath - Path to the export file
+   * @param {Object} [options]
+   * @param {string} [options.delimiter] - Force a delimiter for text files (auto-detected otherwise)
+   * @param {string} [options.sheet] - Worksheet name for XLSX files
+   * @returns {Promise<{headers: Array<string>, rows: Array<Array<string>>}>}
+   */
+  async readFile(filePath, { delimiter, sheet } = {}) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Import file not found: ${filePath}`);
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    let table;
+
+    if (extension === '.xlsx') {
+      const readXlsxFile = require('read-excel-file/node');
+      const sheetRows = await readXlsxFile(filePath, sheet ? { sheet } : undefined);
+      table = sheetRows.map(row => row.map(cell => (cell === null || cell === undefined ? '' : String(cell))));
+    } else {
+      const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+      const separator = delimiter || (extension === '.tsv' ? '\t' : this.detectDelimiter(text));
+      table = this.parseDelimited(text, separator);
+    }
+
+    const [headers = [], ...rows] = table.filter(row => row.some(cell => cell.trim() !== ''));
+    if (headers.length === 0) {
+      throw new Error(`Import file is empty: ${filePath}`);
+    }
+
+    return { headers: headers.map(header => header.trim()), rows };
+  }
+
+  // Pick the delimiter that splits the header line into the most columns
+  detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/)[0] || '';
+    const candidates = ['\t', ';', ','];
+    return candidates.reduce((best, candidate) =>
+      firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+    , ',');
+  }
+
+  // Minimal RFC 4180 parser: quoted fields, escaped quotes and embedded newlines
+  parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Build the field → column index map from auto-detected headers and explicit overrides
+   * @param {Array<string>} headers - Header row of the file
+   * @param {Object} [mapping] - Explicit field → header name overrides, e.g. { search_volume: 'Impressions' }
+   * @returns {Object} Map of raw_keywords field to column index
+   */
+  resolveColumnMap(headers, mapping = {}) {
+    const normalized = headers.map(header => header.trim().toLowerCase());
+    const columnMap = {};
+
+    Object.keys(mapping).forEach(field => {
+      if (!IMPORT_FIELDS.includes(field)) {
+        throw new Error(`Unknown import field "${field}". Expected one of: ${IMPORT_FIELDS.join(', ')}`);
+      }
+    });
+
+    IMPORT_FIELDS.forEach(field => {
+      if (mapping[field]) {
+        const index = normalized.indexOf(String(mapping[field]).trim().toLowerCase());
+        if (index === -1) {
+          throw new Error(`Column "${mapping[field]}" mapped to ${field} was not found in the file`);
+        }
+        columnMap[field] = index;
+        return;
+      }
+
+      const index = normalized.findIndex(header => HEADER_ALIASES[field].includes(header));
+      if (index !== -1) {
+        columnMap[field] = index;
+      }
+    });
+
+    if (columnMap.keyword === undefined) {
+      throw new Error('Could not find a keyword column. Map it explicitly, e.g. keyword=Query');
+    }
+
+    return columnMap;
+  }
+
+  /**
+   * Turn file rows into raw keyword records using a resolved column map
+   * @param {Array<Array<string>>} rows - Data rows without the header
+   * @param {Object} columnMap - Result of resolveColumnMap
+   * @param {Object} [options]
+   * @param {string} [options.decimal='auto'] - Decimal separator: 'auto', '.' or ','
+   * @returns {Array<Object>} Records with raw_keywords field names
+   */
+  toRawKeywords(rows, columnMap, { decimal = 'auto' } = {}) {
+    const value = (row, field) => (columnMap[field] === undefined ? '' : String(row[columnMap[field]] || '').trim());
+
+    return rows
+      .map(row => ({
+        keyword: value(row, 'keyword'),
+        position: this.parseNumber(value(row, 'position'), true, decimal),
+        search_volume: this.parseNumber(value(row, 'search_volume'), true, decimal),
+        cpc: this.parseNumber(value(row, 'cpc'), false, decimal),
+        competition: this.normalizeCompetition(this.parseNumber(value(row, 'competition'), false, decimal)),
+        url: value(row, 'url'),
+        trends: value(row, 'trends')
+      }))
+      .filter(record => record.keyword);
+  }
+
+  /**
+   * Parse a spreadsheet number with thousands separators, currency symbols and either decimal
+   * separator. In auto mode the last of '.' and ',' is the decimal separator when both appear;
+   * a lone ',' is decimal only before 1-2 final digits ("1,50"), so "3,400" stays 3400.
+   * @param {string} value
+   * @param {boolean} [integer] - Round the result
+   * @param {string} [decimal] - 'auto', '.' or ','
+   * @returns {number|null}
+   */
+  parseNumber(value, integer = false, decimal = 'auto') {
+    if (value === '') return null;
+    let text = value.replace(/[^0-9.,\-]/g, '');
+
+    let separator = decimal;
+    if (separator === 'auto') {
+      const lastDot = text.lastIndexOf('.');
+      const lastComma = text.lastIndexOf(',');
+      if (lastDot !== -1 && lastComma !== -1) {
+        separator = lastComma > lastDot ? ',' : '.';
+      } else {
+        separator = /^-?\d*,\d{1,2}$/.test(text) ? ',' : '.';
+      }
+    }
+    text = separator === ','
+      ? text.replace(/\./g, '').replace(',', '.')
+      : text.replace(/,/g, '');
+
+    const parsed = parseFloat(text);
+    if (isNaN(parsed)) return null;
+    return integer ? Math.round(parsed) : parsed;
+  }
+
+  // Keyword difficulty exports use 0-100, the pipeline expects 0-1
+  normalizeCompetition(value) {
+    if (value === null) return null;
+    return value > 1 ? Math.min(value / 100, 1) : value;
+  }
+
+  /**
+   * Read and map an import file in one step
+   * @param {string} filePath
+   * @param {Object} [options] - { mapping, delimiter, sheet, decimal ('auto', '.' or ',') }
+   * @returns {Promise<{records: Array<Object>, columnMap: Object, headers: Array<string>}>}
+   */
+  async importFile(filePath, { mapping, delimiter, sheet, decimal } = {}) {
+    if (decimal !== undefined && !DECIMAL_SEPARATORS.includes(decimal)) {
+      throw new Error(`Unknown decimal separator "${decimal}" (expected ${DECIMAL_SEPARATORS.join(' ')})`);
+    }
+    const { headers, rows } = await this.readFile(filePath, { delimiter, sheet });
+    const columnMap = this.resolveColumnMap(headers, mapping);
+    const records = this.toRawKeywords(rows, columnMap, { decimal });
+
+    if (records.length === 0) {
+      throw new Error(`No keywords found in ${filePath}`);
+    }
+
+    return { records, columnMap, headers };
+  }
+}
+
+module.exports = { KeywordImportService, IMPORT_FIELDS, DECIMAL_SEPARATORS };
@@ -1,11 +1,15 @@
-const { fetchSemrushKeywordsDomain, fetchSemrushKeywordsSubfolder } = require('../semrush-api');
+const path = require('path');
+const { fetchSemrushKeywordsDomain, fetchSemrushKeywordsSubfolder, fetchSemrushKeywordsSeeds } = require('../semrush-api');
+const { SEED_REPORTS, DEFAULT_SEED_REPORTS, MAX_SEED_KEYWORDS } = require('../../cli/config/semrush');
 const { getDatabase } = require('../database/connection');
 const ProjectModel = require('../database/models/project');
 const ProcessingRunModel = require('../database/models/processing-run');
+const ProcessingLogModel = require('../database/models/processing-log');
 const RawKeywordModel = require('../database/models/raw-keyword');
 const KeywordModel = require('../database/models/keyword');
 const ClusterModel = require('../database/models/cluster');
 const DeduplicationModel = require('../database/models/deduplication');
+const BatchRunModel = require('../database/models/batch-run');
 const { FileOperations } = require('../../cli/utils/file-operations');
 
 // Processing services
@@ -13,6 +17,19 @@ const DataCleaningService = require('./data-cleaning-service');
 const DeduplicationService = require('./deduplication-service');
 const { ClusteringService } = require('./clustering-service');
 const { PriorityScoringService } = require('./priority-scoring-service');
+const { KeywordImportService } = require('./keyword-import-service');
+const { IntentClassificationService } = require('./intent-classification-service');
+const { BrandService } = require('./brand-service');
+const { llmConfigForProject } = require('../llm');
+const { withRequestContext } = require('../http');
+const { ApiUsageTracker } = require('./api-usage-service');
+const { ResponseCache } = require('./response-cache');
+const { ScoringProfileService } = require('./scoring-profile-service');
+const { PriorityAnalysisService } = require('./priority-analysis-service');
+const ProcessingService = require('./processing-service');
+
+// Stages reported by processKeywordRequest
+const PIPELINE_STAGES = 9;
 
 // Business logic for keyword operations
 class KeywordService {
@@ -21,6 +38,7 @@ class KeywordService {
     this.db = null;
     this.projectModel = null;
     this.processingRunModel = null;
+    this.processingLogModel = null;
     this.rawKeywordModel = null;
     this.keywordModel = null;
     this.clusterModel = null;
@@ -31,43 +49,114 @@ class KeywordService {
     this.deduplicationService = new DeduplicationService();
     this.clusteringService = new ClusteringService();
     this.priorityService = new PriorityScoringService();
+    this.importService = new KeywordImportService();
+    this.intentService = new IntentClassificationService();
   }
 
   async initialize() {
     this.db = await getDatabase();
     this.projectModel = new ProjectModel(this.db);
     this.processingRunModel = new ProcessingRunModel(this.db);
+    this.processingLogModel = new ProcessingLogModel(this.db);
     this.rawKeywordModel = new RawKeywordModel(this.db);
     this.keywordModel = new KeywordModel(this.db);
     this.clusterModel = new ClusterModel(this.db);
     this.deduplicationModel = new DeduplicationModel(this.db);
   }
 
-  async createProject({ name, method, target, database }) {
+  /**
+   * Seed keywords of a 'Seed' target: comma-separated, trimmed, without duplicates
+   * @param {string|Array<string>} target - "running shoes, trail shoes" or a list
+   * @returns {Array<string>}
+   * @throws {Error} With no seed or more than MAX_SEED_KEYWORDS
+   */
+  static parseSeeds(target) {
+    const list = Array.isArray(target) ? target : String(target || '').split(',');
+    const seeds = [];
+    list.map(seed => String(seed).trim().replace(/\s+/g, ' ')).filter(Boolean).forEach(seed => {
+      if (!seeds.some(existing => existing.toLowerCase() === seed.toLowerCase())) seeds.push(seed);
+    });
+
+    if (seeds.length === 0) {
+      throw new Error('Enter at least one seed keyword');
+    }
+    if (seeds.length > MAX_SEED_KEYWORDS) {
+      throw new Error(`At most ${MAX_SEED_KEYWORDS} seed keywords per project (got ${seeds.length})`);
+    }
+    return seeds;
+  }
+
+  /**
+   * SEMrush seed reports by their --seed-reports names (related, fullsearch, questions)
+   * @param {Array<string>} [names] - Defaults to all of them
+   * @returns {Array<string>} The names, validated
+   */
+  static parseSeedReports(names) {
+    const reports = names && names.length > 0 ? [...new Set(names)] : DEFAULT_SEED_REPORTS;
+    const unknown = reports.filter(name => !SEED_REPORTS[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown seed report "${unknown[0]}" (expected ${Object.keys(SEED_REPORTS).join(', ')})`);
+    }
+    return reports;
+  }
+
+  /**
+   * How an existing project fetches its keywords: the method and target createProject was given
+   * @param {Object} project - projects row
+   * @returns {{method: string, target: string, seedReports?: Array<string>}}
+   */
+  static requestForProject(project) {
+    if (project.project_type === 'seed') {
+      const configuration = ProjectModel.configurationOf(project);
+      return {
+        method: 'Seed',
+        target: ProjectModel.seedsOf(project).join(', '),
+        seedReports: configuration.seedReports
+      };
+    }
+    return project.project_type === 'domain'
+      ? { method: 'Domain', target: project.domain }
+      : { method: 'URL', target: project.url };
+  }
+
+  async createProject({ name, method, target, seedReports, database, brandTerms, llm }) {
     if (!this.db) await this.initialize();
 
+    const isSeed = method === 'Seed';
     const projectData = {
       name,
       projectType: method.toLowerCase(),
       domain: method === 'Domain' ? target : null,
-      url: method === 'Subfolder' ? target : null,
-      configuration: { database }
+      url: method === 'URL' ? target : null,
+      ...(isSeed && { seedKeywords: KeywordService.parseSeeds(target) }),
+      configuration: {
+        database,
+        ...(isSeed && { seedReports: KeywordService.parseSeedReports(seedReports) }),
+        ...(brandTerms && brandTerms.length > 0 && { brand: { terms: brandTerms } }),
+        ...(llm?.provider && { llm })
+      }
     };
 
     return this.projectModel.createProject(projectData);
   }
 
-  async startProcessingRun(projectId, runType = 'create') {
+  async startProcessingRun(projectId, runType = 'create', trigger = null) {
     if (!this.db) await this.initialize();
 
-    return this.processingRunModel.startRun(projectId, runType);
+    return this.processingRunModel.startRun(projectId, runType, PIPELINE_STAGES, { trigger });
+  }
+
+  // Print a pipeline message and keep it in the run's processing_logs for the web UI
+  logRun(runId, stage, message, level = 'info') {
+    console.log(message);
+    this.processingLogModel.log(runId, stage, message, level);
   }
 
   async saveRawKeywords(runId, projectId, csvData) {
     if (!this.db) await this.initialize();
 
     const keywords = this.rawKeywordModel.saveFromCSV(projectId, runId, csvData);
-    console.log(`✓ Saved ${keywords.length} raw keywords to database`);
+    this.logRun(runId, 'saving_raw_data', `✓ Saved ${keywords.length} raw keywords to database`);
     return keywords;
   }
 
@@ -75,6 +164,10 @@ class KeywordService {
     if (!this.db) await this.initialize();
 
     const { cleanedKeywords, clusters, scoredKeywords, similarGroups } = processedData;
+
+    // Save clusters first so keywords can reference keyword_clusters.id instead of the in-memory index
+    const savedClusters = this.clusterModel.saveClusters(runId, projectId, clusters);
+    this.logRun(runId, 'saving_processed_data', `✓ Saved ${savedClusters.length} clusters to database`);
     
     // Save cleaned and processed keywords
     const savedKeywords = [];
@@ -84,7 +177,7 @@ class KeywordService {
         cleaned_keyword: keyword.cleaned_keyword || keyword.keyword,
         intent: keyword.intent,
         intent_confidence: keyword.intent_confidence,
-        cluster_id: keyword.cluster_id,
+        cluster_id: savedClusters[keyword.cluster_id]?.id ?? null,
         cluster_name: keyword.cluster_name,
         cluster_center_distance: keyword.cluster_distance,
         priority_score: keyword.priority_score,
@@ -94,23 +187,19 @@ class KeywordService {
         opportunity_score: keyword.opportunity_score,
         business_value_score: keyword.business_value_score,
         contains_brand: keyword.contains_brand || false,
-        metadata: keyword.metadata || {}
+        metadata: { ...keyword.metadata, ...(keyword.brand_term && { brand_term: keyword.brand_term }) }
       });
       savedKeywords.push(keywordData);
     }
 
-    // Save clusters
-    const savedClusters = this.clusterModel.saveClusters(runId, projectId, clusters);
-    console.log(`✓ Saved ${savedClusters.length} clusters to database`);
-
     // Save deduplication groups
     let savedGroups = [];
     if (similarGroups && similarGroups.length > 0) {
       savedGroups = this.deduplicationModel.saveDeduplicationGroups(runId, projectId, similarGroups);
-      console.log(`✓ Saved ${savedGroups.length} deduplication groups to database`);
+      this.logRun(runId, 'saving_processed_data', `✓ Saved ${savedGroups.length} deduplication groups to database`);
     }
 
-    console.log(`✓ Saved ${savedKeywords.length} processed keywords to database`);
+    this.logRun(runId, 'saving_processed_data', `✓ Saved ${savedKeywords.length} processed keywords to database`);
 
     return {
       keywords: savedKeywords,
@@ -119,7 +208,7 @@ class KeywordService {
     };
   }
 
-  async fetchKeywords({ method, target, database, limit }) {
+  async fetchKeywords({ method, target, seedReports, database, limit }) {
     const apiKey = this.settings.semrushApiKey;
     
     if (!apiKey) {
@@ -127,7 +216,15 @@ class KeywordService {
     }
 
     let csvData;
-    if (method === 'Domain') {
+    if (method === 'Seed') {
+      // Related, broad-match and question keywords of every seed, merged into one export
+      csvData = await fetchSemrushKeywordsSeeds({
+        seeds: KeywordService.parseSeeds(target),
+        reports: KeywordService.parseSeedReports(seedReports).map(name => SEED_REPORTS[name]),
+        database,
+        limit
+      });
+    } else if (method === 'Domain') {
       csvData = await fetchSemrushKeywordsDomain({
         target,
         database,
@@ -145,107 +242,352 @@ class KeywordService {
     return csvData;
   }
 
+  // Read a local CSV/TSV/XLSX export and map its columns onto raw_keywords fields
+  async readImportFile({ importFile, columnMapping, delimiter, sheet, decimal }) {
+    const { records, columnMap, headers } = await this.importService.importFile(importFile, {
+      mapping: columnMapping,
+      delimiter,
+      sheet,
+      decimal
+    });
+
+    const mappedColumns = Object.entries(columnMap).map(([field, index]) => `${field} ← ${headers[index]}`);
+    console.log(`✓ Read ${records.length} keywords from ${path.basename(importFile)} (${mappedColumns.join(', ')})`);
+    return records;
+  }
+
   async processKeywordRequest(params) {
     if (!this.db) await this.initialize();
 
-    // Create project
-    const project = await this.createProject(params);
+    // Use the given project or create a new one
+    const project = params.projectId
+      ? this.projectModel.findById(params.projectId)
+      : await this.createProject(params);
+    if (!project) {
+      throw new Error(`Project not found: ${params.projectId}`);
+    }
     
     // Start processing run
-    const run = await this.startProcessingRun(project.id, 'create');
+    const isImport = Boolean(params.importFile);
+    const run = await this.startProcessingRun(project.id, params.runType || (isImport ? 'import' : 'create'), params.trigger);
+    if (params.trigger) {
+      this.logRun(run.id, 'initialization', `Run triggered by the ${params.trigger}`);
+    }
     
-    try {
-      // STAGE 1: Fetch data from SEMrush
-      await this.processingRunModel.updateProgress(run.id, 'fetching_data', 1, 12);
-      const csvData = await this.fetchKeywords(params);
-      await this.processingRunModel.incrementApiUsage(run.id, 'semrush');
-      
-      // STAGE 2: Save raw keywords to database
-      await this.processingRunModel.updateProgress(run.id, 'saving_raw_data', 2, 25);
-      const rawKeywords = await this.saveRawKeywords(run.id, project.id, csvData);
-      
-      // STAGE 3: Data Cleaning
-      console.log('[STAGE]3: Data Cleaning')
-      await this.processingRunModel.updateProgress(run.id, 'cleaning_data', 3, 37);
-      const cleanedKeywords = await this.cleaningService.cleanKeywords(rawKeywords);
+    // Every SEMrush and LLM call of the run is recorded, and stopped at the project's budgets;
+    // responses cached by an earlier identical request are reused unless params.cache is false
+    const usage = new ApiUsageTracker(this.db, { project, runId: run.id });
+    const cache = ResponseCache.forRun(this.db, { cache: params.cache });
+    return withRequestContext({ usage, cache, signal: params.signal }, async () => {
+      try {
+        // STAGE 1: Fetch data from SEMrush or read the local import file
+        await this.processingRunModel.updateProgress(run.id, 'fetching_data', 1, 11);
+        let csvData = null;
+        let importedRecords = null;
+        if (isImport) {
+          importedRecords = await this.readImportFile(params);
+        } else {
+          csvData = await this.fetchKeywords(params);
+          await this.processingRunModel.incrementApiUsage(run.id, 'semrush');
+        }
       
-      // STAGE 4: Deduplication
-      console.log('[STAGE]4: Deduplication')
-      await this.processingRunModel.updateProgress(run.id, 'deduplicating', 4, 50);
-      const deduplicationResult = await this.deduplicationService.deduplicateKeywords(cleanedKeywords);
-      const { unique: uniqueKeywords, similarGroups } = deduplicationResult;
+        // STAGE 2: Save raw keywords to database
+        params.signal?.throwIfAborted();
+        await this.processingRunModel.updateProgress(run.id, 'saving_raw_data', 2, 22);
+        const rawKeywords = isImport
+          ? this.rawKeywordModel.saveRecords(project.id, run.id, importedRecords)
+          : await this.saveRawKeywords(run.id, project.id, csvData);
       
-      // STAGE 5: Clustering Analysis
-      console.log('[STAGE]5: Clustering Analysis')
-      await this.processingRunModel.updateProgress(run.id, 'clustering', 5, 62);
-      const clusters = await this.clusteringService.performAdvancedClustering(uniqueKeywords);
+        // STAGES 3-7: Clean, deduplicate, classify, cluster and score, in resumable batches when requested
+        const processed = params.batchProcessing?.enabled
+          ? await this.processInBatches(project, run, rawKeywords, params)
+          : await this.processStages(project, run, rawKeywords, params);
       
-      // Assign cluster IDs and names to keywords
-      clusters.forEach((cluster, cid) => {
-        cluster.keywords.forEach(k => {
-          k.cluster_id = cid;
-          k.cluster_name = cluster.name;
+        // STAGES 8-9: Save results and complete the run
+        params.signal?.throwIfAborted();
+        const { stats, priorityAnalysis } = await this.completeProcessing(project, run, processed, {
+          keywords_fetched: rawKeywords.length,
+          api_calls: isImport ? 0 : 1,
+          api_cost_estimate: usage.cost,
+          api_cache_hits: cache.hits,
+          data_size: isImport ? importedRecords.length : csvData.length,
+          ...(isImport && { import_file: path.basename(params.importFile) }),
+          ...(params.trigger && { trigger: params.trigger })
+        });
+
+        // Save CSV file for migration compatibility (imports already live on disk)
+        const filename = isImport
+          ? path.basename(params.importFile)
+          : FileOperations.generateFilename(params.target, 'semrush');
+        const filePath = isImport
+          ? path.resolve(params.importFile)
+          : FileOperations.saveData(csvData, filename);
+
+        return {
+          project,
+          run,
+          keywordCount: rawKeywords.length,
+          processedKeywordCount: processed.scoredKeywords.length,
+          clusterCount: processed.clusters.length,
+          duplicateGroupCount: processed.similarGroups.length,
+          method: params.method,
+          target: params.target,
+          database: params.database,
+          filename,
+          filePath,
+          csvData,
+          clusters: processed.clusters,
+          scoredKeywords: processed.scoredKeywords.slice(0, 50), // Return top 50 for display
+          priorityAnalysis,
+          batchProcessing: processed.batchProcessing,
+          stats
+        };
+      } catch (error) {
+        await this.failRun(run.id, error, params.signal);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Resume a batch session that stopped before completing, from its latest valid checkpoint.
+   * The run's saved raw keywords are processed again (SEMrush is not called) and the run is
+   * completed like processKeywordRequest would have.
+   * @param {number} batchRunId
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Also resume a session still marked running (left behind by a crash)
+   * @param {AbortSignal} [options.signal] - Stops the run at the next stage when aborted
+   * @returns {Promise<Object>} Summary of the completed run
+   */
+  async resumeBatchRun(batchRunId, { force = false, signal } = {}) {
+    if (!this.db) await this.initialize();
+
+    const batchRuns = new BatchRunModel(this.db);
+    const batchRun = batchRuns.findById(batchRunId);
+    if (!batchRun) {
+      throw new Error(`Batch run not found: ${batchRunId}`);
+    }
+    if (!batchRuns.isResumable(batchRun) && !(force && batchRun.status === 'running')) {
+      throw new Error(`Batch run ${batchRunId} is ${batchRun.status} and cannot be resumed`);
+    }
+
+    const run = this.processingRunModel.findById(batchRun.run_id);
+    const project = this.projectModel.findById(batchRun.project_id);
+    const rawKeywords = this.rawKeywordModel.getByRun(run.id);
+    if (rawKeywords.length === 0) {
+      throw new Error(`No raw keywords saved for run ${run.id}`);
+    }
+
+    // Process the keywords with the settings the session was started with
+    const configuration = batchRun.configuration ? JSON.parse(batchRun.configuration) : {};
+    const params = {
+      ...configuration.settings,
+      signal,
+      batchProcessing: {
+        enabled: true,
+        mode: batchRun.batch_mode,
+        batchSize: batchRun.batch_size,
+        fastSamplePercentage: batchRun.fast_sample_percentage,
+        checkpointInterval: configuration.checkpointInterval,
+        maxMemoryUsageMB: configuration.maxMemoryUsageMB
+      }
+    };
+
+    await this.processingRunModel.resumeRun(run.id);
+    const usage = new ApiUsageTracker(this.db, { project, runId: run.id });
+    return withRequestContext({ usage, cache: ResponseCache.forRun(this.db), signal }, async () => {
+      try {
+        const processed = await this.processInBatches(project, run, rawKeywords, params, batchRun.id);
+
+        signal?.throwIfAborted();
+        const { stats, priorityAnalysis } = await this.completeProcessing(project, run, processed, {
+          keywords_fetched: rawKeywords.length,
+          api_calls: run.semrush_api_calls || 0,
+          data_size: rawKeywords.length
         });
+
+        return {
+          project,
+          run: this.processingRunModel.findById(run.id),
+          keywordCount: rawKeywords.length,
+          processedKeywordCount: processed.scoredKeywords.length,
+          clusterCount: processed.clusters.length,
+          duplicateGroupCount: processed.similarGroups.length,
+          clusters: processed.clusters,
+          scoredKeywords: processed.scoredKeywords.slice(0, 50),
+          priorityAnalysis,
+          batchProcessing: processed.batchProcessing,
+          stats
+        };
+      } catch (error) {
+        await this.failRun(run.id, error, signal);
+        throw error;
+      }
+    });
+  }
+
+  // STAGES 3-7 in memory, in one pass
+  async processStages(project, run, rawKeywords, params) {
+    // A cancelled job stops the run at the next stage boundary
+    const checkCancelled = () => params.signal?.throwIfAborted();
+
+    // STAGE 3: Data Cleaning
+    checkCancelled();
+    this.logRun(run.id, 'cleaning_data', '[STAGE]3: Data Cleaning');
+    await this.processingRunModel.updateProgress(run.id, 'cleaning_data', 3, 33);
+    const brand = BrandService.configForProject(project);
+    const cleanedKeywords = await this.cleaningService.cleanKeywords(rawKeywords, { brandTerms: brand.terms });
+    
+    // STAGE 4: Deduplication
+    checkCancelled();
+    this.logRun(run.id, 'deduplicating', '[STAGE]4: Deduplication');
+    await this.processingRunModel.updateProgress(run.id, 'deduplicating', 4, 44);
+    const deduplicationResult = await this.deduplicationService.deduplicateKeywords(cleanedKeywords);
+    const { unique: uniqueKeywords, similarGroups } = deduplicationResult;
+    
+    // STAGE 5: Intent Classification
+    checkCancelled();
+    this.logRun(run.id, 'classifying_intent', '[STAGE]5: Intent Classification');
+    await this.processingRunModel.updateProgress(run.id, 'classifying_intent', 5, 56);
+    await this.intentService.classifyKeywords(uniqueKeywords, {
+      brandTerms: brand.terms,
+      useLLM: params.intentLLM,
+      llm: llmConfigForProject(project)
+    });
+    
+    // STAGE 6: Clustering Analysis
+    checkCancelled();
+    this.logRun(run.id, 'clustering', '[STAGE]6: Clustering Analysis');
+    await this.processingRunModel.updateProgress(run.id, 'clustering', 6, 67);
+    // Branded keywords can be left out of clustering; they are still saved and scored, just unclustered
+    const excludeBranded = brand.excludeFromClustering;
+    const clusterInput = excludeBranded ? uniqueKeywords.filter(k => !k.contains_brand) : uniqueKeywords;
+    if (excludeBranded) {
+      this.logRun(run.id, 'clustering', `✓ Excluding ${uniqueKeywords.length - clusterInput.length} branded keywords from clustering`);
+    }
+    const clusters = await this.clusteringService.performAdvancedClustering(clusterInput, params.clustering);
+    
+    // Assign cluster IDs and names to keywords
+    clusters.forEach((cluster, cid) => {
+      cluster.keywords.forEach(k => {
+        k.cluster_id = cid;
+        k.cluster_name = cluster.name;
       });
-      
-      // STAGE 6: Priority Scoring
-      await this.processingRunModel.updateProgress(run.id, 'scoring', 6, 75);
-      const scoredKeywords = await this.priorityService.calculatePriorityScores(uniqueKeywords, clusters);
-      
-      // STAGE 7: Save processed results to database
-      await this.processingRunModel.updateProgress(run.id, 'saving_processed_data', 7, 87);
-      const processedData = {
-        cleanedKeywords,
-        clusters,
-        scoredKeywords,
-        similarGroups
-      };
-      const savedResults = await this.saveProcessedResults(run.id, project.id, processedData);
-      
-      // STAGE 8: Complete processing
-      await this.processingRunModel.updateProgress(run.id, 'completed', 8, 100);
-      
-      // Compile final statistics
-      const stats = {
-        keywords_fetched: rawKeywords.length,
-        keywords_cleaned: cleanedKeywords.length,
-        keywords_unique: uniqueKeywords.length,
-        keywords_scored: scoredKeywords.length,
-        clusters_found: clusters.length,
-        duplicate_groups: similarGroups.length,
-        api_calls: 1,
-        data_size: csvData.length
-      };
-      
-      await this.processingRunModel.completeRun(run.id, stats);
-      await this.projectModel.updateLastProcessed(project.id);
+    });
+    
+    // STAGE 7: Priority Scoring
+    checkCancelled();
+    await this.processingRunModel.updateProgress(run.id, 'scoring', 7, 78);
+    const scoringProfile = new ScoringProfileService(this.db).resolve(project, params.scoringProfile);
+    const scoredKeywords = await this.priorityService.calculatePriorityScores(uniqueKeywords, clusters, scoringProfile);
 
-      // Save CSV file for migration compatibility
-      const filename = FileOperations.generateFilename(params.target, 'semrush');
-      const filePath = FileOperations.saveData(csvData, filename);
+    return {
+      cleanedKeywords,
+      uniqueKeywords,
+      similarGroups,
+      clusters,
+      scoredKeywords,
+      scoringProfile,
+      excludeBranded,
+      clustering: this.clusteringService.lastStrategy
+    };
+  }
 
-      return {
-        project,
-        run,
-        keywordCount: rawKeywords.length,
-        processedKeywordCount: scoredKeywords.length,
-        clusterCount: clusters.length,
-        duplicateGroupCount: similarGroups.length,
-        method: params.method,
-        target: params.target,
-        database: params.database,
-        filename,
-        filePath,
-        csvData,
-        clusters,
-        scoredKeywords: scoredKeywords.slice(0, 50), // Return top 50 for display
-        stats
-      };
-    } catch (error) {
-      // Mark run as failed
-      await this.processingRunModel.markFailed(run.id, error.message);
-      throw error;
+  // STAGES 3-7 through the BatchProcessor, which checkpoints to batch_checkpoints so the session can be resumed
+  async processInBatches(project, run, rawKeywords, params, resumeBatchRunId = null) {
+    const brand = BrandService.configForProject(project);
+    const scoringProfile = new ScoringProfileService(this.db).resolve(project, params.scoringProfile);
+    const message = resumeBatchRunId
+      ? `[STAGE]3-7: Resuming batch run #${resumeBatchRunId}`
+      : `[STAGE]3-7: Batch Processing (${params.batchProcessing.mode || 'fast'} mode)`;
+    this.logRun(run.id, 'batch_processing', message);
+    await this.processingRunModel.updateProgress(run.id, 'batch_processing', 3, 33);
+
+    const result = await new ProcessingService().runBatch(rawKeywords, {
+      batch: {
+        ...params.batchProcessing,
+        database: this.db,
+        runId: run.id,
+        signal: params.signal,
+        resumeBatchRunId,
+        // Kept with the session so a resume processes the keywords the same way
+        settings: {
+          scoringProfile: params.scoringProfile,
+          intentLLM: params.intentLLM,
+          clustering: params.clustering
+        }
+      },
+      cleaning: { brandTerms: brand.terms },
+      intent: { brandTerms: brand.terms, useLLM: params.intentLLM, llm: llmConfigForProject(project) },
+      clustering: params.clustering,
+      excludeBranded: brand.excludeFromClustering,
+      scoring: scoringProfile
+    });
+
+    return {
+      cleanedKeywords: result.cleaned,
+      uniqueKeywords: result.unique,
+      similarGroups: result.similarGroups,
+      clusters: result.clusters,
+      scoredKeywords: result.keywords,
+      scoringProfile,
+      excludeBranded: brand.excludeFromClustering,
+      clustering: result.stats.clustering,
+      batchProcessing: result.batchProcessing
+    };
+  }
+
+  // STAGES 8-9: save the processed keywords, analyze priorities and complete the run
+  async completeProcessing(project, run, processed, sourceStats) {
+    const { cleanedKeywords, uniqueKeywords, similarGroups, clusters, scoredKeywords, scoringProfile, excludeBranded } = processed;
+
+    // STAGE 8: Save processed results to database
+    await this.processingRunModel.updateProgress(run.id, 'saving_processed_data', 8, 89);
+    await this.saveProcessedResults(run.id, project.id, { cleanedKeywords, clusters, scoredKeywords, similarGroups });
+
+    // Quick wins, long-term targets and striking-distance keywords of the saved run
+    const scoring = ScoringProfileService.describe(scoringProfile, scoredKeywords);
+    const priorityAnalysis = new PriorityAnalysisService(this.db).analyzeRun(project.id, run.id, scoring);
+    
+    // STAGE 9: Complete processing
+    await this.processingRunModel.updateProgress(run.id, 'completed', 9, 100);
+    
+    // Compile final statistics
+    const { keywords_fetched, ...source } = sourceStats;
+    const stats = {
+      keywords_fetched,
+      keywords_cleaned: cleanedKeywords.length,
+      keywords_unique: uniqueKeywords.length,
+      keywords_scored: scoredKeywords.length,
+      clusters_found: clusters.length,
+      duplicate_groups: similarGroups.length,
+      clustering: processed.clustering,
+      intents: this.intentService.summarize(uniqueKeywords),
+      brand: { ...BrandService.summarize(uniqueKeywords), excluded_from_clustering: excludeBranded },
+      scoring,
+      ...source,
+      ...(processed.batchProcessing && { batch_processing: processed.batchProcessing })
+    };
+    
+    await this.processingRunModel.completeRun(run.id, stats);
+    await this.projectModel.updateLastProcessed(project.id);
+
+    return {
+      stats,
+      priorityAnalysis: priorityAnalysis && PriorityAnalysisService.summarize(priorityAnalysis)
+    };
+  }
+
+  // Mark a run cancelled when its job was cancelled, failed otherwise
+  async failRun(runId, error, signal) {
+    if (signal?.aborted) {
+      await this.processingRunModel.markCancelled(runId);
+      this.processingLogModel.log(runId, 'cancelled', 'Run cancelled', 'warn');
+      return;
     }
+
+    await this.processingRunModel.markFailed(runId, error.message);
+    this.processingLogModel.log(runId, 'failed', error.message, 'error');
   }
 
   // Get project by slug
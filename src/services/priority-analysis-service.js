@@ -0,0 +1,128 @@
+// src/services/priority-analysis-service.js
+// Split a scored run into top opportunities, quick wins, long-term targets and striking-distance keywords
+const KeywordModel = require('../database/models/keyword');
+const ProcessingRunModel = require('../database/models/processing-run');
+const PriorityAnalysisModel = require('../database/models/priority-analysis');
+const { PriorityScoringService } = require('./priority-scoring-service');
+const { PRIORITY_ANALYSIS_DEFAULTS } = require('../../cli/config/clustering');
+
+class PriorityAnalysisService {
+  constructor(db, settings = {}) {
+    this.db = db;
+    this.settings = { ...PRIORITY_ANALYSIS_DEFAULTS, ...settings };
+    this.keywordModel = new KeywordModel(db);
+    this.processingRunModel = new ProcessingRunModel(db);
+    this.analysisModel = new PriorityAnalysisModel(db);
+  }
+
+  // Whether a keyword ranks within the striking-distance positions
+  static inStrikingDistance(keyword, range = PRIORITY_ANALYSIS_DEFAULTS.strikingDistance) {
+    const position = Number(keyword.position) || 0;
+    return position >= range.min && position <= range.max;
+  }
+
+  // Fields kept for each keyword in a bucket
+  static toEntry(keyword, range) {
+    return {
+      keyword_id: keyword.id,
+      keyword: keyword.keyword,
+      search_volume: keyword.search_volume || 0,
+      competition: keyword.competition || 0,
+      position: keyword.position || null,
+      priority_score: keyword.priority_score || 0,
+      priority_tier: keyword.priority_tier,
+      cluster_name: keyword.cluster_name || null,
+      striking_distance: PriorityAnalysisService.inStrikingDistance(keyword, range)
+    };
+  }
+
+  /**
+   * Classify scored keywords into the priority_analysis buckets
+   * - quick wins: competition at or below quickWinCompetition, with at least quickWinVolume searches
+   *   or a striking-distance position; striking-distance keywords come first
+   * - long-term targets: at least quickWinVolume searches but harder competition, not yet on page one or two
+   * - top opportunities: highest opportunity score (volume x ease)
+   * - striking distance: ranking within the strikingDistance positions, by priority
+   * @param {Array<Object>} keywords - Scored keywords
+   * @param {Object} [scoring] - Scoring settings the run was scored with ({ profile, weights, thresholds, factors })
+   * @returns {Object} Tier counts and buckets of the form { total, keywords }
+   */
+  analyze(keywords, scoring = {}) {
+    const { thresholds } = PriorityScoringService.resolveSettings(scoring);
+    const range = this.settings.strikingDistance;
+    const byPriority = [...keywords].sort((a, b) => (b.priority_score || 0) - (a.priority_score || 0));
+    const striking = keyword => PriorityAnalysisService.inStrikingDistance(keyword, range);
+
+    const quickWins = byPriority
+      .filter(k => (k.competition || 0) <= thresholds.quickWinCompetition &&
+        ((k.search_volume || 0) >= thresholds.quickWinVolume || striking(k)))
+      .sort((a, b) => striking(b) - striking(a));
+    const longTermTargets = keywords
+      .filter(k => (k.search_volume || 0) >= thresholds.quickWinVolume &&
+        (k.competition || 0) > thresholds.quickWinCompetition &&
+        !(k.position > 0 && k.position <= range.max))
+      .sort((a, b) => (b.search_volume || 0) - (a.search_volume || 0));
+    const topOpportunities = [...keywords]
+      .sort((a, b) => (b.opportunity_score || 0) - (a.opportunity_score || 0));
+
+    const bucket = list => ({
+      total: list.length,
+      keywords: list.slice(0, this.settings.listLimit).map(k => PriorityAnalysisService.toEntry(k, range))
+    });
+    const counts = { high: 0, medium: 0, low: 0 };
+    keywords.forEach(keyword => {
+      if (counts[keyword.priority_tier] !== undefined) counts[keyword.priority_tier]++;
+    });
+
+    return {
+      counts,
+      scoring: {
+        profile: scoring.profile || null,
+        weights: scoring.weights || null,
+        thresholds,
+        striking_distance: range
+      },
+      top_opportunities: bucket(topOpportunities),
+      quick_wins: bucket(quickWins),
+      long_term_targets: bucket(longTermTargets),
+      striking_distance: bucket(byPriority.filter(striking))
+    };
+  }
+
+  /**
+   * Analyze a stored run and save it as the run's priority_analysis row
+   * @param {number} projectId
+   * @param {number} runId
+   * @param {Object} [scoring] - Defaults to the scoring recorded in the run's processing_stats
+   * @returns {Object|null} Saved analysis, or null when the run has no keywords
+   */
+  analyzeRun(projectId, runId, scoring) {
+    const keywords = this.keywordModel.findAll({ project_id: projectId, run_id: runId });
+    if (keywords.length === 0) return null;
+
+    let settings = scoring;
+    if (!settings) {
+      const run = this.processingRunModel.findById(runId);
+      settings = (run && run.processing_stats && JSON.parse(run.processing_stats).scoring) || {};
+    }
+
+    return this.analysisModel.saveForRun(projectId, runId, this.analyze(keywords, settings));
+  }
+
+  // Saved analysis of a run, analyzing runs that were processed before this step existed
+  getForRun(projectId, runId) {
+    return this.analysisModel.findByRun(projectId, runId) || this.analyzeRun(projectId, runId);
+  }
+
+  // Short summary for processing_stats and CLI output
+  static summarize(analysis) {
+    return {
+      ...analysis.counts,
+      quick_wins: analysis.quick_wins.total,
+      long_term_targets: analysis.long_term_targets.total,
+      striking_distance: analysis.striking_distance.total
+    };
+  }
+}
+
+module.exports = { PriorityAnalysisService };
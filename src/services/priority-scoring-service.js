@@ -1,15 +1,39 @@
+const { PRIORITY_SCORING_DEFAULTS } = require('../../cli/config/clustering');
+const { SeasonalityService } = require('./seasonality-service');
+
 class PriorityScoringService {
+  /**
+   * @param {Object} [config] - Scoring profile settings: { weights, thresholds, factors }
+   */
   constructor(config = {}) {
-    this.config = config;
+    this.config = PriorityScoringService.resolveSettings(config);
+    this.seasonality = new SeasonalityService();
   }
 
-  async calculatePriorityScores(keywords, clusters, options = {}) {
-    const weights = options.weights || {
-      searchVolume: 0.35,
-      competition: 0.25,
-      relevance: 0.25,
-      clusterCoherence: 0.15
+  // Merge profile settings over a base (PRIORITY_SCORING_DEFAULTS) section by section
+  static resolveSettings(settings = {}, base = PRIORITY_SCORING_DEFAULTS) {
+    return {
+      weights: { ...base.weights, ...settings.weights },
+      thresholds: { ...base.thresholds, ...settings.thresholds },
+      factors: { ...base.factors, ...settings.factors }
     };
+  }
+
+  /**
+   * Score, rank and tier keywords
+   * @param {Array<Object>} keywords
+   * @param {Array<Object>|Object} clusters - Clusters indexed by the keywords' cluster_id
+   * @param {Object} [options] - Per-call overrides of the profile settings: { weights, thresholds, factors }
+   * @param {Date} [options.date] - Date upcoming seasonal peaks are counted from (defaults to today)
+   * @param {Date|string} [options.trendsDate] - When the keywords' trends were fetched (defaults to options.date)
+   * @returns {Promise<Array<Object>>} Keywords sorted by priority_score
+   */
+  async calculatePriorityScores(keywords, clusters, options = {}) {
+    const { weights, thresholds, factors } = PriorityScoringService.resolveSettings(options, this.config);
+    const date = options.date || new Date();
+    const trendsDate = options.trendsDate || date;
+    const totalWeight = weights.searchVolume + weights.competition + weights.relevance +
+      weights.clusterCoherence + factors.cpcWeight + factors.positionWeight;
 
     const scores = keywords.map(kw => {
       const cluster = clusters[kw.cluster_id] || {};
@@ -17,12 +41,17 @@ class PriorityScoringService {
       const competitionScore = this.calculateCompetitionScore(kw.competition);
       const relevanceScore = this.calculateRelevanceScore(kw.keyword, cluster);
       const clusterScore = cluster.coherence || 0;
-      const base = volumeScore * weights.searchVolume +
+      const cpcScore = this.calculateCpcScore(kw.cpc, factors.cpcCap);
+      const positionScore = this.calculatePositionScore(kw.position, factors.positionRange);
+      const base = (volumeScore * weights.searchVolume +
         competitionScore * weights.competition +
         relevanceScore * weights.relevance +
-        clusterScore * weights.clusterCoherence;
+        clusterScore * weights.clusterCoherence +
+        cpcScore * factors.cpcWeight +
+        positionScore * factors.positionWeight) / (totalWeight || 1);
       const difficulty = this.calculateDifficultyScore(kw.keyword, kw.competition);
-      const finalScore = base * (1 - difficulty);
+      const seasonalBoost = this.calculateSeasonalBoost(kw.trends, { date, trendsDate, factors });
+      const finalScore = base * (1 - difficulty) * (1 + seasonalBoost);
       const businessValue = this.assessBusinessValue(kw, cluster);
       const opportunity = this.calculateOpportunityScore(kw);
       return {
@@ -30,12 +59,13 @@ class PriorityScoringService {
         priority_score: finalScore,
         difficulty_score: difficulty,
         business_value_score: businessValue,
-        opportunity_score: opportunity
+        opportunity_score: opportunity,
+        seasonal_boost: seasonalBoost
       };
     });
 
     const ranked = this.rankKeywordsByPriority(scores);
-    this.assignPriorityTiers(ranked, options.thresholds);
+    this.assignPriorityTiers(ranked, thresholds);
     return ranked;
   }
 
@@ -59,6 +89,27 @@ class PriorityScoringService {
     return words.length ? score / words.length : 0;
   }
 
+  calculateCpcScore(cpc, cap) {
+    const value = Number(cpc) || 0;
+    return cap > 0 ? Math.min(value / cap, 1) : 0;
+  }
+
+  // Full score inside the target range, little for keywords already on top, decaying below it
+  calculatePositionScore(position, range) {
+    const value = Number(position);
+    if (!value || value < 1) return 0;
+    if (value < range.min) return 0.25;
+    if (value <= range.max) return 1;
+    return range.max / value;
+  }
+
+  // Relative boost (up to factors.seasonalBoost) for seasonal keywords whose peak is at most seasonalWindow months away
+  calculateSeasonalBoost(trends, { date, trendsDate, factors }) {
+    if (!factors.seasonalBoost || !trends) return 0;
+    const analysis = this.seasonality.analyze(trends, trendsDate);
+    return factors.seasonalBoost * SeasonalityService.upcomingPeakScore(analysis, date, factors.seasonalWindow);
+  }
+
   calculateDifficultyScore(keyword, competition) {
     return competition || 0;
   }
@@ -74,7 +125,11 @@ class PriorityScoringService {
   }
 
   rankKeywordsByPriority(keywords) {
-    return keywords.sort((a, b) => b.priority_score - a.priority_score);
+    keywords.sort((a, b) => b.priority_score - a.priority_score);
+    keywords.forEach((kw, index) => {
+      kw.priority_rank = index + 1;
+    });
+    return keywords;
   }
 
   assignPriorityTiers(keywords, thresholds = { highPriority: 0.8, mediumPriority: 0.5 }) {
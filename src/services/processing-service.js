@@ -2,8 +2,12 @@ const DataCleaningService = require('./data-cleaning-service');
 const DeduplicationService = require('./deduplication-service');
 const { ClusteringService } = require('./clustering-service');
 const { PriorityScoringService } = require('./priority-scoring-service');
+const { IntentClassificationService } = require('./intent-classification-service');
 const { BatchProcessor } = require('../clustering/batch-processor');
 const { CheckpointManager } = require('../persistence/checkpoint-manager');
+const ProcessingRunModel = require('../database/models/processing-run');
+const ProcessingLogModel = require('../database/models/processing-log');
+const BatchRunModel = require('../database/models/batch-run');
 
 class ProcessingService {
   constructor(config = {}) {
@@ -11,6 +15,7 @@ class ProcessingService {
     this.deduper = new DeduplicationService();
     this.clusterer = new ClusteringService(config.clustering || {});
     this.scorer = new PriorityScoringService(config.scoring || {});
+    this.intentClassifier = new IntentClassificationService(config.intent || {});
     
     // Batch processing components
     this.batchProcessor = null;
@@ -27,7 +32,9 @@ class ProcessingService {
     // Original processing pipeline (maintained for backward compatibility)
     const cleaned = await this.cleaner.cleanKeywords(rawKeywords, options.cleaning);
     const { unique } = await this.deduper.deduplicateKeywords(cleaned, options.deduplication);
-    const clusters = await this.clusterer.performAdvancedClustering(unique, options.clustering);
+    await this.intentClassifier.classifyKeywords(unique, options.intent);
+    const clusterInput = options.excludeBranded ? unique.filter(k => !k.contains_brand) : unique;
+    const clusters = await this.clusterer.performAdvancedClustering(clusterInput, options.clustering);
     clusters.forEach((cluster, cid) => {
       cluster.keywords.forEach(k => {
         k.cluster_id = cid;
@@ -38,30 +45,60 @@ class ProcessingService {
     return { keywords: scored, clusters };
   }
 
+  /**
+   * Progress, log and checkpoint hooks that store a batch session in batch_runs, processing_logs and
+   * batch_checkpoints, so the web UI can follow it and it can be resumed (needs options.batch.database and options.batch.runId)
+   */
+  createProgressTracking(batchOptions) {
+    const { database, runId } = batchOptions;
+    const run = database && runId ? new ProcessingRunModel(database).findById(runId) : null;
+    if (!run) return null;
+
+    const batchRuns = new BatchRunModel(database);
+    const logs = new ProcessingLogModel(database);
+    const checkpoints = new CheckpointManager(database, batchOptions.checkpoints);
+    const tracking = { runId, projectId: run.project_id, batchRunId: null, batchRuns };
+    tracking.hooks = {
+      onProgress: progress => {
+        if (tracking.batchRunId) batchRuns.updateProgress(tracking.batchRunId, progress);
+      },
+      onLog: (level, message) => {
+        logs.log(runId, this.batchProcessor?.processingState.currentStage, message, level);
+      },
+      onCheckpoint: async checkpoint => {
+        if (tracking.batchRunId) await checkpoints.saveCheckpoint(tracking.batchRunId, checkpoint);
+      }
+    };
+    return tracking;
+  }
+
   /**
    * Run batch processing pipeline
    */
   async runBatch(rawKeywords, options = {}) {
+    const tracking = this.createProgressTracking(options.batch);
     try {
       // Initialize batch processor with configuration
       this.batchProcessor = new BatchProcessor({
+        ...tracking?.hooks,
         batchSize: options.batch.batchSize || 100,
         fastSamplePercentage: options.batch.fastSamplePercentage || 0.1,
         maxMemoryUsageMB: options.batch.maxMemoryUsageMB || 512,
         checkpointInterval: options.batch.checkpointInterval || 50,
         enableProgressLogging: options.batch.enableProgressLogging !== false,
+        signal: options.batch.signal,
         clustering: options.clustering,
         scoring: options.scoring
       });
 
       // Initialize checkpoint manager if database provided
       if (options.batch.database) {
-        this.checkpointManager = new CheckpointManager(options.batch.database);
+        this.checkpointManager = new CheckpointManager(options.batch.database, options.batch.checkpoints);
       }
 
       // Check for existing batch run to resume
       if (options.batch.resumeBatchRunId && this.checkpointManager) {
-        return await this.resumeBatch(options.batch.resumeBatchRunId, rawKeywords, options);
+        return await this.resumeBatch(options.batch.resumeBatchRunId, rawKeywords, options, tracking);
       }
 
       // Initialize new batch processing session
@@ -76,8 +113,28 @@ class ProcessingService {
       console.log(`  Batches: ${initResult.totalBatches}`);
       console.log(`  Estimated time: ${initResult.estimatedTimeMinutes} minutes`);
 
+      if (tracking) {
+        const sessionKeywords = this.batchProcessor.rawKeywords;
+        tracking.batchRunId = tracking.batchRuns.startBatch(tracking.projectId, tracking.runId, {
+          ...initResult,
+          fastSamplePercentage: options.batch.fastSamplePercentage,
+          configuration: {
+            checkpointInterval: options.batch.checkpointInterval,
+            maxMemoryUsageMB: options.batch.maxMemoryUsageMB,
+            settings: options.batch.settings
+          },
+          // A resumed session has to work on the same keywords, including the same fast-mode sample
+          resumeData: sessionKeywords.every(k => k.id) ? { keywordIds: sessionKeywords.map(k => k.id) } : null
+        }).id;
+      }
+
       // Start batch processing
       const result = await this.batchProcessor.start(options);
+      if (tracking) {
+        tracking.batchRuns.completeBatch(tracking.batchRunId, result.stats.totalTime);
+        // A completed session cannot be resumed, so its checkpoint state is released
+        this.checkpointManager?.pruneCheckpoints();
+      }
 
       // Add batch processing metadata to result
       result.batchProcessing = {
@@ -91,53 +148,76 @@ class ProcessingService {
       return result;
 
     } catch (error) {
+      // A cancelled session keeps the abort reason so callers can tell it from a failure
+      if (options.batch.signal?.aborted) {
+        if (tracking?.batchRunId) tracking.batchRuns.markCancelled(tracking.batchRunId);
+        throw error;
+      }
+      if (tracking?.batchRunId) {
+        tracking.batchRuns.markFailed(tracking.batchRunId, error.message);
+      }
       throw new Error(`Batch processing failed: ${error.message}`);
     }
   }
 
   /**
-   * Resume batch processing from checkpoint
+   * Resume an interrupted batch session from its latest valid checkpoint (called by runBatch
+   * for options.batch.resumeBatchRunId); the stages it already finished are not run again
+   * @param {number} batchRunId
+   * @param {Array} rawKeywords - Raw keywords of the session's run, as saved in raw_keywords
    */
-  async resumeBatch(batchRunId, rawKeywords, options) {
-    try {
-      if (!this.checkpointManager) {
-        throw new Error('Checkpoint manager not initialized');
-      }
+  async resumeBatch(batchRunId, rawKeywords, options, tracking = null) {
+    const batchRuns = new BatchRunModel(options.batch.database);
+    const batchRun = batchRuns.findById(batchRunId);
+    if (!batchRun) {
+      throw new Error(`Batch run ${batchRunId} not found`);
+    }
 
-      // Load latest checkpoint
-      const checkpoint = await this.checkpointManager.loadLatestCheckpoint(batchRunId);
-      if (!checkpoint) {
-        throw new Error('No recoverable checkpoint found for batch run');
-      }
+    // Load latest checkpoint
+    const checkpoint = await this.checkpointManager.loadLatestCheckpoint(batchRunId);
+    if (!checkpoint) {
+      throw new Error('No recoverable checkpoint found for batch run');
+    }
 
-      console.log(`Resuming batch processing from ${checkpoint.stage_name} stage`);
-      console.log(`Progress: ${checkpoint.keywords_processed} keywords processed`);
+    console.log(`Resuming batch processing from ${checkpoint.stage_name} stage`);
+    console.log(`Progress: ${checkpoint.keywords_processed} keywords processed`);
+    if (checkpoint.skipped_checkpoints.length > 0) {
+      console.log(`Skipped ${checkpoint.skipped_checkpoints.length} corrupt checkpoint(s)`);
+    }
 
-      // Prepare recovery state
-      const recoveryState = await this.checkpointManager.recoverProcessingState(checkpoint, rawKeywords);
+    // Pick the session's own keywords (its fast-mode sample) out of the run's raw keywords
+    const { keywordIds } = batchRun.resume_data ? JSON.parse(batchRun.resume_data) : {};
+    const ids = keywordIds && new Set(keywordIds);
+    const sessionKeywords = ids ? rawKeywords.filter(k => ids.has(k.id)) : rawKeywords;
 
-      // Initialize batch processor with recovery state
-      this.batchProcessor = new BatchProcessor({
-        ...this.config,
-        recoveryState
-      });
+    // Prepare recovery state
+    const recoveryState = await this.checkpointManager.recoverProcessingState(checkpoint, sessionKeywords);
+    this.batchProcessor.restore(recoveryState, { batchMode: batchRun.batch_mode, batchSize: batchRun.batch_size });
 
-      // Resume processing
-      const result = await this.batchProcessor.resume();
+    // Progress and new checkpoints go to the resumed session
+    if (tracking) tracking.batchRunId = batchRunId;
+    batchRuns.markResumed(batchRunId);
 
-      // Add batch processing metadata
-      result.batchProcessing = {
-        resumed: true,
-        resumedFrom: checkpoint.stage_name,
-        resumedAt: new Date().toISOString(),
-        checkpointId: checkpoint.id
-      };
+    // Resume processing
+    const result = await this.batchProcessor.start(options);
+    batchRuns.completeBatch(batchRunId, result.stats.totalTime);
+    this.checkpointManager.pruneCheckpoints();
 
-      return result;
+    // Add batch processing metadata
+    result.batchProcessing = {
+      mode: batchRun.batch_mode,
+      totalBatches: this.batchProcessor.processingState.totalBatches,
+      batchSize: batchRun.batch_size,
+      processingTime: result.stats.totalTime,
+      keywordsSampled: result.stats.totalKeywords,
+      resumed: true,
+      resumedFrom: checkpoint.stage_name,
+      resumedAt: new Date().toISOString(),
+      checkpointId: checkpoint.id,
+      skippedCheckpoints: checkpoint.skipped_checkpoints
+    };
 
-    } catch (error) {
-      throw new Error(`Batch resume failed: ${error.message}`);
-    }
+    return result;
   }
 
   /**
@@ -0,0 +1,296 @@
+// src/services/rescrape-scheduler.js
+// Per-project rescrape schedules ("every Monday, database=us, limit=5000") kept in projects.configuration,
+// and the scheduler that queues the rescrapes that are due and records how they went
+const ProjectModel = require('../database/models/project');
+const { validateDatabase, validateLimit } = require('../../cli/utils/validation');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const SCHEDULER_DEFAULTS = {
+  intervalMs: 60000, // How often due schedules are checked
+  time: '06:00',     // Local time of day a schedule runs at unless it says otherwise
+  database: 'us',
+  limit: 10000,
+  priority: -1       // Scheduled rescrapes yield to jobs started by hand
+};
+
+// Job statuses after which a scheduled rescrape is reported
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class RescrapeScheduler {
+  /**
+   * @param {Database} db
+   * @param {JobQueue} [jobQueue] - Queue the rescrapes go to (only needed to run the scheduler)
+   * @param {Object} [config] - Overrides for SCHEDULER_DEFAULTS
+   */
+  constructor(db, jobQueue = null, config = {}) {
+    this.projectModel = new ProjectModel(db);
+    this.jobQueue = jobQueue;
+    this.config = { ...SCHEDULER_DEFAULTS, ...config };
+    this.timer = null;
+  }
+
+  /**
+   * Parse a schedule such as "every Monday at 07:30, database=uk, limit=5000", "daily" or
+   * "monthly on 1"; an object with the same fields ({ frequency, day, dayOfMonth, time, database, limit }) is validated
+   * @returns {Object} Normalized schedule
+   * @throws {Error} When the schedule cannot be understood
+   */
+  static parseSchedule(input, defaults = SCHEDULER_DEFAULTS) {
+    let fields = input;
+    if (typeof input === 'string') {
+      const [timing, ...options] = input.split(',').map(part => part.trim().toLowerCase());
+      fields = RescrapeScheduler.parseTiming(timing);
+      options.filter(Boolean).forEach(option => {
+        const [key, value] = option.split('=').map(part => part && part.trim());
+        if (!['database', 'limit', 'time'].includes(key) || !value) {
+          throw new Error(`Unknown schedule option "${option}". Use database=us, limit=5000 or time=06:00`);
+        }
+        fields[key] = key === 'limit' ? Number(value) : value;
+      });
+    }
+    if (!fields || typeof fields !== 'object') {
+      throw new Error('Schedule must be a string like "every Monday, database=us, limit=5000"');
+    }
+
+    const frequency = fields.frequency;
+    if (!['daily', 'weekly', 'monthly'].includes(frequency)) {
+      throw new Error('Schedule frequency must be daily, weekly or monthly');
+    }
+    const day = frequency === 'weekly' ? String(fields.day || 'monday').toLowerCase() : undefined;
+    if (day !== undefined && !WEEKDAYS.includes(day)) {
+      throw new Error(`Unknown weekday "${fields.day}"`);
+    }
+    const dayOfMonth = frequency === 'monthly' ? Number(fields.dayOfMonth ?? 1) : undefined;
+    if (dayOfMonth !== undefined && !(Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= 31)) {
+      throw new Error('Schedule day of month must be between 1 and 31');
+    }
+
+    const time = fields.time || defaults.time;
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      throw new Error(`Schedule time must be HH:MM, got "${time}"`);
+    }
+
+    const database = fields.database || defaults.database;
+    const databaseCheck = validateDatabase(database);
+    if (databaseCheck !== true) throw new Error(databaseCheck);
+    const limit = fields.limit ?? defaults.limit;
+    const limitCheck = Number.isInteger(limit) ? validateLimit(limit) : 'Schedule limit must be a whole number';
+    if (limitCheck !== true) throw new Error(limitCheck);
+
+    return {
+      frequency,
+      ...(day && { day }),
+      ...(dayOfMonth && { dayOfMonth }),
+      time: `${match[1].padStart(2, '0')}:${match[2]}`,
+      database,
+      limit
+    };
+  }
+
+  // Frequency part of a schedule string, with an optional "at HH:MM"
+  static parseTiming(text) {
+    const fields = {};
+    const at = /\s+at\s+(\d{1,2}:\d{2})$/.exec(text);
+    const timing = (at ? text.slice(0, at.index) : text).replace(/^every\s+/, '').trim();
+    if (at) fields.time = at[1];
+
+    const weekday = WEEKDAYS.find(name => timing === name || timing === `${name}s`);
+    const monthly = /^(?:month|monthly)(?:\s+on)?(?:\s+(?:the|day))?(?:\s+(\d{1,2})(?:st|nd|rd|th)?)?$/.exec(timing);
+    if (timing === 'day' || timing === 'daily') {
+      fields.frequency = 'daily';
+    } else if (weekday || timing === 'week' || timing === 'weekly') {
+      fields.frequency = 'weekly';
+      fields.day = weekday || 'monday';
+    } else if (monthly) {
+      fields.frequency = 'monthly';
+      fields.dayOfMonth = monthly[1] ? Number(monthly[1]) : 1;
+    } else {
+      throw new Error(`Unknown schedule "${text}". Use e.g. "every Monday", "daily at 05:00" or "monthly on 1"`);
+    }
+    return fields;
+  }
+
+  // One-line description of a schedule
+  static describe(schedule) {
+    const when = schedule.frequency === 'daily'
+      ? 'every day'
+      : schedule.frequency === 'weekly'
+        ? `every ${schedule.day[0].toUpperCase()}${schedule.day.slice(1)}`
+        : `monthly on day ${schedule.dayOfMonth}`;
+    return `${when} at ${schedule.time} (database ${schedule.database}, limit ${schedule.limit})`;
+  }
+
+  /**
+   * First time the schedule is due after a given moment (local time)
+   * @param {Object} schedule - Normalized schedule
+   * @param {Date} after
+   * @returns {Date}
+   */
+  static nextRunAt(schedule, after) {
+    const [hours, minutes] = schedule.time.split(':').map(Number);
+    const next = new Date(after);
+    next.setHours(hours, minutes, 0, 0);
+
+    if (schedule.frequency === 'daily') {
+      if (next <= after) next.setDate(next.getDate() + 1);
+    } else if (schedule.frequency === 'weekly') {
+      const offset = (WEEKDAYS.indexOf(schedule.day) - next.getDay() + 7) % 7;
+      next.setDate(next.getDate() + offset);
+      if (next <= after) next.setDate(next.getDate() + 7);
+    } else {
+      // Days past the end of a short month run on its last day
+      const inMonth = (year, month) => {
+        const lastDay = new Date(year, month + 1, 0).getDate();
+        return new Date(year, month, Math.min(schedule.dayOfMonth, lastDay), hours, minutes);
+      };
+      let candidate = inMonth(next.getFullYear(), next.getMonth());
+      if (candidate <= after) candidate = inMonth(next.getFullYear(), next.getMonth() + 1);
+      return candidate;
+    }
+    return next;
+  }
+
+  // The project's schedule from its configuration, or null
+  static scheduleForProject(project) {
+    const configuration = ProjectModel.configurationOf(project);
+    return configuration.schedule || null;
+  }
+
+  /**
+   * Set a project's schedule; it first runs at the next matching time from now
+   * @returns {Object} Stored schedule with next_run_at
+   */
+  setSchedule(projectId, input, now = new Date()) {
+    const project = this.projectModel.findById(projectId);
+    const schedule = { ...RescrapeScheduler.parseSchedule(input, this.config), since: now.toISOString() };
+    this.saveSchedule(project, schedule);
+    return this.toEntry(project, schedule);
+  }
+
+  // Remove a project's schedule; returns the removed schedule or null
+  removeSchedule(projectId) {
+    const project = this.projectModel.findById(projectId);
+    const schedule = RescrapeScheduler.scheduleForProject(project);
+    if (schedule) this.saveSchedule(project, null);
+    return schedule;
+  }
+
+  // Active projects with a schedule, with their description and next run
+  list() {
+    return this.projectModel.findActive()
+      .map(project => ({ project, schedule: RescrapeScheduler.scheduleForProject(project) }))
+      .filter(({ schedule }) => schedule)
+      .map(({ project, schedule }) => this.toEntry(project, schedule));
+  }
+
+  /**
+   * Queue a rescrape for every schedule that is due. A schedule that missed several
+   * slots (the server was down) runs once; one whose project already has a rescrape
+   * queued or running is skipped until its next slot.
+   * @param {Date} [now]
+   * @returns {Array<Object>} Queued jobs
+   */
+  tick(now = new Date()) {
+    this.reportFinished();
+
+    const queued = [];
+    for (const project of this.projectModel.findActive()) {
+      const schedule = RescrapeScheduler.scheduleForProject(project);
+      if (!schedule || this.dueAt(schedule) > now) continue;
+
+      const pending = this.jobQueue.findPending('rescrape', project.id);
+      let update;
+      if (pending) {
+        update = { lastStatus: 'skipped', lastError: `A rescrape job (#${pending.id}) was already ${pending.status}` };
+        console.warn(`Scheduled rescrape of ${project.name} skipped: ${update.lastError}`);
+      } else {
+        const job = this.jobQueue.enqueue('rescrape', {
+          project: project.id,
+          database: schedule.database,
+          limit: schedule.limit,
+          trigger: 'scheduler'
+        }, { projectId: project.id, priority: this.config.priority });
+        queued.push(job);
+        update = { lastJobId: job.id, lastStatus: 'queued', lastError: null };
+        console.log(`Scheduled rescrape of ${project.name} queued as job #${job.id}`);
+      }
+      this.saveSchedule(project, { ...schedule, ...update, lastScheduledAt: now.toISOString() });
+    }
+    return queued;
+  }
+
+  // Record the outcome of scheduled rescrapes that finished since the last check; failures are logged
+  reportFinished() {
+    for (const project of this.projectModel.findActive()) {
+      const schedule = RescrapeScheduler.scheduleForProject(project);
+      if (!schedule || schedule.lastStatus !== 'queued' || !schedule.lastJobId) continue;
+
+      const job = this.jobQueue.get(schedule.lastJobId);
+      if (job && !FINISHED_STATUSES.includes(job.status)) continue;
+
+      const status = job ? job.status : 'failed';
+      const error = job ? job.error_message : `Job #${schedule.lastJobId} no longer exists`;
+      const failed = status !== 'completed';
+      this.saveSchedule(project, {
+        ...schedule,
+        lastStatus: status,
+        lastError: failed ? error : null,
+        lastRunId: job?.result?.runId ?? schedule.lastRunId ?? null,
+        failures: failed ? (schedule.failures || 0) + 1 : 0
+      });
+      if (failed) {
+        console.error(`Scheduled rescrape of ${project.name} ${status} (job #${schedule.lastJobId}):`, error || status);
+      }
+    }
+  }
+
+  // Check for due schedules now and every config.intervalMs
+  start() {
+    this.stop();
+    const check = () => {
+      try {
+        this.tick();
+      } catch (error) {
+        console.error('Rescrape scheduler error:', error.message);
+      }
+    };
+    check();
+    this.timer = setInterval(check, this.config.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // When a schedule is next due, counted from its last run (or from when it was set)
+  dueAt(schedule) {
+    return RescrapeScheduler.nextRunAt(schedule, new Date(schedule.lastScheduledAt || schedule.since || 0));
+  }
+
+  // Store a project's schedule (null removes it), keeping the rest of its configuration
+  saveSchedule(project, schedule) {
+    const configuration = ProjectModel.configurationOf(this.projectModel.findById(project.id));
+    if (schedule) {
+      configuration.schedule = schedule;
+    } else {
+      delete configuration.schedule;
+    }
+    this.projectModel.updateConfiguration(project.id, configuration);
+  }
+
+  // Schedule as returned by list() and setSchedule()
+  toEntry(project, schedule) {
+    return {
+      project: { id: project.id, name: project.name, slug: project.slug },
+      schedule,
+      description: RescrapeScheduler.describe(schedule),
+      next_run_at: this.dueAt(schedule).toISOString()
+    };
+  }
+}
+
+module.exports = { RescrapeScheduler, SCHEDULER_DEFAULTS, WEEKDAYS };
@@ -0,0 +1,237 @@
+// src/services/response-cache.js
+// Content-addressed cache of SEMrush and LLM responses in SQLite. Requests are keyed by a hash
+// of provider, URL, model and prompt or SEMrush query, so an identical request within the
+// provider's TTL is answered without a call (and without cost). Exported entries double as
+// fixtures: a cache in replay mode serves them offline and fails on any request not recorded.
+const crypto = require('crypto');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const DatabaseSchema = require('../database/schema');
+const ApiCacheModel = require('../database/models/api-cache');
+const { httpConfigFor, endpointOf } = require('../http');
+
+// on: reuse fresh responses and store new ones; record: always call, store the response;
+// replay: only recorded responses, expired or not, a missing one is an error; off: no cache
+const CACHE_MODES = ['on', 'record', 'replay', 'off'];
+
+const FIXTURE_VERSION = 1;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Raised in replay mode for a request that has no recorded response
+class CacheMissError extends Error {
+  constructor(call, cacheKey) {
+    super(`No recorded ${call.provider} response for ${call.method.toUpperCase()} ${call.url} (cache key ${cacheKey.slice(0, 12)}). ` +
+      'Record it with KWT_CACHE_MODE=record and export it with `kwt cache export`');
+    this.name = 'CacheMissError';
+    this.code = 'CACHE_MISS';
+    this.cacheKey = cacheKey;
+  }
+}
+
+// JSON with object keys sorted, so equal requests hash the same whatever the key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+class ResponseCache {
+  /**
+   * @param {Object} db - better-sqlite3 database with the api_cache table
+   * @param {Object} [options]
+   * @param {string} [options.mode] - on | record | replay | off (default KWT_CACHE_MODE, else on)
+   * @param {Function} [options.now] - () => Date (tests)
+   */
+  constructor(db, { mode = process.env.KWT_CACHE_MODE || 'on', now = () => new Date() } = {}) {
+    if (!CACHE_MODES.includes(mode)) {
+      throw new Error(`Unknown cache mode "${mode}" (expected ${CACHE_MODES.join(', ')})`);
+    }
+    this.cacheModel = new ApiCacheModel(db);
+    this.mode = mode;
+    this.now = now;
+    this.hits = 0;
+    this.stored = 0;
+  }
+
+  /**
+   * Cache of a run: --no-cache (cache: false) still records fresh responses for later runs
+   * @param {Object} db
+   * @param {Object} [options]
+   * @param {boolean} [options.cache] - false skips cached responses
+   * @returns {ResponseCache}
+   */
+  static forRun(db, { cache = true } = {}) {
+    return cache === false ? new ResponseCache(db, { mode: 'record' }) : new ResponseCache(db);
+  }
+
+  /**
+   * A replay-only cache holding the entries of an exported fixture file, for offline tests
+   * @param {string} file - JSON written by exportEntries / `kwt cache export`
+   * @returns {ResponseCache}
+   */
+  static fromFixtures(file) {
+    const db = new Database(':memory:');
+    DatabaseSchema.createTables(db);
+    const cache = new ResponseCache(db, { mode: 'replay' });
+    cache.importEntries(JSON.parse(fs.readFileSync(file, 'utf8')));
+    return cache;
+  }
+
+  /**
+   * What identifies a request: provider, method, URL, model and body or query parameters.
+   * Headers and the SEMrush `key` parameter (credentials) are left out.
+   * @param {Object} call - { provider, method, url, data, params }
+   * @returns {Object}
+   */
+  static requestOf(call) {
+    const { key, ...params } = call.params || {};
+    return {
+      provider: call.provider,
+      method: call.method.toLowerCase(),
+      url: call.url,
+      model: call.data?.model ?? null,
+      params,
+      data: call.data ?? null
+    };
+  }
+
+  // sha256 of a request as returned by requestOf
+  static hashRequest(request) {
+    return crypto.createHash('sha256').update(canonicalJson(request)).digest('hex');
+  }
+
+  /**
+   * The cached response to a call, shaped like an axios response, or null to make the call
+   * @param {Object} call - { provider, method, url, data, params }
+   * @returns {Object|null} { status, data, headers, cached: true }
+   * @throws {CacheMissError} In replay mode when the request was never recorded
+   */
+  lookup(call) {
+    if (this.mode === 'off' || this.mode === 'record') return null;
+
+    const cacheKey = ResponseCache.hashRequest(ResponseCache.requestOf(call));
+    const row = this.cacheModel.findByKey(cacheKey);
+    if (this.mode === 'replay' && !row) {
+      throw new CacheMissError(call, cacheKey);
+    }
+    if (!row || (this.mode === 'on' && ApiCacheModel.isExpired(row, this.now()))) return null;
+
+    this.cacheModel.recordHit(cacheKey, this.now());
+    this.hits++;
+    return { status: row.status_code, statusText: 'OK', headers: {}, data: JSON.parse(row.response), cached: true };
+  }
+
+  // Store a successful response for the provider's cacheTtlHours (SEMrush "ERROR ..." bodies are not cached)
+  store(call, response) {
+    if (this.mode === 'off' || this.mode === 'replay') return;
+    if (response.status < 200 || response.status >= 300) return;
+    if (typeof response.data === 'string' && response.data.startsWith('ERROR')) return;
+
+    const ttlHours = httpConfigFor(call.provider).cacheTtlHours;
+    if (!ttlHours) return;
+
+    const request = ResponseCache.requestOf(call);
+    const createdAt = this.now();
+    try {
+      this.cacheModel.store({
+        cacheKey: ResponseCache.hashRequest(request),
+        provider: call.provider,
+        endpoint: call.params?.type || endpointOf(call.url),
+        model: request.model,
+        request,
+        statusCode: response.status,
+        response: response.data,
+        createdAt,
+        expiresAt: new Date(createdAt.getTime() + ttlHours * HOUR_MS)
+      });
+      this.stored++;
+    } catch (error) {
+      // A cache that can't be written never fails the call itself
+      console.warn(`⚠️ Response not cached: ${error.message}`);
+    }
+  }
+
+  // Hits and stored responses of this run
+  summary() {
+    return { mode: this.mode, hits: this.hits, stored: this.stored };
+  }
+
+  // Entries, hits and size per provider
+  stats() {
+    return this.cacheModel.getStats(this.now());
+  }
+
+  /**
+   * Delete cached responses
+   * @param {Object} [filter]
+   * @param {string} [filter.provider] - Only this provider's
+   * @param {boolean} [filter.expiredOnly] - Only those past their TTL
+   * @returns {number} Entries deleted
+   */
+  clear({ provider, expiredOnly = false } = {}) {
+    return this.cacheModel.clear({ provider, expiredOnly, now: this.now() });
+  }
+
+  /**
+   * Cached responses as a fixture document, for `kwt cache export` and test fixtures
+   * @param {Object} [filter]
+   * @param {string} [filter.provider]
+   * @returns {{version: number, entries: Array<Object>}}
+   */
+  exportEntries({ provider } = {}) {
+    return {
+      version: FIXTURE_VERSION,
+      entries: this.cacheModel.findEntries({ provider }).map(row => ({
+        cache_key: row.cache_key,
+        provider: row.provider,
+        endpoint: row.endpoint,
+        model: row.model,
+        request: JSON.parse(row.request),
+        status_code: row.status_code,
+        response: JSON.parse(row.response),
+        created_at: row.created_at
+      }))
+    };
+  }
+
+  /**
+   * Load exported entries. Keys are computed again from each request, and imported entries
+   * never expire.
+   * @param {{version: number, entries: Array<Object>}} document
+   * @returns {number} Entries imported
+   */
+  importEntries(document) {
+    if (!document || !Array.isArray(document.entries)) {
+      throw new Error('Not a cache export: expected { version, entries: [...] }');
+    }
+    if (document.version !== FIXTURE_VERSION) {
+      throw new Error(`Unsupported cache export version ${document.version} (expected ${FIXTURE_VERSION})`);
+    }
+
+    const importAll = this.cacheModel.db.transaction(entries => {
+      entries.forEach(entry => {
+        this.cacheModel.store({
+          cacheKey: ResponseCache.hashRequest(entry.request),
+          provider: entry.provider,
+          endpoint: entry.endpoint,
+          model: entry.model,
+          request: entry.request,
+          statusCode: entry.status_code ?? 200,
+          response: entry.response,
+          expiresAt: null
+        });
+      });
+    });
+    importAll(document.entries);
+    return document.entries.length;
+  }
+}
+
+module.exports = { ResponseCache, CacheMissError, CACHE_MODES, canonicalJson };
@@ -0,0 +1,284 @@
+// Compares two processing runs of the same project (typically a rescrape against the run before it)
+class RunDiffService {
+  /**
+   * @param {Object} db - better-sqlite3 connection
+   * @param {Object} [options]
+   * @param {number} [options.volumeChangeThreshold=0.2] - Relative search volume change worth reporting
+   * @param {number} [options.clusterResizeThreshold=0.5] - Relative cluster size change worth reporting
+   * @param {number} [options.clusterMatchThreshold=0.3] - Min keyword overlap (Jaccard) for two clusters to be the same
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.volumeChangeThreshold = options.volumeChangeThreshold ?? 0.2;
+    this.clusterResizeThreshold = options.clusterResizeThreshold ?? 0.5;
+    this.clusterMatchThreshold = options.clusterMatchThreshold ?? 0.3;
+  }
+
+  // Keywords are matched across runs by their normalized text
+  static normalizeKeyword(keyword) {
+    return String(keyword || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  // Completed runs that have raw keyword data, newest first
+  getComparableRuns(projectId) {
+    return this.db.prepare(`
+      SELECT pr.id, pr.run_type, pr.scrape_date, pr.completed_at, COUNT(rk.id) AS keyword_count
+      FROM processing_runs pr
+      INNER JOIN raw_keywords rk ON rk.run_id = pr.id
+      WHERE pr.project_id = ? AND pr.status = 'completed'
+      GROUP BY pr.id
+      ORDER BY pr.id DESC
+    `).all(projectId);
+  }
+
+  /**
+   * Pick the runs to compare; defaults to the latest run against the one before it
+   * @returns {{from: Object, to: Object}}
+   */
+  resolveRuns(projectId, { from, to } = {}) {
+    const runs = this.getComparableRuns(projectId);
+    const findRun = (id) => {
+      const run = runs.find(r => r.id === parseInt(id, 10));
+      if (!run) {
+        throw new Error(`Run ${id} is not a completed run with keywords in project ${projectId}`);
+      }
+      return run;
+    };
+
+    const toRun = to ? findRun(to) : runs[0];
+    if (!toRun) {
+      throw new Error(`Project ${projectId} has no completed runs to compare`);
+    }
+
+    const fromRun = from ? findRun(from) : runs.find(r => r.id < toRun.id);
+    if (!fromRun) {
+      throw new Error(`Project ${projectId} has no earlier run to compare run ${toRun.id} against`);
+    }
+    if (fromRun.id === toRun.id) {
+      throw new Error('Choose two different runs to compare');
+    }
+
+    return { from: fromRun, to: toRun };
+  }
+
+  // Raw keyword metrics for a run keyed by normalized keyword (best position wins on duplicates)
+  loadKeywords(runId) {
+    const rows = this.db.prepare(`
+      SELECT keyword, position, previous_position, search_volume, cpc, url
+      FROM raw_keywords
+      WHERE run_id = ?
+    `).all(runId);
+
+    const keywords = new Map();
+    rows.forEach(row => {
+      const key = RunDiffService.normalizeKeyword(row.keyword);
+      if (!key) return;
+      const existing = keywords.get(key);
+      if (!existing || (row.position && (!existing.position || row.position < existing.position))) {
+        keywords.set(key, { ...row, keyword: key });
+      }
+    });
+
+    return keywords;
+  }
+
+  // Cluster membership for a run from the processed keywords table
+  loadClusters(runId) {
+    const rows = this.db.prepare(`
+      SELECT cluster_id, cluster_name, keyword, search_volume
+      FROM keywords
+      WHERE run_id = ? AND cluster_id IS NOT NULL
+    `).all(runId);
+
+    const clusters = new Map();
+    rows.forEach(row => {
+      if (!clusters.has(row.cluster_id)) {
+        clusters.set(row.cluster_id, {
+          cluster_id: row.cluster_id,
+          name: row.cluster_name || `Cluster ${row.cluster_id}`,
+          keywords: new Set(),
+          total_search_volume: 0
+        });
+      }
+      const cluster = clusters.get(row.cluster_id);
+      cluster.keywords.add(RunDiffService.normalizeKeyword(row.keyword));
+      cluster.total_search_volume += row.search_volume || 0;
+    });
+
+    return [...clusters.values()];
+  }
+
+  compareKeywords(fromKeywords, toKeywords) {
+    const added = [];
+    const lost = [];
+    const gains = [];
+    const drops = [];
+    const volumeChanges = [];
+
+    toKeywords.forEach((current, key) => {
+      const previous = fromKeywords.get(key);
+      if (!previous) {
+        added.push({
+          keyword: key,
+          position: current.position,
+          search_volume: current.search_volume,
+          url: current.url
+        });
+        return;
+      }
+
+      // Prefer the position we recorded last run; fall back to SEMrush's previous_position
+      const fromPosition = previous.position || current.previous_position;
+      if (fromPosition && current.position && fromPosition !== current.position) {
+        const change = {
+          keyword: key,
+          from_position: fromPosition,
+          to_position: current.position,
+          change: fromPosition - current.position,
+          search_volume: current.search_volume
+        };
+        (change.change > 0 ? gains : drops).push(change);
+      }
+
+      const fromVolume = previous.search_volume || 0;
+      const toVolume = current.search_volume || 0;
+      const relativeChange = fromVolume > 0 ? (toVolume - fromVolume) / fromVolume : (toVolume > 0 ? 1 : 0);
+      if (Math.abs(relativeChange) >= this.volumeChangeThreshold) {
+        volumeChanges.push({
+          keyword: key,
+          from_volume: fromVolume,
+          to_volume: toVolume,
+          change: toVolume - fromVolume,
+          change_percent: Math.round(relativeChange * 100)
+        });
+      }
+    });
+
+    fromKeywords.forEach((previous, key) => {
+      if (!toKeywords.has(key)) {
+        lost.push({
+          keyword: key,
+          position: previous.position,
+          search_volume: previous.search_volume,
+          url: previous.url
+        });
+      }
+    });
+
+    const byVolume = (a, b) => (b.search_volume || 0) - (a.search_volume || 0);
+    return {
+      new: added.sort(byVolume),
+      lost: lost.sort(byVolume),
+      gains: gains.sort((a, b) => b.change - a.change),
+      drops: drops.sort((a, b) => a.change - b.change),
+      volumeChanges: volumeChanges.sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+    };
+  }
+
+  // Clusters are matched by keyword overlap because names are regenerated on every run
+  compareClusters(fromClusters, toClusters) {
+    const jaccard = (a, b) => {
+      let shared = 0;
+      a.forEach(keyword => { if (b.has(keyword)) shared++; });
+      const union = a.size + b.size - shared;
+      return union === 0 ? 0 : shared / union;
+    };
+
+    const matchedFrom = new Set();
+    const appeared = [];
+    const resized = [];
+
+    toClusters.forEach(current => {
+      let best = null;
+      let bestScore = 0;
+      fromClusters.forEach(previous => {
+        const score = jaccard(previous.keywords, current.keywords);
+        if (score > bestScore) {
+          best = previous;
+          bestScore = score;
+        }
+      });
+
+      if (!best || bestScore < this.clusterMatchThreshold) {
+        appeared.push({ name: current.name, keyword_count: current.keywords.size, total_search_volume: current.total_search_volume });
+        return;
+      }
+
+      matchedFrom.add(best);
+      const fromSize = best.keywords.size;
+      const toSize = current.keywords.size;
+      const relativeChange = (toSize - fromSize) / fromSize;
+      if (Math.abs(relativeChange) >= this.clusterResizeThreshold) {
+        resized.push({
+          name: current.name,
+          previous_name: best.name,
+          from_count: fromSize,
+          to_count: toSize,
+          change_percent: Math.round(relativeChange * 100),
+          overlap: Math.round(bestScore * 100) / 100
+        });
+      }
+    });
+
+    const disappeared = fromClusters
+      .filter(previous => !matchedFrom.has(previous))
+      .map(previous => ({ name: previous.name, keyword_count: previous.keywords.size, total_search_volume: previous.total_search_volume }));
+
+    const bySize = (a, b) => b.keyword_count - a.keyword_count;
+    return {
+      appeared: appeared.sort(bySize),
+      disappeared: disappeared.sort(bySize),
+      resized: resized.sort((a, b) => Math.abs(b.change_percent) - Math.abs(a.change_percent))
+    };
+  }
+
+  /**
+   * Build the diff report between two runs of a project
+   * @param {number} projectId
+   * @param {Object} [options]
+   * @param {number} [options.from] - Older run id (defaults to the run before `to`)
+   * @param {number} [options.to] - Newer run id (defaults to the latest completed run)
+   * @param {number} [options.limit=50] - Max entries per keyword list
+   * @returns {Object} Summary counts plus keyword and cluster details
+   */
+  diffRuns(projectId, { from, to, limit = 50 } = {}) {
+    const runs = this.resolveRuns(projectId, { from, to });
+    const fromKeywords = this.loadKeywords(runs.from.id);
+    const toKeywords = this.loadKeywords(runs.to.id);
+
+    const keywords = this.compareKeywords(fromKeywords, toKeywords);
+    const clusters = this.compareClusters(this.loadClusters(runs.from.id), this.loadClusters(runs.to.id));
+
+    const totalVolume = (map) => [...map.values()].reduce((sum, k) => sum + (k.search_volume || 0), 0);
+
+    return {
+      project_id: projectId,
+      from: runs.from,
+      to: runs.to,
+      summary: {
+        from_keywords: fromKeywords.size,
+        to_keywords: toKeywords.size,
+        from_search_volume: totalVolume(fromKeywords),
+        to_search_volume: totalVolume(toKeywords),
+        new_keywords: keywords.new.length,
+        lost_keywords: keywords.lost.length,
+        position_gains: keywords.gains.length,
+        position_drops: keywords.drops.length,
+        volume_changes: keywords.volumeChanges.length,
+        clusters_appeared: clusters.appeared.length,
+        clusters_disappeared: clusters.disappeared.length,
+        clusters_resized: clusters.resized.length
+      },
+      keywords: {
+        new: keywords.new.slice(0, limit),
+        lost: keywords.lost.slice(0, limit),
+        gains: keywords.gains.slice(0, limit),
+        drops: keywords.drops.slice(0, limit),
+        volume_changes: keywords.volumeChanges.slice(0, limit)
+      },
+      clusters
+    };
+  }
+}
+
+module.exports = { RunDiffService };
@@ -0,0 +1,129 @@
+// src/services/run-progress-service.js
+// Read the progress of processing runs for the web UI: stage, batch progress, ETA and log lines
+const ProcessingRunModel = require('../database/models/processing-run');
+const ProcessingLogModel = require('../database/models/processing-log');
+const BatchRunModel = require('../database/models/batch-run');
+
+const ACTIVE_STATUSES = ['pending', 'running'];
+
+class RunProgressService {
+  constructor(db) {
+    this.db = db;
+    this.processingRunModel = new ProcessingRunModel(db);
+    this.processingLogModel = new ProcessingLogModel(db);
+    this.batchRunModel = new BatchRunModel(db);
+  }
+
+  // Whether a run is still pending or running
+  static isActive(progress) {
+    return ACTIVE_STATUSES.includes(progress.status);
+  }
+
+  // Milliseconds left, extrapolated from the time spent so far
+  static estimateTimeRemaining(startedAt, progressPercent, now = Date.now()) {
+    const started = startedAt ? new Date(startedAt).getTime() : NaN;
+    if (Number.isNaN(started) || !progressPercent || progressPercent >= 100) return null;
+    const elapsed = now - started;
+    return Math.max(0, Math.ceil(elapsed * (100 - progressPercent) / progressPercent));
+  }
+
+  /**
+   * Current state of a run and of its latest batch session
+   * @param {number} runId
+   * @returns {Object|null} Progress with eta_ms (batch ETA from BatchProcessor.estimateTimeRemaining when batching)
+   */
+  getProgress(runId) {
+    const run = this.processingRunModel.findById(runId);
+    if (!run) return null;
+
+    const batchRun = this.batchRunModel.findLatestByRun(run.id);
+    const batch = batchRun ? {
+      id: batchRun.id,
+      mode: batchRun.batch_mode,
+      status: batchRun.status,
+      stage: batchRun.current_stage,
+      processed_keywords: batchRun.processed_keywords,
+      total_keywords: batchRun.total_keywords,
+      current_batch: batchRun.current_batch,
+      total_batches: batchRun.total_batches,
+      progress_percent: batchRun.stage_progress,
+      eta_ms: batchRun.estimated_completion
+        ? Math.max(0, new Date(batchRun.estimated_completion).getTime() - Date.now())
+        : null
+    } : null;
+
+    const active = ACTIVE_STATUSES.includes(run.status);
+    const batchActive = batch && ACTIVE_STATUSES.concat('paused').includes(batch.status);
+    return {
+      run_id: run.id,
+      project_id: run.project_id,
+      run_type: run.run_type,
+      status: run.status,
+      stage: run.current_stage,
+      completed_stages: run.completed_stages,
+      total_stages: run.total_stages,
+      progress_percent: run.progress_percent || 0,
+      started_at: run.started_at,
+      completed_at: run.completed_at,
+      error_message: run.error_message,
+      eta_ms: !active
+        ? null
+        : batchActive && batch.eta_ms !== null
+          ? batch.eta_ms
+          : RunProgressService.estimateTimeRemaining(run.started_at, run.progress_percent),
+      batch
+    };
+  }
+
+  // Log lines of a run after a given log id
+  getLogs(runId, afterId = 0, limit = 200) {
+    return this.processingLogModel.findByRun(runId, { afterId, limit }).map(RunProgressService.toLogEvent);
+  }
+
+  // Most recent log lines of a run
+  getRecentLogs(runId, limit = 50) {
+    return this.processingLogModel.findRecent(runId, limit).map(RunProgressService.toLogEvent);
+  }
+
+  // Pending and running runs with their project name and progress
+  getActiveRuns() {
+    const placeholders = ACTIVE_STATUSES.map(() => '?').join(', ');
+    return this.db.prepare(`
+      SELECT pr.id, p.name as project_name
+      FROM processing_runs pr
+      JOIN projects p ON p.id = pr.project_id
+      WHERE pr.status IN (${placeholders})
+      ORDER BY pr.id DESC
+    `).all(...ACTIVE_STATUSES).map(row => ({
+      ...this.getProgress(row.id),
+      project_name: row.project_name
+    }));
+  }
+
+  // Event types to send for the change between two progress snapshots
+  static changes(previous, current) {
+    const events = [];
+    if (previous.stage !== current.stage) events.push('stage');
+    if (previous.progress_percent !== current.progress_percent ||
+      previous.batch?.processed_keywords !== current.batch?.processed_keywords ||
+      previous.batch?.stage !== current.batch?.stage) {
+      events.push('progress');
+    }
+    if (previous.status !== current.status) events.push('status');
+    return events;
+  }
+
+  // Log row as sent to the browser
+  static toLogEvent(row) {
+    return {
+      id: row.id,
+      stage: row.stage,
+      level: row.level,
+      message: row.message,
+      details: row.details ? JSON.parse(row.details) : null,
+      timestamp: row.timestamp
+    };
+  }
+}
+
+module.exports = { RunProgressService };
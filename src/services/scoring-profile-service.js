@@ -0,0 +1,128 @@
+// src/services/scoring-profile-service.js
+// Resolve a project's scoring profile and re-score stored runs without re-fetching or re-clustering
+const KeywordModel = require('../database/models/keyword');
+const ProjectModel = require('../database/models/project');
+const ProcessingRunModel = require('../database/models/processing-run');
+const ScoringProfileModel = require('../database/models/scoring-profile');
+const { PriorityScoringService } = require('./priority-scoring-service');
+const { PriorityAnalysisService } = require('./priority-analysis-service');
+const { DEFAULT_SCORING_PROFILE } = require('../../cli/config/clustering');
+
+class ScoringProfileService {
+  constructor(db) {
+    this.db = db;
+    this.profileModel = new ScoringProfileModel(db);
+    this.keywordModel = new KeywordModel(db);
+    this.processingRunModel = new ProcessingRunModel(db);
+  }
+
+  // Name of the profile a project scores with by default
+  static defaultProfileName(project) {
+    const configuration = ProjectModel.configurationOf(project);
+    return configuration.scoringProfile || DEFAULT_SCORING_PROFILE;
+  }
+
+  /**
+   * Look up a profile by name, or the project's default profile
+   * @param {Object} project - Project row
+   * @param {string} [name]
+   * @returns {Object} Profile with parsed weights, thresholds and factors
+   */
+  resolve(project, name) {
+    const profileName = name || ScoringProfileService.defaultProfileName(project);
+    const profile = this.profileModel.findByName(profileName, project.id);
+    if (!profile) {
+      const available = this.profileModel.findForProject(project.id).map(p => p.name);
+      throw new Error(`Unknown scoring profile "${profileName}". Available: ${available.join(', ')}`);
+    }
+    return profile;
+  }
+
+  // Scoring settings a run was scored with, for processing_stats
+  static describe(profile, keywords) {
+    const tiers = { high: 0, medium: 0, low: 0 };
+    keywords.forEach(keyword => {
+      if (tiers[keyword.priority_tier] !== undefined) tiers[keyword.priority_tier]++;
+    });
+    return {
+      profile: profile.name,
+      weights: profile.weights,
+      thresholds: profile.thresholds,
+      factors: profile.factors,
+      tiers,
+      scored_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Recalculate priority scores, ranks and tiers of a stored run with another profile
+   * @param {Object} project - Project row
+   * @param {Object} [options]
+   * @param {number} [options.runId] - Defaults to the project's latest run with keywords
+   * @param {string} [options.profile] - Profile name, defaults to the project's default profile
+   * @returns {Promise<Object>} Scoring summary with tier counts, tier changes, priority analysis and the top keywords
+   */
+  async rescoreRun(project, { runId, profile: profileName } = {}) {
+    const profile = this.resolve(project, profileName);
+    const targetRunId = runId || this.keywordModel.getLatestRunId(project.id);
+    const keywords = targetRunId
+      ? this.keywordModel.findAll({ project_id: project.id, run_id: targetRunId })
+      : [];
+    if (keywords.length === 0) {
+      throw new Error(runId ? `Run ${runId} has no keywords in project ${project.id}` : 'No processed keywords found for this project');
+    }
+
+    // Keywords reference keyword_clusters.id, so index the clusters the same way
+    const clusters = {};
+    this.db.prepare('SELECT id, cluster_name, coherence_score FROM keyword_clusters WHERE run_id = ?')
+      .all(targetRunId)
+      .forEach(cluster => {
+        clusters[cluster.id] = { name: cluster.cluster_name, coherence: cluster.coherence_score || 0 };
+      });
+
+    const previousTiers = new Map(keywords.map(keyword => [keyword.id, keyword.priority_tier]));
+    const scorer = new PriorityScoringService(profile);
+    // Seasonal boosts read the trends as of the run's scrape date
+    const run = this.processingRunModel.findById(targetRunId);
+    const scored = await scorer.calculatePriorityScores(keywords, clusters, { trendsDate: run?.scrape_date });
+
+    const update = this.db.prepare(`
+      UPDATE keywords
+      SET priority_score = ?, priority_rank = ?, priority_tier = ?,
+          difficulty_score = ?, opportunity_score = ?, business_value_score = ?
+      WHERE id = ?
+    `);
+    this.db.transaction(() => {
+      scored.forEach(keyword => {
+        update.run(
+          keyword.priority_score,
+          keyword.priority_rank,
+          keyword.priority_tier,
+          keyword.difficulty_score,
+          keyword.opportunity_score,
+          keyword.business_value_score,
+          keyword.id
+        );
+      });
+    })();
+
+    const scoring = ScoringProfileService.describe(profile, scored);
+    this.processingRunModel.recordScoring(targetRunId, scoring);
+    const analysis = new PriorityAnalysisService(this.db).analyzeRun(project.id, targetRunId, scoring);
+
+    return {
+      runId: targetRunId,
+      ...scoring,
+      keywordCount: scored.length,
+      tierChanges: scored.filter(keyword => previousTiers.get(keyword.id) !== keyword.priority_tier).length,
+      priorityAnalysis: PriorityAnalysisService.summarize(analysis),
+      top: scored.slice(0, 10).map(keyword => ({
+        keyword: keyword.keyword,
+        priority_score: keyword.priority_score,
+        priority_tier: keyword.priority_tier
+      }))
+    };
+  }
+}
+
+module.exports = { ScoringProfileService };
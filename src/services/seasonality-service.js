@@ -0,0 +1,201 @@
+// src/services/seasonality-service.js
+// Turn SEMrush's 12-month Trends column into a monthly curve, find peak months and flag
+// seasonal keywords and clusters
+const { SEASONALITY_DEFAULTS } = require('../../cli/config/clustering');
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+class SeasonalityService {
+  /**
+   * @param {Object} [db] - better-sqlite3 connection (only needed for analyzeRun)
+   * @param {Object} [config] - Overrides for SEASONALITY_DEFAULTS
+   */
+  constructor(db = null, config = {}) {
+    this.db = db;
+    this.config = { ...SEASONALITY_DEFAULTS, ...config };
+  }
+
+  /**
+   * Parse a Trends value ("0.54,0.66,0.81,1.00,...", oldest month first)
+   * @returns {Array<number>|null} The last 12 values, or null without a full year of interest
+   */
+  static parseTrends(trends) {
+    if (Array.isArray(trends)) return trends.length >= 12 ? trends.slice(-12).map(Number) : null;
+    if (!trends || typeof trends !== 'string') return null;
+
+    const values = trends.split(/[,;\s]+/).filter(Boolean).map(Number);
+    if (values.length < 12 || values.some(value => !Number.isFinite(value) || value < 0)) return null;
+    return values.slice(-12);
+  }
+
+  /**
+   * Trend values by calendar month (index 0 is January), normalized so the average month is 1.
+   * SEMrush's year ends with the month before the data was fetched.
+   * @param {Array<number>} values - 12 values, oldest first
+   * @param {Date|string} referenceDate - When the trends were fetched (scrape date)
+   * @returns {Array<number>|null} Null when the keyword had no interest all year
+   */
+  static monthlyCurve(values, referenceDate) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    if (!mean) return null;
+
+    const lastMonth = (SeasonalityService.monthOf(referenceDate) + 11) % 12;
+    const curve = new Array(12);
+    values.forEach((value, index) => {
+      curve[(lastMonth - (values.length - 1 - index) + 24) % 12] = Math.round((value / mean) * 1000) / 1000;
+    });
+    return curve;
+  }
+
+  // Month index (0-11) of a Date or a date string; "YYYY-MM-DD" scrape dates are read as written
+  static monthOf(date) {
+    const match = typeof date === 'string' && /^\d{4}-(\d{2})/.exec(date);
+    return match ? Number(match[1]) - 1 : new Date(date).getMonth();
+  }
+
+  // Month names of a list of month numbers (1-12)
+  static describeMonths(months) {
+    return months.map(month => MONTH_NAMES[month - 1]).join(', ');
+  }
+
+  // Peak months (1-12), how far the peak rises above the average month and whether that makes it seasonal
+  analyzeCurve(curve) {
+    const peak = Math.max(...curve);
+    const low = Math.min(...curve);
+    const peakMonths = curve
+      .map((value, index) => (value >= peak * this.config.peakMonthShare ? index + 1 : null))
+      .filter(Boolean);
+
+    return {
+      curve,
+      peak_month: curve.indexOf(peak) + 1,
+      peak_months: peakMonths,
+      peak_ratio: Math.round(peak * 100) / 100,
+      // 0 for a flat year, 1 when some month had no interest at all
+      amplitude: Math.round((1 - low / peak) * 100) / 100,
+      is_seasonal: peak >= this.config.seasonalPeakRatio
+    };
+  }
+
+  /**
+   * Seasonality of one keyword
+   * @param {string|Array<number>} trends - Trends value of the keyword
+   * @param {Date|string} [referenceDate] - When the trends were fetched
+   * @returns {Object|null} Null without usable trend data
+   */
+  analyze(trends, referenceDate = new Date()) {
+    const values = SeasonalityService.parseTrends(trends);
+    const curve = values && SeasonalityService.monthlyCurve(values, referenceDate);
+    return curve ? this.analyzeCurve(curve) : null;
+  }
+
+  // Months from a date until the nearest peak month (0 when the date is in a peak month)
+  static monthsUntilPeak(analysis, date = new Date()) {
+    const month = SeasonalityService.monthOf(date) + 1;
+    return Math.min(...analysis.peak_months.map(peak => (peak - month + 12) % 12));
+  }
+
+  /**
+   * How much a keyword gains from an upcoming peak: the seasonal amplitude, fading with the
+   * months left until the peak and 0 beyond the window or for keywords that are not seasonal
+   * @returns {number} Between 0 and 1
+   */
+  static upcomingPeakScore(analysis, date, window) {
+    if (!analysis || !analysis.is_seasonal) return 0;
+    const months = SeasonalityService.monthsUntilPeak(analysis, date);
+    if (months > window) return 0;
+    return analysis.amplitude * (1 - months / (window + 1));
+  }
+
+  /**
+   * Seasonality of clusters from their keywords' curves, weighted by search volume
+   * @param {Array<Object>} keywords - With cluster_id, search_volume, trends and optionally cluster_name
+   * @param {Date|string} [referenceDate] - When the trends were fetched
+   * @returns {Array<Object>} One entry per cluster with trend data, seasonal clusters first
+   */
+  analyzeClusters(keywords, referenceDate = new Date()) {
+    const clusters = new Map();
+    keywords.forEach(keyword => {
+      if (keyword.cluster_id == null) return;
+      const analysis = this.analyze(keyword.trends, referenceDate);
+      if (!analysis) return;
+
+      if (!clusters.has(keyword.cluster_id)) {
+        clusters.set(keyword.cluster_id, {
+          cluster_id: keyword.cluster_id,
+          cluster_name: keyword.cluster_name || `Cluster ${keyword.cluster_id}`,
+          keyword_count: 0,
+          seasonal_keywords: 0,
+          weighted: new Array(12).fill(0)
+        });
+      }
+      const cluster = clusters.get(keyword.cluster_id);
+      const weight = Math.max(keyword.search_volume || 0, 1);
+      cluster.keyword_count++;
+      if (analysis.is_seasonal) cluster.seasonal_keywords++;
+      analysis.curve.forEach((value, month) => {
+        cluster.weighted[month] += value * weight;
+      });
+    });
+
+    return [...clusters.values()]
+      .map(({ weighted, ...cluster }) => {
+        const mean = weighted.reduce((sum, value) => sum + value, 0) / 12;
+        const curve = weighted.map(value => Math.round((value / mean) * 1000) / 1000);
+        return { ...cluster, ...this.analyzeCurve(curve) };
+      })
+      .sort((a, b) => Number(b.is_seasonal) - Number(a.is_seasonal) || b.peak_ratio - a.peak_ratio);
+  }
+
+  /**
+   * Seasonal keywords and clusters of a stored run, with the months until their peaks
+   * @param {number} projectId
+   * @param {number} runId
+   * @param {Object} [options]
+   * @param {Date} [options.date] - Date upcoming peaks are counted from (defaults to today)
+   * @param {number} [options.limit=100] - Max seasonal keywords listed
+   * @returns {Object} Summary, seasonal keywords (nearest peak first) and clusters
+   */
+  analyzeRun(projectId, runId, { date = new Date(), limit = 100 } = {}) {
+    const run = this.db.prepare('SELECT id, scrape_date FROM processing_runs WHERE id = ? AND project_id = ?').get(runId, projectId);
+    if (!run) {
+      throw new Error(`Run ${runId} not found in project ${projectId}`);
+    }
+
+    const keywords = this.db.prepare(`
+      SELECT id, keyword, search_volume, trends, cluster_id, cluster_name, priority_tier
+      FROM keywords
+      WHERE project_id = ? AND run_id = ?
+    `).all(projectId, runId);
+
+    let withTrends = 0;
+    const seasonal = [];
+    keywords.forEach(keyword => {
+      const analysis = this.analyze(keyword.trends, run.scrape_date);
+      if (!analysis) return;
+      withTrends++;
+      if (!analysis.is_seasonal) return;
+      const { trends, ...rest } = keyword;
+      seasonal.push({ ...rest, ...analysis, months_until_peak: SeasonalityService.monthsUntilPeak(analysis, date) });
+    });
+    seasonal.sort((a, b) => a.months_until_peak - b.months_until_peak || (b.search_volume || 0) - (a.search_volume || 0));
+
+    const clusters = this.analyzeClusters(keywords, run.scrape_date)
+      .map(cluster => ({ ...cluster, months_until_peak: SeasonalityService.monthsUntilPeak(cluster, date) }));
+
+    return {
+      run_id: run.id,
+      scrape_date: run.scrape_date,
+      summary: {
+        keywords: keywords.length,
+        keywords_with_trends: withTrends,
+        seasonal_keywords: seasonal.length,
+        seasonal_clusters: clusters.filter(cluster => cluster.is_seasonal).length
+      },
+      keywords: seasonal.slice(0, limit),
+      clusters
+    };
+  }
+}
+
+module.exports = { SeasonalityService, MONTH_NAMES };
@@ -0,0 +1,189 @@
+// src/services/title-content-service.js
+// Outlines and meta descriptions for generated titles, stored in generated_content next to the
+// title they belong to (metadata.title_id); generating again replaces the previous version
+const ProjectModel = require('../database/models/project');
+const GeneratedContentModel = require('../database/models/generated-content');
+const { OutlineGenerator } = require('../generators/outline-generator');
+const { MetaDescriptionGenerator } = require('../generators/meta-description-generator');
+const { BrandService } = require('./brand-service');
+const { createLLMProvider, llmConfigForProject } = require('../llm');
+
+const TITLE_CONTENT_TYPES = ['outline', 'meta_description'];
+
+class TitleContentService {
+  /**
+   * @param {Object} db - better-sqlite3 connection
+   * @param {Object} [options] - Generator instances, or the LLM provider to build them with
+   *   (defaults to the project's LLM settings)
+   */
+  constructor(db, { outlineGenerator, metaDescriptionGenerator, llmProvider } = {}) {
+    this.db = db;
+    this.projectModel = new ProjectModel(db);
+    this.contentModel = new GeneratedContentModel(db);
+    this.outlineGenerator = outlineGenerator || null;
+    this.metaDescriptionGenerator = metaDescriptionGenerator || null;
+    this.llmProvider = llmProvider || null;
+  }
+
+  // The injected generator for a type, or one using the project's LLM
+  generatorFor(type, project) {
+    const injected = type === 'outline' ? this.outlineGenerator : this.metaDescriptionGenerator;
+    if (injected) return injected;
+    const llmProvider = this.llmProvider || createLLMProvider(llmConfigForProject(project));
+    return type === 'outline' ? new OutlineGenerator({ llmProvider }) : new MetaDescriptionGenerator({ llmProvider });
+  }
+
+  // Parse metadata and related_keywords
+  static toContent(row) {
+    if (!row) return null;
+    const parse = value => {
+      try {
+        return value ? JSON.parse(value) : null;
+      } catch {
+        return null;
+      }
+    };
+    return { ...row, metadata: parse(row.metadata) || {}, related_keywords: parse(row.related_keywords) || [] };
+  }
+
+  // A title with its cluster name, primary keyword and the cluster's top keywords
+  loadTitleContext(projectId, titleId) {
+    const title = this.db.prepare(`
+      SELECT gc.*, kc.cluster_name, k.keyword AS primary_keyword
+      FROM generated_content gc
+      LEFT JOIN keyword_clusters kc ON kc.id = gc.cluster_id
+      LEFT JOIN keywords k ON k.id = gc.primary_keyword_id
+      WHERE gc.project_id = ? AND gc.id = ? AND gc.content_type = 'title'
+    `).get(projectId, titleId);
+    if (!title) return null;
+
+    const project = this.projectModel.findById(title.project_id);
+    const excludeBranded = BrandService.configForProject(project).excludeFromTitles;
+    const keywords = title.cluster_id ? this.db.prepare(`
+      SELECT keyword FROM keywords
+      WHERE cluster_id = ? ${excludeBranded ? 'AND contains_brand = 0' : ''}
+      ORDER BY priority_score DESC, search_volume DESC
+      LIMIT 15
+    `).all(title.cluster_id).map(row => row.keyword) : [];
+
+    return {
+      project,
+      title,
+      cluster: { name: title.cluster_name || 'Uncategorized', keywords }
+    };
+  }
+
+  // The stored outline and meta description of a title (null when not generated yet)
+  getForTitle(projectId, titleId) {
+    const rows = this.db.prepare(`
+      SELECT * FROM generated_content
+      WHERE project_id = ? AND content_type IN ('outline', 'meta_description')
+        AND json_extract(metadata, '$.title_id') = ?
+      ORDER BY id DESC
+    `).all(projectId, Number(titleId));
+    return Object.fromEntries(TITLE_CONTENT_TYPES.map(type => [
+      type,
+      TitleContentService.toContent(rows.find(row => row.content_type === type))
+    ]));
+  }
+
+  // Titles of a project with a stored outline or meta description, by title id
+  listGenerated(projectId) {
+    const byTitle = {};
+    this.db.prepare(`
+      SELECT json_extract(metadata, '$.title_id') AS title_id, content_type
+      FROM generated_content
+      WHERE project_id = ? AND content_type IN ('outline', 'meta_description')
+    `).all(projectId).forEach(row => {
+      (byTitle[row.title_id] = byTitle[row.title_id] || []).push(row.content_type);
+    });
+    return byTitle;
+  }
+
+  /**
+   * Generate and store an outline or meta description for a title, replacing the previous one
+   * @param {number} projectId
+   * @param {number} titleId
+   * @param {string} type - outline | meta_description
+   * @returns {Promise<Object|null>} The stored content, or null when the title does not exist
+   */
+  async generate(projectId, titleId, type) {
+    if (!TITLE_CONTENT_TYPES.includes(type)) {
+      throw new Error(`Content type must be one of ${TITLE_CONTENT_TYPES.join(', ')}`);
+    }
+    const context = this.loadTitleContext(projectId, titleId);
+    if (!context) return null;
+    const { project, title, cluster } = context;
+    const generator = this.generatorFor(type, project);
+
+    let content;
+    let metadata;
+    if (type === 'outline') {
+      const outline = await generator.generateOutline(title.content, cluster);
+      content = outline.markdown;
+      metadata = { title_id: title.id, sections: outline.sections };
+    } else {
+      const meta = await generator.generateMetaDescription(title.content, cluster, title.primary_keyword);
+      content = meta.description;
+      metadata = { title_id: title.id, alternatives: meta.alternatives };
+    }
+    const aiModel = generator.config.model || generator.llmProvider?.model;
+
+    return this.contentModel.transaction(() => {
+      this.db.prepare(`
+        DELETE FROM generated_content
+        WHERE project_id = ? AND content_type = ? AND json_extract(metadata, '$.title_id') = ?
+      `).run(title.project_id, type, title.id);
+      const row = this.contentModel.create({
+        project_id: title.project_id,
+        run_id: title.run_id,
+        content_type: type,
+        content,
+        primary_keyword_id: title.primary_keyword_id,
+        related_keywords: cluster.keywords,
+        cluster_id: title.cluster_id,
+        ai_model: aiModel || 'gpt-4o-mini',
+        word_count: content.split(/\s+/).filter(Boolean).length,
+        character_count: content.length,
+        metadata
+      });
+      return TitleContentService.toContent(row);
+    });
+  }
+
+  /**
+   * Generate content of the given types for several titles, one request at a time
+   * @param {number} projectId
+   * @param {Array<number>} titleIds
+   * @param {Array<string>} types - outline and/or meta_description
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with (title id, type, error) after each request
+   * @param {AbortSignal} [options.signal] - Stops before the next title when aborted
+   * @param {ApiUsageTracker} [options.usage] - Stops before the next title once a budget is reached
+   * @returns {Promise<{generated: number, failed: number, missing: number}>}
+   */
+  async generateForTitles(projectId, titleIds, types, { onProgress, signal, usage } = {}) {
+    const summary = { generated: 0, failed: 0, missing: 0 };
+    for (const titleId of titleIds) {
+      for (const type of types) {
+        signal?.throwIfAborted();
+        usage?.throwIfExceeded();
+        try {
+          const content = await this.generate(projectId, titleId, type);
+          if (content) {
+            summary.generated++;
+          } else {
+            summary.missing++;
+          }
+          onProgress?.(titleId, type, content ? null : new Error('Title not found'));
+        } catch (error) {
+          summary.failed++;
+          onProgress?.(titleId, type, error);
+        }
+      }
+    }
+    return summary;
+  }
+}
+
+module.exports = { TitleContentService, TITLE_CONTENT_TYPES };
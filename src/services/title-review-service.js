@@ -0,0 +1,194 @@
+// src/services/title-review-service.js
+// Editorial review of generated titles: draft → approved → assigned → published, or rejected,
+// with edits, notes and status changes kept in generated_content_history
+const GeneratedContentModel = require('../database/models/generated-content');
+
+const TITLE_STATUSES = ['draft', 'approved', 'assigned', 'published', 'rejected'];
+
+// Statuses a title can move to from each status
+const TITLE_TRANSITIONS = {
+  draft: ['approved', 'rejected'],
+  approved: ['assigned', 'published', 'rejected', 'draft'],
+  assigned: ['published', 'approved', 'rejected'],
+  published: ['assigned'],
+  rejected: ['draft']
+};
+
+const MAX_TITLE_LENGTH = 300;
+
+class TitleReviewService {
+  /**
+   * @param {Object} db - better-sqlite3 connection
+   */
+  constructor(db) {
+    this.db = db;
+    this.contentModel = new GeneratedContentModel(db);
+  }
+
+  // Whether a title may move from one status to another
+  static canTransition(from, to) {
+    return (TITLE_TRANSITIONS[from || 'draft'] || []).includes(to);
+  }
+
+  // The legacy flags kept in step with a status: approved once past draft, used once published
+  static flagsForStatus(status) {
+    return {
+      is_approved: ['approved', 'assigned', 'published'].includes(status) ? 1 : 0,
+      is_used: status === 'published' ? 1 : 0
+    };
+  }
+
+  // Empty strings clear a field; URLs must be http(s)
+  static normalizeUrl(value) {
+    const url = String(value ?? '').trim();
+    if (!url) return null;
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error(`Published URL is not a valid URL: "${url}"`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('Published URL must start with http:// or https://');
+    }
+    return url;
+  }
+
+  /**
+   * Move titles to a status; titles that cannot make the transition are skipped
+   * @param {number} projectId
+   * @param {Array<number>} titleIds
+   * @param {string} status - draft | approved | assigned | published | rejected
+   * @param {Object} [options]
+   * @param {string} [options.note] - Reason kept in the history (the "avoid" reason for rejected titles)
+   * @param {string} [options.assignedTo] - Writer the titles are assigned to
+   * @param {string} [options.publishedUrl] - Where the article went live (single title only)
+   * @returns {{updated: Array<Object>, skipped: Array<{id: number, reason: string}>}}
+   */
+  setStatus(projectId, titleIds, status, { note, assignedTo, publishedUrl } = {}) {
+    if (!TITLE_STATUSES.includes(status)) {
+      throw new Error(`Status must be one of ${TITLE_STATUSES.join(', ')}`);
+    }
+    const ids = [...new Set(titleIds.map(Number))];
+    if (ids.length === 0) {
+      throw new Error('At least one title is required');
+    }
+    const url = publishedUrl === undefined ? undefined : TitleReviewService.normalizeUrl(publishedUrl);
+    if (url && ids.length > 1) {
+      throw new Error('A published URL can only be set for one title at a time');
+    }
+
+    return this.contentModel.transaction(() => {
+      const titles = this.contentModel.findTitles(projectId, ids);
+      const found = new Set(titles.map(title => title.id));
+      const skipped = ids.filter(id => !found.has(id)).map(id => ({ id, reason: 'not found' }));
+      const updated = [];
+
+      titles.forEach(title => {
+        const from = title.status || 'draft';
+        if (from === status) {
+          skipped.push({ id: title.id, reason: `already ${status}` });
+          return;
+        }
+        if (!TitleReviewService.canTransition(from, status)) {
+          skipped.push({ id: title.id, reason: `cannot move from ${from} to ${status}` });
+          return;
+        }
+
+        const changes = { status, ...TitleReviewService.flagsForStatus(status) };
+        if (status === 'assigned' && assignedTo !== undefined) {
+          changes.assigned_to = String(assignedTo).trim() || null;
+        }
+        if (status === 'published' && url !== undefined) {
+          changes.published_url = url;
+        }
+
+        this.contentModel.addHistory(title, 'status', from, status, note);
+        ['assigned_to', 'published_url'].forEach(field => {
+          if (field in changes && changes[field] !== title[field]) {
+            this.contentModel.addHistory(title, field, title[field], changes[field]);
+          }
+        });
+        updated.push(this.contentModel.update(title.id, changes));
+      });
+
+      return { updated, skipped };
+    });
+  }
+
+  /**
+   * Edit a title's text, notes, writer or published URL; each changed field is kept in the history
+   * @param {number} projectId
+   * @param {number} titleId
+   * @param {Object} changes
+   * @param {string} [changes.content] - New title text
+   * @param {string} [changes.notes] - Editorial notes (stored in usage_notes)
+   * @param {string} [changes.assignedTo]
+   * @param {string} [changes.publishedUrl]
+   * @returns {Object|null} The updated title, or null when it does not exist
+   */
+  updateTitle(projectId, titleId, { content, notes, assignedTo, publishedUrl } = {}) {
+    const [title] = this.contentModel.findTitles(projectId, [titleId]);
+    if (!title) return null;
+
+    const changes = {};
+    if (content !== undefined) {
+      const text = String(content).replace(/\s+/g, ' ').trim();
+      if (!text) {
+        throw new Error('Title text cannot be empty');
+      }
+      if (text.length > MAX_TITLE_LENGTH) {
+        throw new Error(`Title text cannot be longer than ${MAX_TITLE_LENGTH} characters`);
+      }
+      Object.assign(changes, { content: text, word_count: text.split(' ').length, character_count: text.length });
+    }
+    if (notes !== undefined) changes.usage_notes = String(notes).trim() || null;
+    if (assignedTo !== undefined) changes.assigned_to = String(assignedTo).trim() || null;
+    if (publishedUrl !== undefined) changes.published_url = TitleReviewService.normalizeUrl(publishedUrl);
+
+    const fields = { content: 'content', usage_notes: 'notes', assigned_to: 'assigned_to', published_url: 'published_url' };
+    const changed = Object.keys(fields).filter(column => column in changes && changes[column] !== title[column]);
+    if (changed.length === 0) return title;
+
+    return this.contentModel.transaction(() => {
+      changed.forEach(column => this.contentModel.addHistory(title, fields[column], title[column], changes[column]));
+      return this.contentModel.update(title.id, changes);
+    });
+  }
+
+  // A title with its change history, newest first
+  getHistory(projectId, titleId) {
+    const [title] = this.contentModel.findTitles(projectId, [titleId]);
+    return title ? { title, history: this.contentModel.getHistory(title.id) } : null;
+  }
+
+  // Titles of each status for a project
+  countByStatus(projectId) {
+    const counts = Object.fromEntries(TITLE_STATUSES.map(status => [status, 0]));
+    this.db.prepare(`
+      SELECT COALESCE(status, 'draft') AS status, COUNT(*) AS count
+      FROM generated_content
+      WHERE project_id = ? AND content_type = 'title'
+      GROUP BY 1
+    `).all(projectId).forEach(row => {
+      counts[row.status] = row.count;
+    });
+    return counts;
+  }
+
+  /**
+   * Rejected titles to show the title generator as examples to avoid
+   * @param {number} projectId
+   * @param {Object} [options]
+   * @param {number} [options.clusterId] - Titles of this cluster come first
+   * @param {string} [options.clusterName] - Titles of same-named clusters from other runs come next
+   * @param {number} [options.limit=10]
+   * @returns {Array<{content: string, reason: string|null}>}
+   */
+  getAvoidExamples(projectId, options = {}) {
+    return this.contentModel.findRejected(projectId, options)
+      .map(({ content, reason }) => ({ content, reason }));
+  }
+}
+
+module.exports = { TitleReviewService, TITLE_STATUSES, TITLE_TRANSITIONS };
@@ -0,0 +1,142 @@
+const axios = require('axios');
+const Database = require('better-sqlite3');
+const DatabaseSchema = require('../src/database/schema');
+const ApiUsageModel = require('../src/database/models/api-usage');
+const { HttpClient, withRequestContext } = require('../src/http');
+const {
+  ApiUsageService,
+  ApiUsageTracker,
+  measureCall,
+  estimateRequestCost
+} = require('../src/services/api-usage-service');
+
+jest.mock('axios');
+
+const SEMRUSH_CSV = 'Keyword;Position;Search Volume\nbuy shoes;3;1000\nshoe store;7;800\n';
+
+describe('API usage tracking', () => {
+  let db;
+  let project;
+  let client;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    DatabaseSchema.createTables(db);
+    db.prepare(`
+      INSERT INTO projects (name, slug, project_type, domain, configuration)
+      VALUES ('shop', 'shop', 'domain', 'shop.com', '{"budget":{"perMonth":1}}')
+    `).run();
+    db.prepare("INSERT INTO processing_runs (project_id, run_type, status, scrape_date) VALUES (1, 'create', 'running', date('now'))").run();
+    project = db.prepare('SELECT * FROM projects WHERE id = 1').get();
+    client = new HttpClient('openai', { maxRetries: 1, sleep: async () => {}, random: () => 0 });
+    axios.post.mockReset();
+    axios.get.mockReset();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+    db.close();
+  });
+
+  test('prices calls from token usage and SEMrush lines', () => {
+    const openai = measureCall({
+      provider: 'openai',
+      method: 'post',
+      url: 'https://api.openai.com/v1/chat/completions',
+      data: { model: 'gpt-4o-mini-2024-07-18', messages: [] },
+      response: { status: 200, data: { usage: { prompt_tokens: 1000000, completion_tokens: 100000 } } },
+      durationMs: 120
+    });
+    expect(openai).toMatchObject({ endpoint: '/v1/chat/completions', model: 'gpt-4o-mini-2024-07-18', inputTokens: 1000000, outputTokens: 100000, statusCode: 200 });
+    expect(openai.cost).toBeCloseTo(0.15 + 0.06);
+
+    const anthropic = measureCall({
+      provider: 'anthropic',
+      method: 'post',
+      url: 'https://api.anthropic.com/v1/messages',
+      data: { model: 'claude-3-5-haiku-latest' },
+      response: { status: 200, data: { usage: { input_tokens: 2000, output_tokens: 500 } } }
+    });
+    expect(anthropic.cost).toBeCloseTo((2000 * 0.8 + 500 * 4) / 1e6);
+
+    const semrush = measureCall({
+      provider: 'semrush',
+      method: 'get',
+      url: 'https://api.semrush.com/',
+      params: { type: 'phrase_related', display_limit: 100 },
+      response: { status: 200, data: SEMRUSH_CSV }
+    });
+    expect(semrush).toMatchObject({ endpoint: 'phrase_related', units: 80 });
+    expect(semrush.cost).toBeCloseTo(80 * 0.00005);
+
+    expect(measureCall({ provider: 'local', method: 'post', url: 'http://localhost:11434/v1/chat/completions', data: { model: 'llama3.1' }, response: { status: 200, data: { usage: { prompt_tokens: 5000 } } } }).cost).toBe(0);
+    expect(estimateRequestCost({ provider: 'semrush', params: { type: 'domain_organic', display_limit: 1000 } })).toBeCloseTo(1000 * 10 * 0.00005);
+    expect(estimateRequestCost({ provider: 'openai', url: 'https://api.openai.com/v1/chat/completions', data: { model: 'gpt-4o', max_tokens: 100000 } })).toBeCloseTo(1);
+  });
+
+  test('records every attempt of a tracked run, retries and failures included', async () => {
+    axios.post
+      .mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 503'), { response: { status: 503, headers: {}, data: {} } }))
+      .mockResolvedValueOnce({ status: 200, data: { usage: { prompt_tokens: 1000, completion_tokens: 200 } } });
+    const tracker = new ApiUsageTracker(db, { project, runId: 1 });
+
+    await withRequestContext({ usage: tracker }, () => client.post('https://api.openai.com/v1/chat/completions', { model: 'gpt-4o-mini', max_tokens: 200 }));
+    // Outside a run nothing is recorded
+    axios.post.mockResolvedValueOnce({ status: 200, data: {} });
+    await client.post('https://api.openai.com/v1/chat/completions', { model: 'gpt-4o-mini' });
+
+    const rows = db.prepare('SELECT * FROM api_usage ORDER BY id').all();
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({ project_id: 1, run_id: 1, api_provider: 'openai', method: 'POST', status_code: 503, cost_estimate: 0 });
+    expect(rows[0].error_message).toContain('503');
+    expect(rows[1]).toMatchObject({ status_code: 200, input_tokens: 1000, output_tokens: 200, model: 'gpt-4o-mini' });
+    expect(tracker.summary()).toMatchObject({ calls: 2, byProvider: { openai: { calls: 2 } } });
+    expect(tracker.cost).toBeCloseTo((1000 * 0.15 + 200 * 0.6) / 1e6);
+  });
+
+  test('refuses calls that would exceed the run or monthly budget', async () => {
+    const runTracker = new ApiUsageTracker(db, { project, budget: { perRun: 0.001, perMonth: null } });
+    await expect(withRequestContext({ usage: runTracker }, () => client.post('https://api.openai.com/v1/chat/completions', { model: 'gpt-4o', max_tokens: 1000 })))
+      .rejects.toThrow('Run budget of $0.0010 reached');
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(() => runTracker.throwIfExceeded()).toThrow(expect.objectContaining({ code: 'BUDGET_EXCEEDED' }));
+
+    // The project's monthly budget of $1 counts earlier runs this month
+    new ApiUsageModel(db).record({ projectId: 1, provider: 'semrush', endpoint: 'domain_organic', method: 'GET', cost: 0.98 });
+    const monthTracker = new ApiUsageTracker(db, { project });
+    expect(monthTracker.budget).toEqual({ perRun: null, perMonth: 1 });
+    await expect(withRequestContext({ usage: monthTracker }, () => getSemrush(100))).rejects.toThrow('Monthly budget of $1.00 reached');
+    await expect(withRequestContext({ usage: monthTracker }, () => getSemrush(10))).resolves.toBeDefined();
+  });
+
+  test('reports spend per project against its monthly budget', () => {
+    const usage = new ApiUsageService(db);
+    const usageModel = new ApiUsageModel(db);
+    usageModel.record({ projectId: 1, runId: 1, provider: 'openai', endpoint: '/v1/chat/completions', method: 'POST', model: 'gpt-4o-mini', inputTokens: 100, outputTokens: 50, cost: 0.25, statusCode: 200 });
+    usageModel.record({ projectId: 1, runId: 1, provider: 'semrush', endpoint: 'domain_organic', method: 'GET', units: 200, cost: 0.01, statusCode: 200 });
+
+    const [row] = usage.projectSpend([project]);
+    expect(row).toMatchObject({ project_id: 1, project_name: 'shop', calls: 2, tokens: 150, units: 200, errors: 0, budget: { perMonth: 1 } });
+    expect(row.month_cost).toBeCloseTo(0.26);
+
+    const report = usage.projectReport(project);
+    expect(report.providers.map(provider => provider.api_provider)).toEqual(['openai', 'semrush']);
+    expect(report.runs).toEqual([expect.objectContaining({ run_id: 1, run_type: 'create', calls: 2 })]);
+
+    process.env.KWT_RUN_BUDGET_USD = '3';
+    try {
+      expect(ApiUsageService.budgetForProject(project)).toEqual({ perRun: 3, perMonth: 1 });
+      expect(ApiUsageService.budgetForProject(null)).toEqual({ perRun: 3, perMonth: null });
+    } finally {
+      delete process.env.KWT_RUN_BUDGET_USD;
+    }
+  });
+});
+
+// A SEMrush export of `lines` rows through a client named semrush
+function getSemrush(lines) {
+  const semrush = new HttpClient('semrush', { maxRetries: 0 });
+  axios.get.mockResolvedValueOnce({ status: 200, data: SEMRUSH_CSV });
+  return semrush.get('https://api.semrush.com/', { params: { type: 'domain_organic', display_limit: lines } });
+}
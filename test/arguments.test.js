@@ -0,0 +1,36 @@
+const { parseArguments, requireFlag, toInteger, UsageError } = require('../cli/utils/arguments');
+const { runCommand, COMMANDS } = require('../cli/index-new');
+
+describe('parseArguments', () => {
+  test('splits command, positionals and camelCased flags', () => {
+    const { command, positionals, flags } = parseArguments(
+      ['create', '--domain', 'example.com', '--limit=5000', '--batch-size', '50', '--json', '--no-expand', 'extra'],
+      { booleans: ['expand'] }
+    );
+
+    expect(command).toBe('create');
+    expect(positionals).toEqual(['extra']);
+    expect(flags).toEqual({ domain: 'example.com', limit: '5000', batchSize: '50', json: true, expand: false });
+  });
+
+  test('reports missing and malformed options as usage errors', () => {
+    expect(() => requireFlag({}, 'project', 'id|slug')).toThrow(UsageError);
+    expect(() => toInteger('abc', 'limit')).toThrow('--limit must be a whole number');
+    expect(toInteger('25', 'batch-size', { min: 25, max: 500 })).toBe(25);
+  });
+});
+
+describe('runCommand', () => {
+  test('finds the command after flags that take a value', async () => {
+    const run = jest.fn().mockResolvedValue({});
+    const { Command } = COMMANDS.create;
+    COMMANDS.create.Command = class { run(options) { return run(options); } };
+
+    try {
+      expect(await runCommand(['--database', 'uk', 'create', '--domain', 'example.com', '--no-cache'])).toBe(0);
+    } finally {
+      COMMANDS.create.Command = Command;
+    }
+    expect(run).toHaveBeenCalledWith(expect.objectContaining({ database: 'uk' }));
+  });
+});
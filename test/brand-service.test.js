@@ -0,0 +1,54 @@
+const { BrandService } = require('../src/services/brand-service');
+const DataCleaningService = require('../src/services/data-cleaning-service');
+
+describe('BrandService', () => {
+  test('matches plain terms, misspellings and regex variants', () => {
+    const brand = new BrandService(['lbank', 'l bank', '/el+-?bank/']);
+
+    expect(brand.matchTerm('LBank login')).toBe('lbank');
+    expect(brand.matchTerm('l-bank app')).toBe('l bank');
+    expect(brand.matchTerm('ellbank review')).toBe('/el+-?bank/');
+    expect(brand.isBranded('blank page')).toBe(false);
+    expect(() => new BrandService(['/lbank(/'])).toThrow('Invalid brand pattern');
+  });
+
+  test('ignores the stateful g and y flags of regex terms', () => {
+    const brand = new BrandService(['/lbank/g', '/coin/y']);
+
+    expect(['lbank app', 'lbank app', 'lbank app', 'lbank app'].map(keyword => brand.isBranded(keyword)))
+      .toEqual([true, true, true, true]);
+    expect([1, 2, 3].map(() => brand.matchTerm('coin price'))).toEqual(['/coin/y', '/coin/y', '/coin/y']);
+  });
+
+  test('reports branded share of volume and traffic', () => {
+    const split = BrandService.summarize([
+      { contains_brand: true, search_volume: 300, traffic_percent: 40 },
+      { contains_brand: false, search_volume: 700, traffic_percent: 10 }
+    ]);
+
+    expect(split.branded).toEqual({ keywords: 1, search_volume: 300, traffic_percent: 40 });
+    expect(split.volume_share).toBe(30);
+    expect(split.traffic_share).toBe(80);
+  });
+
+  test('reads configured terms and falls back to the domain name', () => {
+    const configured = BrandService.configForProject({
+      domain: 'lbank.com',
+      configuration: JSON.stringify({ brand: { terms: ['lbank', 'lbnak'], excludeFromTitles: true } })
+    });
+    expect(configured).toMatchObject({ terms: ['lbank', 'lbnak'], excludeFromClustering: false, excludeFromTitles: true, configured: true });
+
+    expect(BrandService.termsFromDomain({ domain: 'blog.lbank.com' })).toEqual(['lbank']);
+    expect(BrandService.configForProject({ url: 'https://www.example.co.uk/blog' }).terms).toEqual(['example']);
+  });
+
+  test('flags branded keywords during cleaning', async () => {
+    const cleaned = await new DataCleaningService().cleanKeywords(
+      [{ keyword: 'L-Bank fees' }, { keyword: 'crypto exchange fees' }],
+      { brandTerms: ['l bank'] }
+    );
+
+    expect(cleaned.map(k => k.contains_brand)).toEqual([true, false]);
+    expect(cleaned[0].brand_term).toBe('l bank');
+  });
+});
@@ -0,0 +1,81 @@
+const Database = require('better-sqlite3');
+const DatabaseSchema = require('../src/database/schema');
+const { CheckpointManager, STATE_FORMATS } = require('../src/persistence/checkpoint-manager');
+
+const keywords = Array.from({ length: 200 }, (_, i) => ({ id: i + 1, keyword: `apple pie recipe ${i}`, search_volume: 1000 - i }));
+
+describe('CheckpointManager', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    DatabaseSchema.createTables(db);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    db.prepare("INSERT INTO projects (name, slug, project_type, domain) VALUES ('food', 'food', 'domain', 'food.com')").run();
+    db.prepare("INSERT INTO processing_runs (project_id, run_type, status, scrape_date) VALUES (1, 'create', 'running', date('now'))").run();
+    db.prepare("INSERT INTO batch_runs (project_id, run_id, batch_mode, total_keywords, status) VALUES (1, 1, 'full', 200, 'running')").run();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    db.close();
+  });
+
+  const save = (manager, stageName, state = { cleaned: keywords }) => manager.saveCheckpoint(1, {
+    stageName,
+    keywordsProcessed: 200,
+    processingState: { completedStages: [stageName] },
+    intermediateResults: state
+  });
+
+  test('stores compressed state with a format marker and reads old TEXT checkpoints', async () => {
+    const json = Buffer.byteLength(JSON.stringify({ cleaned: keywords }));
+    for (const compression of ['brotli', 'gzip', 'none']) {
+      const blob = new CheckpointManager(db, { compression }).serializeState({ cleaned: keywords });
+      expect(blob[0]).toBe(STATE_FORMATS[compression === 'none' ? 'json' : compression]);
+      expect(new CheckpointManager(db).deserializeState(blob)).toEqual({ cleaned: keywords });
+      if (compression !== 'none') expect(blob.length).toBeLessThan(json / 4);
+    }
+    expect(() => new CheckpointManager(db, { compression: 'zip' })).toThrow('Unknown checkpoint compression');
+
+    const manager = new CheckpointManager(db);
+    await save(manager, 'cleaning');
+    const checkpoint = await manager.loadLatestCheckpoint(1);
+    expect(checkpoint.intermediate_results.cleaned).toHaveLength(200);
+    expect(Buffer.isBuffer(db.prepare('SELECT intermediate_results FROM batch_checkpoints').get().intermediate_results)).toBe(true);
+
+    // Checkpoints written before the BLOB format held plain or base64-encoded JSON
+    expect(manager.deserializeState(JSON.stringify({ a: 1 }))).toEqual({ a: 1 });
+    expect(manager.deserializeState(Buffer.from(JSON.stringify({ a: 1 })).toString('base64'))).toEqual({ a: 1 });
+
+    // A damaged BLOB fails validation and the previous checkpoint is used
+    await save(manager, 'deduplication', { cleaned: keywords, unique: keywords });
+    db.prepare("UPDATE batch_checkpoints SET intermediate_results = zeroblob(20) WHERE stage_name = 'deduplication'").run();
+    const fallback = await manager.loadLatestCheckpoint(1);
+    expect(fallback.stage_name).toBe('cleaning');
+    expect(fallback.skipped_checkpoints).toHaveLength(1);
+  });
+
+  test('prunes checkpoints by count, size per batch run, age and completed runs', async () => {
+    const manager = new CheckpointManager(db, { keepCount: 3 });
+    for (const stage of ['cleaning', 'deduplication', 'intent', 'clustering']) {
+      await save(manager, stage);
+    }
+    expect((await manager.loadAllCheckpoints(1)).map(c => c.stage_name)).toEqual(['deduplication', 'intent', 'clustering']);
+
+    // Only the latest checkpoint fits in the size limit, and it is always kept
+    const { stored_bytes: oneCheckpoint } = (await manager.loadAllCheckpoints(1))[0];
+    const small = new CheckpointManager(db, { maxBytesPerRun: oneCheckpoint + 10 });
+    await save(small, 'scoring');
+    expect((await manager.loadAllCheckpoints(1)).map(c => c.stage_name)).toEqual(['scoring']);
+
+    db.prepare("UPDATE batch_checkpoints SET created_at = datetime('now', '-30 days')").run();
+    await save(manager, 'finalizing');
+    expect((await manager.loadAllCheckpoints(1)).map(c => c.stage_name)).toEqual(['finalizing']);
+
+    db.prepare("UPDATE batch_runs SET status = 'completed'").run();
+    expect(manager.pruneCheckpoints()).toEqual({ deleted: 0, released: 1 });
+    expect(manager.getStorageStats()).toEqual({ checkpoints: 1, stored_bytes: 0, recoverable: 0 });
+    expect(await manager.loadLatestCheckpoint(1)).toBeNull();
+  });
+});
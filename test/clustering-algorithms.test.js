@@ -0,0 +1,51 @@
+const {
+  NOISE,
+  hierarchicalClustering,
+  dbscanClustering,
+  serpOverlapClustering
+} = require('../src/clustering/algorithms');
+
+describe('clustering algorithms', () => {
+  // Two tight groups and one outlier
+  const vectors = [
+    [1, 0, 0], [0.95, 0.05, 0], [0.9, 0.1, 0],
+    [0, 1, 0], [0.05, 0.95, 0], [0.1, 0.9, 0],
+    [0, 0, 1]
+  ];
+
+  test('hierarchical clustering stops merging at the distance cutoff', () => {
+    const { clusters, centroids } = hierarchicalClustering(vectors, { distanceThreshold: 0.2 });
+
+    expect(centroids).toHaveLength(2);
+    expect(new Set(clusters.slice(0, 3)).size).toBe(1);
+    expect(new Set(clusters.slice(3, 6)).size).toBe(1);
+    expect(clusters[0]).not.toBe(clusters[3]);
+    expect(clusters[6]).toBe(NOISE);
+  });
+
+  test('DBSCAN leaves sparse points unassigned', () => {
+    const { clusters } = dbscanClustering(vectors, { epsilon: 0.2, minPoints: 3 });
+
+    expect(clusters.filter(label => label === NOISE)).toHaveLength(1);
+    expect(clusters[6]).toBe(NOISE);
+    expect(new Set(clusters.filter(label => label !== NOISE)).size).toBe(2);
+  });
+
+  test('hierarchical clustering and DBSCAN refuse more keywords than their distance matrix limit', () => {
+    expect(() => hierarchicalClustering(vectors, { maxKeywords: 6 })).toThrow('Too many keywords for a distance matrix: 7 (limit 6)');
+    expect(() => dbscanClustering(vectors, { maxKeywords: 6 })).toThrow('limit 6');
+  });
+
+  test('SERP-overlap clustering groups keywords by normalized ranking URL', () => {
+    const keywords = [
+      { keyword: 'buy btc', url: 'https://www.example.com/buy/' },
+      { keyword: 'buy bitcoin', url: 'http://example.com/buy?ref=1' },
+      { keyword: 'eth wallet', url: 'https://example.com/wallet' },
+      { keyword: 'no ranking page', url: '' }
+    ];
+
+    const { clusters } = serpOverlapClustering(keywords, keywords.map(() => [1, 0]));
+
+    expect(clusters).toEqual([0, 0, NOISE, NOISE]);
+  });
+});
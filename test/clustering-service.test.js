@@ -19,4 +19,14 @@ describe('ClusteringService', () => {
       expect(typeof c.name).toBe('string');
     });
   });
+
+  test('falls back to k-means when hierarchical clustering gets more keywords than its limit', () => {
+    const service = new ClusteringService({ hierarchical: { maxKeywords: 3 } });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(service.resolveStrategy({ algorithm: 'hierarchical', keywordCount: 3 }).algorithm).toBe('hierarchical');
+    expect(service.resolveStrategy({ algorithm: 'hierarchical', keywordCount: 4 }))
+      .toEqual({ algorithm: 'kmeans', params: { clusterCount: 'auto', fallbackFrom: 'hierarchical' } });
+    console.warn.mockRestore();
+  });
 });
@@ -0,0 +1,109 @@
+const Database = require('better-sqlite3');
+const DatabaseSchema = require('../src/database/schema');
+const ContentCalendarModel = require('../src/database/models/content-calendar');
+const { ContentCalendarService } = require('../src/services/content-calendar-service');
+
+// Fetched in January, so the gifts cluster peaks in November and December
+const CHRISTMAS = '0.2,0.2,0.2,0.2,0.2,0.2,0.2,0.2,0.3,0.5,1.00,0.95';
+const FLAT = '0.9,1.00,0.95,0.9,0.92,0.97,0.94,0.9,0.93,0.96,0.98,0.91';
+const START = '2026-09-07';
+
+describe('ContentCalendarService', () => {
+  let db;
+
+  const addCluster = (name, priority, trends) => {
+    const { lastInsertRowid: clusterId } = db.prepare(
+      'INSERT INTO keyword_clusters (project_id, run_id, cluster_name) VALUES (1, 1, ?)'
+    ).run(name);
+    const { lastInsertRowid: keywordId } = db.prepare(`
+      INSERT INTO keywords (project_id, run_id, keyword, search_volume, trends, cluster_id, cluster_name, priority_score)
+      VALUES (1, 1, ?, 1000, ?, ?, ?, ?)
+    `).run(`${name} ideas`, trends, clusterId, name, priority);
+    return { clusterId, keywordId };
+  };
+
+  const addTitle = ({ clusterId, keywordId }, title, approved = true) => db.prepare(`
+    INSERT INTO generated_content (project_id, run_id, content_type, content, primary_keyword_id, cluster_id, is_approved, status)
+    VALUES (1, 1, 'title', ?, ?, ?, ?, ?)
+  `).run(title, keywordId, clusterId, approved ? 1 : 0, approved ? 'approved' : 'draft').lastInsertRowid;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    DatabaseSchema.createTables(db);
+    db.prepare("INSERT INTO projects (name, slug, project_type, domain) VALUES ('shop', 'shop', 'domain', 'shop.com')").run();
+    db.prepare("INSERT INTO processing_runs (project_id, run_type, status, scrape_date) VALUES (1, 'create', 'completed', '2026-01-15')").run();
+
+    const gifts = addCluster('gifts', 0.2, CHRISTMAS);
+    const recipes = addCluster('recipes', 0.9, FLAT);
+    const tools = addCluster('tools', 0.5, FLAT);
+    addTitle(gifts, 'Best Christmas gifts, ranked');
+    addTitle(gifts, 'Christmas gifts under $20');
+    addTitle(recipes, 'Quick weeknight recipes');
+    addTitle(recipes, 'One-pot recipes');
+    addTitle(recipes, 'Recipes nobody approved yet', false);
+    addTitle(tools, 'Kitchen tools worth buying');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('fills weekly capacity by priority and publishes seasonal titles ahead of their peak', () => {
+    const plan = new ContentCalendarService(db).plan(1, {
+      startDate: START, weeklyCapacity: 2, publishDays: ['thursday', 'monday'], leadWeeks: 6
+    });
+
+    expect(plan.settings.publishDays).toEqual(['monday', 'thursday']);
+    expect(plan.entries.map(entry => [entry.publish_date, entry.title])).toEqual([
+      ['2026-09-07', 'Quick weeknight recipes'],
+      ['2026-09-10', 'Kitchen tools worth buying'],
+      // Six weeks before November falls in the second week
+      ['2026-09-14', 'Best Christmas gifts, ranked'],
+      ['2026-09-17', 'Christmas gifts under $20'],
+      ['2026-09-21', 'One-pot recipes']
+    ]);
+    expect(plan).toMatchObject({ planned: 5, seasonal: 2, unscheduled: 0, end_date: '2026-09-21' });
+    expect(plan.entries[2].peak_months).toEqual([11, 12]);
+
+    // The plan and its settings are stored with the project
+    expect(new ContentCalendarService(db).getCalendar(1)).toHaveLength(5);
+    const project = db.prepare('SELECT configuration FROM projects WHERE id = 1').get();
+    expect(JSON.parse(project.configuration).calendar).toEqual({ weeklyCapacity: 2, publishDays: ['monday', 'thursday'], leadWeeks: 6 });
+
+    expect(() => new ContentCalendarService(db).plan(1, { startDate: '07/09/2026' })).toThrow('YYYY-MM-DD');
+    expect(() => new ContentCalendarService(db).plan(1, { publishDays: ['someday'] })).toThrow();
+  });
+
+  test('re-planning keeps published entries and can include titles not approved yet', () => {
+    const service = new ContentCalendarService(db);
+    const first = service.plan(1, { startDate: START, weeklyCapacity: 2, publishDays: ['monday', 'thursday'] });
+    const published = service.getCalendar(1).find(entry => entry.content_id === first.entries[0].content_id);
+    new ContentCalendarModel(db).setStatus(1, published.id, 'published');
+
+    const replan = service.plan(1, { startDate: '2026-09-14', includePending: true });
+    expect(replan.entries.map(entry => entry.title)).not.toContain('Quick weeknight recipes');
+    expect(replan.entries.map(entry => entry.title)).toContain('Recipes nobody approved yet');
+
+    const calendar = service.getCalendar(1);
+    expect(calendar).toHaveLength(6);
+    expect(calendar[0]).toMatchObject({ publish_date: '2026-09-07', status: 'published', cluster_name: 'recipes' });
+  });
+
+  test('exports entries as CSV and iCalendar', () => {
+    const service = new ContentCalendarService(db);
+    service.plan(1, { startDate: START, weeklyCapacity: 2, publishDays: ['monday', 'thursday'] });
+    const entries = service.getCalendar(1);
+
+    const csv = ContentCalendarService.toCSV(entries).trim().split('\n');
+    expect(csv[0]).toBe('Publish Date,Title,Cluster,Primary Keyword,Search Volume,Status,Peak Months,Reason');
+    expect(csv).toHaveLength(6);
+    expect(csv.find(line => line.includes('ranked'))).toMatch(/^2026-09-14,"Best Christmas gifts, ranked",gifts,gifts ideas,1000,planned,/);
+
+    const ics = ContentCalendarService.toICS(entries, { id: 1, name: 'shop' });
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(5);
+    expect(ics).toContain('DTSTART;VALUE=DATE:20260914\r\nDTEND;VALUE=DATE:20260915');
+    expect(ics).toContain('SUMMARY:Best Christmas gifts\\, ranked');
+    expect(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+  });
+});
@@ -0,0 +1,45 @@
+const Database = require('better-sqlite3');
+const DatabaseSchema = require('../src/database/schema');
+const { createEmbeddingProvider } = require('../src/embeddings');
+const { CachedEmbeddingProvider } = require('../src/embeddings/cached-provider');
+
+describe('embedding providers', () => {
+  beforeAll(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+  afterAll(() => console.log.mockRestore());
+
+  test('TF-IDF is the uncached default and returns unit vectors', async () => {
+    const provider = createEmbeddingProvider();
+    const { embeddings } = await provider.embed(['buy bitcoin', 'bitcoin price today']);
+
+    expect(provider.name).toBe('tfidf');
+    expect(provider).not.toBeInstanceOf(CachedEmbeddingProvider);
+    embeddings.forEach(vector => {
+      const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+      expect(norm).toBeCloseTo(1, 5);
+    });
+  });
+
+  test('cached provider only embeds keywords it has not seen', async () => {
+    const db = new Database(':memory:');
+    DatabaseSchema.createTables(db);
+
+    const inner = {
+      name: 'fake',
+      model: 'fake-1',
+      dimensions: 2,
+      cacheable: true,
+      embed: jest.fn(async texts => ({ embeddings: texts.map(text => [text.length, 1]), vocabulary: [] }))
+    };
+    const provider = new CachedEmbeddingProvider(inner, { getDb: async () => db });
+
+    await provider.embed(['Buy Bitcoin', 'eth wallet']);
+    const second = await provider.embed(['buy bitcoin', 'staking']);
+
+    expect(inner.embed).toHaveBeenCalledTimes(2);
+    expect(inner.embed).toHaveBeenLastCalledWith(['staking']);
+    expect(second.embeddings).toEqual([[11, 1], [7, 1]]);
+    expect(provider.lastStats).toEqual({ cached: 1, embedded: 1 });
+
+    db.close();
+  });
+});
@@ -0,0 +1,144 @@
+const axios = require('axios');
+const { HttpClient, TokenBucket, getHttpClient, httpConfigFor, withRequestContext } = require('../src/http');
+
+jest.mock('axios');
+
+// axios-style error for a response status, with optional headers
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers, data: {} }
+});
+
+describe('HttpClient', () => {
+  let sleeps;
+  let client;
+
+  beforeEach(() => {
+    axios.get.mockReset();
+    axios.post.mockReset();
+    sleeps = [];
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    client = new HttpClient('openai', {
+      timeout: 5000,
+      maxRetries: 3,
+      baseDelayMs: 1000,
+      sleep: async ms => { sleeps.push(ms); },
+      random: () => 0.5
+    });
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('retries 429, 5xx and dropped connections with exponential backoff', async () => {
+    axios.post
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))
+      .mockRejectedValueOnce(httpError(429))
+      .mockResolvedValueOnce({ data: { ok: true } });
+
+    const response = await client.post('https://api.example.com/v1', { a: 1 }, { headers: { 'X-Key': 'k' } });
+
+    expect(response.data).toEqual({ ok: true });
+    // 1s, 2s, 4s with jitter at the midpoint (75% of each)
+    expect(sleeps).toEqual([750, 1500, 3000]);
+    expect(axios.post).toHaveBeenCalledTimes(4);
+    expect(axios.post.mock.calls[0]).toEqual(['https://api.example.com/v1', { a: 1 }, { headers: { 'X-Key': 'k' }, timeout: 5000 }]);
+    expect(console.warn).toHaveBeenCalledWith('⚠️ openai request failed (HTTP 503), retry 1/3 in 0.8s');
+  });
+
+  test('waits as long as Retry-After asks, in seconds or as a date', async () => {
+    axios.get
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '7' }))
+      .mockRejectedValueOnce(httpError(503, { 'retry-after': new Date(Date.now() + 20000).toUTCString() }))
+      .mockResolvedValueOnce({ data: 'csv' });
+
+    expect((await client.get('https://api.semrush.com/', { timeout: 100 })).data).toBe('csv');
+    expect(sleeps[0]).toBe(7000);
+    expect(sleeps[1]).toBeGreaterThan(15000);
+    expect(sleeps[1]).toBeLessThanOrEqual(20000);
+    expect(axios.get.mock.calls[0][1].timeout).toBe(100);
+  });
+
+  test('gives up on client errors, exhausted retries, long Retry-After and aborts', async () => {
+    axios.post.mockRejectedValueOnce(httpError(400));
+    await expect(client.post('u', {})).rejects.toThrow('status code 400');
+    expect(sleeps).toEqual([]);
+
+    axios.post.mockRejectedValue(httpError(500));
+    await expect(client.post('u', {})).rejects.toThrow('status code 500');
+    expect(sleeps).toHaveLength(3);
+    expect(axios.post).toHaveBeenCalledTimes(5);
+
+    axios.post.mockReset();
+    axios.post.mockRejectedValueOnce(httpError(429, { 'retry-after': '3600' }));
+    await expect(client.post('u', {})).rejects.toThrow('status code 429');
+    expect(axios.post).toHaveBeenCalledTimes(1);
+
+    const controller = new AbortController();
+    axios.post.mockReset();
+    axios.post.mockImplementation(async () => {
+      controller.abort();
+      throw httpError(503);
+    });
+    await expect(client.post('u', {}, { signal: controller.signal })).rejects.toThrow('status code 503');
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+
+  test("cancels backoffs and rate-limit waits with the request context's signal", async () => {
+    // Real, abortable sleeps: a 1 minute backoff (maxDelayMs) and a 1 minute rate-limit wait
+    const slow = new HttpClient('semrush', { maxRetries: 3, baseDelayMs: 600000, random: () => 1, rateLimit: { requestsPerMinute: 1 } });
+    const controller = new AbortController();
+    axios.get.mockRejectedValue(httpError(503));
+
+    const backoff = withRequestContext({}, () => withRequestContext({ signal: controller.signal }, () => slow.get('u')));
+    setTimeout(() => controller.abort(new Error('Job cancelled')), 20);
+    await expect(backoff).rejects.toThrow('Job cancelled');
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(axios.get.mock.calls[0][1].signal).toBe(controller.signal);
+
+    const other = new AbortController();
+    const rateLimited = withRequestContext({ signal: other.signal }, () => withRequestContext({}, () => slow.get('u')));
+    setTimeout(() => other.abort(new Error('Job cancelled')), 20);
+    await expect(rateLimited).rejects.toThrow('Job cancelled');
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('rate limits requests with a token bucket', async () => {
+    let now = 0;
+    const waits = [];
+    const bucket = new TokenBucket({
+      requestsPerMinute: 60,
+      burst: 2,
+      now: () => now,
+      sleep: async ms => { waits.push(ms); now += ms; }
+    });
+
+    await bucket.take();
+    await bucket.take();
+    await bucket.take();
+    expect(waits).toEqual([1000]);
+
+    // A quiet period refills up to the burst size only
+    now += 60000;
+    await bucket.take();
+    await bucket.take();
+    await bucket.take();
+    expect(waits).toEqual([1000, 1000]);
+    expect(() => new TokenBucket({ requestsPerMinute: 0 })).toThrow('requestsPerMinute');
+  });
+
+  test('shares one client per provider, with timeouts and retries from the environment', () => {
+    process.env.SEMRUSH_TIMEOUT_MS = '90000';
+    process.env.SEMRUSH_MAX_RETRIES = '0';
+    try {
+      expect(httpConfigFor('semrush')).toMatchObject({ timeout: 90000, maxRetries: 0, rateLimit: { requestsPerMinute: 600 } });
+    } finally {
+      delete process.env.SEMRUSH_TIMEOUT_MS;
+      delete process.env.SEMRUSH_MAX_RETRIES;
+    }
+    expect(httpConfigFor('unknown')).toMatchObject({ timeout: 60000, rateLimit: null, maxRetries: 4 });
+    expect(getHttpClient('anthropic')).toBe(getHttpClient('anthropic'));
+    expect(getHttpClient('anthropic')).not.toBe(getHttpClient('openai'));
+  });
+});
@@ -0,0 +1,34 @@
+const { IntentClassificationService } = require('../src/services/intent-classification-service');
+
+describe('IntentClassificationService', () => {
+  const service = new IntentClassificationService({ useLLM: false });
+
+  test('classifies keywords by modifiers and brand terms', () => {
+    expect(service.classify('buy bitcoin with card').intent).toBe('transactional');
+    expect(service.classify('binance vs coinbase').intent).toBe('commercial');
+    expect(service.classify('how to stake ethereum').intent).toBe('informational');
+    expect(service.classify('lbank login', ['lbank'])).toMatchObject({ intent: 'navigational', ambiguous: false });
+  });
+
+  test('flags keywords without modifiers or with conflicting ones as ambiguous', () => {
+    expect(service.classify('bitcoin')).toMatchObject({ intent: 'informational', ambiguous: true });
+    expect(service.classify('buy vs rent').ambiguous).toBe(true);
+  });
+
+  test('falls back to the LLM only for ambiguous keywords', async () => {
+    const classifier = new IntentClassificationService({ useLLM: true });
+    classifier.classifyWithLLM = jest.fn(async keywords => {
+      keywords.forEach(k => { k.intent = 'commercial'; k.intent_confidence = 0.8; });
+      return keywords.length;
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const keywords = [{ keyword: 'buy bitcoin' }, { keyword: 'ledger nano' }];
+    await classifier.classifyKeywords(keywords);
+    console.log.mockRestore();
+
+    expect(classifier.classifyWithLLM).toHaveBeenCalledWith([keywords[1]], undefined);
+    expect(keywords.map(k => k.intent)).toEqual(['transactional', 'commercial']);
+    expect(classifier.summarize(keywords)).toMatchObject({ transactional: 1, commercial: 1 });
+  });
+});
@@ -0,0 +1,118 @@
+const Database = require('better-sqlite3');
+const DatabaseSchema = require('../src/database/schema');
+const { JobQueue } = require('../src/services/job-queue');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('JobQueue', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    DatabaseSchema.createTables(db);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    ['a', 'b', 'c'].forEach(name => {
+      db.prepare("INSERT INTO projects (name, slug, project_type, domain) VALUES (?, ?, 'domain', ?)").run(name, name, `${name}.com`);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    db.close();
+  });
+
+  test('runs jobs by priority within the concurrency cap, one at a time per project', async () => {
+    const started = [];
+    let running = 0;
+    let maxRunning = 0;
+    const handler = async ({ name }) => {
+      started.push(name);
+      maxRunning = Math.max(maxRunning, ++running);
+      await wait(10);
+      running--;
+      return { name };
+    };
+    const queue = new JobQueue(db, { rescrape: { handler }, recluster: { handler } }, { concurrency: 2 });
+
+    const first = queue.enqueue('rescrape', { name: 'a-rescrape' }, { projectId: 1 });
+    queue.enqueue('recluster', { name: 'a-recluster' }, { projectId: 1, priority: 10 });
+    queue.enqueue('rescrape', { name: 'b-rescrape' }, { projectId: 2 });
+    queue.enqueue('rescrape', { name: 'c-rescrape' }, { projectId: 3, priority: 5 });
+    expect(queue.findPending('rescrape', 1)).toMatchObject({ id: first.id, status: 'queued' });
+    expect(() => queue.enqueue('analyze')).toThrow('Unknown job type');
+
+    queue.start();
+    await wait(80);
+    queue.stop();
+
+    expect(started).toEqual(['a-recluster', 'c-rescrape', 'a-rescrape', 'b-rescrape']);
+    expect(maxRunning).toBe(2);
+    expect(queue.get(first.id)).toMatchObject({ status: 'completed', attempts: 1, result: { name: 'a-rescrape' } });
+    expect(queue.list({ projectId: 1 }).map(job => job.type)).toEqual(['recluster', 'rescrape']);
+  });
+
+  test('retries failed jobs with backoff until they run out of attempts', async () => {
+    let calls = 0;
+    const queue = new JobQueue(db, {
+      rescrape: {
+        maxAttempts: 3,
+        handler: async () => {
+          calls++;
+          if (calls < 2) throw new Error('SEMrush API timeout');
+          return { calls };
+        }
+      },
+      recluster: {
+        maxAttempts: 3,
+        handler: async () => {
+          throw Object.assign(new Error('No keywords found for this project.'), { retryable: false });
+        }
+      }
+    }, { retryDelayMs: 10 });
+    expect(JobQueue.retryDelay(3, { retryDelayMs: 10, maxRetryDelayMs: 1000 })).toBe(40);
+
+    queue.start();
+    const retried = queue.enqueue('rescrape', {}, { projectId: 1 });
+    const failing = queue.enqueue('recluster', {}, { projectId: 2 });
+    await wait(80);
+    queue.stop();
+
+    expect(queue.get(retried.id)).toMatchObject({ status: 'completed', attempts: 2, result: { calls: 2 } });
+    expect(queue.get(failing.id)).toMatchObject({ status: 'failed', attempts: 1, error_message: 'No keywords found for this project.' });
+  });
+
+  test('cancels queued and running jobs and recovers jobs interrupted by a restart', async () => {
+    const queue = new JobQueue(db, {
+      rescrape: {
+        handler: (options, { signal }) => new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(signal.reason));
+        })
+      }
+    }, { concurrency: 1 });
+
+    queue.start();
+    const running = queue.enqueue('rescrape', {}, { projectId: 1 });
+    const queued = queue.enqueue('rescrape', {}, { projectId: 2 });
+    await wait(10);
+
+    expect(queue.cancel(queued.id).status).toBe('cancelled');
+    expect(queue.cancel(running.id)).toMatchObject({ status: 'running', cancel_requested: true });
+    await wait(10);
+    queue.stop();
+    expect(queue.get(running.id).status).toBe('cancelled');
+
+    // A job left running by a process that stopped is queued again while it has attempts left
+    db.prepare("INSERT INTO job_queue (type, project_id, status, attempts, max_attempts) VALUES ('rescrape', 3, 'running', 1, 2)").run();
+    db.prepare("INSERT INTO job_queue (type, project_id, status, attempts, max_attempts) VALUES ('rescrape', 3, 'running', 1, 1)").run();
+    const restarted = new JobQueue(db, { rescrape: { handler: async () => 'done' } });
+    expect(restarted.start()).toBe(2);
+    await wait(20);
+    restarted.stop();
+
+    expect(restarted.list({ projectId: 3 }).map(job => [job.status, job.error_message])).toEqual([
+      ['failed', 'Interrupted by a restart'],
+      ['completed', null]
+    ]);
+  });
+});
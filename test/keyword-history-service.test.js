@@ -0,0 +1,58 @@
+const Database = require('better-sqlite3');
+const DatabaseSchema = require('../src/database/schema');
+const { KeywordHistoryService } = require('../src/services/keyword-history-service');
+
+describe('KeywordHistoryService', () => {
+  let db;
+
+  const addRun = (status, rows) => {
+    const { lastInsertRowid: runId } = db.prepare(
+      "INSERT INTO processing_runs (project_id, run_type, status, scrape_date) VALUES (1, 'rescrape', ?, date('now'))"
+    ).run(status);
+    rows.forEach(([keyword, position, searchVolume]) => {
+      db.prepare('INSERT INTO raw_keywords (project_id, run_id, keyword, position, search_volume) VALUES (1, ?, ?, ?, ?)')
+        .run(runId, keyword, position, searchVolume);
+    });
+    return runId;
+  };
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    DatabaseSchema.createTables(db);
+    db.prepare("INSERT INTO projects (name, slug, project_type, domain) VALUES ('crypto', 'crypto', 'domain', 'crypto.com')").run();
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('matches keywords across completed runs by normalized text, oldest run first', () => {
+    addRun('completed', [['Buy Bitcoin', 12, 1000], ['eth wallet', 3, 500]]);
+    addRun('completed', [['buy  bitcoin ', 8, 1200], ['buy bitcoin', 15, 1200]]);
+    addRun('failed', [['buy bitcoin', 1, 5000]]);
+    addRun('completed', [['eth wallet', 4, 450]]);
+    addRun('completed', [['buy bitcoin', 5, 1500]]);
+
+    const history = new KeywordHistoryService(db).getHistory(1, ['BUY bitcoin', 'eth wallet', 'nft']);
+
+    expect(history.runs.map(run => run.id)).toEqual([1, 2, 4, 5]);
+    const [bitcoin, wallet, nft] = history.keywords;
+    expect(bitcoin.keyword).toBe('buy bitcoin');
+    expect(bitcoin.points.map(point => point.position)).toEqual([12, 8, null, 5]);
+    expect(bitcoin.summary).toMatchObject({
+      runs_ranked: 3,
+      first_position: 12,
+      latest_position: 5,
+      best_position: 5,
+      position_change: 7,
+      volume_change: 500,
+      ranking_in_latest_run: true
+    });
+    expect(wallet.summary).toMatchObject({ position_change: -1, ranking_in_latest_run: false });
+    expect(nft.summary).toMatchObject({ runs_ranked: 0, best_position: null, position_change: null });
+
+    // Only the most recent runs are included
+    const recent = new KeywordHistoryService(db, { maxRuns: 2 }).getHistory(1, 'buy bitcoin');
+    expect(recent.keywords[0].points.map(point => point.run_id)).toEqual([4, 5]);
+  });
+});
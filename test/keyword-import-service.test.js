@@ -0,0 +1,37 @@
+const { KeywordImportService } = require('../src/services/keyword-import-service');
+
+describe('KeywordImportService', () => {
+  test('maps Search Console style columns onto raw keyword fields', () => {
+    const service = new KeywordImportService();
+    const text = 'Top queries,Clicks,Impressions,Position\n"bitcoin price, today",80,"3,400",7.9\neth wallet,20,900,15.1\n';
+    const [headers, ...rows] = service.parseDelimited(text, service.detectDelimiter(text));
+
+    const columnMap = service.resolveColumnMap(headers, { search_volume: 'Clicks' });
+    const records = service.toRawKeywords(rows, columnMap);
+
+    expect(records).toHaveLength(2);
+    expect(records[0]).toMatchObject({ keyword: 'bitcoin price, today', search_volume: 80, position: 8 });
+  });
+
+  test('reads decimal commas from European-locale exports and leaves impressions unmapped', () => {
+    const service = new KeywordImportService();
+    expect(service.parseNumber('1,50')).toBe(1.5);
+    expect(service.parseNumber('1.234,5')).toBe(1234.5);
+    expect(service.parseNumber('€ 0,8')).toBe(0.8);
+    expect(service.parseNumber('1,234.5')).toBe(1234.5);
+    expect(service.parseNumber('3,400', true)).toBe(3400);
+    expect(service.parseNumber('3,400', false, ',')).toBe(3.4);
+    expect(service.parseNumber('1.234', true, ',')).toBe(1234);
+
+    const text = 'Keyword;Impressions;CPC\nbitcoin;3400;1,25\n';
+    const [headers, ...rows] = service.parseDelimited(text, service.detectDelimiter(text));
+    const columnMap = service.resolveColumnMap(headers);
+    expect(columnMap.search_volume).toBeUndefined();
+    expect(service.toRawKeywords(rows, columnMap)[0]).toMatchObject({ search_volume: null, cpc: 1.25 });
+  });
+
+  test('rejects files without a keyword column', () => {
+    const service = new KeywordImportService();
+    expect(() => service.resolveColumnMap(['Volume', 'CPC'])).toThrow('keyword column');
+  });
+});
@@ -0,0 +1,134 @@
+const axios = require('axios');
+const { createLLMProvider, resolveLLMConfig, LLM_PROVIDERS } = require('../src/llm');
+const { MockLLMProvider } = require('../src/llm/mock-provider');
+const { FAQTitleGenerator } = require('../src/generators/faq-title-generator');
+const { OutlineGenerator } = require('../src/generators/outline-generator');
+const { KeywordExpansionService } = require('../src/services/keyword-expansion-service');
+const { IntentClassificationService, INTENTS } = require('../src/services/intent-classification-service');
+
+jest.mock('axios');
+
+// Provider settings from the environment would change the defaults under test
+const ENV_KEYS = ['LLM_PROVIDER', 'ANTHROPIC_API_KEY', 'ANTHROPIC_BASE_URL', 'ANTHROPIC_MODEL', 'LOCAL_LLM_URL', 'LOCAL_LLM_MODEL',
+  'LOCAL_LLM_API_KEY', 'AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_DEPLOYMENT', 'AZURE_OPENAI_API_VERSION'];
+
+describe('LLM providers', () => {
+  const savedEnv = {};
+
+  beforeEach(() => {
+    ENV_KEYS.forEach(key => {
+      savedEnv[key] = process.env[key];
+      delete process.env[key];
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    axios.post.mockReset();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    ENV_KEYS.forEach(key => {
+      if (savedEnv[key] === undefined) delete process.env[key]; else process.env[key] = savedEnv[key];
+    });
+  });
+
+  test('selects providers by name, environment and project settings', () => {
+    expect(Object.keys(LLM_PROVIDERS)).toEqual(['openai', 'anthropic', 'azure', 'local', 'mock']);
+    expect(createLLMProvider().name).toBe('openai');
+    process.env.LLM_PROVIDER = 'mock';
+    expect(createLLMProvider().name).toBe('mock');
+    expect(() => createLLMProvider({ provider: 'gemini' })).toThrow('Unknown LLM provider "gemini"');
+
+    const project = { configuration: JSON.stringify({ llm: { provider: 'local', model: 'qwen2.5', url: 'http://gpu:8080/v1' } }) };
+    expect(resolveLLMConfig(project)).toEqual({ provider: 'local', model: 'qwen2.5', url: 'http://gpu:8080/v1' });
+    expect(resolveLLMConfig(project, { model: 'llama3.1', provider: undefined })).toEqual({ provider: 'local', model: 'llama3.1', url: 'http://gpu:8080/v1' });
+    // Another provider does not inherit the project's model and server
+    expect(resolveLLMConfig(project, { provider: 'anthropic' })).toEqual({ provider: 'anthropic' });
+    expect(createLLMProvider(resolveLLMConfig(project))).toMatchObject({ name: 'local', model: 'qwen2.5', url: 'http://gpu:8080/v1' });
+  });
+
+  test('mock provider answers every pipeline schema offline', async () => {
+    const llmProvider = createLLMProvider({ provider: 'mock' });
+
+    const titles = await new FAQTitleGenerator({ titlesPerCluster: 4, llmProvider })
+      .generateFAQTitles({ name: 'gift wrapping', keywords: ['gift wrap ideas'] });
+    expect(titles).toEqual([
+      'How to Get Started With Gift Wrapping',
+      'What Is Gift Wrapping and How Does It Work?',
+      'Why Gift Wrapping Matters: Common Questions Answered',
+      'Best Gift Wrapping Options Compared'
+    ]);
+
+    const expanded = await new KeywordExpansionService({ llmProvider })
+      .expandClusterKeywords({ name: 'gift wrapping', keywords: ['gift wrap ideas'] }, 3);
+    expect(expanded.map(k => [k.keyword, k.type, k.intent, k.confidence])).toEqual([
+      ['gift wrapping guide', 'long-tail', 'informational', 0.8],
+      ['gift wrapping ideas', 'semantic', 'transactional', 0.8],
+      ['gift wrapping tips', 'synonym', 'navigational', 0.8]
+    ]);
+
+    const { sections } = await new OutlineGenerator({ llmProvider }).generateOutline('How to Wrap a Gift', { name: 'gift wrapping', keywords: [] });
+    expect(sections.length).toBeGreaterThan(0);
+    expect(sections[0].subheadings).toHaveLength(2);
+
+    // Classifications come back for the listed keywords, so they are applied
+    const keywords = [{ keyword: 'wrapping' }, { keyword: 'ribbon' }];
+    const classified = await new IntentClassificationService({ llmBatchSize: 10 }, { llmProvider }).classifyWithLLM(keywords);
+    expect(classified).toBe(2);
+    keywords.forEach(keyword => expect(INTENTS).toContain(keyword.intent));
+
+    // Deterministic: the same prompt gives the same answer
+    const again = await new FAQTitleGenerator({ titlesPerCluster: 4, llmProvider })
+      .generateFAQTitles({ name: 'gift wrapping', keywords: ['gift wrap ideas'] });
+    expect(again).toEqual(titles);
+  });
+
+  test('mock provider returns canned responses and records calls', async () => {
+    const llmProvider = new MockLLMProvider({ responses: { generate_faq_titles: prompt => [`Why Choose ${prompt.length > 0 ? 'Ribbons' : ''}?`] } });
+    const generator = new FAQTitleGenerator({ llmProvider });
+    expect(await generator.generateFAQTitles({ name: 'ribbons', keywords: ['ribbon'] })).toEqual(['Why Choose Ribbons?']);
+    expect(llmProvider.calls).toHaveLength(1);
+    expect(llmProvider.calls[0].functionSchema.name).toBe('generate_faq_titles');
+  });
+
+  test('anthropic provider forces a tool call and reads its input', async () => {
+    axios.post.mockResolvedValue({
+      data: { content: [{ type: 'tool_use', name: 'generate_faq_titles', input: { titles: ['How Do Ribbons Work?'] } }] }
+    });
+    const llmProvider = createLLMProvider({ provider: 'anthropic', apiKey: 'test-key', model: 'claude-test' });
+    const generator = new FAQTitleGenerator({ llmProvider });
+
+    expect(await generator.generateFAQTitles({ name: 'ribbons', keywords: ['ribbon'] })).toEqual(['How Do Ribbons Work?']);
+    const [url, payload, { headers }] = axios.post.mock.calls[0];
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(headers['x-api-key']).toBe('test-key');
+    expect(payload).toMatchObject({
+      model: 'claude-test',
+      system: generator.config.systemMessage,
+      tool_choice: { type: 'tool', name: 'generate_faq_titles' }
+    });
+    expect(payload.tools[0].input_schema).toBe(generator.functionSchema.parameters);
+
+    await expect(createLLMProvider({ provider: 'anthropic' }).complete('hi')).rejects.toThrow('ANTHROPIC_API_KEY');
+  });
+
+  test('local and azure providers use OpenAI-compatible tool calls, falling back to JSON text', async () => {
+    axios.post.mockResolvedValueOnce({
+      data: { choices: [{ message: { content: '```json\n{"titles": ["What Is Tissue Paper?"]}\n```' } }] }
+    });
+    const local = createLLMProvider({ provider: 'local', url: 'http://localhost:8080/v1/', model: 'qwen2.5' });
+    expect(await local.structuredArray('prompt', new FAQTitleGenerator().functionSchema)).toEqual(['What Is Tissue Paper?']);
+    expect(axios.post.mock.calls[0][0]).toBe('http://localhost:8080/v1/chat/completions');
+    expect(axios.post.mock.calls[0][1].tool_choice).toEqual({ type: 'function', function: { name: 'generate_faq_titles' } });
+
+    axios.post.mockResolvedValueOnce({
+      data: { choices: [{ message: { tool_calls: [{ function: { arguments: '{"titles": ["Why Use Ribbon?"]}' } }] } }] }
+    });
+    const azure = createLLMProvider({ provider: 'azure', url: 'https://acme.openai.azure.com', model: 'titles', apiKey: 'az-key' });
+    expect(await azure.structuredArray('prompt', new FAQTitleGenerator().functionSchema)).toEqual(['Why Use Ribbon?']);
+    expect(axios.post.mock.calls[1][0]).toBe('https://acme.openai.azure.com/openai/deployments/titles/chat/completions?api-version=2024-06-01');
+    expect(axios.post.mock.calls[1][2].headers['api-key']).toBe('az-key');
+
+    axios.post.mockRejectedValueOnce(Object.assign(new Error('connect ECONNREFUSED'), {}));
+    await expect(local.complete('hi')).rejects.toThrow('local LLM server at http://localhost:8080/v1 failed: connect ECONNREFUSED');
+  });
+});
@@ -0,0 +1,54 @@
+const Database = require('better-sqlite3');
+const DatabaseSchema = require('../src/database/schema');
+const { PriorityAnalysisService } = require('../src/services/priority-analysis-service');
+const { ScoringProfileService } = require('../src/services/scoring-profile-service');
+
+describe('PriorityAnalysisService', () => {
+  let db;
+  let project;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    DatabaseSchema.createTables(db);
+    DatabaseSchema.insertDefaults(db);
+    console.log.mockRestore();
+
+    db.prepare("INSERT INTO projects (name, slug, project_type, domain, configuration) VALUES ('Acme', 'acme', 'domain', 'acme.com', '{}')").run();
+    project = db.prepare('SELECT * FROM projects').get();
+    db.prepare("INSERT INTO processing_runs (project_id, run_type, scrape_date, status) VALUES (?, 'create', '2025-01-01', 'completed')").run(project.id);
+    const insert = db.prepare(`
+      INSERT INTO keywords (project_id, run_id, keyword, search_volume, competition, position, priority_score, priority_tier, opportunity_score)
+      VALUES (?, 1, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    insert.run(project.id, 'acme pricing', 5000, 0.1, 1, 0.9, 'high', 4500);
+    insert.run(project.id, 'acme alternatives', 300, 0.2, 8, 0.4, 'medium', 240);
+    insert.run(project.id, 'best crm software', 20000, 0.9, 45, 0.3, 'low', 2000);
+    insert.run(project.id, 'crm for startups', 2000, 0.7, 12, 0.5, 'medium', 600);
+  });
+
+  afterEach(() => db.close());
+
+  test('classifies quick wins, long-term targets and striking distance', () => {
+    const keywords = db.prepare('SELECT * FROM keywords').all();
+    const analysis = new PriorityAnalysisService(db).analyze(keywords);
+    const names = bucket => analysis[bucket].keywords.map(k => k.keyword);
+
+    expect(analysis.counts).toEqual({ high: 1, medium: 2, low: 1 });
+    expect(names('quick_wins')).toEqual(['acme alternatives', 'acme pricing']);
+    expect(names('striking_distance')).toEqual(['crm for startups', 'acme alternatives']);
+    expect(names('long_term_targets')).toEqual(['best crm software']);
+    expect(names('top_opportunities')[0]).toBe('acme pricing');
+  });
+
+  test('saves one row per run and refreshes it on re-scoring', async () => {
+    const service = new PriorityAnalysisService(db);
+    expect(service.getForRun(project.id, 1).quick_wins.total).toBe(2);
+
+    const result = await new ScoringProfileService(db).rescoreRun(project, { profile: 'quick-wins' });
+
+    expect(result.priorityAnalysis).toMatchObject({ quick_wins: 2, striking_distance: 2, long_term_targets: 1 });
+    expect(db.prepare('SELECT COUNT(*) as count FROM priority_analysis WHERE run_id = 1').get().count).toBe(1);
+    expect(service.getForRun(project.id, 1).scoring.profile).toBe('quick-wins');
+  });
+});
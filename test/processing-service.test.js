@@ -1,4 +1,13 @@
+const Database = require('better-sqlite3');
+const DatabaseSchema = require('../src/database/schema');
 const ProcessingService = require('../src/services/processing-service');
+const DataCleaningService = require('../src/services/data-cleaning-service');
+const { ClusteringService } = require('../src/services/clustering-service');
+const { PriorityScoringService } = require('../src/services/priority-scoring-service');
+const ProcessingRunModel = require('../src/database/models/processing-run');
+const RawKeywordModel = require('../src/database/models/raw-keyword');
+const BatchRunModel = require('../src/database/models/batch-run');
+const { JobCancelledError } = require('../src/services/job-queue');
 
 describe('ProcessingService', () => {
   test('runs full pipeline and scores keywords', async () => {
@@ -15,4 +24,63 @@ describe('ProcessingService', () => {
     expect(result.clusters.length).toBe(2);
     expect(result.keywords.every(k => k.priority_score !== undefined)).toBe(true);
   });
+
+  test('stops batch processing when its signal is aborted', async () => {
+    const service = new ProcessingService();
+    const controller = new AbortController();
+    controller.abort(new JobCancelledError(7));
+    const rawKeywords = [
+      { keyword: 'apple pie recipe', search_volume: 1000, competition: 0.2 },
+      { keyword: 'banana bread recipe', search_volume: 800, competition: 0.25 }
+    ];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await expect(service.run(rawKeywords, {
+      batch: { enabled: true, signal: controller.signal, enableProgressLogging: false }
+    })).rejects.toThrow('Job #7 was cancelled');
+    expect(service.getBatchProgress().stage).toBe('cancelled');
+    console.log.mockRestore();
+  });
+
+  test('resumes a failed batch session from its latest valid checkpoint', async () => {
+    const db = new Database(':memory:');
+    DatabaseSchema.createTables(db);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    db.prepare("INSERT INTO projects (name, slug, project_type, domain) VALUES ('food', 'food', 'domain', 'food.com')").run();
+    const run = new ProcessingRunModel(db).startRun(1, 'create', 9);
+    const rawKeywords = new RawKeywordModel(db).saveRecords(1, run.id, [
+      { keyword: 'apple pie recipe', search_volume: 1000, competition: 0.2 },
+      { keyword: 'banana bread recipe', search_volume: 800, competition: 0.25 },
+      { keyword: 'buy used car', search_volume: 900, competition: 0.4 },
+      { keyword: 'car dealer near me', search_volume: 700, competition: 0.35 }
+    ]);
+    const options = resumeBatchRunId => ({
+      batch: { enabled: true, mode: 'full', batchSize: 2, database: db, runId: run.id, resumeBatchRunId, enableProgressLogging: false },
+      clustering: { clusterCount: 2 }
+    });
+
+    jest.spyOn(PriorityScoringService.prototype, 'calculatePriorityScores').mockRejectedValueOnce(new Error('scoring crashed'));
+    await expect(new ProcessingService().runBatch(rawKeywords, options())).rejects.toThrow('scoring crashed');
+    const batchRun = new BatchRunModel(db).findLatestByRun(run.id);
+    expect(batchRun.status).toBe('failed');
+
+    // The clustering checkpoint is the latest one; corrupt it so the resume falls back to the intent checkpoint
+    db.prepare("UPDATE batch_checkpoints SET validation_hash = 'corrupt' WHERE stage_name = 'clustering'").run();
+    const cleaning = jest.spyOn(DataCleaningService.prototype, 'cleanKeywords');
+    const clustering = jest.spyOn(ClusteringService.prototype, 'performAdvancedClustering');
+
+    const result = await new ProcessingService().runBatch(rawKeywords, options(batchRun.id));
+
+    expect(result.batchProcessing).toMatchObject({ resumed: true, resumedFrom: 'intent' });
+    expect(result.batchProcessing.skippedCheckpoints).toHaveLength(1);
+    expect(cleaning).not.toHaveBeenCalled();
+    expect(clustering).toHaveBeenCalledTimes(1);
+    expect(result.keywords).toHaveLength(4);
+    expect(result.keywords.every(k => k.priority_score !== undefined)).toBe(true);
+    expect(new BatchRunModel(db).findById(batchRun.id).status).toBe('completed');
+
+    jest.restoreAllMocks();
+    db.close();
+  });
 });
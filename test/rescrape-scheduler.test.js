@@ -0,0 +1,95 @@
+const Database = require('better-sqlite3');
+const DatabaseSchema = require('../src/database/schema');
+const { RescrapeScheduler } = require('../src/services/rescrape-scheduler');
+const { JobQueue } = require('../src/services/job-queue');
+const JobModel = require('../src/database/models/job');
+const ProjectModel = require('../src/database/models/project');
+
+describe('RescrapeScheduler', () => {
+  test('parses schedules and finds their next run', () => {
+    expect(RescrapeScheduler.parseSchedule('every Monday, database=us, limit=5000')).toEqual({
+      frequency: 'weekly', day: 'monday', time: '06:00', database: 'us', limit: 5000
+    });
+    expect(RescrapeScheduler.parseSchedule('daily at 5:30, database=uk')).toMatchObject({ frequency: 'daily', time: '05:30', database: 'uk' });
+    expect(RescrapeScheduler.parseSchedule('monthly on the 31st')).toMatchObject({ frequency: 'monthly', dayOfMonth: 31 });
+    expect(RescrapeScheduler.parseSchedule({ frequency: 'weekly', day: 'Friday', limit: 100 })).toMatchObject({ day: 'friday', limit: 100 });
+    expect(() => RescrapeScheduler.parseSchedule('every fortnight')).toThrow('Unknown schedule');
+    expect(() => RescrapeScheduler.parseSchedule('daily, limit=50000')).toThrow('between 1 and 10000');
+    expect(() => RescrapeScheduler.parseSchedule('daily, database=xx')).toThrow('Unknown SEMrush database');
+    expect(() => RescrapeScheduler.parseSchedule('daily, depth=3')).toThrow('Unknown schedule option');
+
+    const wednesday = new Date(2026, 0, 7, 12, 0);
+    const weekly = RescrapeScheduler.parseSchedule('every Monday');
+    expect(RescrapeScheduler.nextRunAt(weekly, wednesday)).toEqual(new Date(2026, 0, 12, 6, 0));
+    expect(RescrapeScheduler.nextRunAt(weekly, new Date(2026, 0, 12, 6, 0))).toEqual(new Date(2026, 0, 19, 6, 0));
+    expect(RescrapeScheduler.nextRunAt(RescrapeScheduler.parseSchedule('daily at 18:00'), wednesday)).toEqual(new Date(2026, 0, 7, 18, 0));
+    // The 31st of a short month runs on its last day
+    expect(RescrapeScheduler.nextRunAt(RescrapeScheduler.parseSchedule('monthly on 31'), new Date(2026, 1, 1))).toEqual(new Date(2026, 1, 28, 6, 0));
+  });
+
+  describe('with a database', () => {
+    let db;
+    let queue;
+    let scheduler;
+
+    beforeEach(() => {
+      db = new Database(':memory:');
+      DatabaseSchema.createTables(db);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      db.prepare(`INSERT INTO projects (name, slug, project_type, domain, configuration) VALUES ('acme', 'acme', 'domain', 'acme.com', '{"database":"us"}')`).run();
+      queue = new JobQueue(db, { rescrape: { handler: async () => ({}) } });
+      scheduler = new RescrapeScheduler(db, queue);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      db.close();
+    });
+
+    test('queues due rescrapes once per slot and keeps the rest of the configuration', () => {
+      const entry = scheduler.setSchedule(1, 'every Monday, limit=5000', new Date(2026, 0, 7, 12, 0));
+      expect(entry).toMatchObject({ description: 'every Monday at 06:00 (database us, limit 5000)', next_run_at: new Date(2026, 0, 12, 6, 0).toISOString() });
+
+      expect(scheduler.tick(new Date(2026, 0, 12, 5, 59))).toEqual([]);
+      const [job] = scheduler.tick(new Date(2026, 0, 12, 6, 1));
+      expect(job).toMatchObject({ type: 'rescrape', project_id: 1, priority: -1, options: { project: 1, database: 'us', limit: 5000, trigger: 'scheduler' } });
+      expect(scheduler.tick(new Date(2026, 0, 12, 7, 0))).toEqual([]);
+
+      // A rescrape still queued a week later means the next slot is skipped
+      expect(scheduler.tick(new Date(2026, 0, 19, 6, 0))).toEqual([]);
+      const [listed] = scheduler.list();
+      expect(listed.schedule).toMatchObject({ lastStatus: 'skipped', lastJobId: job.id });
+      expect(listed.next_run_at).toBe(new Date(2026, 0, 26, 6, 0).toISOString());
+      expect(JSON.parse(db.prepare('SELECT configuration FROM projects').get().configuration).database).toBe('us');
+
+      expect(scheduler.removeSchedule(1)).toMatchObject({ frequency: 'weekly' });
+      expect(scheduler.list()).toEqual([]);
+    });
+
+    test('saves a schedule over an unreadable configuration, as the readers treat it as empty', () => {
+      db.prepare("UPDATE projects SET configuration = 'not json' WHERE id = 1").run();
+      expect(ProjectModel.configurationOf({ configuration: 'not json' })).toEqual({});
+
+      scheduler.setSchedule(1, 'daily', new Date(2026, 0, 7, 12, 0));
+      expect(ProjectModel.configurationOf(db.prepare('SELECT configuration FROM projects').get()).schedule)
+        .toMatchObject({ frequency: 'daily' });
+    });
+
+    test('records and reports the outcome of scheduled rescrapes', () => {
+      scheduler.setSchedule(1, 'daily', new Date(2026, 0, 7, 12, 0));
+      const jobs = new JobModel(db);
+
+      const [failing] = scheduler.tick(new Date(2026, 0, 8, 6, 0));
+      jobs.markFailed(failing.id, 'SEMrush API timeout');
+      const [succeeding] = scheduler.tick(new Date(2026, 0, 9, 6, 0));
+      expect(scheduler.list()[0].schedule).toMatchObject({ lastStatus: 'queued', lastJobId: succeeding.id, failures: 1, lastError: null });
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Scheduled rescrape of acme failed'), 'SEMrush API timeout');
+
+      jobs.complete(succeeding.id, { runId: 12 });
+      scheduler.reportFinished();
+      expect(scheduler.list()[0].schedule).toMatchObject({ lastStatus: 'completed', lastRunId: 12, failures: 0, lastError: null });
+    });
+  });
+});
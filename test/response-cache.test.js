@@ -0,0 +1,153 @@
+const path = require('path');
+const axios = require('axios');
+const Database = require('better-sqlite3');
+const DatabaseSchema = require('../src/database/schema');
+const { HttpClient, withRequestContext } = require('../src/http');
+const { ResponseCache, CacheMissError } = require('../src/services/response-cache');
+const { ApiUsageTracker } = require('../src/services/api-usage-service');
+const { MetaDescriptionGenerator } = require('../src/generators/meta-description-generator');
+const { OpenAILLMProvider } = require('../src/llm/openai-provider');
+
+jest.mock('axios');
+
+const FIXTURE = path.join(__dirname, 'fixtures/responses/openai-meta-descriptions.json');
+const SEMRUSH_CSV = 'Keyword;Position;Search Volume\nbuy shoes;3;1000\n';
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Response cache', () => {
+  let db;
+  let clock;
+  let openai;
+  let semrush;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    DatabaseSchema.createTables(db);
+    clock = new Date('2026-10-19T12:00:00Z');
+    openai = new HttpClient('openai', { maxRetries: 0 });
+    semrush = new HttpClient('semrush', { maxRetries: 0 });
+    axios.post.mockReset();
+    axios.get.mockReset();
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  const completion = content => ({ status: 200, data: { choices: [{ message: { content } }], usage: { prompt_tokens: 10, completion_tokens: 5 } } });
+  const ask = (cache, prompt) => withRequestContext({ cache }, () => openai.post('https://api.openai.com/v1/chat/completions', { model: 'gpt-4o-mini', messages: [{ role: 'user', content: prompt }] }));
+
+  test('answers identical requests from the cache until the provider TTL passes', async () => {
+    const cache = new ResponseCache(db, { mode: 'on', now: () => clock });
+    axios.post.mockResolvedValueOnce(completion('first')).mockResolvedValueOnce(completion('other')).mockResolvedValueOnce(completion('fresh'));
+
+    expect((await ask(cache, 'hello')).data.choices[0].message.content).toBe('first');
+    const hit = await ask(cache, 'hello');
+    expect(hit).toMatchObject({ cached: true, status: 200 });
+    expect(hit.data.choices[0].message.content).toBe('first');
+    expect((await ask(cache, 'hello again')).data.choices[0].message.content).toBe('other');
+    expect(axios.post).toHaveBeenCalledTimes(2);
+
+    // OpenAI responses are kept for 168 hours
+    clock = new Date(clock.getTime() + 169 * HOUR_MS);
+    expect((await ask(cache, 'hello')).data.choices[0].message.content).toBe('fresh');
+    expect(cache.summary()).toEqual({ mode: 'on', hits: 1, stored: 3 });
+  });
+
+  test('keys SEMrush exports by query without the API key and skips error bodies', async () => {
+    const cache = new ResponseCache(db, { now: () => clock });
+    const query = (key, phrase) => withRequestContext({ cache }, () => semrush.get('https://api.semrush.com/', { params: { type: 'phrase_related', key, phrase, database: 'us' } }));
+    axios.get
+      .mockResolvedValueOnce({ status: 200, data: SEMRUSH_CSV })
+      .mockResolvedValueOnce({ status: 200, data: 'ERROR 50 :: NOTHING FOUND' })
+      .mockResolvedValueOnce({ status: 200, data: SEMRUSH_CSV });
+
+    await query('key-1', 'shoes');
+    expect(await query('key-2', 'shoes')).toMatchObject({ cached: true, data: SEMRUSH_CSV });
+    await query('key-1', 'unknown');
+    await query('key-1', 'unknown');
+    expect(axios.get).toHaveBeenCalledTimes(3);
+
+    const [row] = db.prepare("SELECT * FROM api_cache WHERE provider = 'semrush'").all();
+    expect(row).toMatchObject({ endpoint: 'phrase_related', hit_count: 1 });
+    expect(row.request).not.toContain('key-1');
+    // SEMrush exports are kept for 24 hours
+    expect(row.expires_at).toBe('2026-10-20 12:00:00');
+  });
+
+  test('--no-cache calls again and refreshes the cached response; hits cost nothing', async () => {
+    axios.post.mockResolvedValueOnce(completion('old')).mockResolvedValueOnce(completion('new'));
+    await ask(ResponseCache.forRun(db), 'hello');
+
+    const noCache = ResponseCache.forRun(db, { cache: false });
+    expect(noCache.mode).toBe('record');
+    expect((await ask(noCache, 'hello')).data.choices[0].message.content).toBe('new');
+
+    const usage = new ApiUsageTracker(db, { budget: { perRun: 0, perMonth: null } });
+    const hit = await withRequestContext({ usage, cache: ResponseCache.forRun(db) },
+      () => openai.post('https://api.openai.com/v1/chat/completions', { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'hello' }] }));
+    expect(hit.data.choices[0].message.content).toBe('new');
+    expect(usage.summary()).toMatchObject({ calls: 0, cost: 0 });
+    expect(axios.post).toHaveBeenCalledTimes(2);
+  });
+
+  test('exports, imports, reports and clears entries', async () => {
+    const cache = new ResponseCache(db, { now: () => clock });
+    axios.post.mockResolvedValueOnce(completion('one'));
+    axios.get.mockResolvedValueOnce({ status: 200, data: SEMRUSH_CSV });
+    await ask(cache, 'hello');
+    await withRequestContext({ cache }, () => semrush.get('https://api.semrush.com/', { params: { type: 'domain_organic', domain: 'shop.com' } }));
+
+    const exported = cache.exportEntries({ provider: 'openai' });
+    expect(exported.entries).toHaveLength(1);
+    expect(exported.entries[0].response.choices[0].message.content).toBe('one');
+
+    clock = new Date(clock.getTime() + 48 * HOUR_MS);
+    expect(cache.stats()).toEqual([
+      expect.objectContaining({ provider: 'openai', entries: 1, expired: 0 }),
+      expect.objectContaining({ provider: 'semrush', entries: 1, expired: 1 })
+    ]);
+    expect(cache.clear({ expiredOnly: true })).toBe(1);
+
+    const other = new Database(':memory:');
+    DatabaseSchema.createTables(other);
+    const imported = new ResponseCache(other, { mode: 'replay' });
+    expect(imported.importEntries(exported)).toBe(1);
+    expect((await ask(imported, 'hello')).data.choices[0].message.content).toBe('one');
+    other.close();
+
+    expect(() => cache.importEntries({ entries: 'nope' })).toThrow('Not a cache export');
+    expect(cache.clear()).toBe(1);
+  });
+
+  test('replays recorded fixtures offline and refuses requests that were never recorded', async () => {
+    const savedKey = process.env.OPENAI_API_KEY;
+    process.env.OPENAI_API_KEY = 'sk-test';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const cache = ResponseCache.fromFixtures(FIXTURE);
+      const generator = new MetaDescriptionGenerator({ llmProvider: new OpenAILLMProvider() });
+      const cluster = {
+        name: 'Succulent care',
+        keywords: [{ keyword: 'how often to water succulents' }, { keyword: 'succulent watering schedule' }, { keyword: 'overwatered succulent' }]
+      };
+
+      const result = await withRequestContext({ cache },
+        () => generator.generateMetaDescription('How Often Should You Water Succulents?', cluster, 'how often to water succulents'));
+      expect(result.description).toMatch(/^Learn how often to water succulents/);
+      expect(result.alternatives).toHaveLength(2);
+      expect(axios.post).not.toHaveBeenCalled();
+
+      await expect(withRequestContext({ cache }, () => generator.generateMetaDescription('Best Soil for Succulents', cluster)))
+        .rejects.toThrow('No recorded openai response');
+      await expect(ask(cache, 'hello')).rejects.toBeInstanceOf(CacheMissError);
+      expect(axios.post).not.toHaveBeenCalled();
+    } finally {
+      console.log.mockRestore();
+      console.error.mockRestore();
+      if (savedKey === undefined) delete process.env.OPENAI_API_KEY;
+      else process.env.OPENAI_API_KEY = savedKey;
+    }
+  });
+});
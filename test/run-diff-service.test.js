@@ -0,0 +1,41 @@
+const { RunDiffService } = require('../src/services/run-diff-service');
+
+describe('RunDiffService', () => {
+  const toMap = (rows) => new Map(rows.map(row => [row.keyword, row]));
+
+  test('reports new, lost, moved and volume-changed keywords', () => {
+    const service = new RunDiffService(null);
+    const from = toMap([
+      { keyword: 'buy bitcoin', position: 8, search_volume: 1000 },
+      { keyword: 'eth wallet', position: 3, search_volume: 500 },
+      { keyword: 'old keyword', position: 12, search_volume: 90 }
+    ]);
+    const to = toMap([
+      { keyword: 'buy bitcoin', position: 4, previous_position: 8, search_volume: 1000 },
+      { keyword: 'eth wallet', position: 6, search_volume: 900 },
+      { keyword: 'staking guide', position: 15, search_volume: 300 }
+    ]);
+
+    const diff = service.compareKeywords(from, to);
+
+    expect(diff.new.map(k => k.keyword)).toEqual(['staking guide']);
+    expect(diff.lost.map(k => k.keyword)).toEqual(['old keyword']);
+    expect(diff.gains[0]).toMatchObject({ keyword: 'buy bitcoin', change: 4 });
+    expect(diff.drops[0]).toMatchObject({ keyword: 'eth wallet', change: -3 });
+    expect(diff.volumeChanges[0]).toMatchObject({ keyword: 'eth wallet', change_percent: 80 });
+  });
+
+  test('matches clusters by keyword overlap', () => {
+    const service = new RunDiffService(null);
+    const cluster = (name, keywords) => ({ name, keywords: new Set(keywords), total_search_volume: 0 });
+
+    const diff = service.compareClusters(
+      [cluster('bitcoin', ['a', 'b']), cluster('nft', ['x', 'y'])],
+      [cluster('bitcoin prices', ['a', 'b', 'c', 'd']), cluster('staking', ['s', 't'])]
+    );
+
+    expect(diff.resized[0]).toMatchObject({ name: 'bitcoin prices', from_count: 2, to_count: 4 });
+    expect(diff.appeared.map(c => c.name)).toEqual(['staking']);
+    expect(diff.disappeared.map(c => c.name)).toEqual(['nft']);
+  });
+});
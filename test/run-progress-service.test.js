@@ -0,0 +1,69 @@
+const Database = require('better-sqlite3');
+const DatabaseSchema = require('../src/database/schema');
+const ProcessingRunModel = require('../src/database/models/processing-run');
+const ProcessingLogModel = require('../src/database/models/processing-log');
+const ProcessingService = require('../src/services/processing-service');
+const { RunProgressService } = require('../src/services/run-progress-service');
+
+describe('RunProgressService', () => {
+  let db;
+  let run;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    DatabaseSchema.createTables(db);
+    DatabaseSchema.insertDefaults(db);
+    console.log.mockRestore();
+
+    db.prepare("INSERT INTO projects (name, slug, project_type, domain) VALUES ('Acme', 'acme', 'domain', 'acme.com')").run();
+    run = new ProcessingRunModel(db).startRun(1, 'create', 9);
+  });
+
+  afterEach(() => db.close());
+
+  test('reports stage, ETA, log lines and the changes between snapshots', () => {
+    const runs = new ProcessingRunModel(db);
+    const logs = new ProcessingLogModel(db);
+    const service = new RunProgressService(db);
+    db.prepare('UPDATE processing_runs SET started_at = ? WHERE id = ?')
+      .run(new Date(Date.now() - 30000).toISOString(), run.id);
+
+    const before = service.getProgress(run.id);
+    runs.updateProgress(run.id, 'clustering', 6, 67);
+    const first = logs.log(run.id, 'clustering', 'Clustering 120 keywords');
+    logs.log(run.id, 'clustering', 'Found 8 clusters');
+    const after = service.getProgress(run.id);
+
+    expect(after).toMatchObject({ status: 'running', stage: 'clustering', progress_percent: 67, batch: null });
+    expect(after.eta_ms).toBeGreaterThan(10000);
+    expect(after.eta_ms).toBeLessThan(20000);
+    expect(RunProgressService.changes(before, after)).toEqual(['stage', 'progress']);
+    expect(service.getLogs(run.id, first.id).map(log => log.message)).toEqual(['Found 8 clusters']);
+    expect(service.getActiveRuns()).toMatchObject([{ run_id: run.id, project_name: 'Acme' }]);
+
+    runs.completeRun(run.id, {});
+    expect(service.getProgress(run.id).eta_ms).toBeNull();
+    expect(service.getActiveRuns()).toEqual([]);
+  });
+
+  test('tracks batch processing of a run in batch_runs and processing_logs', async () => {
+    const rawKeywords = [
+      { keyword: 'apple pie recipe', search_volume: 1000, competition: 0.2 },
+      { keyword: 'banana bread recipe', search_volume: 800, competition: 0.25 },
+      { keyword: 'buy used car', search_volume: 900, competition: 0.4 },
+      { keyword: 'car dealer near me', search_volume: 700, competition: 0.35 }
+    ];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await new ProcessingService().run(rawKeywords, {
+      batch: { enabled: true, mode: 'full', batchSize: 2, enableProgressLogging: false, database: db, runId: run.id }
+    });
+    console.log.mockRestore();
+
+    const { batch } = new RunProgressService(db).getProgress(run.id);
+    expect(batch).toMatchObject({ status: 'completed', mode: 'full', processed_keywords: 4, total_keywords: 4 });
+    const messages = new RunProgressService(db).getLogs(run.id).map(log => log.message);
+    expect(messages).toContain('Starting stage: clustering');
+  });
+});
@@ -0,0 +1,54 @@
+const Database = require('better-sqlite3');
+const DatabaseSchema = require('../src/database/schema');
+const ScoringProfileModel = require('../src/database/models/scoring-profile');
+const { ScoringProfileService } = require('../src/services/scoring-profile-service');
+const { PriorityScoringService } = require('../src/services/priority-scoring-service');
+
+describe('ScoringProfileService', () => {
+  let db;
+  let project;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    DatabaseSchema.createTables(db);
+    DatabaseSchema.insertDefaults(db);
+    console.log.mockRestore();
+
+    db.prepare("INSERT INTO projects (name, slug, project_type, domain, configuration) VALUES ('Acme', 'acme', 'domain', 'acme.com', '{}')").run();
+    project = db.prepare('SELECT * FROM projects').get();
+    db.prepare("INSERT INTO processing_runs (project_id, run_type, scrape_date, status) VALUES (?, 'create', '2025-01-01', 'completed')").run(project.id);
+    const insert = db.prepare(`
+      INSERT INTO keywords (project_id, run_id, keyword, search_volume, competition, cpc, position)
+      VALUES (?, 1, ?, ?, ?, ?, ?)
+    `);
+    insert.run(project.id, 'acme pricing', 5000, 0.6, 4.5, 2);
+    insert.run(project.id, 'acme alternatives', 800, 0.1, 1.2, 9);
+  });
+
+  afterEach(() => db.close());
+
+  test('seeds built-in profiles and lets projects override them by name', () => {
+    const model = new ScoringProfileModel(db);
+    expect(model.findForProject(project.id).map(p => p.name)).toEqual(
+      expect.arrayContaining(['balanced', 'traffic-growth', 'quick-wins', 'low-competition'])
+    );
+
+    model.saveProfile({ projectId: project.id, name: 'quick-wins', ...PriorityScoringService.resolveSettings({ weights: { searchVolume: 1 } }) });
+    expect(model.findByName('quick-wins', project.id)).toMatchObject({ project_id: project.id, is_builtin: false });
+    expect(() => model.saveProfile({ name: 'balanced', weights: {}, thresholds: {}, factors: {} })).toThrow('built-in');
+  });
+
+  test('re-scores a stored run and records the profile on the run', async () => {
+    const service = new ScoringProfileService(db);
+
+    const result = await service.rescoreRun(project, { profile: 'quick-wins' });
+
+    expect(result).toMatchObject({ runId: 1, profile: 'quick-wins', keywordCount: 2 });
+    expect(result.top[0].keyword).toBe('acme alternatives');
+    const stored = db.prepare('SELECT priority_rank, priority_tier FROM keywords ORDER BY priority_rank').all();
+    expect(stored.map(k => k.priority_rank)).toEqual([1, 2]);
+    expect(JSON.parse(db.prepare('SELECT processing_stats FROM processing_runs').get().processing_stats).scoring.profile).toBe('quick-wins');
+    expect(() => service.resolve(project, 'missing')).toThrow('Unknown scoring profile');
+  });
+});
@@ -0,0 +1,65 @@
+const { SeasonalityService } = require('../src/services/seasonality-service');
+const { PriorityScoringService } = require('../src/services/priority-scoring-service');
+
+// Fetched in January, so the 12 values run from January to December of the year before
+const FETCHED = '2026-01-15';
+const CHRISTMAS = '0.2,0.2,0.2,0.2,0.2,0.2,0.2,0.2,0.3,0.5,1.00,0.95';
+const FLAT = '0.9,1.00,0.95,0.9,0.92,0.97,0.94,0.9,0.93,0.96,0.98,0.91';
+
+describe('SeasonalityService', () => {
+  test('turns trends into a monthly curve and finds the peak months', () => {
+    const service = new SeasonalityService();
+    expect(SeasonalityService.parseTrends('0.5,1')).toBeNull();
+    expect(SeasonalityService.parseTrends('')).toBeNull();
+    expect(service.analyze('0,0,0,0,0,0,0,0,0,0,0,0', FETCHED)).toBeNull();
+
+    const christmas = service.analyze(CHRISTMAS, FETCHED);
+    expect(christmas.curve).toHaveLength(12);
+    expect(christmas.curve.reduce((sum, value) => sum + value, 0)).toBeCloseTo(12, 1);
+    expect(christmas).toMatchObject({ peak_month: 11, peak_months: [11, 12], amplitude: 0.8, is_seasonal: true });
+    expect(service.analyze(FLAT, FETCHED).is_seasonal).toBe(false);
+
+    // Fetched in July, the same values end with June
+    expect(service.analyze(CHRISTMAS, '2026-07-01').peak_months).toEqual([5, 6]);
+
+    expect(SeasonalityService.monthsUntilPeak(christmas, '2026-09-10')).toBe(2);
+    expect(SeasonalityService.monthsUntilPeak(christmas, '2026-12-10')).toBe(0);
+    expect(SeasonalityService.monthsUntilPeak(christmas, '2026-01-10')).toBe(10);
+  });
+
+  test('flags seasonal clusters from volume-weighted keyword curves', () => {
+    const clusters = new SeasonalityService().analyzeClusters([
+      { cluster_id: 1, cluster_name: 'gifts', search_volume: 5000, trends: CHRISTMAS },
+      { cluster_id: 1, cluster_name: 'gifts', search_volume: 100, trends: FLAT },
+      { cluster_id: 2, cluster_name: 'recipes', search_volume: 3000, trends: FLAT },
+      { cluster_id: 2, cluster_name: 'recipes', search_volume: 200, trends: null }
+    ], FETCHED);
+
+    expect(clusters.map(c => [c.cluster_name, c.is_seasonal, c.keyword_count])).toEqual([
+      ['gifts', true, 2],
+      ['recipes', false, 1]
+    ]);
+    expect(clusters[0]).toMatchObject({ peak_months: [11, 12], seasonal_keywords: 1 });
+  });
+
+  test('priority scoring boosts keywords whose peak is coming up', async () => {
+    const keywords = () => [
+      { keyword: 'christmas gifts', search_volume: 1000, competition: 0.3, trends: CHRISTMAS },
+      { keyword: 'birthday gifts', search_volume: 1000, competition: 0.3, trends: FLAT }
+    ];
+    const score = (factors, date) => new PriorityScoringService({ factors })
+      .calculatePriorityScores(keywords(), {}, { date: new Date(date), trendsDate: FETCHED });
+
+    const unboosted = await score({}, '2026-10-01');
+    expect(unboosted[0].priority_score).toBeCloseTo(unboosted[1].priority_score);
+
+    const [top, other] = await score({ seasonalBoost: 0.5, seasonalWindow: 3 }, '2026-10-01');
+    expect(top.keyword).toBe('christmas gifts');
+    expect(top.seasonal_boost).toBeCloseTo(0.5 * 0.8 * 0.75);
+    expect(other.seasonal_boost).toBe(0);
+
+    // Outside the window there is no boost
+    const spring = await score({ seasonalBoost: 0.5, seasonalWindow: 3 }, '2026-04-01');
+    expect(spring.every(keyword => keyword.seasonal_boost === 0)).toBe(true);
+  });
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const Database = require('better-sqlite3');
+const DatabaseSchema = require('../src/database/schema');
+const DatabaseMigrations = require('../src/database/migrations');
+const ProjectModel = require('../src/database/models/project');
+const RawKeywordModel = require('../src/database/models/raw-keyword');
+const ProcessingRunModel = require('../src/database/models/processing-run');
+const { fetchSemrushKeywordsSeeds } = require('../src/semrush-api');
+const { KeywordService } = require('../src/services/keyword-service');
+const { CompetitorService } = require('../src/services/competitor-service');
+
+jest.mock('axios');
+
+const PHRASE_HEADER = 'Keyword;Search Volume;CPC;Competition;Number of Results;Trends';
+const phraseExport = rows => [PHRASE_HEADER, ...rows].join('\n') + '\n';
+const COMPETITORS_CSV = [
+  'Domain;Competitor Relevance;Common Keywords;Organic Keywords;Organic Traffic;Organic Cost;Adwords Keywords',
+  'Runners.com;0.42;1200;35000;90000;51000.5;120',
+  'trailgear.io;0.18;300;8000;12000;6000;0'
+].join('\n');
+
+describe('SEMrush keyword and competitor reports', () => {
+  let db;
+  let savedEnv;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    DatabaseSchema.createTables(db);
+    savedEnv = { NODE_ENV: process.env.NODE_ENV, SEMRUSH_API_KEY: process.env.SEMRUSH_API_KEY };
+    process.env.NODE_ENV = 'test';
+    process.env.SEMRUSH_API_KEY = 'test-key';
+    axios.get.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    db.close();
+    console.log.mockRestore();
+    Object.entries(savedEnv).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  });
+
+  const createProject = data => new ProjectModel(db).createProject({ configuration: { database: 'us' }, ...data });
+
+  test('saves phrase report columns by header name', () => {
+    const project = createProject({ name: 'Shoes', projectType: 'seed', seedKeywords: ['running shoes'] });
+    const run = new ProcessingRunModel(db).startRun(project.id, 'create');
+    const [keyword] = new RawKeywordModel(db).saveFromCSV(project.id, run.id,
+      phraseExport(['best running shoes;12100;1.25;0.87;5400000;0.81,0.66,1.00']));
+
+    expect(keyword).toMatchObject({
+      keyword: 'best running shoes',
+      search_volume: 12100,
+      cpc: 1.25,
+      competition: 0.87,
+      number_of_results: 5400000,
+      trends: '0.81,0.66,1.00',
+      position: null,
+      url: ''
+    });
+  });
+
+  test('merges seed reports into one export without duplicate keywords', async () => {
+    axios.get.mockImplementation(async (url, { params }) => {
+      if (params.type === 'phrase_questions') return { status: 200, data: 'ERROR 50 :: NOTHING FOUND' };
+      return {
+        status: 200,
+        data: params.phrase === 'running shoes'
+          ? phraseExport(['running shoes;90500;1.1;1;1;0', 'Best Running Shoes;12100;1.2;1;1;0'])
+          : phraseExport(['trail shoes;22200;0.9;1;1;0', 'best running shoes;14800;1.3;1;1;0'])
+      };
+    });
+
+    const csv = await fetchSemrushKeywordsSeeds({
+      seeds: ['running shoes', 'trail shoes'],
+      reports: ['phrase_related', 'phrase_questions'],
+      database: 'us',
+      limit: 3
+    });
+
+    expect(axios.get).toHaveBeenCalledTimes(4);
+    expect(axios.get.mock.calls[0][1].params).toMatchObject({ type: 'phrase_related', phrase: 'running shoes', display_sort: 'nq_desc' });
+    expect(csv.trim().split('\n')).toEqual([
+      PHRASE_HEADER,
+      'running shoes;90500;1.1;1;1;0',
+      'trail shoes;22200;0.9;1;1;0',
+      'best running shoes;14800;1.3;1;1;0'
+    ]);
+  });
+
+  test('creates seed projects and finds them again by their seeds', async () => {
+    expect(KeywordService.parseSeeds(' running shoes,Running  Shoes, trail shoes ,')).toEqual(['running shoes', 'trail shoes']);
+    expect(() => KeywordService.parseSeeds(' , ')).toThrow('at least one seed');
+    expect(() => KeywordService.parseSeedReports(['related', 'broad'])).toThrow('Unknown seed report "broad"');
+
+    const service = new KeywordService({});
+    service.db = db;
+    service.projectModel = new ProjectModel(db);
+    const project = await service.createProject({ name: 'shoes', method: 'Seed', target: 'running shoes, trail shoes', seedReports: ['questions'], database: 'uk' });
+
+    expect(project).toMatchObject({ project_type: 'seed', domain: null, url: null });
+    expect(KeywordService.requestForProject(project)).toEqual({ method: 'Seed', target: 'running shoes, trail shoes', seedReports: ['questions'] });
+    expect(ProjectModel.describeTarget(project)).toBe('running shoes, trail shoes');
+    expect(service.projectModel.findBySeeds(['Trail Shoes', 'running shoes']).id).toBe(project.id);
+    expect(service.projectModel.findBySeeds(['trail shoes'])).toBeUndefined();
+  });
+
+  test('saves competitors and refreshes them on the next discovery', async () => {
+    const project = createProject({ name: 'Runner', projectType: 'url', url: 'https://www.runner.com/shoes/' });
+    axios.get.mockResolvedValue({ status: 200, data: COMPETITORS_CSV });
+
+    const service = new CompetitorService(db);
+    const first = await service.discover(project, { limit: 2 });
+    expect(axios.get.mock.calls[0][1].params).toMatchObject({ type: 'domain_organic_organic', domain: 'www.runner.com', database: 'us', display_limit: 2 });
+    expect(first.competitors.map(c => c.domain)).toEqual(['runners.com', 'trailgear.io']);
+    expect(first.competitors[0]).toMatchObject({ relevance: 0.42, common_keywords: 1200, organic_cost: 51000.5, adwords_keywords: 120 });
+    expect(first.usage.calls).toBe(1);
+
+    // The second call is answered from the response cache and updates the same rows
+    const second = await service.discover(project, { limit: 2 });
+    expect(second.cache.hits).toBe(1);
+    expect(service.list(project.id)).toHaveLength(2);
+
+    const seedProject = createProject({ name: 'Seeds', projectType: 'seed', seedKeywords: ['shoes'] });
+    await expect(service.discover(seedProject)).rejects.toThrow('has no domain');
+  });
+
+  test('migration 5 adds the seed project type and keeps projects and their runs', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'kwt-')), 'old.db');
+    const old = new Database(file);
+    old.exec(`
+      CREATE TABLE metadata (key TEXT PRIMARY KEY, value TEXT, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP);
+      INSERT INTO metadata (key, value) VALUES ('schema_version', '4');
+      CREATE TABLE projects (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL, slug TEXT UNIQUE NOT NULL, domain TEXT, url TEXT,
+        project_type TEXT NOT NULL CHECK (project_type IN ('domain', 'url')), configuration TEXT, tags TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_processed DATETIME, status TEXT DEFAULT 'active'
+      );
+      CREATE TABLE processing_runs (id INTEGER PRIMARY KEY, project_id INTEGER NOT NULL, FOREIGN KEY (project_id) REFERENCES projects (id) ON DELETE CASCADE);
+      INSERT INTO projects (name, slug, domain, project_type) VALUES ('Shop', 'shop', 'shop.com', 'domain');
+      INSERT INTO processing_runs (id, project_id) VALUES (7, 1);
+    `);
+    old.close();
+
+    const migrations = new DatabaseMigrations(file);
+    migrations.migrate();
+    migrations.migrate();
+    const { db: migrated } = migrations;
+    try {
+      expect(migrated.prepare('SELECT name, domain FROM projects').all()).toEqual([{ name: 'Shop', domain: 'shop.com' }]);
+      expect(migrated.prepare('SELECT project_id FROM processing_runs').all()).toEqual([{ project_id: 1 }]);
+      migrated.prepare("INSERT INTO projects (name, slug, seed_keywords, project_type) VALUES ('Seeds', 'seeds', '[\"shoes\"]', 'seed')").run();
+      expect(migrated.prepare('PRAGMA foreign_key_check').all()).toEqual([]);
+    } finally {
+      migrated.close();
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,117 @@
+const Database = require('better-sqlite3');
+const DatabaseSchema = require('../src/database/schema');
+const { TitleContentService } = require('../src/services/title-content-service');
+const { MetaDescriptionGenerator } = require('../src/generators/meta-description-generator');
+const { chatgptStructuredArray } = require('../src/chatgpt/index');
+
+jest.mock('../src/chatgpt/index');
+
+describe('TitleContentService', () => {
+  let db;
+  let service;
+  let titleId;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    DatabaseSchema.createTables(db);
+    db.prepare("INSERT INTO projects (name, slug, project_type, domain) VALUES ('shop', 'shop', 'domain', 'shop.com')").run();
+    db.prepare("INSERT INTO processing_runs (project_id, run_type, status, scrape_date) VALUES (1, 'create', 'completed', date('now'))").run();
+    db.prepare("INSERT INTO keyword_clusters (project_id, run_id, cluster_name) VALUES (1, 1, 'gift wrapping')").run();
+    db.prepare(`
+      INSERT INTO keywords (project_id, run_id, keyword, search_volume, cluster_id, priority_score)
+      VALUES (1, 1, 'how to wrap a gift', 900, 1, 80), (1, 1, 'gift wrap ideas', 400, 1, 60)
+    `).run();
+    titleId = db.prepare(`
+      INSERT INTO generated_content (project_id, run_id, content_type, content, cluster_id, primary_keyword_id)
+      VALUES (1, 1, 'title', 'How to Wrap a Gift Without Tape', 1, 1)
+    `).run().lastInsertRowid;
+    service = new TitleContentService(db);
+    chatgptStructuredArray.mockReset();
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('stores an outline as markdown with its sections, covering the cluster keywords', async () => {
+    chatgptStructuredArray.mockResolvedValue([
+      { heading: 'Wrapping a Gift With Folds Only', subheadings: ['Measure the paper', ' Fold the ends '], keywords: ['how to wrap a gift'] },
+      { heading: '  ', subheadings: ['dropped'] },
+      { heading: 'Gift Wrap Ideas Without Tape', subheadings: ['Ribbon', 'Furoshiki'], keywords: ['gift wrap ideas'] }
+    ]);
+
+    const outline = await service.generate(1, titleId, 'outline');
+
+    const prompt = chatgptStructuredArray.mock.calls[0][0];
+    expect(prompt).toContain('"How to Wrap a Gift Without Tape"');
+    expect(prompt).toContain('how to wrap a gift, gift wrap ideas');
+    expect(outline.content).toBe([
+      '# How to Wrap a Gift Without Tape',
+      '',
+      '## Wrapping a Gift With Folds Only',
+      '### Measure the paper',
+      '### Fold the ends',
+      '',
+      '## Gift Wrap Ideas Without Tape',
+      '### Ribbon',
+      '### Furoshiki'
+    ].join('\n'));
+    expect(outline).toMatchObject({ content_type: 'outline', run_id: 1, cluster_id: 1, primary_keyword_id: 1 });
+    expect(outline.metadata.title_id).toBe(titleId);
+    expect(outline.metadata.sections).toHaveLength(2);
+    expect(outline.related_keywords).toEqual(['how to wrap a gift', 'gift wrap ideas']);
+  });
+
+  test('keeps the best meta description and replaces it when generated again', async () => {
+    const long = 'Learn how to wrap a gift without tape using simple folds, ribbon and fabric. These step by step methods work for boxes of any size and look neat every time you try them.';
+    chatgptStructuredArray.mockResolvedValueOnce([
+      '"Wrap presents with folds and ribbon."',
+      'Wrapping presents without tape is easy with folds, ribbon and fabric wraps. Follow these steps for boxes, books and odd shapes that stay closed.',
+      long
+    ]);
+
+    const first = await service.generate(1, titleId, 'meta_description');
+    // Within the displayed length and containing the primary keyword wins
+    expect(first.content).toBe(MetaDescriptionGenerator.truncate(long));
+    expect(first.content.length).toBeLessThanOrEqual(160);
+    expect(first.content.endsWith('…')).toBe(true);
+    expect(first.metadata.alternatives).toEqual([
+      'Wrapping presents without tape is easy with folds, ribbon and fabric wraps. Follow these steps for boxes, books and odd shapes that stay closed.',
+      'Wrap presents with folds and ribbon.'
+    ]);
+
+    chatgptStructuredArray.mockResolvedValueOnce(['A shorter description about how to wrap a gift.']);
+    const second = await service.generate(1, titleId, 'meta_description');
+
+    const stored = service.getForTitle(1, titleId);
+    expect(stored.meta_description.id).toBe(second.id);
+    expect(stored.meta_description.content).toBe('A shorter description about how to wrap a gift.');
+    expect(stored.outline).toBeNull();
+    expect(db.prepare("SELECT COUNT(*) AS count FROM generated_content WHERE content_type = 'meta_description'").get().count).toBe(1);
+    expect(service.listGenerated(1)).toEqual({ [titleId]: ['meta_description'] });
+  });
+
+  test('reports missing titles and failed requests without stopping the batch', async () => {
+    expect(await service.generate(1, 999, 'outline')).toBeNull();
+    expect(await service.generate(2, titleId, 'outline')).toBeNull();
+    await expect(service.generate(1, titleId, 'summary')).rejects.toThrow('Content type must be one of');
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    chatgptStructuredArray
+      .mockRejectedValueOnce(new Error('rate limited'))
+      .mockResolvedValueOnce(['How to wrap a gift without tape: folds, ribbon and fabric methods for any box.']);
+    const progress = [];
+    const summary = await service.generateForTitles(1, [titleId, 999], ['outline', 'meta_description'], {
+      onProgress: (id, type, error) => progress.push([id, type, error?.message || null])
+    });
+
+    expect(summary).toEqual({ generated: 1, failed: 1, missing: 2 });
+    expect(progress).toEqual([
+      [titleId, 'outline', 'Failed to generate outline: rate limited'],
+      [titleId, 'meta_description', null],
+      [999, 'outline', 'Title not found'],
+      [999, 'meta_description', 'Title not found']
+    ]);
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,102 @@
+const Database = require('better-sqlite3');
+const DatabaseSchema = require('../src/database/schema');
+const { TitleReviewService } = require('../src/services/title-review-service');
+const { FAQTitleGenerator } = require('../src/generators/faq-title-generator');
+const { chatgptStructuredArray } = require('../src/chatgpt/index');
+
+jest.mock('../src/chatgpt/index');
+
+describe('TitleReviewService', () => {
+  let db;
+  let service;
+
+  const addTitle = (content, clusterId = 1) => db.prepare(`
+    INSERT INTO generated_content (project_id, run_id, content_type, content, cluster_id)
+    VALUES (1, 1, 'title', ?, ?)
+  `).run(content, clusterId).lastInsertRowid;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    DatabaseSchema.createTables(db);
+    db.prepare("INSERT INTO projects (name, slug, project_type, domain) VALUES ('shop', 'shop', 'domain', 'shop.com')").run();
+    db.prepare("INSERT INTO processing_runs (project_id, run_type, status, scrape_date) VALUES (1, 'create', 'completed', date('now'))").run();
+    db.prepare("INSERT INTO keyword_clusters (project_id, run_id, cluster_name) VALUES (1, 1, 'gifts'), (1, 1, 'recipes')").run();
+    service = new TitleReviewService(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('moves titles through the workflow in bulk and skips invalid transitions', () => {
+    const [first, second, third] = ['How to Wrap Gifts', 'What Are Good Gifts?', 'Why Buy Gifts'].map(title => addTitle(title));
+
+    const approved = service.setStatus(1, [first, second, 999], 'approved');
+    expect(approved.updated.map(title => [title.id, title.status, title.is_approved])).toEqual([
+      [first, 'approved', 1],
+      [second, 'approved', 1]
+    ]);
+    expect(approved.skipped).toEqual([{ id: 999, reason: 'not found' }]);
+
+    // Drafts cannot be assigned or published directly
+    const assigned = service.setStatus(1, [first, third], 'assigned', { assignedTo: 'Sam' });
+    expect(assigned.updated.map(title => [title.id, title.assigned_to])).toEqual([[first, 'Sam']]);
+    expect(assigned.skipped).toEqual([{ id: third, reason: 'cannot move from draft to assigned' }]);
+
+    const published = service.setStatus(1, [first], 'published', { publishedUrl: 'https://shop.com/wrap-gifts' });
+    expect(published.updated[0]).toMatchObject({ status: 'published', is_used: 1, published_url: 'https://shop.com/wrap-gifts' });
+
+    expect(() => service.setStatus(1, [first], 'archived')).toThrow('Status must be one of');
+    expect(() => service.setStatus(1, [second, third], 'published', { publishedUrl: 'https://shop.com/x' })).toThrow('one title');
+    expect(() => service.setStatus(1, [second], 'published', { publishedUrl: 'ftp://shop.com/x' })).toThrow('http');
+    expect(service.countByStatus(1)).toEqual({ draft: 1, approved: 1, assigned: 0, published: 1, rejected: 0 });
+
+    expect(service.getHistory(1, first).history.map(entry => [entry.field, entry.old_value, entry.new_value])).toEqual([
+      ['published_url', null, 'https://shop.com/wrap-gifts'],
+      ['status', 'assigned', 'published'],
+      ['assigned_to', null, 'Sam'],
+      ['status', 'approved', 'assigned'],
+      ['status', 'draft', 'approved']
+    ]);
+  });
+
+  test('keeps the previous text and notes in the history when a title is edited', () => {
+    const id = addTitle('How to wrap gifts');
+
+    const edited = service.updateTitle(1, id, { content: '  How to Wrap   Christmas Gifts ', notes: 'Needs a hook' });
+    expect(edited).toMatchObject({ content: 'How to Wrap Christmas Gifts', word_count: 5, character_count: 27, usage_notes: 'Needs a hook' });
+    // Unchanged values are not recorded again
+    service.updateTitle(1, id, { notes: 'Needs a hook' });
+
+    const { history } = service.getHistory(1, id);
+    expect(history.map(entry => [entry.field, entry.old_value, entry.new_value])).toEqual([
+      ['notes', null, 'Needs a hook'],
+      ['content', 'How to wrap gifts', 'How to Wrap Christmas Gifts']
+    ]);
+    expect(() => service.updateTitle(1, id, { content: '   ' })).toThrow('empty');
+    expect(service.updateTitle(2, id, { content: 'Other project' })).toBeNull();
+  });
+
+  test('feeds rejected titles to the title generator as examples to avoid', async () => {
+    const wrap = addTitle('How to Wrap Gifts', 1);
+    const soup = addTitle('Best Soup Recipes', 2);
+    service.setStatus(1, [soup], 'rejected', { note: 'off topic' });
+    service.setStatus(1, [wrap], 'rejected', { note: 'too generic' });
+
+    const avoid = service.getAvoidExamples(1, { clusterName: 'recipes' });
+    expect(avoid).toEqual([
+      { content: 'Best Soup Recipes', reason: 'off topic' },
+      { content: 'How to Wrap Gifts', reason: 'too generic' }
+    ]);
+
+    chatgptStructuredArray.mockResolvedValue(['How to Wrap Gifts Quickly', 'What Gifts Do Kids Like?']);
+    const generator = new FAQTitleGenerator({ titlesPerCluster: 5 });
+    const titles = await generator.generateFAQTitles({ name: 'gifts', keywords: ['gift ideas'] }, [], avoid);
+
+    const prompt = chatgptStructuredArray.mock.calls[0][0];
+    expect(prompt).toContain('An editor rejected these titles');
+    expect(prompt).toContain('- How to Wrap Gifts (rejected: too generic)');
+    // Near-copies of rejected titles are dropped
+    expect(titles).toEqual(['What Gifts Do Kids Like?']);
+  });
+});